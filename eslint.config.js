@@ -26,4 +26,18 @@ export default defineConfig([
       'no-unused-vars': ['error', { varsIgnorePattern: '^[A-Z_]' }],
     },
   },
+  {
+    // Cloud Functions run on Node, not in the browser
+    files: ['functions/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
+  {
+    // Tests run on Node under Vitest
+    files: ['**/*.test.js', 'src/testing/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ])
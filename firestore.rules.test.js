@@ -0,0 +1,743 @@
+import { afterAll, beforeAll, beforeEach, describe, it } from 'vitest';
+import { assertFails, assertSucceeds } from '@firebase/rules-unit-testing';
+import {
+  collection,
+  collectionGroup,
+  deleteDoc,
+  deleteField,
+  doc,
+  getDoc,
+  getDocs,
+  increment,
+  query,
+  serverTimestamp,
+  setDoc,
+  updateDoc,
+  where,
+  writeBatch,
+} from 'firebase/firestore';
+import {
+  DATA_PATH,
+  firestoreAs,
+  hasEmulator,
+  profileFor,
+  seed,
+  startTestEnvironment,
+} from './src/testing/firestoreEmulator';
+
+// Every allow and deny path in firestore.rules. Users:
+//   alice, bob - students on the same course
+//   tess       - a teacher
+//   ada        - an admin (moderator)
+//   sam        - a suspended student
+describe.skipIf(!hasEmulator)('firestore.rules', () => {
+  let testEnv;
+
+  const as = (uid, token) => firestoreAs(testEnv, uid, token);
+  const signedOut = () => testEnv.unauthenticatedContext().firestore();
+  const ref = (db, path) => doc(db, `${DATA_PATH}/${path}`);
+
+  const post = (fields = {}) => ({
+    content: 'Won the hackathon!',
+    imageUrl: '',
+    authorId: 'alice',
+    authorName: 'Alice',
+    authorCourse: 'B.Tech CSE',
+    likes: [],
+    hidden: false,
+    createdAt: serverTimestamp(),
+    ...fields,
+  });
+
+  const comment = (fields = {}) => ({
+    text: 'Congratulations!',
+    authorId: 'bob',
+    authorName: 'Bob',
+    hidden: false,
+    createdAt: serverTimestamp(),
+    ...fields,
+  });
+
+  // Bob liking Alice's post, unless `fields` says otherwise
+  const notification = (fields = {}) => ({
+    type: 'like',
+    actorId: 'bob',
+    actorName: 'Bob',
+    text: 'liked your post',
+    page: { name: 'dashboard', query: 'post=post1' },
+    about: { postId: 'post1' },
+    read: false,
+    createdAt: serverTimestamp(),
+    ...fields,
+  });
+
+  beforeAll(async () => {
+    testEnv = await startTestEnvironment();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seed(testEnv, {
+      'users/alice': profileFor('alice'),
+      'users/bob': profileFor('bob'),
+      'users/tess': profileFor('tess', { role: 'teacher', course: 'B.Tech CSE', semester: '' }),
+      'users/ada': profileFor('ada', { role: 'admin' }),
+      'users/sam': profileFor('sam', { suspended: true }),
+      'achievements/post1': post({ createdAt: new Date('2025-03-01') }),
+      'achievements/post1/comments/comment1': comment({ createdAt: new Date('2025-03-01') }),
+      'projects/project1': {
+        title: 'Campus Robot',
+        description: 'Delivers library books.',
+        skills: ['Python'],
+        status: 'recruiting',
+        members: [{ uid: 'alice', name: 'Alice', role: 'owner', skill: '' }],
+        memberIds: ['alice'],
+        authorId: 'alice',
+        authorName: 'Alice',
+        hidden: false,
+        createdAt: new Date('2025-03-01'),
+      },
+      'conversations/alice_bob': {
+        participants: ['alice', 'bob'],
+        participantNames: { alice: 'Alice', bob: 'Bob' },
+        lastMessage: { text: 'Hi', senderId: 'alice', sentAt: new Date('2025-03-01') },
+        unreadCounts: { alice: 0, bob: 1 },
+        updatedAt: new Date('2025-03-01'),
+      },
+      'users/alice/notifications/note1': notification({ createdAt: new Date('2025-03-01') }),
+      'reports/report1': {
+        target: { type: 'achievement', id: 'post1', ownerId: 'alice' },
+        reason: 'Spam',
+        reporterId: 'bob',
+        reporterName: 'Bob',
+        status: 'open',
+        createdAt: new Date('2025-03-01'),
+      },
+    });
+  });
+
+  afterAll(() => testEnv?.cleanup());
+
+  describe('profiles', () => {
+    const newProfile = (uid, fields = {}) => ({
+      ...profileFor(uid),
+      createdAt: serverTimestamp(),
+      ...fields,
+    });
+
+    it('are readable by signed-in users only', async () => {
+      await assertSucceeds(getDoc(ref(as('bob'), 'users/alice')));
+      await assertFails(getDoc(ref(signedOut(), 'users/alice')));
+    });
+
+    it('are created by their owner, before the email is verified', async () => {
+      await assertSucceeds(setDoc(ref(as('carol', { verified: false }), 'users/carol'), newProfile('carol')));
+    });
+
+    it("can't be created for someone else", async () => {
+      await assertFails(setDoc(ref(as('alice'), 'users/carol'), newProfile('carol')));
+    });
+
+    it("can't be created with another address or an off-campus one", async () => {
+      await assertFails(setDoc(ref(as('carol'), 'users/carol'), newProfile('carol', { email: 'alice@iilm.edu' })));
+      await assertFails(setDoc(
+        ref(as('carol', { email: 'carol@gmail.com' }), 'users/carol'),
+        newProfile('carol', { email: 'carol@gmail.com' })
+      ));
+    });
+
+    it("can't be created as an admin", async () => {
+      await assertFails(setDoc(ref(as('carol'), 'users/carol'), newProfile('carol', { role: 'admin' })));
+    });
+
+    it('take the role a domain is tied to', async () => {
+      await seed(testEnv, { 'config/signup': { allowedDomains: { 'staff.iilm.edu': 'teacher', 'iilm.edu': '' } } });
+      const staff = { email: 'tom@staff.iilm.edu' };
+      await assertFails(setDoc(ref(as('tom', staff), 'users/tom'), newProfile('tom', { ...staff, role: 'student' })));
+      await assertSucceeds(setDoc(ref(as('tom', staff), 'users/tom'), newProfile('tom', { ...staff, role: 'teacher' })));
+    });
+
+    it('let guests sign up from any address, in their role', async () => {
+      const guest = { email: 'gita@gmail.com' };
+      await seed(testEnv, { 'signupGuests/gita@gmail.com': { email: 'gita@gmail.com', role: 'student', note: '', addedBy: 'ada' } });
+      await assertFails(setDoc(ref(as('gita', guest), 'users/gita'), newProfile('gita', { ...guest, role: 'teacher' })));
+      await assertSucceeds(setDoc(ref(as('gita', guest), 'users/gita'), newProfile('gita', { ...guest, role: 'student' })));
+    });
+
+    it('store the name lower-cased for the directory', async () => {
+      await assertFails(setDoc(ref(as('carol'), 'users/carol'), newProfile('carol', { nameLower: 'someone' })));
+      const withoutKey = Object.fromEntries(Object.entries(newProfile('carol')).filter(([key]) => key !== 'nameLower'));
+      await assertFails(setDoc(ref(as('carol'), 'users/carol'), withoutKey));
+      await assertFails(updateDoc(ref(as('alice'), 'users/alice'), { name: 'Alice Smith' }));
+      await assertSucceeds(updateDoc(ref(as('alice'), 'users/alice'), { name: 'Alice Smith', nameLower: 'alice smith' }));
+      await assertFails(updateDoc(ref(as('alice'), 'users/alice'), { nameLower: deleteField() }));
+    });
+
+    it('from before the lower-cased name can still be saved without it', async () => {
+      const withoutKey = Object.fromEntries(Object.entries(profileFor('bob')).filter(([key]) => key !== 'nameLower'));
+      await seed(testEnv, { 'users/bob': withoutKey });
+      await assertSucceeds(updateDoc(ref(as('bob'), 'users/bob'), { bio: 'Still here' }));
+      await assertSucceeds(updateDoc(ref(as('bob'), 'users/bob'), { name: 'Bobby', nameLower: 'bobby' }));
+    });
+
+    it('are edited by their owner only', async () => {
+      await assertSucceeds(updateDoc(ref(as('alice'), 'users/alice'), { bio: 'Robots', skills: ['Python'] }));
+      await assertFails(updateDoc(ref(as('bob'), 'users/alice'), { bio: 'Hacked' }));
+    });
+
+    it("don't let owners change their role, email or suspension", async () => {
+      const alice = as('alice');
+      await assertFails(updateDoc(ref(alice, 'users/alice'), { role: 'teacher' }));
+      await assertFails(updateDoc(ref(alice, 'users/alice'), { role: 'admin' }));
+      await assertFails(updateDoc(ref(alice, 'users/alice'), { email: 'other@iilm.edu' }));
+      await assertFails(updateDoc(ref(as('sam'), 'users/sam'), { suspended: false }));
+    });
+
+    it('cap the following list at 500', async () => {
+      const many = Array.from({ length: 501 }, (_, i) => `user${i}`);
+      await assertFails(updateDoc(ref(as('alice'), 'users/alice'), { following: many }));
+      await assertSucceeds(updateDoc(ref(as('alice'), 'users/alice'), { following: many.slice(0, 500) }));
+    });
+
+    it('let admins suspend other users, and nothing else', async () => {
+      const ada = as('ada');
+      await assertSucceeds(updateDoc(ref(ada, 'users/alice'), { suspended: true }));
+      await assertSucceeds(updateDoc(ref(ada, 'users/sam'), { suspended: false }));
+      await assertFails(updateDoc(ref(ada, 'users/alice'), { role: 'teacher' }));
+      await assertFails(updateDoc(ref(ada, 'users/alice'), { suspended: 'yes' }));
+      await assertFails(updateDoc(ref(as('tess'), 'users/alice'), { suspended: true }));
+    });
+
+    it("can't be deleted", async () => {
+      await assertFails(deleteDoc(ref(as('alice'), 'users/alice')));
+      await assertFails(deleteDoc(ref(as('ada'), 'users/alice')));
+    });
+  });
+
+  describe('suspended and unverified users', () => {
+    it("can't post, comment or message", async () => {
+      const sam = as('sam');
+      await assertFails(setDoc(ref(sam, 'achievements/new'), post({ authorId: 'sam' })));
+      await assertFails(setDoc(ref(sam, 'achievements/post1/comments/new'), comment({ authorId: 'sam' })));
+      await assertFails(setDoc(ref(sam, 'conversations/alice_sam/messages/m1'), {
+        text: 'Hi', senderId: 'sam', senderName: 'Sam', sentAt: serverTimestamp(),
+      }));
+    });
+
+    it("can't edit their own post either", async () => {
+      await seed(testEnv, { 'achievements/sams': post({ authorId: 'sam', createdAt: new Date('2025-03-01') }) });
+      await assertFails(updateDoc(ref(as('sam'), 'achievements/sams'), { content: 'Edited' }));
+    });
+
+    it("can't edit their profile or who they follow", async () => {
+      await assertFails(updateDoc(ref(as('sam'), 'users/sam'), { bio: 'Still here' }));
+      await assertFails(updateDoc(ref(as('sam'), 'users/sam'), { following: ['alice'] }));
+    });
+
+    it('need a verified email to post', async () => {
+      await assertFails(setDoc(ref(as('alice', { verified: false }), 'achievements/new'), post()));
+    });
+
+    it('can still read', async () => {
+      await assertSucceeds(getDoc(ref(as('sam'), 'achievements/post1')));
+    });
+  });
+
+  describe('achievements', () => {
+    it('are posted by their author, on their own course', async () => {
+      await assertSucceeds(setDoc(ref(as('alice'), 'achievements/new'), post()));
+      await assertFails(setDoc(ref(as('bob'), 'achievements/new'), post()));
+      await assertFails(setDoc(ref(as('alice'), 'achievements/new'), post({ authorCourse: 'MBA' })));
+      await assertFails(setDoc(ref(as('alice'), 'achievements/new'), post({ likes: ['alice'] })));
+      await assertFails(setDoc(ref(as('alice'), 'achievements/new'), post({ hidden: true })));
+      const unflagged = Object.fromEntries(Object.entries(post()).filter(([key]) => key !== 'hidden'));
+      await assertFails(setDoc(ref(as('alice'), 'achievements/new'), unflagged));
+    });
+
+    it('are edited by their author only', async () => {
+      await assertSucceeds(updateDoc(ref(as('alice'), 'achievements/post1'), { content: 'Edited' }));
+      await assertFails(updateDoc(ref(as('bob'), 'achievements/post1'), { content: 'Edited' }));
+      await assertFails(updateDoc(ref(as('alice'), 'achievements/post1'), { authorId: 'bob' }));
+    });
+
+    it('let anyone like or unlike as themselves', async () => {
+      await assertSucceeds(updateDoc(ref(as('bob'), 'achievements/post1'), { likes: ['bob'] }));
+      await assertSucceeds(updateDoc(ref(as('bob'), 'achievements/post1'), { likes: [] }));
+      await assertFails(updateDoc(ref(as('bob'), 'achievements/post1'), { likes: ['tess'] }));
+      await assertFails(updateDoc(ref(as('bob'), 'achievements/post1'), { likes: ['bob', 'bob'] }));
+    });
+
+    it('are deleted by their author or an admin', async () => {
+      await assertFails(deleteDoc(ref(as('bob'), 'achievements/post1')));
+      await assertSucceeds(deleteDoc(ref(as('ada'), 'achievements/post1')));
+    });
+
+    it('take comments from their author only', async () => {
+      await assertSucceeds(setDoc(ref(as('bob'), 'achievements/post1/comments/new'), comment()));
+      await assertFails(setDoc(ref(as('tess'), 'achievements/post1/comments/new'), comment()));
+    });
+
+    it("let the post's author remove comments, but not edit them", async () => {
+      await assertFails(updateDoc(ref(as('alice'), 'achievements/post1/comments/comment1'), { text: 'Edited' }));
+      await assertSucceeds(updateDoc(ref(as('bob'), 'achievements/post1/comments/comment1'), { text: 'Edited' }));
+      await assertFails(deleteDoc(ref(as('tess'), 'achievements/post1/comments/comment1')));
+      await assertSucceeds(deleteDoc(ref(as('alice'), 'achievements/post1/comments/comment1')));
+    });
+  });
+
+  describe('hidden content', () => {
+    const hidden = { hidden: true, createdAt: new Date('2025-03-01') };
+    const visibleOnly = (db, path) => query(collection(db, `${DATA_PATH}/${path}`), where('hidden', '==', false));
+    const everything = (db, path) => query(collection(db, `${DATA_PATH}/${path}`));
+
+    beforeEach(async () => {
+      await seed(testEnv, {
+        'achievements/post1': post(hidden),
+        'achievements/post1/comments/comment1': comment(hidden),
+        'projects/project2': {
+          title: 'Hidden Project', authorId: 'alice', memberIds: ['alice', 'bob'], hidden: true, createdAt: new Date('2025-03-01'),
+        },
+      });
+    });
+
+    it('is read by its author and admins only', async () => {
+      await assertSucceeds(getDoc(ref(as('alice'), 'achievements/post1')));
+      await assertSucceeds(getDoc(ref(as('ada'), 'achievements/post1')));
+      await assertFails(getDoc(ref(as('bob'), 'achievements/post1')));
+      await assertSucceeds(getDoc(ref(as('bob'), 'achievements/post1/comments/comment1')));
+      await assertFails(getDoc(ref(as('alice'), 'achievements/post1/comments/comment1')));
+      await assertFails(getDoc(ref(as('bob'), 'projects/project2')));
+      await assertSucceeds(getDoc(ref(as('bob'), 'projects/project1')));
+    });
+
+    it('is left out of queries by everyone but admins', async () => {
+      await assertFails(getDocs(everything(as('bob'), 'achievements')));
+      await assertSucceeds(getDocs(visibleOnly(as('bob'), 'achievements')));
+      await assertSucceeds(getDocs(everything(as('ada'), 'achievements')));
+      await assertFails(getDocs(everything(as('bob'), 'projects')));
+      await assertSucceeds(getDocs(visibleOnly(as('bob'), 'projects')));
+      await assertSucceeds(getDocs(visibleOnly(as('alice'), 'achievements/post1/comments')));
+    });
+
+    it('is listed for its author', async () => {
+      const mine = (uid, path) => query(collection(as(uid), `${DATA_PATH}/${path}`), where('authorId', '==', uid));
+      await assertSucceeds(getDocs(mine('alice', 'projects')));
+      await assertSucceeds(getDocs(mine('bob', 'achievements/post1/comments')));
+    });
+  });
+
+  describe('announcements', () => {
+    const announcement = (authorId) => ({ content: 'Exams start Monday', authorId, authorName: 'Tess', createdAt: serverTimestamp() });
+
+    it('are posted by teachers only', async () => {
+      await assertSucceeds(setDoc(ref(as('tess'), 'announcements/a1'), announcement('tess')));
+      await assertFails(setDoc(ref(as('alice'), 'announcements/a1'), announcement('alice')));
+    });
+  });
+
+  describe('projects', () => {
+    it('are posted with their author as the only member', async () => {
+      const owner = { uid: 'bob', name: 'Bob', role: 'owner', skill: '' };
+      const project = (members) => ({
+        title: 'Study Buddy', description: 'Finds study partners.', skills: ['React'], status: 'recruiting',
+        members, memberIds: ['bob'], authorId: 'bob', authorName: 'Bob', hidden: false, createdAt: serverTimestamp(),
+      });
+      await assertSucceeds(setDoc(ref(as('bob'), 'projects/new'), project([owner])));
+      await assertFails(setDoc(ref(as('bob'), 'projects/other'), project([owner, { uid: 'alice', name: 'Alice', role: 'member', skill: 'React' }])));
+      await assertFails(setDoc(ref(as('bob'), 'projects/other'), project([{ ...owner, name: 'Prof. Bob' }])));
+      await assertFails(setDoc(ref(as('bob'), 'projects/other'), project([])));
+    });
+
+    it('are endorsed and mentored by teachers, as themselves', async () => {
+      const tess = as('tess');
+      await assertSucceeds(updateDoc(ref(tess, 'projects/project1'), { mentor: { uid: 'tess', name: 'Tess' } }));
+      await assertFails(updateDoc(ref(as('bob'), 'projects/project1'), { mentor: { uid: 'bob', name: 'Bob' } }));
+      await assertFails(updateDoc(ref(tess, 'projects/project1'), { endorsement: { uid: 'ada', name: 'Ada' } }));
+    });
+
+    it("can't be endorsed by their author", async () => {
+      await assertFails(updateDoc(ref(as('alice'), 'projects/project1'), {
+        endorsement: { uid: 'alice', name: 'Alice', endorsedAt: serverTimestamp() },
+      }));
+    });
+
+    it('are edited by their author only', async () => {
+      await assertSucceeds(updateDoc(ref(as('alice'), 'projects/project1'), { status: 'in_progress' }));
+      await assertFails(updateDoc(ref(as('bob'), 'projects/project1'), { status: 'completed' }));
+      await assertFails(updateDoc(ref(as('alice'), 'projects/project1'), { status: 'abandoned' }));
+    });
+
+    it('take join requests for a listed skill, which the author answers', async () => {
+      const request = (skill) => ({
+        uid: 'bob', name: 'Bob', projectId: 'project1', skill, message: '', status: 'pending', createdAt: serverTimestamp(),
+      });
+      await assertFails(setDoc(ref(as('bob'), 'projects/project1/joinRequests/bob'), request('Cooking')));
+      await assertFails(setDoc(ref(as('tess'), 'projects/project1/joinRequests/bob'), request('Python')));
+      await assertSucceeds(setDoc(ref(as('bob'), 'projects/project1/joinRequests/bob'), request('Python')));
+
+      await assertFails(updateDoc(ref(as('bob'), 'projects/project1/joinRequests/bob'), { status: 'approved' }));
+      await assertSucceeds(updateDoc(ref(as('alice'), 'projects/project1/joinRequests/bob'), {
+        status: 'approved', respondedAt: serverTimestamp(),
+      }));
+    });
+
+    it('show users their own join requests across projects', async () => {
+      await seed(testEnv, {
+        'projects/project1/joinRequests/bob': { uid: 'bob', projectId: 'project1', skill: 'Python', status: 'pending' },
+      });
+      const requestsBy = (db, uid) => query(collectionGroup(db, 'joinRequests'), where('uid', '==', uid));
+      await assertSucceeds(getDocs(requestsBy(as('bob'), 'bob')));
+      await assertFails(getDocs(requestsBy(as('tess'), 'bob')));
+    });
+  });
+
+  describe('conversations', () => {
+    const message = (senderId, fields = {}) => ({
+      text: 'Hello',
+      senderId,
+      senderName: senderId,
+      sentAt: serverTimestamp(),
+      ...fields,
+    });
+
+    // What sendMessage() writes, from `sender` to `recipient`, with the
+    // names on their profiles unless `changes` says otherwise
+    const sendAs = (sender, recipient, changes = {}) => {
+      const conversationId = changes.conversationId || [sender, recipient].sort().join('_');
+      const db = as(sender);
+      const batch = writeBatch(db);
+      batch.set(ref(db, `conversations/${conversationId}/messages/${sender}-m`), message(sender));
+      batch.set(ref(db, `conversations/${conversationId}`), {
+        participants: conversationId.split('_'),
+        participantNames: changes.participantNames || {
+          [sender]: profileFor(sender).name,
+          [recipient]: profileFor(recipient).name,
+        },
+        lastMessage: { text: 'Hello', senderId: sender, sentAt: serverTimestamp() },
+        unreadCounts: changes.unreadCounts || { [sender]: 0, [recipient]: increment(1) },
+        updatedAt: serverTimestamp(),
+      }, { merge: true });
+      return batch.commit();
+    };
+
+    it('are readable by their participants only', async () => {
+      await assertSucceeds(getDoc(ref(as('bob'), 'conversations/alice_bob')));
+      await assertFails(getDoc(ref(as('tess'), 'conversations/alice_bob')));
+      await assertFails(getDoc(ref(as('tess'), 'conversations/alice_bob/messages/any')));
+    });
+
+    it('are listed for participants only', async () => {
+      const inbox = (uid) => query(collection(as(uid), `${DATA_PATH}/conversations`), where('participants', 'array-contains', uid));
+      await assertSucceeds(getDocs(inbox('bob')));
+      await assertFails(getDocs(query(collection(as('tess'), `${DATA_PATH}/conversations`))));
+    });
+
+    it('are started and continued by a participant', async () => {
+      await assertSucceeds(sendAs('alice', 'tess'));
+      await assertSucceeds(sendAs('bob', 'alice'));
+    });
+
+    it("can't be started for other people", async () => {
+      await assertFails(sendAs('tess', 'bob', { conversationId: 'alice_bob' }));
+      await assertFails(setDoc(ref(as('tess'), 'conversations/bob_zoe'), {
+        participants: ['bob', 'zoe'],
+        participantNames: {},
+        lastMessage: { text: 'Hi', senderId: 'tess', sentAt: serverTimestamp() },
+        unreadCounts: {},
+        updatedAt: serverTimestamp(),
+      }));
+    });
+
+    it("don't take messages in someone else's name", async () => {
+      await assertFails(setDoc(ref(as('bob'), 'conversations/alice_bob/messages/m1'), message('alice')));
+      await assertFails(updateDoc(ref(as('bob'), 'conversations/alice_bob'), {
+        lastMessage: { text: 'Spoof', senderId: 'alice', sentAt: serverTimestamp() },
+      }));
+    });
+
+    it("only add one to the other side's unread count when sending", async () => {
+      await assertFails(sendAs('bob', 'alice', { unreadCounts: { bob: 0, alice: increment(5) } }));
+      await assertFails(sendAs('bob', 'alice', { unreadCounts: { bob: 0, alice: 0 } }));
+      await assertFails(sendAs('bob', 'alice', { unreadCounts: { bob: 0, alice: increment(1), tess: 1 } }));
+      await assertFails(sendAs('alice', 'tess', { unreadCounts: { alice: 3, tess: increment(1) } }));
+    });
+
+    it('keep the names the participants go by', async () => {
+      await assertFails(sendAs('bob', 'alice', { participantNames: { bob: 'Bob', alice: 'Mallory' } }));
+      await assertFails(sendAs('bob', 'alice', { participantNames: { bob: 'Alice', alice: 'Alice' } }));
+      await assertFails(sendAs('alice', 'tess', { participantNames: { alice: 'Alice', tess: 'Tess', bob: 'Bob' } }));
+      // A name stored earlier stays, even after a rename
+      await seed(testEnv, { 'users/alice': profileFor('alice', { name: 'Alice Smith' }) });
+      await assertSucceeds(sendAs('bob', 'alice', { participantNames: { bob: 'Bob', alice: 'Alice' } }));
+      await assertSucceeds(sendAs('bob', 'alice', { participantNames: { bob: 'Bob', alice: 'Alice Smith' } }));
+    });
+
+    it('let participants clear their own unread count only', async () => {
+      await assertSucceeds(updateDoc(ref(as('bob'), 'conversations/alice_bob'), { 'unreadCounts.bob': 0 }));
+      await assertFails(updateDoc(ref(as('bob'), 'conversations/alice_bob'), { 'unreadCounts.alice': 3 }));
+      await assertFails(updateDoc(ref(as('bob'), 'conversations/alice_bob'), { 'unreadCounts.bob': 5 }));
+    });
+
+    it('keep messages as they were sent', async () => {
+      await seed(testEnv, { 'conversations/alice_bob/messages/m1': message('alice', { sentAt: new Date('2025-03-01') }) });
+      await assertFails(updateDoc(ref(as('alice'), 'conversations/alice_bob/messages/m1'), { text: 'Edited' }));
+      await assertFails(deleteDoc(ref(as('alice'), 'conversations/alice_bob/messages/m1')));
+    });
+  });
+
+  describe('notifications', () => {
+    const send = (actor, recipient, fields, id = 'new') =>
+      setDoc(ref(as(actor), `users/${recipient}/notifications/${id}`), notification(fields));
+
+    beforeEach(async () => {
+      await seed(testEnv, {
+        'achievements/post1': post({ likes: ['bob'], createdAt: new Date('2025-03-01') }),
+        'projects/project1/comments/comment1': comment({ createdAt: new Date('2025-03-01') }),
+        'projects/project1/joinRequests/bob': {
+          uid: 'bob', name: 'Bob', projectId: 'project1', skill: 'Python', message: '', status: 'pending',
+        },
+      });
+    });
+
+    it('are read and deleted by their recipient only', async () => {
+      await assertSucceeds(getDoc(ref(as('alice'), 'users/alice/notifications/note1')));
+      await assertFails(getDoc(ref(as('bob'), 'users/alice/notifications/note1')));
+      await assertFails(deleteDoc(ref(as('bob'), 'users/alice/notifications/note1')));
+      await assertSucceeds(deleteDoc(ref(as('alice'), 'users/alice/notifications/note1')));
+    });
+
+    it('are sent by the actor they name, under their own name', async () => {
+      await assertSucceeds(send('bob', 'alice'));
+      await assertFails(send('tess', 'alice'));
+      await assertFails(send('bob', 'alice', { actorName: 'Ada (Moderator)' }));
+    });
+
+    it("aren't sent to yourself, already read, or of an unknown type", async () => {
+      await assertFails(send('alice', 'alice', { actorId: 'alice', actorName: 'Alice' }));
+      await assertFails(send('bob', 'alice', { read: true }));
+      await assertFails(send('bob', 'alice', { type: 'prize' }));
+      await assertFails(send('bob', 'alice', { extra: 'field' }));
+    });
+
+    it('about a like need the like, and link to the post', async () => {
+      await assertFails(send('bob', 'alice', { text: 'You won a prize! Claim it at evil.example' }));
+      await assertFails(send('bob', 'alice', { page: { name: 'dashboard' } }));
+      await assertFails(send('bob', 'alice', { about: { postId: 'missing' }, page: { name: 'dashboard', query: 'post=missing' } }));
+      await assertFails(send('bob', 'tess'));
+      await seed(testEnv, { 'achievements/post1': post({ likes: [], createdAt: new Date('2025-03-01') }) });
+      await assertFails(send('bob', 'alice'));
+    });
+
+    it('about a comment need the comment, and link to it', async () => {
+      const onPost = {
+        type: 'comment',
+        text: 'commented on your post',
+        page: { name: 'dashboard', query: 'post=post1&comments=1' },
+        about: { parentCollection: 'achievements', parentId: 'post1', commentId: 'comment1' },
+      };
+      await assertSucceeds(send('bob', 'alice', onPost));
+      await assertFails(send('bob', 'alice', { ...onPost, about: { ...onPost.about, commentId: 'missing' } }));
+      await assertFails(send('tess', 'alice', { ...onPost, actorId: 'tess', actorName: 'Tess' }));
+
+      const onProject = {
+        type: 'comment',
+        text: 'commented on "Campus Robot"',
+        page: { name: 'project', props: { projectId: 'project1' } },
+        about: { parentCollection: 'projects', parentId: 'project1', commentId: 'comment1' },
+      };
+      await assertSucceeds(send('bob', 'alice', onProject));
+      await assertFails(send('bob', 'alice', { ...onProject, text: 'commented on "Something else"' }));
+      await assertFails(send('bob', 'alice', { ...onProject, about: { ...onProject.about, parentCollection: 'users' } }));
+    });
+
+    it('about join requests match the request and its answer', async () => {
+      const asked = {
+        type: 'join_request',
+        text: 'asked to join "Campus Robot" as Python',
+        page: { name: 'project', props: { projectId: 'project1' } },
+        about: { projectId: 'project1' },
+      };
+      await assertSucceeds(send('bob', 'alice', asked));
+      await assertFails(send('bob', 'alice', { ...asked, text: 'asked to join "Campus Robot" as Lead' }));
+
+      const answered = {
+        ...asked,
+        type: 'join_response',
+        actorId: 'alice',
+        actorName: 'Alice',
+        text: 'approved your request to join "Campus Robot"',
+      };
+      await assertFails(send('alice', 'bob', answered));
+      await seed(testEnv, {
+        'projects/project1/joinRequests/bob': { uid: 'bob', projectId: 'project1', skill: 'Python', status: 'approved' },
+      });
+      await assertSucceeds(send('alice', 'bob', answered));
+      await assertFails(send('alice', 'bob', { ...answered, text: 'declined your request to join "Campus Robot"' }));
+      await assertFails(send('tess', 'bob', { ...answered, actorId: 'tess', actorName: 'Tess' }));
+    });
+
+    it("about a message need the latest message to be the sender's", async () => {
+      const message = {
+        type: 'message',
+        actorId: 'alice',
+        actorName: 'Alice',
+        text: 'sent you a message',
+        page: { name: 'inbox', props: { conversationId: 'alice_bob' } },
+        about: { conversationId: 'alice_bob' },
+      };
+      await assertSucceeds(send('alice', 'bob', message, 'message_alice_bob'));
+      // Refreshing the one notification per conversation
+      await assertSucceeds(send('alice', 'bob', message, 'message_alice_bob'));
+      await assertFails(send('bob', 'alice', { ...message, actorId: 'bob', actorName: 'Bob' }));
+      await assertFails(send('tess', 'bob', { ...message, actorId: 'tess', actorName: 'Tess' }, 'message_alice_bob'));
+    });
+
+    it('respect muted types', async () => {
+      await seed(testEnv, { 'users/alice': profileFor('alice', { mutedNotifications: ['like'] }) });
+      await assertFails(send('bob', 'alice'));
+    });
+
+    it("aren't sent by suspended users", async () => {
+      await seed(testEnv, { 'achievements/post1': post({ likes: ['sam'], createdAt: new Date('2025-03-01') }) });
+      await assertFails(send('sam', 'alice', { actorId: 'sam', actorName: 'Sam' }));
+    });
+
+    it('are marked read by the recipient, who changes nothing else', async () => {
+      await assertSucceeds(updateDoc(ref(as('alice'), 'users/alice/notifications/note1'), { read: true }));
+      await assertFails(updateDoc(ref(as('alice'), 'users/alice/notifications/note1'), { text: 'Edited' }));
+    });
+  });
+
+  describe('moderation', () => {
+    const logEntry = (adminId, action = 'hide') => ({
+      action,
+      target: { type: 'achievement', id: 'post1', ownerId: 'alice' },
+      reportId: null,
+      note: '',
+      adminId,
+      adminName: adminId,
+      createdAt: serverTimestamp(),
+    });
+
+    it('takes reports from any active user', async () => {
+      const report = (reporterId) => ({
+        target: { type: 'achievement', id: 'post1', ownerId: 'alice' },
+        reason: 'Spam',
+        reporterId,
+        reporterName: reporterId,
+        status: 'open',
+        createdAt: serverTimestamp(),
+      });
+      await assertSucceeds(setDoc(ref(as('bob'), 'reports/new'), report('bob')));
+      await assertFails(setDoc(ref(as('bob'), 'reports/new2'), report('alice')));
+      await assertFails(setDoc(ref(as('sam'), 'reports/new3'), report('sam')));
+    });
+
+    it('shows reports and the audit log to admins only', async () => {
+      await assertSucceeds(getDoc(ref(as('ada'), 'reports/report1')));
+      await assertFails(getDoc(ref(as('bob'), 'reports/report1')));
+      await assertSucceeds(getDocs(collection(as('ada'), `${DATA_PATH}/moderationLog`)));
+      await assertFails(getDocs(collection(as('tess'), `${DATA_PATH}/moderationLog`)));
+    });
+
+    it('lets admins hide content, and nobody else', async () => {
+      await assertSucceeds(updateDoc(ref(as('ada'), 'achievements/post1'), { hidden: true }));
+      await assertFails(updateDoc(ref(as('alice'), 'achievements/post1'), { hidden: false }));
+      await assertFails(updateDoc(ref(as('tess'), 'projects/project1'), { hidden: true }));
+      await assertSucceeds(updateDoc(ref(as('ada'), 'achievements/post1/comments/comment1'), { hidden: true }));
+    });
+
+    it('lets admins resolve open reports as themselves', async () => {
+      const resolution = (resolvedBy) => ({
+        status: 'resolved', resolution: 'hide', resolvedBy, resolvedAt: serverTimestamp(),
+      });
+      await assertFails(updateDoc(ref(as('bob'), 'reports/report1'), resolution('bob')));
+      await assertFails(updateDoc(ref(as('ada'), 'reports/report1'), resolution('tess')));
+      await assertSucceeds(updateDoc(ref(as('ada'), 'reports/report1'), resolution('ada')));
+      await assertFails(updateDoc(ref(as('ada'), 'reports/report1'), { status: 'open' }));
+    });
+
+    // What moderate() batches: the action itself, then its log entry
+    const logged = (db, entry, takeAction = () => {}) => {
+      const batch = writeBatch(db);
+      takeAction(batch);
+      batch.set(ref(db, 'moderationLog/e1'), entry);
+      return batch.commit();
+    };
+    const hidePost = (db) => (batch) => batch.update(ref(db, 'achievements/post1'), { hidden: true });
+
+    it('keeps an append-only audit log written by admins', async () => {
+      const ada = as('ada');
+      await assertFails(logged(as('bob'), logEntry('bob'), hidePost(as('bob'))));
+      await assertFails(logged(ada, logEntry('tess'), hidePost(ada)));
+      await assertSucceeds(logged(ada, logEntry('ada'), hidePost(ada)));
+      await assertFails(updateDoc(ref(ada, 'moderationLog/e1'), { note: 'Changed' }));
+      await assertFails(deleteDoc(ref(ada, 'moderationLog/e1')));
+    });
+
+    it('only logs actions taken in the same batch', async () => {
+      const ada = as('ada');
+      await assertFails(logged(ada, logEntry('ada', 'hide')));
+      await assertFails(logged(ada, logEntry('ada', 'unhide'), hidePost(ada)));
+      await assertFails(logged(ada, logEntry('ada', 'delete')));
+      await assertFails(logged(ada, logEntry('ada', 'suspend')));
+      await assertSucceeds(logged(ada, logEntry('ada', 'delete'), (batch) =>
+        batch.delete(ref(ada, 'achievements/post1'))));
+    });
+
+    it("logs suspensions of the target's owner", async () => {
+      const ada = as('ada');
+      await assertSucceeds(logged(ada, logEntry('ada', 'suspend'), (batch) =>
+        batch.update(ref(ada, 'users/alice'), { suspended: true })));
+    });
+
+    it('logs a report as closed only when the batch closes it', async () => {
+      const ada = as('ada');
+      const closeReport = (status, resolution) => (batch) =>
+        batch.update(ref(ada, 'reports/report1'), {
+          status, resolution, resolvedBy: 'ada', resolvedAt: serverTimestamp(),
+        });
+      const dismissal = { ...logEntry('ada', 'dismiss'), reportId: 'report1' };
+      await assertFails(logged(ada, logEntry('ada', 'dismiss')));
+      await assertFails(logged(ada, dismissal));
+      await assertFails(logged(ada, dismissal, closeReport('resolved', 'dismiss')));
+      await assertFails(logged(ada, { ...logEntry('ada', 'hide'), reportId: 'report1' }, hidePost(ada)));
+      await assertSucceeds(logged(ada, dismissal, closeReport('dismissed', 'dismiss')));
+    });
+
+    it("doesn't let suspended admins act", async () => {
+      await seed(testEnv, { 'users/ada': profileFor('ada', { role: 'admin', suspended: true }) });
+      await assertFails(updateDoc(ref(as('ada'), 'achievements/post1'), { hidden: true }));
+    });
+  });
+
+  describe('sign-up access', () => {
+    it('is readable before sign-in and saved by admins', async () => {
+      const settings = { allowedDomains: { 'iilm.edu': '' } };
+      await assertSucceeds(getDoc(ref(signedOut(), 'config/signup')));
+      await assertFails(setDoc(ref(as('alice'), 'config/signup'), settings));
+      await assertSucceeds(setDoc(ref(as('ada'), 'config/signup'), settings));
+    });
+
+    it('looks guests up one at a time; only admins list them', async () => {
+      await assertSucceeds(getDoc(ref(signedOut(), 'signupGuests/gita@gmail.com')));
+      await assertFails(getDocs(collection(signedOut(), `${DATA_PATH}/signupGuests`)));
+      await assertSucceeds(getDocs(collection(as('ada'), `${DATA_PATH}/signupGuests`)));
+    });
+  });
+
+  describe('private data', () => {
+    it('keeps CollabBot chats and profile embeddings out of reach', async () => {
+      await assertFails(getDocs(collection(as('bob'), `${DATA_PATH}/users/alice/botChats`)));
+      await assertSucceeds(getDocs(collection(as('alice'), `${DATA_PATH}/users/alice/botChats`)));
+      await assertFails(getDoc(ref(as('alice'), 'profileEmbeddings/alice')));
+      await assertFails(setDoc(ref(as('alice'), 'searchIndex/x'), { tokens: ['x'] }));
+    });
+
+    it('lets signed-in users read the people directory but nobody write it', async () => {
+      await assertSucceeds(getDocs(collection(as('alice'), `${DATA_PATH}/peopleDirectory`)));
+      await assertFails(getDocs(collection(signedOut(), `${DATA_PATH}/peopleDirectory`)));
+      await assertFails(setDoc(ref(as('ada'), 'peopleDirectory/0'), { people: {} }));
+    });
+  });
+});
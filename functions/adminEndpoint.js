@@ -0,0 +1,40 @@
+import { getFirestore } from 'firebase-admin/firestore';
+import { ProxyError, sendError, verifyUser } from './gemini.js';
+
+// --- Admin Endpoints ---
+// The functions behind the Moderation page's Maintenance tab (rebuilding
+// the search index, migrations and backfills) are for active admins only:
+// the caller's profile has `role: "admin"` and isn't suspended, as with
+// isAdmin() in firestore.rules.
+
+export const dataPath = (appId) => `artifacts/${appId}/public/data`;
+
+/**
+ * Wraps an admin-only endpoint that answers with JSON: POST only, a
+ * verified, active admin, and the same error shape as the Gemini proxy.
+ * @param {() => string} getAppId
+ * @param {{denied: string, failed: string}} messages - Why anyone else is
+ *   turned away, and the error for anything unexpected
+ * @param {(context: {db: import('firebase-admin/firestore').Firestore, appId: string, base: string, uid: string})
+ *   => Promise<object>} handler - `base` is the app's data path
+ */
+export const adminEndpoint = (getAppId, { denied, failed }, handler) => async (req, res) => {
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: { status: 'METHOD_NOT_ALLOWED', message: 'Use POST.' } });
+    return;
+  }
+
+  try {
+    const { uid } = await verifyUser(req);
+    const db = getFirestore();
+    const appId = getAppId();
+    const base = dataPath(appId);
+    const caller = await db.doc(`${base}/users/${uid}`).get();
+    if (caller.get('role') !== 'admin' || (caller.get('suspended') ?? false) !== false) {
+      throw new ProxyError(403, 'PERMISSION_DENIED', denied);
+    }
+    res.json(await handler({ db, appId, base, uid }));
+  } catch (error) {
+    sendError(res, error, failed);
+  }
+};
@@ -0,0 +1,17 @@
+import { getFirestore } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+
+// --- Cleanup ---
+// Deleting a document leaves its subcollections behind, and clients can't
+// list them to delete them too. When a post or project goes (deleted by
+// its author or a moderator), this removes its comments and, for
+// projects, the join requests and activity timeline.
+
+/**
+ * Firestore trigger handler for deleted achievements and projects.
+ */
+export const handleContentDeleted = async (event) => {
+  const { ref } = event.data;
+  await getFirestore().recursiveDelete(ref);
+  logger.info('Removed what was left under a deleted document', { path: ref.path });
+};
@@ -0,0 +1,404 @@
+import { getAuth } from 'firebase-admin/auth';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { standInResponse, standInStream, standInEmbedding } from './geminiStandIn.js';
+
+// --- Gemini Proxy ---
+// The web app never sees the API key: it posts the same payload it used to
+// send to Gemini, with the user's Firebase ID token, and gets Gemini's
+// response back unchanged. With `?alt=sse` the response is streamed as
+// server-sent events, one `generateContent`-shaped chunk per event.
+
+const GEMINI_MODEL = 'gemini-2.5-flash-preview-09-2025';
+// Models the web app may pick per feature with a `model` field
+const ALLOWED_MODELS = [GEMINI_MODEL, 'gemini-2.5-flash', 'gemini-2.5-flash-lite', 'gemini-2.5-pro'];
+const geminiApiUrl = (model) => `https://generativelanguage.googleapis.com/v1beta/models/${model}`;
+
+export const EMBEDDING_MODEL = 'gemini-embedding-001';
+const EMBEDDING_API_URL = `https://generativelanguage.googleapis.com/v1beta/models/${EMBEDDING_MODEL}:embedContent`;
+// Must match the vector index in firestore.indexes.json
+export const EMBEDDING_DIMENSIONS = 768;
+
+// Only these payload fields are forwarded; the model comes from ALLOWED_MODELS.
+const FORWARDED_FIELDS = ['contents', 'systemInstruction', 'generationConfig', 'tools', 'toolConfig'];
+// Of the tools, only functions the web app runs itself. Gemini's own tools
+// (googleSearch, codeExecution, ...) are billed to the project.
+const ALLOWED_TOOLS = ['functionDeclarations'];
+const ALLOWED_TOOL_CONFIG = ['functionCallingConfig'];
+const MAX_PAYLOAD_BYTES = 200 * 1024;
+
+const LIMITS = {
+  perMinute: 10,
+  perDay: 200,
+};
+
+/**
+ * Error answered to the client as `{ error: { status, message } }`.
+ */
+export class ProxyError extends Error {
+  constructor(httpStatus, status, message, retryAfterSeconds = null) {
+    super(message);
+    this.httpStatus = httpStatus;
+    this.status = status;
+    this.retryAfterSeconds = retryAfterSeconds;
+  }
+}
+
+export const verifyUser = async (req) => {
+  const match = (req.get('Authorization') || '').match(/^Bearer (.+)$/);
+  if (!match) {
+    throw new ProxyError(401, 'UNAUTHENTICATED', 'Sign in to use the AI features.');
+  }
+  let token;
+  try {
+    token = await getAuth().verifyIdToken(match[1]);
+  } catch {
+    throw new ProxyError(401, 'UNAUTHENTICATED', 'Your session has expired. Please sign in again.');
+  }
+  if (!token.email_verified) {
+    throw new ProxyError(403, 'PERMISSION_DENIED', 'Verify your email address to use the AI features.');
+  }
+  return token;
+};
+
+const today = (now) => new Date(now).toISOString().slice(0, 10);
+
+/**
+ * Counts one request against the user's per-minute and daily limits, in a
+ * transaction so parallel requests can't slip past them. Call it once the
+ * request is known to reach Gemini.
+ */
+export const consumeQuota = (uid) => {
+  const db = getFirestore();
+  const ref = db.doc(`aiUsage/${uid}`);
+  const now = Date.now();
+
+  return db.runTransaction(async (tx) => {
+    const usage = (await tx.get(ref)).data() || {};
+    const windowFresh = usage.windowStart && now - usage.windowStart < 60 * 1000;
+    const windowCount = windowFresh ? usage.windowCount : 0;
+    const dayCount = usage.day === today(now) ? usage.dayCount : 0;
+
+    if (dayCount >= LIMITS.perDay) {
+      throw new ProxyError(429, 'QUOTA_EXCEEDED', `You've used today's ${LIMITS.perDay} AI requests. Try again tomorrow.`);
+    }
+    if (windowCount >= LIMITS.perMinute) {
+      const retryAfter = Math.ceil((usage.windowStart + 60 * 1000 - now) / 1000);
+      throw new ProxyError(429, 'RATE_LIMITED', `Too many AI requests. Try again in ${retryAfter} seconds.`, retryAfter);
+    }
+
+    tx.set(ref, {
+      windowStart: windowFresh ? usage.windowStart : now,
+      windowCount: windowCount + 1,
+      day: today(now),
+      dayCount: dayCount + 1,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+  });
+};
+
+/**
+ * Gives back a request consumeQuota counted when Gemini couldn't serve it
+ * (an outage, or its own throttling), so the user isn't charged for it.
+ */
+export const refundQuota = (uid) => {
+  const db = getFirestore();
+  const ref = db.doc(`aiUsage/${uid}`);
+  const now = Date.now();
+
+  return db.runTransaction(async (tx) => {
+    const usage = (await tx.get(ref)).data();
+    if (!usage || usage.day !== today(now)) return;
+    const windowFresh = now - usage.windowStart < 60 * 1000;
+    tx.update(ref, {
+      windowCount: windowFresh ? Math.max(usage.windowCount - 1, 0) : usage.windowCount,
+      dayCount: Math.max(usage.dayCount - 1, 0),
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+  }).catch((error) => logger.error('Failed to refund AI quota', error));
+};
+
+// Upstream failures are answered as UNAVAILABLE (see upstreamError)
+const isUpstreamFailure = (proxyError) => proxyError.status === 'UNAVAILABLE';
+
+// Rejects an object (or list of them) with keys other than `allowed`
+const onlyKeys = (value, allowed, field) => {
+  const objects = Array.isArray(value) ? value : [value];
+  if (objects.some((object) => !object || typeof object !== 'object'
+    || Object.keys(object).some((key) => !allowed.includes(key)))) {
+    throw new ProxyError(400, 'INVALID_ARGUMENT', `\`${field}\` may only contain ${allowed.join(', ')}.`);
+  }
+};
+
+const toGeminiPayload = (body) => {
+  if (!body || !Array.isArray(body.contents) || body.contents.length === 0) {
+    throw new ProxyError(400, 'INVALID_ARGUMENT', 'The request needs a non-empty `contents` array.');
+  }
+  if (Buffer.byteLength(JSON.stringify(body)) > MAX_PAYLOAD_BYTES) {
+    throw new ProxyError(413, 'INVALID_ARGUMENT', 'The request is too large.');
+  }
+  const payload = Object.fromEntries(FORWARDED_FIELDS.filter(f => body[f] !== undefined).map(f => [f, body[f]]));
+  if (payload.tools) onlyKeys(payload.tools, ALLOWED_TOOLS, 'tools');
+  if (payload.toolConfig) onlyKeys(payload.toolConfig, ALLOWED_TOOL_CONFIG, 'toolConfig');
+  return payload;
+};
+
+const toModel = (body) => {
+  const model = body?.model ?? GEMINI_MODEL;
+  if (!ALLOWED_MODELS.includes(model)) {
+    throw new ProxyError(400, 'INVALID_ARGUMENT', `The model "${model}" isn't available.`);
+  }
+  return model;
+};
+
+const upstreamError = (status, result) => {
+  logger.error('Gemini API error', { status, error: result.error });
+  // Upstream throttling or outages are worth a retry; a bad payload isn't
+  if (status === 429 || status >= 500) {
+    return new ProxyError(503, 'UNAVAILABLE', 'The AI service is busy. Please try again.');
+  }
+  return new ProxyError(400, 'INVALID_ARGUMENT', result.error?.message || 'The AI service rejected the request.');
+};
+
+const callGemini = async (payload, model, apiKey) => {
+  const response = await fetch(`${geminiApiUrl(model)}:generateContent?key=${apiKey}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw upstreamError(response.status, result);
+  }
+  return result;
+};
+
+/**
+ * Yields the chunks of a `streamGenerateContent` response as they arrive.
+ * Errors before the first chunk are thrown from the first `next()`, while
+ * the proxy can still answer with a JSON error.
+ */
+async function* streamGemini(payload, model, apiKey, signal) {
+  const response = await fetch(`${geminiApiUrl(model)}:streamGenerateContent?alt=sse&key=${apiKey}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(payload),
+    signal,
+  });
+  if (!response.ok) {
+    throw upstreamError(response.status, await response.json().catch(() => ({})));
+  }
+
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const bytes of response.body) {
+    buffer = (buffer + decoder.decode(bytes, { stream: true })).replace(/\r\n/g, '\n');
+    const events = buffer.split('\n\n');
+    buffer = events.pop();
+    for (const event of events) {
+      const data = event.split('\n').filter(l => l.startsWith('data:')).map(l => l.slice(5).trim()).join('');
+      if (data) yield JSON.parse(data);
+    }
+  }
+}
+
+const writeEvent = (res, data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+
+/**
+ * Relays stream chunks to the client as server-sent events, returning the
+ * last chunk's usage metadata.
+ */
+const relayStream = async (res, chunks) => {
+  let usageMetadata = null;
+  for await (const chunk of chunks) {
+    if (!res.headersSent) {
+      res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'X-Accel-Buffering': 'no',
+      });
+      res.flushHeaders();
+    }
+    usageMetadata = chunk.usageMetadata || usageMetadata;
+    writeEvent(res, chunk);
+  }
+  res.end();
+  return { usageMetadata };
+};
+
+/**
+ * Embeds one text with Gemini, or the stand-in when there's no key.
+ * @param {string} text
+ * @param {'RETRIEVAL_DOCUMENT'|'RETRIEVAL_QUERY'} taskType
+ * @param {string} apiKey - '' for the stand-in
+ * @returns {Promise<number[]>}
+ */
+export const embedText = async (text, taskType, apiKey) => {
+  if (!apiKey) return standInEmbedding(text, EMBEDDING_DIMENSIONS);
+
+  const response = await fetch(`${EMBEDDING_API_URL}?key=${apiKey}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      model: `models/${EMBEDDING_MODEL}`,
+      content: { parts: [{ text }] },
+      taskType,
+      outputDimensionality: EMBEDDING_DIMENSIONS,
+    }),
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw upstreamError(response.status, result);
+  }
+  return result.embedding.values;
+};
+
+const isConfigured = (getApiKey) => Boolean(getApiKey()) || process.env.FUNCTIONS_EMULATOR === 'true';
+
+/**
+ * The API key to use: '' means the stand-in, which only the emulator allows.
+ * Without a key the web app is told not to retry (NOT_CONFIGURED).
+ */
+const resolveApiKey = (getApiKey) => {
+  if (!isConfigured(getApiKey)) {
+    throw new ProxyError(503, 'NOT_CONFIGURED', 'The AI service is not configured.');
+  }
+  return getApiKey();
+};
+
+const logUsage = (entry) =>
+  getFirestore()
+    .collection('aiUsageLog')
+    .add({ model: GEMINI_MODEL, ...entry, createdAt: FieldValue.serverTimestamp() })
+    .catch((error) => logger.error('Failed to log AI usage', error));
+
+/**
+ * Answers with the `{ error: { status, message } }` shape. Unexpected errors
+ * are logged and answered with `fallbackMessage`.
+ * @returns {ProxyError} - What was sent
+ */
+export const sendError = (res, error, fallbackMessage = 'Something went wrong talking to the AI service.') => {
+  const proxyError = error instanceof ProxyError
+    ? error
+    : new ProxyError(500, 'INTERNAL', fallbackMessage);
+  if (!(error instanceof ProxyError)) logger.error('Request failed', error);
+
+  if (proxyError.retryAfterSeconds) {
+    res.set('Retry-After', String(proxyError.retryAfterSeconds));
+  }
+  res.status(proxyError.httpStatus).json({
+    error: { status: proxyError.status, message: proxyError.message },
+  });
+  return proxyError;
+};
+
+/**
+ * Wraps an AI endpoint that answers with JSON: POST only, a verified user,
+ * usage logging and the same error shape as the Gemini proxy. The handler
+ * calls `consumeQuota` itself, before it does any AI work; a call Gemini
+ * fails to serve is refunded.
+ * @param {string} endpoint - Logged with each call
+ * @param {string} model - The model the handler calls, for the log
+ * @param {() => string} getApiKey
+ * @param {(context: {req: object, uid: string, apiKey: string}) => Promise<object>} handler
+ */
+export const aiEndpoint = (endpoint, model, getApiKey, handler) => async (req, res) => {
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: { status: 'METHOD_NOT_ALLOWED', message: 'Use POST.' } });
+    return;
+  }
+
+  const startedAt = Date.now();
+  let uid = null;
+  try {
+    uid = (await verifyUser(req)).uid;
+    const apiKey = resolveApiKey(getApiKey);
+    const result = await handler({ req, uid, apiKey });
+    logUsage({ uid, endpoint, model, status: 'ok', standIn: !apiKey, durationMs: Date.now() - startedAt });
+    res.json(result);
+  } catch (error) {
+    const proxyError = sendError(res, error);
+    if (uid) {
+      if (isUpstreamFailure(proxyError)) refundQuota(uid);
+      logUsage({ uid, endpoint, model, status: proxyError.status, durationMs: Date.now() - startedAt });
+    }
+  }
+};
+
+/**
+ * The HTTP handler behind the `gemini` function. A GET answers whether the
+ * proxy can serve requests, so the web app can disable its AI buttons up
+ * front instead of failing on the first click.
+ * @param {() => string} getApiKey - Reads the GEMINI_API_KEY secret ('' if unset)
+ */
+export const handleGeminiRequest = (getApiKey) => async (req, res) => {
+  if (req.method === 'GET') {
+    res.json({ configured: isConfigured(getApiKey), models: ALLOWED_MODELS });
+    return;
+  }
+  if (req.method !== 'POST') {
+    res.status(405).json({ error: { status: 'METHOD_NOT_ALLOWED', message: 'Use POST.' } });
+    return;
+  }
+
+  const startedAt = Date.now();
+  const streaming = req.query.alt === 'sse';
+  // Stop generating (and spending tokens) when the user stops the stream
+  const abort = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) abort.abort();
+  });
+  let uid = null;
+  let model = GEMINI_MODEL;
+  try {
+    const token = await verifyUser(req);
+    uid = token.uid;
+    const payload = toGeminiPayload(req.body);
+    model = toModel(req.body);
+    const apiKey = resolveApiKey(getApiKey);
+    await consumeQuota(uid);
+
+    const useStandIn = !apiKey;
+    let result;
+    if (streaming) {
+      const chunks = useStandIn ? standInStream(payload, abort.signal) : streamGemini(payload, model, apiKey, abort.signal);
+      result = await relayStream(res, chunks);
+    } else {
+      result = useStandIn ? standInResponse(payload) : await callGemini(payload, model, apiKey);
+    }
+
+    logUsage({
+      uid,
+      endpoint: 'gemini',
+      model,
+      status: 'ok',
+      standIn: useStandIn,
+      streamed: streaming,
+      promptTokens: result.usageMetadata?.promptTokenCount || 0,
+      responseTokens: result.usageMetadata?.candidatesTokenCount || 0,
+      durationMs: Date.now() - startedAt,
+    });
+    if (!streaming) res.json(result);
+  } catch (error) {
+    if (abort.signal.aborted) {
+      if (uid) logUsage({ uid, endpoint: 'gemini', model, status: 'CANCELLED', streamed: true, durationMs: Date.now() - startedAt });
+      return;
+    }
+
+    if (res.headersSent) {
+      // The stream broke mid-answer; tell the client in-band
+      logger.error('Gemini stream failed', error);
+      const status = error instanceof ProxyError ? error.status : 'INTERNAL';
+      const message = error instanceof ProxyError ? error.message : 'The answer was cut off. Please try again.';
+      writeEvent(res, { error: { status, message } });
+      res.end();
+      if (uid) logUsage({ uid, endpoint: 'gemini', model, status, streamed: true, durationMs: Date.now() - startedAt });
+      return;
+    }
+    const proxyError = sendError(res, error);
+    if (uid) {
+      if (isUpstreamFailure(proxyError)) refundQuota(uid);
+      logUsage({ uid, endpoint: 'gemini', model, status: proxyError.status, durationMs: Date.now() - startedAt });
+    }
+  }
+};
@@ -0,0 +1,72 @@
+// A local stand-in for the Gemini API, used in the Functions emulator when no
+// GEMINI_API_KEY is set. It answers in the same response shape, so the web
+// app can be exercised end to end without a key or network access.
+
+const lastUserText = (payload) => {
+  const turns = (payload.contents || []).filter(c => (c.role || 'user') === 'user');
+  const parts = turns[turns.length - 1]?.parts || [];
+  return parts.map(p => p.text || '').join(' ').trim();
+};
+
+/**
+ * Builds a canned Gemini `generateContent` response for a payload.
+ * @param {object} payload - The request body the web app sent
+ * @returns {object}
+ */
+export const standInResponse = (payload) => {
+  const wantsJson = payload.generationConfig?.responseMimeType === 'application/json';
+  const prompt = lastUserText(payload);
+  const text = wantsJson
+    ? JSON.stringify(payload.generationConfig?.responseSchema?.type === 'ARRAY' ? [] : {})
+    : `[Gemini stand-in] You said: "${prompt.slice(0, 200)}"`;
+
+  return {
+    candidates: [{ content: { role: 'model', parts: [{ text }] }, finishReason: 'STOP' }],
+    usageMetadata: {
+      promptTokenCount: Math.ceil(prompt.length / 4),
+      candidatesTokenCount: Math.ceil(text.length / 4),
+    },
+  };
+};
+
+/**
+ * A stand-in embedding: words hashed into buckets, then normalised. Texts
+ * that share words come out close together, which is enough to exercise
+ * the matcher locally.
+ * @param {string} text
+ * @param {number} dimensions
+ * @returns {number[]}
+ */
+export const standInEmbedding = (text, dimensions) => {
+  const values = new Array(dimensions).fill(0);
+  for (const word of text.toLowerCase().match(/[a-z0-9+#]+/g) || []) {
+    let hash = 0;
+    for (const char of word) hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+    values[hash % dimensions] += 1;
+  }
+  const length = Math.hypot(...values) || 1;
+  return values.map(v => v / length);
+};
+
+/**
+ * Streams the stand-in response a few words at a time, like
+ * `streamGenerateContent` does.
+ * @param {object} payload - The request body the web app sent
+ * @param {AbortSignal} signal - Stops the stream early
+ */
+export async function* standInStream(payload, signal) {
+  const { candidates, usageMetadata } = standInResponse(payload);
+  const words = candidates[0].content.parts[0].text.match(/\S+\s*/g) || [''];
+  for (let i = 0; i < words.length; i += 3) {
+    await new Promise(resolve => setTimeout(resolve, 50));
+    if (signal.aborted) throw new Error('Stream cancelled');
+    const last = i + 3 >= words.length;
+    yield {
+      candidates: [{
+        content: { role: 'model', parts: [{ text: words.slice(i, i + 3).join('') }] },
+        ...(last && { finishReason: 'STOP' }),
+      }],
+      ...(last && { usageMetadata }),
+    };
+  }
+}
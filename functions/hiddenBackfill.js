@@ -0,0 +1,49 @@
+import { logger } from 'firebase-functions';
+import { adminEndpoint } from './adminEndpoint.js';
+
+// --- Hidden Flag Backfill ---
+// The rules leave posts, comments and projects a moderator hid to the
+// moderators and the author, so everyone else's queries filter on
+// `hidden == false`, and a document without the field never matches. New
+// ones are created with it; this adds it to the older ones. Safe to run
+// again: documents that already have it are left alone.
+
+const PARENTS = ['achievements', 'projects'];
+
+/**
+ * Sets `hidden: false` wherever it is missing. Admins only.
+ * @param {() => string} getAppId
+ */
+export const handleBackfillHiddenRequest = (getAppId) => adminEndpoint(getAppId, {
+  denied: 'Only admins can update posts and projects.',
+  failed: 'Updating posts and projects failed.',
+}, async ({ db, base, uid }) => {
+  const writer = db.bulkWriter();
+  const writes = [];
+  // Handled as queued, so a failed write isn't an unhandled rejection
+  const track = (key, write) => writes.push(write.then(() => key, (error) => {
+    logger.error('Failed to flag a document as visible', error);
+    return null;
+  }));
+  const backfill = (snapshot, key) => {
+    snapshot.docs.filter((doc) => doc.get('hidden') === undefined).forEach((doc) => {
+      track(key, writer.update(doc.ref, { hidden: false }));
+    });
+  };
+
+  for (const collection of PARENTS) {
+    const parents = await db.collection(`${base}/${collection}`).get();
+    backfill(parents, collection);
+    for (const parent of parents.docs) {
+      backfill(await parent.ref.collection('comments').get(), 'comments');
+    }
+  }
+  await writer.close();
+  const done = await Promise.all(writes);
+  const counts = { achievements: 0, projects: 0, comments: 0 };
+  done.filter(Boolean).forEach((key) => counts[key]++);
+  const failed = done.length - done.filter(Boolean).length;
+
+  logger.info('Hidden flag backfilled', { uid, ...counts, failed });
+  return { ...counts, failed };
+});
@@ -0,0 +1,85 @@
+import { FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { adminEndpoint } from './adminEndpoint.js';
+
+// --- Inbox Migration ---
+// Before conversations, a message was a single document dropped into the
+// recipient's users/{uid}/messages ({fromId, fromName, text, sentAt,
+// isRead}). This moves those into conversations/{a_b}/messages, the way
+// sendMessage() in src/repository.js writes them, and deletes the old
+// copies. Safe to run again: only messages still at the old path move.
+
+// Firestore caps a batch at 500 writes; each message takes two
+const MESSAGES_PER_BATCH = 200;
+
+const conversationIdFor = (a, b) => [a, b].sort().join('_');
+
+const toMillis = (value) => (value instanceof Timestamp ? value.toMillis() : 0);
+
+/**
+ * Moves every old inbox message into its conversation. Admins only.
+ * @param {() => string} getAppId
+ */
+export const handleMigrateInboxRequest = (getAppId) => adminEndpoint(getAppId, {
+  denied: 'Only admins can migrate the inbox.',
+  failed: 'Migrating the inbox failed.',
+}, async ({ db, base, uid }) => {
+  const users = await db.collection(`${base}/users`).get();
+  const names = new Map(users.docs.map((user) => [user.id, user.get('name') || '']));
+  let moved = 0;
+  let conversations = 0;
+
+  for (const recipient of users.docs) {
+    const old = await recipient.ref.collection('messages').get();
+    // Messages without a sender can't be placed in a conversation
+    const bySender = new Map();
+    old.docs.filter((message) => message.get('fromId')).forEach((message) => {
+      const senderId = message.get('fromId');
+      bySender.set(senderId, [...(bySender.get(senderId) || []), message]);
+    });
+
+    for (const [senderId, messages] of bySender) {
+      const conversationId = conversationIdFor(senderId, recipient.id);
+      const conversationRef = db.doc(`${base}/conversations/${conversationId}`);
+      const existing = (await conversationRef.get()).data();
+      const newest = messages.reduce((a, b) => (toMillis(b.get('sentAt')) > toMillis(a.get('sentAt')) ? b : a));
+      // Messages sent since the switch to conversations stay the latest
+      const isNewest = !existing || toMillis(newest.get('sentAt')) > toMillis(existing.updatedAt);
+
+      for (let i = 0; i < messages.length; i += MESSAGES_PER_BATCH) {
+        const chunk = messages.slice(i, i + MESSAGES_PER_BATCH);
+        const batch = db.batch();
+        chunk.forEach((message) => {
+          batch.set(conversationRef.collection('messages').doc(message.id), {
+            text: message.get('text') || '',
+            senderId,
+            senderName: message.get('fromName') || names.get(senderId) || '',
+            sentAt: message.get('sentAt') || FieldValue.serverTimestamp(),
+          });
+          batch.delete(message.ref);
+        });
+        batch.set(conversationRef, {
+          participants: conversationId.split('_'),
+          participantNames: {
+            [senderId]: names.get(senderId) || newest.get('fromName') || '',
+            [recipient.id]: names.get(recipient.id) || '',
+          },
+          unreadCounts: {
+            [senderId]: FieldValue.increment(0),
+            [recipient.id]: FieldValue.increment(chunk.filter((message) => !message.get('isRead')).length),
+          },
+          ...(isNewest ? {
+            lastMessage: { text: newest.get('text') || '', senderId, sentAt: newest.get('sentAt') || null },
+            updatedAt: newest.get('sentAt') || FieldValue.serverTimestamp(),
+          } : {}),
+        }, { merge: true });
+        await batch.commit();
+      }
+      moved += messages.length;
+      conversations++;
+    }
+  }
+
+  logger.info('Inbox migrated', { uid, moved, conversations });
+  return { moved, conversations };
+});
@@ -0,0 +1,130 @@
+import { initializeApp } from 'firebase-admin/app';
+import { defineSecret, defineString } from 'firebase-functions/params';
+import { onRequest } from 'firebase-functions/v2/https';
+import { onDocumentDeleted, onDocumentWritten } from 'firebase-functions/v2/firestore';
+import { beforeUserCreated, HttpsError } from 'firebase-functions/v2/identity';
+import { checkSignupAccess } from './signupAccess.js';
+import { handleGeminiRequest } from './gemini.js';
+import { handleEmbedProfileRequest, handleMatchProfilesRequest } from './profileMatch.js';
+import { handleIndexedWrite, handleCommentWrite, handleRebuildSearchIndexRequest } from './searchIndex.js';
+import { handleMigrateInboxRequest } from './inboxMigration.js';
+import { handleContentDeleted } from './cleanup.js';
+import { handleBackfillHiddenRequest } from './hiddenBackfill.js';
+import { handleBackfillNamesRequest } from './nameBackfill.js';
+
+initializeApp();
+
+// The same appId as in the web app's VITE_APP_FIREBASE_CONFIG
+const APP_ID = defineString('APP_ID');
+
+// Set with `firebase functions:secrets:set GEMINI_API_KEY`. Left unset in
+// the emulator, the proxy answers with a local stand-in instead.
+const GEMINI_API_KEY = defineSecret('GEMINI_API_KEY');
+
+// --- Sign-up Access ---
+
+/**
+ * Blocks Auth accounts for e-mails outside the campus allow-list, so a
+ * crafted client can't skip the check in the sign-up form.
+ */
+export const enforceSignupDomain = beforeUserCreated(async (event) => {
+  const { email } = event.data;
+  const { allowed, allowedDomains } = await checkSignupAccess(APP_ID.value(), email);
+  if (!allowed) {
+    throw new HttpsError(
+      'permission-denied',
+      `Sign-up is limited to ${allowedDomains.map(d => `@${d}`).join(', ')} email addresses. Guests can ask an admin to add their address.`
+    );
+  }
+});
+
+// --- AI ---
+
+/**
+ * Proxies the web app's Gemini requests, with auth, rate limits and usage logs.
+ */
+export const gemini = onRequest(
+  { cors: true, secrets: [GEMINI_API_KEY] },
+  handleGeminiRequest(() => GEMINI_API_KEY.value())
+);
+
+/**
+ * Refreshes the caller's profile embedding, used by the AI matcher.
+ */
+export const embedProfile = onRequest(
+  { cors: true, secrets: [GEMINI_API_KEY] },
+  handleEmbedProfileRequest(() => GEMINI_API_KEY.value(), () => APP_ID.value())
+);
+
+/**
+ * Shortlists the profiles nearest to a project description.
+ */
+export const matchProfiles = onRequest(
+  { cors: true, secrets: [GEMINI_API_KEY] },
+  handleMatchProfilesRequest(() => GEMINI_API_KEY.value(), () => APP_ID.value())
+);
+
+// --- Search Index ---
+// Keep searchIndex (read by the navbar search) and peopleDirectory (read by
+// Find Collaborators) in step with the collections.
+
+const DATA_PATH = 'artifacts/{appId}/public/data';
+
+export const indexUser = onDocumentWritten(`${DATA_PATH}/users/{userId}`, handleIndexedWrite('user', 'userId'));
+
+export const indexProject = onDocumentWritten(`${DATA_PATH}/projects/{projectId}`, handleIndexedWrite('project', 'projectId'));
+
+export const indexAchievement = onDocumentWritten(
+  `${DATA_PATH}/achievements/{achievementId}`,
+  handleIndexedWrite('achievement', 'achievementId')
+);
+
+export const indexComment = onDocumentWritten(
+  `${DATA_PATH}/{parentCollection}/{parentId}/comments/{commentId}`,
+  handleCommentWrite
+);
+
+/**
+ * Indexes everything written before the triggers existed. Admins only.
+ */
+export const rebuildSearchIndex = onRequest(
+  { cors: true, timeoutSeconds: 540 },
+  handleRebuildSearchIndexRequest(() => APP_ID.value())
+);
+
+// --- Cleanup ---
+// Comments, join requests and activity go with their post or project.
+
+export const cleanUpProject = onDocumentDeleted(`${DATA_PATH}/projects/{projectId}`, handleContentDeleted);
+
+export const cleanUpAchievement = onDocumentDeleted(`${DATA_PATH}/achievements/{achievementId}`, handleContentDeleted);
+
+// --- Hidden Flag Backfill ---
+
+/**
+ * Adds `hidden: false` to posts, comments and projects created without it. Admins only.
+ */
+export const backfillHidden = onRequest(
+  { cors: true, timeoutSeconds: 540 },
+  handleBackfillHiddenRequest(() => APP_ID.value())
+);
+
+// --- Name Key Backfill ---
+
+/**
+ * Adds `nameLower` to profiles saved without it. Admins only.
+ */
+export const backfillNames = onRequest(
+  { cors: true, timeoutSeconds: 540 },
+  handleBackfillNamesRequest(() => APP_ID.value())
+);
+
+// --- Inbox Migration ---
+
+/**
+ * Moves messages from the old one-way inbox into conversations. Admins only.
+ */
+export const migrateInbox = onRequest(
+  { cors: true, timeoutSeconds: 540 },
+  handleMigrateInboxRequest(() => APP_ID.value())
+);
@@ -0,0 +1,37 @@
+import { logger } from 'firebase-functions';
+import { adminEndpoint } from './adminEndpoint.js';
+
+// --- Name Key Backfill ---
+// The user directory sorts and jumps to a letter on `nameLower`, the name
+// lower-cased, and a profile without the field is left out of those lists.
+// New profiles get it when they're created or saved; this adds it to the
+// older ones. Safe to run again: only missing or stale keys are written.
+
+/**
+ * Sets `nameLower` on every profile that lacks it. Admins only.
+ * @param {() => string} getAppId
+ */
+export const handleBackfillNamesRequest = (getAppId) => adminEndpoint(getAppId, {
+  denied: 'Only admins can update the directory.',
+  failed: 'Updating the directory failed.',
+}, async ({ db, base, uid }) => {
+  const writer = db.bulkWriter();
+  const writes = [];
+  // Handled as queued, so a failed write isn't an unhandled rejection
+  const track = (write) => writes.push(write.then(() => true, (error) => {
+    logger.error('Failed to add a name key', error);
+    return false;
+  }));
+  (await db.collection(`${base}/users`).get()).docs.forEach((user) => {
+    const nameLower = String(user.get('name') || '').toLowerCase();
+    if (user.get('nameLower') === nameLower) return;
+    track(writer.update(user.ref, { nameLower }));
+  });
+  await writer.close();
+  const done = await Promise.all(writes);
+  const users = done.filter(Boolean).length;
+  const failed = done.length - users;
+
+  logger.info('Name keys backfilled', { uid, users, failed });
+  return { users, failed };
+});
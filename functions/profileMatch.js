@@ -0,0 +1,94 @@
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { EMBEDDING_MODEL, ProxyError, aiEndpoint, consumeQuota, embedText } from './gemini.js';
+
+// --- Profile Matching ---
+// Each profile's embedding is kept in profileEmbeddings/{uid}, written only
+// here. The AI matcher asks for the profiles nearest to a project
+// description and has Gemini rank just that shortlist.
+
+const MAX_SHORTLIST = 30;
+const MAX_DESCRIPTION_LENGTH = 5000;
+
+const dataPath = (appId) => `artifacts/${appId}/public/data`;
+
+/**
+ * The text a profile is embedded from.
+ */
+const profileText = (profile) => [
+  `Name: ${profile.name || ''}`,
+  `Role: ${profile.role || ''}`,
+  `Course: ${profile.course || ''} ${profile.semester || ''}`.trim(),
+  `Skills: ${(profile.skills || []).join(', ')}`,
+  `Bio: ${profile.bio || ''}`,
+].join('\n');
+
+/**
+ * Re-embeds the caller's profile. Called after the profile is saved (and
+ * once per sign-in, to backfill older profiles); does nothing if the
+ * profile text hasn't changed since the last embedding.
+ * @param {() => string} getApiKey
+ * @param {() => string} getAppId
+ */
+export const handleEmbedProfileRequest = (getApiKey, getAppId) =>
+  aiEndpoint('embedProfile', EMBEDDING_MODEL, getApiKey, async ({ uid, apiKey }) => {
+    const db = getFirestore();
+    const base = dataPath(getAppId());
+    const profile = (await db.doc(`${base}/users/${uid}`).get()).data();
+    if (!profile) {
+      throw new ProxyError(404, 'NOT_FOUND', 'Create your profile first.');
+    }
+
+    const text = profileText(profile);
+    const embeddingRef = db.doc(`${base}/profileEmbeddings/${uid}`);
+    if ((await embeddingRef.get()).get('sourceText') === text) {
+      return { updated: false };
+    }
+
+    await consumeQuota(uid);
+    const values = await embedText(text, 'RETRIEVAL_DOCUMENT', apiKey);
+    await embeddingRef.set({
+      uid,
+      embedding: FieldValue.vector(values),
+      sourceText: text,
+      standIn: !apiKey,
+      updatedAt: FieldValue.serverTimestamp(),
+    });
+    return { updated: true };
+  });
+
+/**
+ * Shortlists the profiles closest to a project description, nearest first.
+ * Body: `{ description, limit }`. Answers `{ candidates: [{ userId, distance }] }`;
+ * the caller reads just those profiles.
+ * @param {() => string} getApiKey
+ * @param {() => string} getAppId
+ */
+export const handleMatchProfilesRequest = (getApiKey, getAppId) =>
+  aiEndpoint('matchProfiles', EMBEDDING_MODEL, getApiKey, async ({ req, uid, apiKey }) => {
+    const description = typeof req.body?.description === 'string' ? req.body.description.trim() : '';
+    if (!description || description.length > MAX_DESCRIPTION_LENGTH) {
+      throw new ProxyError(400, 'INVALID_ARGUMENT', `Describe the project in 1-${MAX_DESCRIPTION_LENGTH} characters.`);
+    }
+    const limit = Math.min(Math.max(Number(req.body.limit) || 15, 1), MAX_SHORTLIST);
+
+    await consumeQuota(uid);
+    const values = await embedText(description, 'RETRIEVAL_QUERY', apiKey);
+    const embeddings = getFirestore().collection(`${dataPath(getAppId())}/profileEmbeddings`);
+    const snapshot = await embeddings
+      .findNearest({
+        vectorField: 'embedding',
+        queryVector: FieldValue.vector(values),
+        // One extra, in case the caller is among the nearest
+        limit: limit + 1,
+        distanceMeasure: 'COSINE',
+        distanceResultField: 'distance',
+      })
+      .get();
+
+    return {
+      candidates: snapshot.docs
+        .filter((doc) => doc.id !== uid)
+        .slice(0, limit)
+        .map((doc) => ({ userId: doc.id, distance: doc.get('distance') })),
+    };
+  });
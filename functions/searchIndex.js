@@ -0,0 +1,247 @@
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
+import { logger } from 'firebase-functions';
+import { adminEndpoint, dataPath } from './adminEndpoint.js';
+
+// --- Search Index ---
+// The navbar's global search reads searchIndex/{entryId}: one small document
+// per person, project, achievement and comment, kept up to date by Firestore
+// triggers. Each entry lists the word prefixes it can be found by, so the
+// web app finds matches with one array-contains query instead of reading
+// every collection. Hidden posts, comments on them and suspended users are
+// left out.
+
+// Keep in step with src/searchIndex.js
+const MIN_PREFIX_LENGTH = 2;
+const MAX_PREFIX_LENGTH = 15;
+const MAX_WORDS = 80;
+const SNIPPET_LENGTH = 200;
+// How much of a long text is indexed
+const BODY_LENGTH = 1000;
+
+const COMMENT_PARENTS = ['achievements', 'projects'];
+
+const words = (text) => String(text || '').toLowerCase().match(/[\p{L}\p{N}+#]+/gu) || [];
+
+/**
+ * Every prefix of every word, from 2 to 15 characters. Earlier texts come
+ * first, so the title survives when the word cap cuts a long body short.
+ * @param {...string} texts
+ * @returns {string[]}
+ */
+export const searchTokens = (...texts) => {
+  const unique = [...new Set(texts.flatMap(words))].slice(0, MAX_WORDS);
+  const tokens = new Set();
+  for (const word of unique) {
+    for (let length = MIN_PREFIX_LENGTH; length <= Math.min(word.length, MAX_PREFIX_LENGTH); length++) {
+      tokens.add(word.slice(0, length));
+    }
+  }
+  return [...tokens];
+};
+
+const snippet = (text) => {
+  const flat = String(text || '').replace(/\s+/g, ' ').trim();
+  return flat.length > SNIPPET_LENGTH ? `${flat.slice(0, SNIPPET_LENGTH)}...` : flat;
+};
+
+// The index entry for each kind of document, or null to leave it out
+const ENTRY_BUILDERS = {
+  user: (user) => (user.suspended ? null : {
+    title: user.name || '',
+    snippet: snippet([user.role, user.course, (user.skills || []).join(', ')].filter(Boolean).join(' · ')),
+    tokens: searchTokens(user.name, (user.skills || []).join(' '), user.course, String(user.bio || '').slice(0, BODY_LENGTH)),
+  }),
+  project: (project) => (project.hidden ? null : {
+    title: project.title || '',
+    snippet: snippet(project.description),
+    authorId: project.authorId,
+    tokens: searchTokens(project.title, (project.skills || []).join(' '), project.authorName, String(project.description || '').slice(0, BODY_LENGTH)),
+  }),
+  achievement: (post) => (post.hidden ? null : {
+    title: post.authorName || '',
+    snippet: snippet(post.content),
+    authorId: post.authorId,
+    tokens: searchTokens(post.authorName, String(post.content || '').slice(0, BODY_LENGTH)),
+  }),
+  comment: (comment) => (comment.hidden ? null : {
+    title: comment.authorName || '',
+    snippet: snippet(comment.text),
+    authorId: comment.authorId,
+    tokens: searchTokens(comment.authorName, String(comment.text || '').slice(0, BODY_LENGTH)),
+  }),
+};
+
+const entryId = (type, id, parent) =>
+  parent ? `${type}_${parent.collection}_${parent.id}_${id}` : `${type}_${id}`;
+
+/**
+ * Writes (or removes) one document's index entry.
+ * @param {string} appId
+ * @param {'user'|'project'|'achievement'|'comment'} type
+ * @param {string} id
+ * @param {object|undefined} data - undefined when the document was deleted
+ * @param {{collection: string, id: string}} [parent] - For comments
+ * @param {FirebaseFirestore.BulkWriter} [writer] - Queue the write instead
+ */
+const indexDocument = (appId, type, id, data, parent, writer = null) => {
+  const ref = getFirestore().doc(`${dataPath(appId)}/searchIndex/${entryId(type, id, parent)}`);
+  const entry = data && ENTRY_BUILDERS[type](data);
+  if (!entry) {
+    return writer ? writer.delete(ref) : ref.delete();
+  }
+  const value = {
+    type,
+    refId: id,
+    ...entry,
+    ...(parent && { parentCollection: parent.collection, parentId: parent.id }),
+    updatedAt: FieldValue.serverTimestamp(),
+  };
+  return writer ? writer.set(ref, value) : ref.set(value);
+};
+
+// Comments outlive a deleted post or project, so their entries go with it
+const removeCommentEntries = async (appId, parentCollection, parentId) => {
+  const snapshot = await getFirestore()
+    .collection(`${dataPath(appId)}/searchIndex`)
+    .where('parentCollection', '==', parentCollection)
+    .where('parentId', '==', parentId)
+    .get();
+  const writer = getFirestore().bulkWriter();
+  snapshot.docs.forEach((doc) =>
+    writer.delete(doc.ref).catch((error) => logger.error('Failed to remove a comment entry', { id: doc.id, error })));
+  await writer.close();
+};
+
+// Re-indexes the comments on a post or project, or removes them all while
+// it is hidden
+const indexComments = async (appId, parentCollection, parentId, parentData) => {
+  if (parentData.hidden) {
+    await removeCommentEntries(appId, parentCollection, parentId);
+    return;
+  }
+  const comments = await getFirestore().collection(`${dataPath(appId)}/${parentCollection}/${parentId}/comments`).get();
+  const writer = getFirestore().bulkWriter();
+  comments.docs.forEach((doc) =>
+    indexDocument(appId, 'comment', doc.id, doc.data(), { collection: parentCollection, id: parentId }, writer)
+      .catch((error) => logger.error('Failed to index a comment', { id: doc.id, error })));
+  await writer.close();
+};
+
+// --- People Directory ---
+// Find Collaborators searches the whole directory in the browser, with typo
+// tolerance and facet counts. Rather than every profile it reads
+// peopleDirectory/{shard}: the searched fields of every listed person,
+// spread over a fixed number of documents by a hash of the uid, so each
+// stays well under Firestore's 1 MiB limit. Suspended users are left out.
+
+// Keep in step with src/repository.js
+const PEOPLE_SHARDS = 16;
+const PEOPLE_BIO_LENGTH = 500;
+
+/**
+ * The directory document a person is listed in.
+ * @param {string} uid
+ * @returns {string}
+ */
+export const peopleShard = (uid) =>
+  String([...uid].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 0) % PEOPLE_SHARDS);
+
+// A person's directory entry, or null to leave them out
+const directoryEntry = (user) => (user.suspended ? null : {
+  name: user.name || '',
+  role: user.role || '',
+  course: user.course || '',
+  semester: user.semester || '',
+  skills: user.skills || [],
+  bio: String(user.bio || '').slice(0, PEOPLE_BIO_LENGTH),
+  createdAt: user.createdAt || null,
+});
+
+// Writes (or removes) one person's directory entry
+const listPerson = (appId, uid, data) =>
+  getFirestore()
+    .doc(`${dataPath(appId)}/peopleDirectory/${peopleShard(uid)}`)
+    .set({ people: { [uid]: (data && directoryEntry(data)) || FieldValue.delete() } }, { merge: true });
+
+/**
+ * Firestore trigger handler for users, projects and achievements.
+ * @param {'user'|'project'|'achievement'} type
+ * @param {string} idParam - The document id's name in the trigger path
+ */
+export const handleIndexedWrite = (type, idParam) => async (event) => {
+  const { appId } = event.params;
+  const id = event.params[idParam];
+  const data = event.data.after.exists ? event.data.after.data() : undefined;
+  const before = event.data.before.exists ? event.data.before.data() : undefined;
+  await indexDocument(appId, type, id, data);
+  if (type === 'user') {
+    await listPerson(appId, id, data);
+    return;
+  }
+  if (!data) {
+    await removeCommentEntries(appId, `${type}s`, id);
+  } else if (Boolean(data.hidden) !== Boolean(before?.hidden)) {
+    await indexComments(appId, `${type}s`, id, data);
+  }
+};
+
+/**
+ * Firestore trigger handler for comments on achievements and projects.
+ */
+export const handleCommentWrite = async (event) => {
+  const { appId, parentCollection, parentId, commentId } = event.params;
+  if (!COMMENT_PARENTS.includes(parentCollection)) return;
+  const parent = await getFirestore().doc(`${dataPath(appId)}/${parentCollection}/${parentId}`).get();
+  const isListed = event.data.after.exists && parent.exists && !parent.get('hidden');
+  const data = isListed ? event.data.after.data() : undefined;
+  await indexDocument(appId, 'comment', commentId, data, { collection: parentCollection, id: parentId });
+};
+
+/**
+ * Rebuilds the whole index and the people directory from the collections,
+ * for documents written before the triggers existed. Admins only.
+ * @param {() => string} getAppId
+ */
+export const handleRebuildSearchIndexRequest = (getAppId) => adminEndpoint(getAppId, {
+  denied: 'Only admins can rebuild the search index.',
+  failed: 'Rebuilding the search index failed.',
+}, async ({ db, appId, base, uid }) => {
+  const writer = db.bulkWriter();
+  const writes = [];
+  // Handled as queued, so a failed write isn't an unhandled rejection
+  const track = (write) => writes.push(write.then(() => true, (error) => {
+    logger.error('Failed to index a document', error);
+    return false;
+  }));
+  const counts = { user: 0, project: 0, achievement: 0, comment: 0 };
+  const sources = [['user', 'users'], ['project', 'projects'], ['achievement', 'achievements']];
+  for (const [type, collection] of sources) {
+    const snapshot = await db.collection(`${base}/${collection}`).get();
+    snapshot.docs.forEach((doc) => {
+      track(indexDocument(appId, type, doc.id, doc.data(), undefined, writer));
+      counts[type]++;
+    });
+    if (type === 'user') {
+      // Each directory document is written whole, replacing what was there
+      const shards = Array.from({ length: PEOPLE_SHARDS }, () => ({}));
+      snapshot.docs.forEach((doc) => {
+        const entry = directoryEntry(doc.data());
+        if (entry) shards[peopleShard(doc.id)][doc.id] = entry;
+      });
+      shards.forEach((people, shard) => track(writer.set(db.doc(`${base}/peopleDirectory/${shard}`), { people })));
+      continue;
+    }
+    for (const parent of snapshot.docs) {
+      const comments = await parent.ref.collection('comments').get();
+      comments.docs.forEach((doc) => {
+        const data = parent.get('hidden') ? undefined : doc.data();
+        track(indexDocument(appId, 'comment', doc.id, data, { collection, id: parent.id }, writer));
+        counts.comment++;
+      });
+    }
+  }
+  await writer.close();
+  const failed = (await Promise.all(writes)).filter((ok) => !ok).length;
+  logger.info('Search index rebuilt', { uid, counts, failed });
+  return { indexed: counts, failed };
+});
@@ -0,0 +1,29 @@
+import { getFirestore } from 'firebase-admin/firestore';
+
+// Used until an admin saves a list on the Moderation page. Keep in step with
+// DEFAULT_ALLOWED_DOMAINS in src/App.jsx and allowedDomains() in firestore.rules.
+const DEFAULT_ALLOWED_DOMAINS = { 'iilm.edu': '' };
+
+/**
+ * Whether an e-mail address may sign up: either its domain is on the campus
+ * allow-list or an admin added it as a guest.
+ * @param {string} appId - The web app's id (the `artifacts/{appId}` segment)
+ * @param {string} email
+ * @returns {Promise<{allowed: boolean, allowedDomains: string[]}>}
+ */
+export const checkSignupAccess = async (appId, email) => {
+  const db = getFirestore();
+  const dataPath = `artifacts/${appId}/public/data`;
+  const normalized = (email || '').trim().toLowerCase();
+  const domain = normalized.split('@')[1] || '';
+
+  const config = await db.doc(`${dataPath}/config/signup`).get();
+  const allowedDomains = config.exists ? config.get('allowedDomains') || {} : DEFAULT_ALLOWED_DOMAINS;
+  // Own keys only: `in` would also find "constructor" and the like
+  if (domain && Object.hasOwn(allowedDomains, domain)) {
+    return { allowed: true, allowedDomains: Object.keys(allowedDomains) };
+  }
+
+  const guest = await db.doc(`${dataPath}/signupGuests/${normalized}`).get();
+  return { allowed: guest.exists, allowedDomains: Object.keys(allowedDomains) };
+};
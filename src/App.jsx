@@ -1,7 +1,9 @@
-import React, { useState, useEffect, useCallback } from 'react';
-import { initializeApp } from 'firebase/app';
+import React, { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import rehypeHighlight from 'rehype-highlight';
+import 'highlight.js/styles/github.css';
 import {
-  getAuth,
   onAuthStateChanged,
   createUserWithEmailAndPassword,
   signInWithEmailAndPassword,
@@ -10,21 +12,6 @@ import {
   signInAnonymously,
   sendEmailVerification
 } from 'firebase/auth';
-import {
-  getFirestore,
-  doc,
-  setDoc,
-  getDoc,
-  addDoc,
-  getDocs,
-  updateDoc,
-  deleteDoc,
-  collection,
-  query,
-  onSnapshot,
-  serverTimestamp,
-  setLogLevel
-} from 'firebase/firestore';
 // Storage imports are removed
 import {
   Users,
@@ -49,11 +36,139 @@ import {
   Inbox, // For Inbox
   BrainCircuit, // For AI Matcher
  MessageCircle, // For Send Message
-  Trash2 // 
+  Trash2, // 
+  ArrowLeft,
+  UserPlus,
+  Check,
+  Bell,
+  Pin,
+  BadgeCheck,
+  GraduationCap,
+  Flag,
+  Shield,
+  Eye,
+  EyeOff,
+  Ban,
+  Square,
+  Wrench,
+  Copy
 } from 'lucide-react';
+import { auth } from './firebase';
+import {
+  generateText,
+  generateValidJson,
+  streamText,
+  callAiFunction,
+  getAiAvailability,
+  subscribeAiAvailability
+} from './aiProvider';
+import { runBotTool, describeBotToolCall } from './botTools';
+import { draftBotChatTitle, buildBotPayload, generateBotChatTitle, summarizeBotChat } from './botChat';
+import {
+  rankBySkills,
+  mergeShortlists,
+  skillSpellingsIn,
+  describeSkillsMatch,
+  skillsMatchConfidence,
+  buildMatchPayload,
+  validateAiMatches,
+  rankProjectsForUser,
+  describeProjectMatch,
+  buildProjectPicksPayload,
+  validateAiProjectPicks
+} from './matcher';
+import {
+  ROLE_FACETS,
+  SEARCH_SORTS,
+  EMPTY_FILTERS,
+  parseSearchFilters,
+  searchFiltersToQuery,
+  hasActiveFilters,
+  searchPeople,
+  facetCounts
+} from './peopleSearch';
+import { isSameSkill } from './skills';
+import { searchWords, searchEverything, highlightParts, rebuildSearchIndex } from './searchIndex';
+import { migrateInbox } from './inboxMigration';
+import { backfillHidden } from './hiddenBackfill';
+import { backfillNames } from './nameBackfill';
+import { MAX_MILESTONES, buildProjectDraftPayload, validateProjectDraft, toMilestones } from './projectDraft';
+import {
+  getUser,
+  getUsers,
+  subscribeUser,
+  getAllowedDomains,
+  saveAllowedDomains,
+  getSignupGuest,
+  subscribeSignupGuests,
+  addSignupGuest,
+  removeSignupGuest,
+  listPeopleDirectory,
+  listUsersPage,
+  findUsers,
+  createUserProfile,
+  updateUserProfile,
+  setFollowing,
+  subscribeNotifications,
+  notify,
+  markNotificationRead,
+  markAllNotificationsRead,
+  subscribeAnnouncements,
+  createAnnouncement,
+  deleteAnnouncement,
+  FEED_MAX_AUTHORS,
+  subscribeFeedPage,
+  getNewestFeedPostTime,
+  subscribeNewFeedPosts,
+  getAchievement,
+  createAchievement,
+  setAchievementLike,
+  deleteAchievement,
+  subscribeComments,
+  createComment,
+  subscribeProjects,
+  subscribeProject,
+  listProjectsForUser,
+  listProjects,
+  subscribeProjectActivity,
+  createProject,
+  updateProject,
+  setProjectEndorsement,
+  setProjectMilestoneDone,
+  setProjectMentor,
+  deleteProject,
+  requestToJoinProject,
+  withdrawJoinRequest,
+  subscribeJoinRequests,
+  subscribeMyJoinRequests,
+  respondToJoinRequest,
+  subscribeConversations,
+  subscribeConversation,
+  subscribeMessages,
+  sendMessage,
+  markConversationRead,
+  otherParticipantId,
+  subscribeBotChats,
+  subscribeBotChat,
+  subscribeBotMessages,
+  createBotChat,
+  addBotMessage,
+  deleteBotMessage,
+  renameBotChat,
+  saveBotChatSummary,
+  deleteBotChat,
+  reportContent,
+  subscribeReports,
+  subscribeModerationLog,
+  moderate
+} from './repository';
 
 // --- Configuration ---
-const UNIVERSITY_DOMAIN = '@iilm.edu';
+// Campus e-mail domains allowed to sign up, used until an admin saves a list
+// on the Moderation page. Each maps to the role it implies: '' lets the user
+// choose, 'student' or 'teacher' fixes it (e.g. a staff sub-domain). Keep in
+// step with allowedDomains() in firestore.rules and functions/signupAccess.js.
+const DEFAULT_ALLOWED_DOMAINS = { 'iilm.edu': '' };
 const COURSE_OPTIONS = [
   'BBA',
   'MBA',
@@ -76,101 +191,204 @@ const SEMESTER_OPTIONS = [
   '8th',
 ];
 
-// --- Gemini API Configuration ---
-let geminiApiKey;
-try {
-  geminiApiKey = import.meta.env.VITE_APP_GEMINI_API_KEY || "";
-} catch (e) {
-  console.error("Failed to read Gemini API key", e);
-  geminiApiKey = "";
-}
+// How many people one user can follow; keep in step with the users rules in firestore.rules
+const MAX_FOLLOWING = 500;
 
-const GEMINI_MODEL = "gemini-2.5-flash-preview-09-2025";
-const GEMINI_API_URL = `https://generativelanguage.googleapis.com/v1beta/models/${GEMINI_MODEL}:generateContent?key=${geminiApiKey}`;
+// Everything that can land in the notification bell; each can be muted from the profile
+const NOTIFICATION_TYPES = [
+  { value: 'like', label: 'Likes on my posts' },
+  { value: 'comment', label: 'Comments on my posts and projects' },
+  { value: 'join_request', label: 'Requests to join my projects' },
+  { value: 'join_response', label: 'Replies to my join requests' },
+  { value: 'message', label: 'New messages' },
+];
 
+// --- AI Helpers ---
 
-// --- Firebase Initialization (using environment variables) ---
-let firebaseConfig;
-try {
-  // This securely loads the config from your .env.local file (for local dev)
-  // or from your Netlify/GitHub environment variables (for production)
-  firebaseConfig = JSON.parse(import.meta.env.VITE_APP_FIREBASE_CONFIG);
-} catch (e) {
-  console.error("Failed to parse Firebase config. Make sure it's set in your .env.local file or Netlify/GitHub variables.", e);
-  firebaseConfig = {}; // Fallback
-}
+/**
+ * Re-embeds the signed-in user's profile for the AI matcher. Best effort:
+ * the matcher falls back to skills overlap for profiles without one.
+ */
+const refreshProfileEmbedding = () =>
+  callAiFunction('embedProfile', {}, 1).catch((error) => {
+    if (!error.unavailable) console.error("Could not update the profile embedding:", error);
+  });
 
-// This is now safe, as 'appId' is part of your config, but we get it for the db path
-const appId = firebaseConfig.appId || 'default-app-id'; 
-
-const app = initializeApp(firebaseConfig);
-const auth = getAuth(app);
-const db = getFirestore(app);
-// Storage initialization removed
-// Enable Firestore debugging
-try {
-  setLogLevel('Debug');
-} catch (e) {
-  console.error("Failed to set Firestore log level:", e);
-}
-// --- Gemini API Helper Function ---
+/**
+ * Whether the AI features can be used right now (see aiProvider.js).
+ * @returns {import('./aiProvider').AiAvailability}
+ */
+const useAiAvailability = () => {
+  const [availability, setAvailability] = useState(getAiAvailability);
+  useEffect(() => subscribeAiAvailability(setAvailability), []);
+  return availability;
+};
 
 /**
- * Calls the Gemini API with exponential backoff.
- * @param {object} payload - The payload to send to the Gemini API.
- * @param {number} maxRetries - Maximum number of retries.
- * @returns {Promise<string>} - The generated text from the model.
+ * Explains why an AI button is disabled, or what happens instead
+ * (`fallback`). Renders nothing while the AI is available.
  */
-const callGeminiApi = async (payload, maxRetries = 5) => {
-  let attempt = 0;
-  let delay = 1000; // Start with 1 second
+const AiUnavailableNote = ({ availability, fallback, className = '' }) => (
+  availability.available ? null : (
+    <p className={`text-xs text-amber-700 ${className}`}>
+      {availability.reason}{fallback && ` ${fallback}`}
+    </p>
+  )
+);
 
-  while (attempt < maxRetries) {
-    try {
-      const response = await fetch(GEMINI_API_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify(payload)
-      });
 
-      if (response.ok) {
-        const result = await response.json();
-        const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
-        if (text) {
-          return text;
-        } else {
-          console.error("Gemini API Error: No text in response", result);
-          throw new Error("Invalid response from API. Check console for details.");
-        }
-      }
+// --- Hash Router ---
 
-      // Handle non-OK responses
-      if (response.status === 429 || response.status >= 500) {
-        // Throttling or server error, wait and retry
-        console.warn(`Gemini API Error: Status ${response.status}. Retrying in ${delay}ms...`);
-        await new Promise(resolve => setTimeout(resolve, delay));
-        delay *= 2; // Exponential backoff
-        attempt++;
-      } else {
-        // Other client-side error (e.g., 400 Bad Request)
-        const errorResult = await response.json();
-        console.error("Gemini API Error:", errorResult);
-        throw new Error(`API request failed with status ${response.status}. Check console.`);
-      }
+// Pages that can be viewed without signing in.
+const PUBLIC_PAGES = ['login', 'signup'];
 
-    } catch (error) {
-      console.error("Error calling Gemini API:", error);
-      if (attempt >= maxRetries - 1) {
-        throw error; // Throw error after last attempt
-      }
-      // Wait and retry for network errors
-      await new Promise(resolve => setTimeout(resolve, delay));
-      delay *= 2;
-      attempt++;
-    }
+// Pages reachable at `#/<name>` once signed in.
+const APP_PAGES = [
+  'dashboard',
+  'projects',
+  'search',
+  'ai_matcher',
+  'inbox',
+  'users',
+  'ai_assistant',
+  'moderation',
+];
+
+// A decoded path segment, or null if it isn't valid percent-encoding.
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    return null;
   }
-  
-  throw new Error("Gemini API call failed after all retries.");
+};
+
+/**
+ * Parses a location hash (e.g. '#/profile/abc?next=...') into a page object.
+ * @param {string} hash - The value of window.location.hash.
+ * @returns {{name: string, props: object, query: URLSearchParams, path: string}}
+ */
+const parseHash = (hash) => {
+  const raw = hash.replace(/^#/, '') || '/';
+  const [pathPart, queryString = ''] = raw.split('?');
+  const path = pathPart.startsWith('/') ? pathPart : `/${pathPart}`;
+  const segments = path.split('/').filter(Boolean).map(decodeSegment);
+  const query = new URLSearchParams(queryString);
+  const page = { name: 'not_found', props: {}, query, path: raw };
+
+  // A malformed escape (e.g. '%E0') can't name anything
+  if (segments.includes(null)) {
+    return page;
+  }
+  if (segments.length === 0) {
+    return { ...page, name: 'root' };
+  }
+
+  const [name, id] = segments;
+  if (segments.length === 1 && (PUBLIC_PAGES.includes(name) || APP_PAGES.includes(name))) {
+    return { ...page, name };
+  }
+  if (name === 'profile' && segments.length <= 2) {
+    return { ...page, name, props: { profileId: id } };
+  }
+  if (name === 'inbox' && segments.length === 2) {
+    return { ...page, name, props: { conversationId: id } };
+  }
+  if (name === 'project' && segments.length === 2) {
+    return { ...page, name, props: { projectId: id } };
+  }
+  if (name === 'ai_assistant' && segments.length === 2) {
+    return { ...page, name, props: { chatId: id } };
+  }
+  return page;
+};
+
+/**
+ * The query string that carries a post-login destination over to the
+ * other auth page, or '' if there is none.
+ * @param {string|null} next
+ */
+const nextQuery = (next) => (next ? new URLSearchParams({ next }).toString() : '');
+
+/**
+ * Builds the hash path for a page object as passed to setPage().
+ * @param {{name: string, props?: object, query?: string}} page - `query` is
+ *   an encoded query string, e.g. the search page's filters.
+ * @returns {string} - The path, without the leading '#'.
+ */
+const pageToPath = ({ name, props = {}, query = '' }) => {
+  const path = pagePath(name, props);
+  return query ? `${path}?${query}` : path;
+};
+
+const pagePath = (name, props) => {
+  if (name === 'profile' && props.profileId) {
+    return `/profile/${encodeURIComponent(props.profileId)}`;
+  }
+  if (name === 'inbox' && props.conversationId) {
+    return `/inbox/${encodeURIComponent(props.conversationId)}`;
+  }
+  if (name === 'project' && props.projectId) {
+    return `/project/${encodeURIComponent(props.projectId)}`;
+  }
+  if (name === 'ai_assistant' && props.chatId) {
+    return `/ai_assistant/${encodeURIComponent(props.chatId)}`;
+  }
+  return `/${name}`;
+};
+
+/**
+ * Moves to a new hash path. With `replace` the current history entry is
+ * overwritten, so redirects don't trap the back button.
+ */
+const navigate = (path, { replace = false } = {}) => {
+  const hash = `#${path}`;
+  if (window.location.hash === hash) return;
+  if (replace) {
+    window.history.replaceState(null, '', hash);
+    window.dispatchEvent(new HashChangeEvent('hashchange'));
+  } else {
+    window.location.hash = hash;
+  }
+};
+
+/**
+ * Keeps the current page in sync with the location hash (back/forward included).
+ */
+const useHashRoute = () => {
+  const [route, setRoute] = useState(() => parseHash(window.location.hash));
+
+  useEffect(() => {
+    const handleHashChange = () => setRoute(parseHash(window.location.hash));
+    window.addEventListener('hashchange', handleHashChange);
+    return () => window.removeEventListener('hashchange', handleHashChange);
+  }, []);
+
+  return route;
+};
+
+
+// --- Formatting Helpers ---
+
+/**
+ * Formats a Date as a short relative time, e.g. '3h ago'.
+ * @param {Date|null} date - Dates come from the repository already converted.
+ * @param {string} suffix - Appended to everything except 'just now'.
+ */
+const timeAgo = (date, suffix = ' ago') => {
+  if (!date) return 'just now';
+  const seconds = Math.floor((new Date() - date) / 1000);
+  let interval = seconds / 31536000;
+  if (interval > 1) return Math.floor(interval) + "y" + suffix;
+  interval = seconds / 2592000;
+  if (interval > 1) return Math.floor(interval) + "mo" + suffix;
+  interval = seconds / 86400;
+  if (interval > 1) return Math.floor(interval) + "d" + suffix;
+  interval = seconds / 3600;
+  if (interval > 1) return Math.floor(interval) + "h" + suffix;
+  interval = seconds / 60;
+  if (interval > 1) return Math.floor(interval) + "m" + suffix;
+  return "just now";
 };
 
 
@@ -185,6 +403,97 @@ const LoadingSpinner = ({ size = 24 }) => (
   </div>
 );
 
+// --- Markdown ---
+
+// The plain text of a rendered (hast) node, e.g. a highlighted code block.
+const nodeText = (node) =>
+  node.type === 'text' ? node.value : (node.children || []).map(nodeText).join('');
+
+/**
+ * A fenced code block with a copy button.
+ */
+const MarkdownCodeBlock = ({ node, children }) => {
+  const [copied, setCopied] = useState(false);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(nodeText(node).replace(/\n$/, ''));
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error("Copy failed:", error);
+    }
+  };
+
+  return (
+    <div className="relative group my-2">
+      <button
+        type="button"
+        onClick={handleCopy}
+        title={copied ? 'Copied' : 'Copy code'}
+        className="absolute top-2 right-2 p-1 rounded bg-white/80 text-gray-500 hover:text-gray-800 border border-gray-200 opacity-0 group-hover:opacity-100 focus:opacity-100 transition-opacity"
+      >
+        {copied ? <Check size={14} className="text-emerald-600" /> : <Copy size={14} />}
+      </button>
+      <pre className="overflow-x-auto rounded-md bg-gray-50 border border-gray-200 p-3 text-sm text-gray-800 [&>code]:bg-transparent [&>code]:p-0">
+        {children}
+      </pre>
+    </div>
+  );
+};
+
+// Tailwind classes for each element, since the page has no prose styles.
+const MARKDOWN_COMPONENTS = {
+  p: ({ children }) => <p className="my-2 first:mt-0 last:mb-0">{children}</p>,
+  h1: ({ children }) => <h3 className="text-lg font-bold mt-3 mb-1">{children}</h3>,
+  h2: ({ children }) => <h4 className="text-base font-bold mt-3 mb-1">{children}</h4>,
+  h3: ({ children }) => <h5 className="font-semibold mt-2 mb-1">{children}</h5>,
+  ul: ({ children }) => <ul className="list-disc pl-5 my-2 space-y-1">{children}</ul>,
+  ol: ({ children }) => <ol className="list-decimal pl-5 my-2 space-y-1">{children}</ol>,
+  blockquote: ({ children }) => <blockquote className="border-l-4 border-gray-300 pl-3 my-2 text-gray-600">{children}</blockquote>,
+  a: ({ href, children }) => (
+    <a href={href} target="_blank" rel="noopener noreferrer" className="text-emerald-700 underline hover:text-emerald-900 break-words">
+      {children}
+    </a>
+  ),
+  code: ({ className, children }) => (
+    <code className={`${className || ''} font-mono text-[0.9em] bg-gray-200/70 rounded px-1`}>{children}</code>
+  ),
+  pre: MarkdownCodeBlock,
+  table: ({ children }) => (
+    <div className="overflow-x-auto my-2">
+      <table className="min-w-full text-sm border border-gray-200">{children}</table>
+    </div>
+  ),
+  th: ({ children }) => <th className="border border-gray-200 bg-gray-50 px-2 py-1 text-left font-semibold">{children}</th>,
+  td: ({ children }) => <td className="border border-gray-200 px-2 py-1">{children}</td>,
+  img: ({ src, alt }) => (
+    <a href={src} target="_blank" rel="noopener noreferrer" className="text-emerald-700 underline">{alt || 'image'}</a>
+  ),
+};
+
+const REMARK_PLUGINS = [remarkGfm];
+const REHYPE_PLUGINS = [rehypeHighlight];
+
+/**
+ * Renders markdown from posts, project descriptions and CollabBot replies:
+ * GitHub-flavoured (lists, tables, autolinks) with highlighted code blocks.
+ * Raw HTML is dropped and unsafe link protocols are stripped, so it is safe
+ * for user content.
+ */
+const Markdown = ({ children, className = '' }) => (
+  <div className={`break-words ${className}`}>
+    <ReactMarkdown
+      remarkPlugins={REMARK_PLUGINS}
+      rehypePlugins={REHYPE_PLUGINS}
+      components={MARKDOWN_COMPONENTS}
+      skipHtml
+    >
+      {children || ''}
+    </ReactMarkdown>
+  </div>
+);
+
 /**
  * A modal component for notifications (replaces alert())
  */
@@ -218,7 +527,7 @@ const Modal = ({ title, message, isOpen, onClose }) => {
 /**
  * Login Page Component
  */
-const LoginPage = ({ setPage, showModal }) => {
+const LoginPage = ({ next, setPage, showModal }) => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [isLoading, setIsLoading] = useState(false);
@@ -307,7 +616,7 @@ const LoginPage = ({ setPage, showModal }) => {
         <p className="mt-6 text-center text-sm text-gray-600">
           Don't have an account?{' '}
           <button
-            onClick={() => setPage({ name: 'signup' })}
+            onClick={() => setPage({ name: 'signup', query: nextQuery(next) })}
             className="font-medium text-emerald-600 hover:text-emerald-500 transition-colors"
           >
             Sign Up
@@ -318,27 +627,83 @@ const LoginPage = ({ setPage, showModal }) => {
   );
 };
 
+// --- Sign-up Access ---
+
+const emailDomain = (email) => email.trim().toLowerCase().split('@')[1] || '';
+
+// The role a domain is tied to ('' = either), or undefined if it isn't on
+// the list. Own keys only, so "constructor" isn't a domain.
+const domainRoleFor = (allowedDomains, domain) =>
+  (Object.hasOwn(allowedDomains, domain) ? allowedDomains[domain] : undefined);
+
+const signupDomainMessage = (allowedDomains) =>
+  `Sign-up is limited to ${Object.keys(allowedDomains).map(d => `@${d}`).join(', ')} email addresses. ` +
+  "If you're a guest, ask an admin to add your address.";
+
+/**
+ * Whether an address may sign up, and the role it's tied to ('' = either).
+ * The enforceSignupDomain function and the rules make the same check.
+ */
+const checkSignupAccess = async (email, allowedDomains) => {
+  const domainRole = domainRoleFor(allowedDomains, emailDomain(email));
+  if (domainRole !== undefined) return { allowed: true, role: domainRole };
+  const guest = await getSignupGuest(email);
+  return guest ? { allowed: true, role: guest.role } : { allowed: false, role: '' };
+};
+
 /**
  * SignUp Page Component
  */
-const SignUpPage = ({ setPage, showModal }) => {
+const SignUpPage = ({ next, setPage, showModal }) => {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [name, setName] = useState('');
   const [role, setRole] = useState('student'); // 'student' or 'teacher'
   const [course, setCourse] = useState('');
   const [semester, setSemester] = useState('');
-  const [isLoading, setIsLoading] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [allowedDomains, setAllowedDomains] = useState(DEFAULT_ALLOWED_DOMAINS);
+
+  // Load the admin-managed allow-list, if there is one
+  useEffect(() => {
+    getAllowedDomains()
+      .then((domains) => domains && setAllowedDomains(domains))
+      .catch(() => {}); // Keep the default; the server checks again anyway
+  }, []);
+
+  const domain = emailDomain(email);
+  const domainRole = domainRoleFor(allowedDomains, domain);
+  const isRoleFixed = domainRole === 'student' || domainRole === 'teacher';
+
+  // Staff and student sub-domains pre-select the role
+  const handleEmailChange = (e) => {
+    setEmail(e.target.value);
+    const impliedRole = domainRoleFor(allowedDomains, emailDomain(e.target.value));
+    if (impliedRole) setRole(impliedRole);
+  };
+
   const handleSignUp = async (e) => {
     e.preventDefault();
 
-    /*if (!email.endsWith(UNIVERSITY_DOMAIN)) {
-      showModal(
-        'Invalid Email',
-        `Sign-up is restricted to ${UNIVERSITY_DOMAIN} email addresses.`
-      );
+    setIsLoading(true);
+    let access;
+    try {
+      access = await checkSignupAccess(email, allowedDomains);
+    } catch (error) {
+      showModal('Sign Up Failed', error.message);
+      setIsLoading(false);
+      return;
+    }
+    setIsLoading(false);
+    if (!access.allowed) {
+      showModal('Email Not Allowed', signupDomainMessage(allowedDomains));
       return;
-    }*/
+    }
+    if (access.role && access.role !== role) {
+      setRole(access.role);
+      showModal('Check Your Role', `Accounts for ${email} are ${access.role} accounts. We've updated the form; please review it and sign up again.`);
+      return;
+    }
 
     if (password.length < 6) {
       showModal(
@@ -366,20 +731,17 @@ const SignUpPage = ({ setPage, showModal }) => {
       const user = userCredential.user;
 
       // 2. Create user profile in Firestore
-      const userRef = doc(db, `artifacts/${appId}/public/data/users`, user.uid);
-     await setDoc(userRef, {
-        uid: user.uid,
-        email: user.email,
-        name: name,
-        role: role,
-        bio: '',
-        skills: [],
-        linkedin: '',
-        github: '',
+      await createUserProfile(user.uid, {
+        email: user.email,
+        name: name,
+        role: role,
+        bio: '',
+        skills: [],
+        linkedin: '',
+        github: '',
         course: role === 'student' ? course : '',
         semester: role === 'student' ? semester : '',
-        createdAt: serverTimestamp(),
-});
+      });
       await sendEmailVerification(user);
       await signOut(auth); // Log the user out immediately
       
@@ -387,7 +749,7 @@ const SignUpPage = ({ setPage, showModal }) => {
         "Account Created!",
         "We've sent a verification link to your email. Please click the link to activate your account, then log in."
       );
-      setPage({ name: 'login' }); // Redirect to login page
+      setPage({ name: 'login', query: nextQuery(next) }); // Redirect to login page
       
 
       // Auth state change will handle redirect
@@ -399,6 +761,9 @@ const SignUpPage = ({ setPage, showModal }) => {
           'Sign Up Failed',
           'Email/Password sign-up is not enabled in the Firebase project. The administrator must enable it in the Firebase Console (Authentication > Sign-in method).'
         );
+      } else if (error.message.includes('BLOCKING_FUNCTION_ERROR_RESPONSE')) {
+        // Rejected by the enforceSignupDomain function
+        showModal('Email Not Allowed', signupDomainMessage(allowedDomains));
       } else {
         showModal('Sign Up Failed', error.message.replace('Firebase: ', ''));
       }
@@ -448,9 +813,14 @@ const SignUpPage = ({ setPage, showModal }) => {
               autoComplete="email"
               required
               value={email}
-              onChange={(e) => setEmail(e.target.value)}
+              onChange={handleEmailChange}
               className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-emerald-500 focus:border-emerald-500 transition duration-150"
             />
+            {domain && domainRole === undefined && (
+              <p className="text-xs text-amber-700 mt-1">
+                Use your campus email ({Object.keys(allowedDomains).map(d => `@${d}`).join(', ')}), unless an admin has invited you as a guest.
+              </p>
+            )}
           </div>
           <div>
             <label
@@ -481,11 +851,15 @@ const SignUpPage = ({ setPage, showModal }) => {
               name="role"
               value={role}
               onChange={(e) => setRole(e.target.value)}
-              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-emerald-500 focus:border-emerald-500 transition duration-150"
+              disabled={isRoleFixed}
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-emerald-500 focus:border-emerald-500 transition duration-150 disabled:bg-gray-100"
             >
               <option value="student">Student</option>
               <option value="teacher">Teacher</option>
             </select>
+            {isRoleFixed && (
+              <p className="text-xs text-gray-500 mt-1">Set by your @{domain} address.</p>
+            )}
           </div>
                     
           
@@ -547,7 +921,7 @@ const SignUpPage = ({ setPage, showModal }) => {
         <p className="mt-6 text-center text-sm text-gray-600">
           Already have an account?{' '}
           <button
-            onClick={() => setPage({ name: 'login' })}
+            onClick={() => setPage({ name: 'login', query: nextQuery(next) })}
             className="font-medium text-emerald-600 hover:text-emerald-500 transition-colors"
           >
             Sign In
@@ -561,33 +935,320 @@ const SignUpPage = ({ setPage, showModal }) => {
 // --- Core App Components ---
 
 /**
- * Navbar Component
+ * Notification bell with unread count and a dropdown of recent notifications
  */
-const Navbar = ({ user, setPage, handleLogout }) => {
-  const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
-  const [hasNewMessages, setHasNewMessages] = useState(false);
-  
-  // Check for new messages
+const NotificationBell = ({ user, setPage }) => {
+  const [notifications, setNotifications] = useState([]);
+  const [isOpen, setIsOpen] = useState(false);
+  const bellRef = useRef(null);
+
   useEffect(() => {
-    if (user) {
-      const messagesCol = collection(db, `artifacts/${appId}/public/data/users`, user.uid, 'messages');
-      const q = query(messagesCol); // Create the query
-      
-      // Attach the listener to the query
-      const unsubscribe = onSnapshot(q, (snapshot) => {
-        const hasUnread = snapshot.docs.some(doc => !doc.data().isRead);
-        setHasNewMessages(hasUnread);
-      }, (error) => {
-        console.error("Error checking for new messages:", error);
-      });
+    const unsubscribe = subscribeNotifications(user.uid, setNotifications);
+    return () => unsubscribe();
+  }, [user.uid]);
+
+  // Close the dropdown when clicking anywhere else
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClickOutside = (e) => {
+      if (bellRef.current && !bellRef.current.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const unread = notifications.filter(n => !n.read);
+
+  const handleOpenNotification = (notification) => {
+    setIsOpen(false);
+    if (!notification.read) {
+      markNotificationRead(user.uid, notification.id).catch(() => {});
+    }
+    setPage(notification.page);
+  };
+
+  const handleMarkAllRead = () => {
+    markAllNotificationsRead(user.uid, unread.map(n => n.id)).catch(() => {});
+  };
+
+  return (
+    <div ref={bellRef} className="relative">
+      <button
+        onClick={() => setIsOpen(!isOpen)}
+        className="relative p-2 text-gray-600 hover:text-emerald-600 rounded-md transition-colors"
+        title="Notifications"
+      >
+        <Bell size={20} />
+        {unread.length > 0 && (
+          <span className="absolute -top-0.5 -right-0.5 bg-red-500 text-white text-xs font-semibold rounded-full min-w-[1.25rem] h-5 px-1 flex items-center justify-center">
+            {unread.length > 9 ? '9+' : unread.length}
+          </span>
+        )}
+      </button>
+
+      {isOpen && (
+        <div className="absolute right-0 mt-2 w-80 max-w-[calc(100vw-2rem)] bg-white rounded-xl shadow-2xl border border-gray-100 z-50">
+          <div className="flex justify-between items-center px-4 py-3 border-b border-gray-100">
+            <h3 className="text-sm font-semibold text-gray-900">Notifications</h3>
+            {unread.length > 0 && (
+              <button onClick={handleMarkAllRead} className="text-xs text-emerald-600 hover:underline">
+                Mark all as read
+              </button>
+            )}
+          </div>
+          {notifications.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center p-6">You're all caught up.</p>
+          ) : (
+            <ul className="max-h-96 overflow-y-auto divide-y divide-gray-50">
+              {notifications.map((notification) => (
+                <li key={notification.id}>
+                  <button
+                    onClick={() => handleOpenNotification(notification)}
+                    className={`w-full text-left px-4 py-3 hover:bg-gray-50 transition-colors flex items-start space-x-2 ${notification.read ? '' : 'bg-emerald-50'}`}
+                  >
+                    <div className="flex-grow min-w-0">
+                      <p className="text-sm text-gray-800">
+                        <span className="font-semibold">{notification.actorName}</span> {notification.text}
+                      </p>
+                      <p className="text-xs text-gray-400">{timeAgo(notification.createdAt)}</p>
+                    </div>
+                    {!notification.read && <span className="mt-1.5 h-2 w-2 rounded-full bg-emerald-500 flex-shrink-0" />}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// --- Global Search ---
+
+const SEARCH_DEBOUNCE_MS = 250;
+
+const SEARCH_GROUP_ICONS = {
+  user: Users,
+  project: Briefcase,
+  achievement: Award,
+  comment: MessageSquare,
+};
+
+// Where a search result opens
+const searchResultPage = (entry) => {
+  switch (entry.type) {
+    case 'user':
+      return { name: 'profile', props: { profileId: entry.refId } };
+    case 'project':
+      return { name: 'project', props: { projectId: entry.refId } };
+    case 'achievement':
+      return { name: 'dashboard', query: new URLSearchParams({ post: entry.refId }).toString() };
+    case 'comment':
+      return entry.parentCollection === 'projects'
+        ? { name: 'project', props: { projectId: entry.parentId } }
+        : { name: 'dashboard', query: new URLSearchParams({ post: entry.parentId, comments: '1' }).toString() };
+    default:
+      return { name: 'dashboard' };
+  }
+};
+
+/**
+ * Text with the searched words marked
+ */
+const HighlightedText = ({ text, words }) => (
+  <>
+    {highlightParts(text, words).map((part, index) => (
+      part.match
+        ? <mark key={index} className="bg-emerald-100 text-emerald-900 rounded-sm">{part.text}</mark>
+        : <React.Fragment key={index}>{part.text}</React.Fragment>
+    ))}
+  </>
+);
+
+/**
+ * Navbar search box for people, projects, achievements and comments, with
+ * results grouped by kind. Arrow keys move through the results, Enter opens one.
+ */
+const GlobalSearch = ({ setPage, onNavigate = () => {}, className = '' }) => {
+  const [text, setText] = useState('');
+  const [groups, setGroups] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState('');
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const searchRef = useRef(null);
+
+  const words = searchWords(text);
+  const searchKey = words.join(' ');
+
+  useEffect(() => {
+    if (!searchKey) {
+      setGroups([]);
+      setIsSearching(false);
+      setError('');
+      return;
+    }
+    // Only the latest search's results are shown
+    let isCurrent = true;
+    setIsSearching(true);
+    const timer = setTimeout(() => {
+      searchEverything(searchKey)
+        .then((found) => {
+          if (!isCurrent) return;
+          setGroups(found);
+          setError('');
+          setActiveIndex(-1);
+        })
+        .catch((err) => {
+          if (isCurrent) setError(err.message);
+        })
+        .finally(() => {
+          if (isCurrent) setIsSearching(false);
+        });
+    }, SEARCH_DEBOUNCE_MS);
+    return () => {
+      isCurrent = false;
+      clearTimeout(timer);
+    };
+  }, [searchKey]);
+
+  // Close the results when clicking anywhere else
+  useEffect(() => {
+    if (!isOpen) return;
+    const handleClickOutside = (e) => {
+      if (searchRef.current && !searchRef.current.contains(e.target)) setIsOpen(false);
+    };
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, [isOpen]);
+
+  const results = groups.flatMap(group => group.results);
+  const peopleSearchPage = { name: 'search', query: searchFiltersToQuery({ ...EMPTY_FILTERS, q: text.trim() }) };
+
+  const open = (nextPage) => {
+    setIsOpen(false);
+    setText('');
+    onNavigate();
+    setPage(nextPage);
+  };
 
-      // Return the unsubscribe function for cleanup
-      return () => unsubscribe();
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setIsOpen(false);
+      e.currentTarget.blur();
+    } else if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      setIsOpen(true);
+      if (results.length === 0) return;
+      // Past either end goes back to the box (-1)
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setActiveIndex(index => {
+        const next = index + step;
+        if (next < -1) return results.length - 1;
+        return next >= results.length ? -1 : next;
+      });
+    } else if (e.key === 'Enter' && searchKey) {
+      e.preventDefault();
+      open(activeIndex >= 0 && results[activeIndex] ? searchResultPage(results[activeIndex]) : peopleSearchPage);
     }
-  }, [user]);
+  };
+
+  let resultIndex = -1;
+
+  return (
+    <div ref={searchRef} className={`relative ${className}`}>
+      <div className="relative">
+        <Search size={16} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
+        <input
+          type="search"
+          value={text}
+          onChange={(e) => {
+            setText(e.target.value);
+            setIsOpen(true);
+          }}
+          onFocus={() => setIsOpen(true)}
+          onKeyDown={handleKeyDown}
+          placeholder="Search CollabNest..."
+          aria-label="Search people, projects, achievements and comments"
+          role="combobox"
+          aria-expanded={isOpen && Boolean(searchKey)}
+          aria-controls="global-search-results"
+          aria-activedescendant={activeIndex >= 0 ? `global-search-result-${activeIndex}` : undefined}
+          className="w-full pl-9 pr-3 py-1.5 text-sm border border-gray-300 rounded-full focus:outline-none focus:ring-2 focus:ring-emerald-500"
+        />
+      </div>
+
+      {isOpen && searchKey && (
+        <div
+          id="global-search-results"
+          role="listbox"
+          className="absolute right-0 mt-2 w-96 max-w-[calc(100vw-2rem)] bg-white rounded-xl shadow-2xl border border-gray-100 z-50"
+        >
+          {error ? (
+            <p className="text-sm text-red-600 p-4">{error}</p>
+          ) : isSearching && results.length === 0 ? (
+            <div className="p-4"><LoadingSpinner size={20} /></div>
+          ) : results.length === 0 ? (
+            <p className="text-sm text-gray-500 text-center p-6">Nothing found for "{text.trim()}".</p>
+          ) : (
+            <div className="max-h-96 overflow-y-auto py-2">
+              {groups.map(group => {
+                const GroupIcon = SEARCH_GROUP_ICONS[group.type];
+                return (
+                  <div key={group.type} className="py-1">
+                    <h3 className="px-4 py-1 text-xs font-semibold uppercase tracking-wider text-gray-400">{group.label}</h3>
+                    <ul>
+                      {group.results.map(entry => {
+                        resultIndex += 1;
+                        const index = resultIndex;
+                        return (
+                          <li key={entry.id} id={`global-search-result-${index}`} role="option" aria-selected={index === activeIndex}>
+                            <button
+                              onClick={() => open(searchResultPage(entry))}
+                              onMouseEnter={() => setActiveIndex(index)}
+                              className={`w-full text-left px-4 py-2 flex items-start space-x-3 transition-colors ${index === activeIndex ? 'bg-emerald-50' : 'hover:bg-gray-50'}`}
+                            >
+                              <GroupIcon size={16} className="mt-0.5 text-emerald-600 flex-shrink-0" />
+                              <div className="min-w-0">
+                                <p className="text-sm font-medium text-gray-900 truncate">
+                                  <HighlightedText text={entry.title} words={words} />
+                                </p>
+                                {entry.snippet && (
+                                  <p className="text-xs text-gray-500 line-clamp-2">
+                                    <HighlightedText text={entry.snippet} words={words} />
+                                  </p>
+                                )}
+                              </div>
+                            </button>
+                          </li>
+                        );
+                      })}
+                    </ul>
+                  </div>
+                );
+              })}
+            </div>
+          )}
+          <button
+            onClick={() => open(peopleSearchPage)}
+            className="w-full text-left px-4 py-2 text-sm text-emerald-600 hover:bg-gray-50 border-t border-gray-100 rounded-b-xl"
+          >
+            Search people for "{text.trim()}"
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
 
+/**
+ * Navbar Component
+ */
+const Navbar = ({ user, profile, setPage, handleLogout }) => {
+  const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
 
-  const NavLink = ({ pageName, icon: Icon, children, hasBadge = false }) => (
+  const NavLink = ({ pageName, icon: Icon, children }) => (
     <button
       onClick={() => {
         setPage({ name: pageName, props: {} });
@@ -597,12 +1258,6 @@ const Navbar = ({ user, setPage, handleLogout }) => {
     >
       <Icon size={18} />
       <span>{children}</span>
-      {hasBadge && (
-        <span className="absolute top-1 right-1 flex h-3 w-3">
-          <span className="animate-ping absolute inline-flex h-full w-full rounded-full bg-red-400 opacity-75"></span>
-          <span className="relative inline-flex rounded-full h-3 w-3 bg-red-500"></span>
-        </span>
-      )}
     </button>
   );
 
@@ -683,27 +1338,36 @@ const Navbar = ({ user, setPage, handleLogout }) => {
                 <NavLink pageName="ai_matcher" icon={BrainCircuit}>
                   AI Matcher
                 </NavLink>
-                <NavLink pageName="inbox" icon={Inbox} hasBadge={hasNewMessages}>
+                <NavLink pageName="inbox" icon={Inbox}>
                   Inbox
                 </NavLink>
                 <NavLink pageName="ai_assistant" icon={Bot}>
                   AI Assistant
                 </NavLink>
+                {profile?.role === 'admin' && (
+                  <NavLink pageName="moderation" icon={Shield}>
+                    Moderation
+                  </NavLink>
+                )}
               </>
             )}
           </div>
-          <div className="hidden sm:flex sm:items-center">
-             <AuthButton />
-          </div>
+          <div className="flex items-center space-x-2">
+            {user && <GlobalSearch setPage={setPage} className="hidden sm:block w-40 lg:w-56" />}
+            {user && <NotificationBell user={user} setPage={setPage} />}
+            <div className="hidden sm:flex sm:items-center">
+              <AuthButton />
+            </div>
 
-          {/* Mobile Menu Button */}
-          <div className="sm:hidden flex items-center">
-            <button
-              onClick={() => setIsMobileMenuOpen(!isMobileMenuOpen)}
-              className="text-gray-600 hover:text-gray-900 focus:outline-none"
-            >
-              <Menu size={24} />
-            </button>
+            {/* Mobile Menu Button */}
+            <div className="sm:hidden flex items-center">
+              <button
+                onClick={() => setIsMobileMenuOpen(!isMobileMenuOpen)}
+                className="text-gray-600 hover:text-gray-900 focus:outline-none"
+              >
+                <Menu size={24} />
+              </button>
+            </div>
           </div>
         </div>
       </div>
@@ -713,6 +1377,7 @@ const Navbar = ({ user, setPage, handleLogout }) => {
         <div className="sm:hidden bg-white shadow-lg absolute top-16 left-0 right-0 z-30 p-4 space-y-2">
           {user && (
             <>
+              <GlobalSearch setPage={setPage} onNavigate={() => setIsMobileMenuOpen(false)} className="mb-2" />
               <NavLink pageName="dashboard" icon={Award}>
                 Dashboard
               </NavLink>
@@ -725,12 +1390,17 @@ const Navbar = ({ user, setPage, handleLogout }) => {
                <NavLink pageName="ai_matcher" icon={BrainCircuit}>
                 AI Matcher
               </NavLink>
-              <NavLink pageName="inbox" icon={Inbox} hasBadge={hasNewMessages}>
+              <NavLink pageName="inbox" icon={Inbox}>
                 Inbox
               </NavLink>
               <NavLink pageName="ai_assistant" icon={Bot}>
                 AI Assistant
               </NavLink>
+              {profile?.role === 'admin' && (
+                <NavLink pageName="moderation" icon={Shield}>
+                  Moderation
+                </NavLink>
+              )}
             </>
           )}
           <AuthButton isMobile={true} />
@@ -741,70 +1411,120 @@ const Navbar = ({ user, setPage, handleLogout }) => {
 };
 
 /**
- * Comment Section Component
+ * Flag button that opens a report form for a post, comment, project or user
  */
-const CommentSection = ({ postId, userId, authorName, showModal }) => {
-  const [comments, setComments] = useState([]);
-  const [newComment, setNewComment] = useState('');
-  const [isPostingComment, setIsPostingComment] = useState(false);
-  const [isLoadingComments, setIsLoadingComments] = useState(true);
+const ReportButton = ({ target, reporter, showModal, label = null, className = '' }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [reason, setReason] = useState('');
+  const [isSending, setIsSending] = useState(false);
 
-  // Helper to format time
-  const timeAgo = (date) => {
-    if (!date) return 'just now';
-    const seconds = Math.floor((new Date() - date.toDate()) / 1000);
-    let interval = seconds / 31536000;
-    if (interval > 1) return Math.floor(interval) + "y";
-    interval = seconds / 2592000;
-    if (interval > 1) return Math.floor(interval) + "mo";
-    interval = seconds / 86400;
-    if (interval > 1) return Math.floor(interval) + "d";
-    interval = seconds / 3600;
-    if (interval > 1) return Math.floor(interval) + "h";
-    interval = seconds / 60;
-    if (interval > 1) return Math.floor(interval) + "m";
-    return "just now";
-  };
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (reason.trim() === '') return;
 
-  // Listen for comments on this post
-  useEffect(() => {
-    setIsLoadingComments(true);
-    const commentsColRef = collection(
-      db,
-      `artifacts/${appId}/public/data/achievements`,
-      postId,
-      'comments'
-    );
-    // Note: No orderBy, as requested. We will sort in memory.
-    const q = query(commentsColRef);
-
-    const unsubscribe = onSnapshot(
-      q,
-      (querySnapshot) => {
-        const commentList = [];
-        querySnapshot.forEach((doc) => {
-          commentList.push({ id: doc.id, ...doc.data() });
-        });
-        
-        // Sort comments by creation time (oldest first)
-        commentList.sort((a, b) => {
-          const timeA = a.createdAt?.toDate() || 0;
-          const timeB = b.createdAt?.toDate() || 0;
-          return timeA - timeB;
-        });
+    setIsSending(true);
+    try {
+      await reportContent(target, reason.trim(), reporter);
+      setIsOpen(false);
+      setReason('');
+      showModal("Report Sent", "Thanks for letting us know. A moderator will take a look.");
+    } catch (error) {
+      showModal("Error", error.message);
+    }
+    setIsSending(false);
+  };
 
-        setComments(commentList);
+  return (
+    <>
+      <button
+        onClick={() => setIsOpen(true)}
+        className={`flex items-center text-gray-400 hover:text-red-500 transition-colors ${className}`}
+        title="Report"
+      >
+        <Flag size={label ? 18 : 14} className={label ? 'mr-1' : ''} />
+        {label}
+      </button>
+      {isOpen && (
+        <div className="fixed inset-0 bg-black bg-opacity-75 backdrop-blur-sm z-50 flex justify-center items-center p-4">
+          <div className="bg-white rounded-xl shadow-2xl w-full max-w-md">
+            <div className="flex justify-between items-center p-4 border-b border-gray-200">
+              <h3 className="text-lg font-semibold text-gray-900">Report {target.type === 'user' ? target.ownerName : `this ${target.type}`}</h3>
+              <button onClick={() => setIsOpen(false)} className="text-gray-400 hover:text-gray-600">
+                <X size={24} />
+              </button>
+            </div>
+            <form onSubmit={handleSubmit} className="p-4 space-y-4">
+              {target.excerpt && (
+                <p className="text-sm text-gray-600 bg-gray-50 p-3 rounded-md line-clamp-3">"{target.excerpt}"</p>
+              )}
+              <textarea
+                value={reason}
+                onChange={(e) => setReason(e.target.value)}
+                rows="3"
+                placeholder="What's wrong with it?"
+                className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-emerald-500 focus:border-emerald-500"
+              ></textarea>
+              <div className="flex justify-end">
+                <button
+                  type="submit"
+                  disabled={isSending || reason.trim() === ''}
+                  className="flex items-center bg-red-600 text-white px-4 py-2 rounded-md hover:bg-red-700 disabled:bg-red-300 transition-colors"
+                >
+                  {isSending ? <Loader2 className="animate-spin" /> : <Flag size={18} className="mr-1" />}
+                  Report
+                </button>
+              </div>
+            </form>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+/**
+ * Shown on content a moderator has hidden, to the few who can still see it
+ */
+const HiddenNotice = ({ isOwner }) => (
+  <p className="flex items-center text-xs font-medium text-red-700 bg-red-50 rounded-md px-2 py-1 mb-2">
+    <EyeOff size={14} className="mr-1" />
+    {isOwner ? 'Hidden by a moderator. Only you can see this.' : 'Hidden from other users.'}
+  </p>
+);
+
+/**
+ * Comment Section Component
+ */
+const CommentSection = ({ parentCollection = 'achievements', postId, userId, authorName, isAdmin = false, showModal, ownerNotification }) => {
+  const [comments, setComments] = useState([]);
+  const [newComment, setNewComment] = useState('');
+  const [isPostingComment, setIsPostingComment] = useState(false);
+  const [isLoadingComments, setIsLoadingComments] = useState(true);
+
+
+  // Listen for comments on this post
+  useEffect(() => {
+    setIsLoadingComments(true);
+    // Comments arrive sorted by creation time (oldest first)
+    const unsubscribe = subscribeComments(
+      parentCollection,
+      postId,
+      { id: userId, isAdmin },
+      (commentList) => {
+        setComments(commentList);
         setIsLoadingComments(false);
       },
       (error) => {
-        console.error("Error fetching comments:", error);
-        showModal("Error", "Could not load comments.");
+        showModal("Error", error.message);
         setIsLoadingComments(false);
       }
     );
 
     return () => unsubscribe();
-  }, [postId, showModal]);
+  }, [parentCollection, postId, userId, isAdmin, showModal]);
+
+  // Moderators still see hidden comments, and so do their authors
+  const visibleComments = comments.filter(c => !c.hidden || c.authorId === userId || isAdmin);
 
   // Handle posting a new comment
   const handlePostComment = async (e) => {
@@ -813,22 +1533,23 @@ const CommentSection = ({ postId, userId, authorName, showModal }) => {
 
     setIsPostingComment(true);
     try {
-      const commentsColRef = collection(
-        db,
-        `artifacts/${appId}/public/data/achievements`,
-        postId,
-        'comments'
-      );
-      await addDoc(commentsColRef, {
+      const commentRef = await createComment(parentCollection, postId, {
         text: newComment,
         authorId: userId,
         authorName: authorName,
-        createdAt: serverTimestamp(),
       });
       setNewComment('');
+      if (ownerNotification) {
+        notify(ownerNotification.recipientId, {
+          type: 'comment',
+          actor: { id: userId, name: authorName },
+          text: ownerNotification.text,
+          page: ownerNotification.page,
+          about: { parentCollection, parentId: postId, commentId: commentRef.id },
+        });
+      }
     } catch (error) {
-      console.error("Error posting comment:", error);
-      showModal("Error", "Could not post your comment.");
+      showModal("Error", error.message);
     }
     setIsPostingComment(false);
   };
@@ -856,22 +1577,40 @@ const CommentSection = ({ postId, userId, authorName, showModal }) => {
       {/* Comment List */}
       <div className="space-y-3">
         {isLoadingComments && <LoadingSpinner size={20} />}
-        {!isLoadingComments && comments.length === 0 && (
+        {!isLoadingComments && visibleComments.length === 0 && (
           <p className="text-xs text-gray-500 text-center">No comments yet.</p>
         )}
-        {comments.map((comment) => (
+        {visibleComments.map((comment) => (
           <div key={comment.id} className="flex items-start space-x-2">
             <div className="flex-shrink-0 bg-gray-100 rounded-full h-8 w-8 flex items-center justify-center">
               <User size={16} className="text-gray-500" />
             </div>
             <div className="flex-grow bg-gray-50 p-3 rounded-lg">
+              {comment.hidden && <HiddenNotice isOwner={comment.authorId === userId} />}
               <div className="flex items-center justify-between">
                 <span className="text-sm font-semibold text-gray-800">
                   {comment.authorName}
                 </span>
-                <span className="text-xs text-gray-400">
-                  {timeAgo(comment.createdAt)}
-                </span>
+                <div className="flex items-center space-x-2">
+                  <span className="text-xs text-gray-400">
+                    {timeAgo(comment.createdAt, '')}
+                  </span>
+                  {comment.authorId !== userId && (
+                    <ReportButton
+                      target={{
+                        type: 'comment',
+                        id: comment.id,
+                        parentCollection,
+                        parentId: postId,
+                        ownerId: comment.authorId,
+                        ownerName: comment.authorName,
+                        excerpt: comment.text.slice(0, 280),
+                      }}
+                      reporter={{ id: userId, name: authorName }}
+                      showModal={showModal}
+                    />
+                  )}
+                </div>
               </div>
               <p className="text-sm text-gray-700 mt-1">{comment.text}</p>
             </div>
@@ -883,196 +1622,682 @@ const CommentSection = ({ postId, userId, authorName, showModal }) => {
 };
 
 
+// --- CollabBot ---
+
+const COLLABBOT_GREETING = "Hello! I'm CollabBot. How can I help you with your projects or collaborations today?";
+
+// Tool calls allowed per answer; the last round must answer in text.
+const BOT_TOOL_ROUNDS = 4;
+
 /**
- * AI Assistant Page
+ * Streams CollabBot's answer, running any portal lookups it asks for and
+ * sending the results back until it answers in text.
+ * @param {object} payload - From buildBotPayload
+ * @param {object} options
+ * @param {string} options.userId - The signed-in user, for their own data
+ * @param {AbortSignal} options.signal
+ * @param {(progress: {text: string, toolCalls: object[]}) => void} options.onProgress
+ * @returns {Promise<{text: string, toolCalls: Array<{name: string, args: object}>}>}
+ *   On failure the error's `partialText` and `toolCalls` hold what happened so far.
  */
-const AIAssistantPage = ({ showModal }) => {
-  const [chatHistory, setChatHistory] = useState([
-    {
-      role: "model",
-      parts: [{ text: "Hello! I'm CollabBot. How can I help you with your projects or collaborations today?" }]
+const runCollabBot = async (payload, { userId, signal, onProgress }) => {
+  let contents = payload.contents;
+  let text = '';
+  const toolCalls = [];
+
+  try {
+    for (let round = 1; round <= BOT_TOOL_ROUNDS; round++) {
+      const lastRound = round === BOT_TOOL_ROUNDS;
+      const before = text;
+      const result = await streamText(
+        'collabBot',
+        {
+          ...payload,
+          contents,
+          ...(lastRound && { toolConfig: { functionCallingConfig: { mode: 'NONE' } } })
+        },
+        {
+          signal,
+          onText: (roundText) => {
+            text = before + roundText;
+            onProgress({ text, toolCalls });
+          }
+        }
+      ).catch((error) => {
+        text = before + (error.partialText || '');
+        throw error;
+      });
+      text = before + result.text;
+      if (result.functionCalls.length === 0) break;
+
+      const calls = result.functionCalls.map(part => ({ name: part.functionCall.name, args: part.functionCall.args || {} }));
+      toolCalls.push(...calls);
+      onProgress({ text, toolCalls });
+      const responses = await Promise.all(calls.map(async ({ name, args }) => ({
+        functionResponse: { name, response: await runBotTool(name, args, userId) }
+      })));
+      if (signal.aborted) throw new DOMException("The request was stopped.", "AbortError");
+
+      contents = [
+        ...contents,
+        { role: "model", parts: [...(result.text ? [{ text: result.text }] : []), ...result.functionCalls] },
+        { role: "user", parts: responses }
+      ];
     }
-  ]);
+  } catch (error) {
+    error.partialText = text;
+    error.toolCalls = toolCalls;
+    throw error;
+  }
+
+  if (!text) {
+    throw new Error("Invalid response from API. Check console for details.");
+  }
+  return { text, toolCalls };
+};
+
+/**
+ * One chat bubble. `status` marks an answer that is still streaming or was
+ * cut short; `toolCalls` are the portal lookups made for it.
+ */
+const BotChatBubble = ({ role, text, status, toolCalls = [] }) => (
+  <div className={`flex ${role === 'user' ? 'justify-end' : 'justify-start'}`}>
+    <div className={`flex items-start space-x-2 min-w-0 ${role === 'user' ? 'max-w-xs lg:max-w-md flex-row-reverse space-x-reverse' : 'max-w-full lg:max-w-2xl'}`}>
+       <div className={`flex-shrink-0 h-8 w-8 rounded-full flex items-center justify-center ${role === 'user' ? 'bg-emerald-600' : 'bg-gray-200'}`}>
+        {role === 'user' ? (
+          <User size={16} className="text-white" />
+        ) : (
+          <Bot size={16} className="text-gray-600" />
+        )}
+       </div>
+       <div className={`min-w-0 px-4 py-2 rounded-lg ${role === 'user' ? 'bg-emerald-600 text-white' : 'bg-gray-100 text-gray-800'}`}>
+         {toolCalls.length > 0 && (
+           <ul className="mb-2 space-y-1">
+             {toolCalls.map((call, index) => (
+               <li key={index} className="flex items-center space-x-1 text-xs text-gray-500">
+                 <Wrench size={12} className="flex-shrink-0" />
+                 <span>{describeBotToolCall(call)}</span>
+               </li>
+             ))}
+           </ul>
+         )}
+         {status === 'streaming' && !text ? (
+           <Loader2 size={16} className="animate-spin" />
+         ) : role === 'user' ? (
+           <p className="whitespace-pre-wrap">{text}</p>
+         ) : (
+           <>
+             <Markdown>{text}</Markdown>
+             {status === 'streaming' && <span className="inline-block w-2 h-4 mt-1 bg-gray-500 animate-pulse" />}
+           </>
+         )}
+         {status === 'stopped' && (
+           <p className="mt-1 text-xs text-gray-500">Stopped.</p>
+         )}
+         {status === 'interrupted' && (
+           <p className="mt-1 text-xs text-amber-700">The connection dropped, so this answer is incomplete. Ask again to get the rest.</p>
+         )}
+       </div>
+    </div>
+  </div>
+);
+
+/**
+ * The list of saved chats, with rename and delete. Beside the chat on wider
+ * screens; on phones it takes the chat's place while `isOpen`.
+ */
+const BotChatSidebar = ({ userId, chats, chatId, isOpen, isLoading, showModal, setPage }) => {
+  const [renamingId, setRenamingId] = useState(null);
+  const [renameText, setRenameText] = useState('');
+
+  const startRename = (chat) => {
+    setRenamingId(chat.id);
+    setRenameText(chat.title);
+  };
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    const title = renameText.trim();
+    if (!title) return;
+    try {
+      await renameBotChat(userId, renamingId, title);
+      setRenamingId(null);
+    } catch (error) {
+      showModal("Error", error.message);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    try {
+      await deleteBotChat(userId, id);
+      if (id === chatId) setPage({ name: 'ai_assistant' });
+    } catch (error) {
+      showModal("Error", error.message);
+    }
+  };
+
+  return (
+    <aside className={`${isOpen ? 'flex' : 'hidden'} md:flex w-full md:w-64 flex-shrink-0 flex-col border-r border-gray-100`}>
+      <div className="p-3 border-b border-gray-100">
+        <button
+          onClick={() => setPage({ name: 'ai_assistant' })}
+          className="w-full flex items-center justify-center space-x-2 bg-emerald-600 text-white px-3 py-2 rounded-md hover:bg-emerald-700 text-sm font-medium"
+        >
+          <Plus size={16} />
+          <span>New chat</span>
+        </button>
+      </div>
+      <div className="flex-grow overflow-y-auto">
+        {isLoading && <LoadingSpinner size={24} />}
+        {!isLoading && chats.length === 0 && (
+          <p className="text-center text-sm text-gray-500 p-4">Your chats will appear here.</p>
+        )}
+        {chats.map((chat) => (
+          <div
+            key={chat.id}
+            className={`group border-b border-gray-50 ${chat.id === chatId ? 'bg-emerald-50' : 'hover:bg-gray-50'}`}
+          >
+            {renamingId === chat.id ? (
+              <form onSubmit={handleRename} className="flex items-center p-2 space-x-1">
+                <input
+                  type="text"
+                  value={renameText}
+                  onChange={(e) => setRenameText(e.target.value)}
+                  maxLength={200}
+                  autoFocus
+                  className="flex-grow min-w-0 px-2 py-1 text-sm border border-gray-300 rounded focus:outline-none focus:ring-1 focus:ring-emerald-500"
+                />
+                <button type="submit" title="Save" className="text-emerald-600 hover:text-emerald-800 p-1">
+                  <Check size={16} />
+                </button>
+                <button type="button" title="Cancel" onClick={() => setRenamingId(null)} className="text-gray-400 hover:text-gray-600 p-1">
+                  <X size={16} />
+                </button>
+              </form>
+            ) : (
+              <div className="flex items-center">
+                <button
+                  onClick={() => setPage({ name: 'ai_assistant', props: { chatId: chat.id } })}
+                  className="flex-grow min-w-0 text-left px-3 py-2"
+                >
+                  <p className="text-sm font-medium text-gray-800 truncate">{chat.title}</p>
+                  <p className="text-xs text-gray-400">{timeAgo(chat.updatedAt)}</p>
+                </button>
+                <div className="flex-shrink-0 flex pr-2 md:opacity-0 md:group-hover:opacity-100 md:focus-within:opacity-100">
+                  <button onClick={() => startRename(chat)} title="Rename" className="text-gray-400 hover:text-gray-700 p-1">
+                    <Edit size={14} />
+                  </button>
+                  <button onClick={() => handleDelete(chat.id)} title="Delete" className="text-gray-400 hover:text-red-600 p-1">
+                    <Trash2 size={14} />
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        ))}
+      </div>
+    </aside>
+  );
+};
+
+
+/**
+ * AI Assistant Page
+ */
+const AIAssistantPage = ({ userId, chatId, showModal, setPage }) => {
+  const [chats, setChats] = useState([]);
+  const [chatsLoading, setChatsLoading] = useState(true);
+  const [chat, setChat] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [messagesLoading, setMessagesLoading] = useState(false);
+  // The answer being streamed: {chatId, text, status}
+  const [pending, setPending] = useState(null);
   const [newMessage, setNewMessage] = useState('');
   const [isLoading, setIsLoading] = useState(false);
+  // Phones show the chat list in place of the chat
+  const [isChatListOpen, setIsChatListOpen] = useState(false);
+  const ai = useAiAvailability();
   const chatEndRef = React.useRef(null);
+  // Aborts the answer being streamed (stop button, or leaving the page)
+  const abortRef = useRef(null);
 
-  // System instruction for the chatbot
-  const systemInstruction = {
-    role: "system",
-    parts: [{ text: "You are 'CollabBot,' a helpful AI assistant for the CollabNest college portal. Your goal is to help students connect, find collaborators, and get tips on their projects. Be friendly, encouraging, and concise. Your name is CollabBot. If users need administrative help or support, they can contact collabnest.iilm@gmail.com." }]
-  };
+  useEffect(() => () => abortRef.current?.abort(), []);
+
+  // Listen for the user's chats
+  useEffect(() => {
+    if (!userId) return;
+    const unsubscribe = subscribeBotChats(userId, (list) => {
+      setChats(list);
+      setChatsLoading(false);
+    }, (error) => {
+      showModal("Error", error.message);
+      setChatsLoading(false);
+    });
+    return () => unsubscribe();
+  }, [userId, showModal]);
+
+  // Listen for the open chat and its messages
+  useEffect(() => {
+    setChat(null);
+    setMessages([]);
+    if (!userId || !chatId) return;
+
+    setMessagesLoading(true);
+    const unsubscribeChat = subscribeBotChat(userId, chatId, setChat, (error) => showModal("Error", error.message));
+    const unsubscribeMessages = subscribeBotMessages(userId, chatId, (list) => {
+      setMessages(list);
+      setMessagesLoading(false);
+    }, (error) => {
+      showModal("Error", error.message);
+      setMessagesLoading(false);
+    });
+    return () => {
+      unsubscribeChat();
+      unsubscribeMessages();
+    };
+  }, [userId, chatId, showModal]);
+
+  const visiblePending = pending && pending.chatId === chatId ? pending : null;
 
   // Scroll to bottom of chat
   useEffect(() => {
     chatEndRef.current?.scrollIntoView({ behavior: "smooth" });
-  }, [chatHistory]);
+  }, [messages, visiblePending?.text]);
+
+  // Titles the chat and folds old turns into its summary. Best effort: the
+  // answer is already saved, so failures are only logged.
+  const tidyUpChat = async (id, history, chatAtSend, question, answer) => {
+    const all = [...history, { role: 'user', text: question }, { role: 'model', text: answer }];
+    try {
+      if (history.length === 0) {
+        const title = await generateBotChatTitle(question);
+        if (title) await renameBotChat(userId, id, title, false);
+      }
+      const folded = await summarizeBotChat(all, chatAtSend);
+      if (folded) await saveBotChatSummary(userId, id, folded.summary, folded.summarizedCount);
+    } catch (error) {
+      console.error("CollabBot chat upkeep failed:", error);
+    }
+  };
 
   const handleSendMessage = async (e) => {
     e.preventDefault();
-    if (newMessage.trim() === '' || isLoading) return;
+    const question = newMessage.trim();
+    if (question === '' || isLoading || !ai.available) return;
 
-    const userMessage = {
-      role: "user",
-      parts: [{ text: newMessage }]
-    };
-    
-    // Add user message to chat
-    setChatHistory(prevHistory => [...prevHistory, userMessage]);
+    const history = chatId ? messages : [];
+    const chatAtSend = chatId ? chat : null;
     setNewMessage('');
     setIsLoading(true);
 
+    // Save the question first, starting a new chat if needed
+    let id = chatId;
+    let questionId;
     try {
-      // Construct the payload for Gemini
-      const payload = {
-        contents: [...chatHistory, userMessage],
-        systemInstruction: systemInstruction
-      };
-      
-      const responseText = await callGeminiApi(payload);
-      
-      const modelMessage = {
-        role: "model",
-        parts: [{ text: responseText }]
-      };
-      
-      // Add model response to chat
-      setChatHistory(prevHistory => [...prevHistory, modelMessage]);
+      if (!id) {
+        id = await createBotChat(userId, draftBotChatTitle(question));
+        setPage({ name: 'ai_assistant', props: { chatId: id } });
+      }
+      setPending({ chatId: id, text: '', status: 'streaming', toolCalls: [] });
+      questionId = await addBotMessage(userId, id, { role: 'user', text: question });
+    } catch (error) {
+      showModal("Error", error.message);
+      setNewMessage(question);
+      setPending(null);
+      setIsLoading(false);
+      return;
+    }
+
+    const controller = new AbortController();
+    abortRef.current = controller;
+    try {
+      const payload = buildBotPayload([...history, { role: 'user', text: question }], chatAtSend);
+      const { text: answer, toolCalls } = await runCollabBot(payload, {
+        userId,
+        signal: controller.signal,
+        onProgress: (progress) => setPending({ chatId: id, status: 'streaming', ...progress, toolCalls: [...progress.toolCalls] })
+      });
+      const saving = addBotMessage(userId, id, { role: 'model', text: answer, toolCalls });
+      setPending(null);
+      await saving;
+      tidyUpChat(id, history, chatAtSend, question, answer);
 
     } catch (error) {
-      console.error("Gemini chat error:", error);
-      showModal("AI Error", "Sorry, I couldn't get a response from the assistant. Please try again.\n\n" + error.message);
-      
-      // Remove the user's message if the call failed
-      setChatHistory(prevHistory => prevHistory.slice(0, prevHistory.length - 1));
+      const partialText = error.partialText || '';
+      setPending(null);
+      try {
+        if (partialText) {
+          // Keep what arrived and mark where it ended
+          await addBotMessage(userId, id, {
+            role: 'model',
+            text: partialText,
+            status: controller.signal.aborted ? 'stopped' : 'interrupted',
+            toolCalls: error.toolCalls || []
+          });
+        } else {
+          // Nothing arrived: take the question back so it can be re-sent
+          await deleteBotMessage(userId, id, questionId);
+          setNewMessage(question);
+          if (!controller.signal.aborted) {
+            console.error("Gemini chat error:", error);
+            showModal("AI Error", "Sorry, I couldn't get a response from the assistant. Please try again.\n\n" + error.message);
+          }
+        }
+      } catch (saveError) {
+        showModal("Error", saveError.message);
+      }
     }
+    abortRef.current = null;
     setIsLoading(false);
   };
 
+  const handleStop = () => {
+    abortRef.current?.abort();
+  };
+
+  const chatMissing = Boolean(chatId) && !messagesLoading && !chat && chats.every(c => c.id !== chatId);
+
   return (
-    <div className="max-w-4xl mx-auto p-4 sm:p-6 lg:p-8 flex flex-col" style={{ height: 'calc(100vh - 8rem)' }}>
-      <h2 className="text-3xl font-bold text-gray-900 mb-6">
-        AI Assistant
-      </h2>
-      
-      {/* Chat Messages */}
-      <div className="flex-grow bg-white p-6 rounded-xl shadow-lg mb-6 overflow-y-auto">
-        <div className="space-y-4">
-          {chatHistory.map((message, index) => (
-            <div key={index} className={`flex ${message.role === 'user' ? 'justify-end' : 'justify-start'}`}>
-              <div className={`flex items-start space-x-2 max-w-xs lg:max-w-md ${message.role === 'user' ? 'flex-row-reverse space-x-reverse' : ''}`}>
-                 <div className={`flex-shrink-0 h-8 w-8 rounded-full flex items-center justify-center ${message.role === 'user' ? 'bg-emerald-600' : 'bg-gray-200'}`}>
-                  {message.role === 'user' ? (
-                    <User size={16} className="text-white" />
-                  ) : (
-                    <Bot size={16} className="text-gray-600" />
-                  )}
-                 </div>
-                 <div className={`px-4 py-2 rounded-lg ${message.role === 'user' ? 'bg-emerald-600 text-white' : 'bg-gray-100 text-gray-800'}`}>
-                   <p className="whitespace-pre-wrap">{message.parts[0].text}</p>
-                 </div>
-              </div>
-            </div>
-          ))}
-          {isLoading && (
-            <div className="flex justify-start">
-              <div className="flex items-start space-x-2">
-                 <div className="flex-shrink-0 h-8 w-8 rounded-full flex items-center justify-center bg-gray-200">
-                    <Bot size={16} className="text-gray-600" />
-                 </div>
-                 <div className="px-4 py-2 rounded-lg bg-gray-100 text-gray-800">
-                   <Loader2 size={16} className="animate-spin" />
-                 </div>
-              </div>
+    <div className="max-w-6xl mx-auto p-4 sm:p-6 lg:p-8 flex flex-col" style={{ height: 'calc(100vh - 8rem)' }}>
+      <div className="flex items-center justify-between mb-6">
+        <h2 className="text-3xl font-bold text-gray-900 truncate">
+          {chat?.title || 'AI Assistant'}
+        </h2>
+        <div className="md:hidden flex items-center space-x-4">
+          {chatId && (
+            <button
+              onClick={() => setPage({ name: 'ai_assistant' })}
+              className="flex items-center space-x-1 text-emerald-600 font-medium"
+            >
+              <Plus size={18} />
+              <span>New chat</span>
+            </button>
+          )}
+          <button
+            onClick={() => setIsChatListOpen(!isChatListOpen)}
+            className="flex items-center space-x-1 text-emerald-600 font-medium"
+          >
+            <MessageSquare size={18} />
+            <span>{isChatListOpen ? 'Back' : 'Chats'}</span>
+          </button>
+        </div>
+      </div>
+
+      <div className="flex-grow flex min-h-0 bg-white rounded-xl shadow-lg mb-6 overflow-hidden">
+        <BotChatSidebar
+          userId={userId}
+          chats={chats}
+          chatId={chatId}
+          isOpen={isChatListOpen}
+          isLoading={chatsLoading}
+          showModal={showModal}
+          setPage={(next) => {
+            setIsChatListOpen(false);
+            setPage(next);
+          }}
+        />
+
+        {/* Chat Messages */}
+        <div className={`${isChatListOpen ? 'hidden md:block' : ''} flex-grow p-6 overflow-y-auto`}>
+          {chatMissing ? (
+            <p className="text-center text-gray-500">This chat no longer exists.</p>
+          ) : (
+            <div className="space-y-4">
+              <BotChatBubble role="model" text={COLLABBOT_GREETING} />
+              {messagesLoading && <LoadingSpinner size={24} />}
+              {messages.map((message) => (
+                <BotChatBubble
+                  key={message.id}
+                  role={message.role}
+                  text={message.text}
+                  status={message.status}
+                  toolCalls={message.toolCalls}
+                />
+              ))}
+              {visiblePending && (
+                <BotChatBubble
+                  role="model"
+                  text={visiblePending.text}
+                  status={visiblePending.status}
+                  toolCalls={visiblePending.toolCalls}
+                />
+              )}
+              <div ref={chatEndRef} />
             </div>
           )}
-          <div ref={chatEndRef} />
         </div>
       </div>
 
       {/* Chat Input Form */}
+      <AiUnavailableNote availability={ai} className="mb-2" />
       <form onSubmit={handleSendMessage} className="flex space-x-2">
         <input
           type="text"
           value={newMessage}
           onChange={(e) => setNewMessage(e.target.value)}
           placeholder="Ask CollabBot anything..."
+          disabled={chatMissing || !ai.available}
           className="flex-grow px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
         />
-        <button
-          type="submit"
-          disabled={isLoading}
-          className="flex-shrink-0 bg-emerald-600 text-white px-4 py-2 rounded-md hover:bg-emerald-700 flex items-center justify-center transition-colors disabled:bg-emerald-300"
-        >
-          {isLoading ? <Loader2 size={18} className="animate-spin" /> : <Send size={18} />}
-        </button>
+        {isLoading ? (
+          <button
+            type="button"
+            onClick={handleStop}
+            title="Stop generating"
+            className="flex-shrink-0 bg-gray-700 text-white px-4 py-2 rounded-md hover:bg-gray-800 flex items-center justify-center transition-colors"
+          >
+            <Square size={18} />
+          </button>
+        ) : (
+          <button
+            type="submit"
+            disabled={chatMissing || !ai.available}
+            title={ai.reason || undefined}
+            className="flex-shrink-0 bg-emerald-600 text-white px-4 py-2 rounded-md hover:bg-emerald-700 flex items-center justify-center transition-colors disabled:bg-emerald-300"
+          >
+            <Send size={18} />
+          </button>
+        )}
       </form>
     </div>
   );
 };
 
+// --- Achievement Feed ---
+
+const FEED_PAGE_SIZE = 20;
+// The banner counts new posts up to this many ("20+ new posts")
+const FEED_NEW_POSTS_LIMIT = 20;
+
+const FEED_TABS = [
+  { value: 'everyone', label: 'Everyone' },
+  { value: 'course', label: 'My course' },
+  { value: 'following', label: 'People I follow' },
+];
+
+/**
+ * The achievement feed for a filter (null shows nothing), loaded a page at
+ * a time and kept live. Posts made after the feed was loaded aren't added
+ * to it, so it doesn't jump; they're in `newPosts` until `refresh()`.
+ * "After" is by the newest post's server timestamp, not the device's clock,
+ * so a clock running slow can't leave a post out of both.
+ */
+const useFeed = (filter) => {
+  // Tagged with its filter, so a new filter never loads against the old anchor
+  const [anchor, setAnchor] = useState({ filter: null, at: null });
+  const [refreshCount, setRefreshCount] = useState(0);
+  const [pages, setPages] = useState([]);
+  const [pageCount, setPageCount] = useState(1);
+  const [newPosts, setNewPosts] = useState([]);
+  const [error, setError] = useState('');
+  const unsubscribesRef = useRef([]);
+  const listenPageRef = useRef(null);
+  const anchorAt = anchor.filter === filter ? anchor.at : null;
+
+  useEffect(() => {
+    setAnchor({ filter, at: null });
+    setError('');
+    if (!filter) return;
+    let isCurrent = true;
+    getNewestFeedPostTime(filter)
+      // With no posts yet, every post is a new one
+      .then((newest) => {
+        if (isCurrent) setAnchor({ filter, at: newest || new Date(0) });
+      })
+      .catch((err) => {
+        if (isCurrent) setError(err.message);
+      });
+    return () => {
+      isCurrent = false;
+    };
+  }, [filter, refreshCount]);
+
+  useEffect(() => {
+    setPages([]);
+    setPageCount(1);
+    if (!anchorAt) return;
+
+    const listenPage = (index, after) => {
+      unsubscribesRef.current[index] = subscribeFeedPage(
+        filter,
+        { before: anchorAt, after, count: FEED_PAGE_SIZE },
+        (page) => setPages(prev => {
+          const next = [...prev];
+          next[index] = page;
+          return next;
+        }),
+        (err) => setError(err.message)
+      );
+    };
+    listenPageRef.current = listenPage;
+    listenPage(0, null);
+
+    return () => {
+      unsubscribesRef.current.forEach(unsubscribe => unsubscribe?.());
+      unsubscribesRef.current = [];
+    };
+  }, [filter, anchorAt]);
+
+  useEffect(() => {
+    setNewPosts([]);
+    if (!anchorAt) return;
+    const unsubscribe = subscribeNewFeedPosts(filter, anchorAt, FEED_NEW_POSTS_LIMIT, setNewPosts, () => {});
+    return () => unsubscribe();
+  }, [filter, anchorAt]);
+
+  const loadedPages = pages.filter(Boolean).length;
+  const lastPage = pages[pageCount - 1];
+
+  const loadMore = () => {
+    if (!lastPage?.next || loadedPages < pageCount) return;
+    listenPageRef.current(pageCount, lastPage.next);
+    setPageCount(pageCount + 1);
+  };
+
+  // A post can slip onto the next page while the pages are live
+  const posts = [...new Map(pages.flatMap(page => page?.posts || []).map(post => [post.id, post])).values()];
+
+  return {
+    posts,
+    newPosts,
+    error,
+    isLoading: Boolean(filter) && !pages[0] && !error,
+    isLoadingMore: pageCount > 1 && loadedPages < pageCount,
+    hasMore: Boolean(lastPage?.next),
+    loadMore,
+    refresh: () => setRefreshCount(count => count + 1),
+  };
+};
 
 /**
- * Dashboard Page (Achievements Feed)
+ * Dashboard Page (Achievements Feed). `?feed=course` or `?feed=following`
+ * picks a tab. `?post=<id>` scrolls to and highlights a post (e.g. from a
+ * search result), fetching it if it isn't loaded; `&comments=1` also opens
+ * its comments.
  */
-const DashboardPage = ({ userId, user, showModal }) => {
-  const [achievements, setAchievements] = useState([]);
+const DashboardPage = ({ userId, user, profile, query, showModal, setPage }) => {
+  const [announcements, setAnnouncements] = useState([]);
   const [newAchievement, setNewAchievement] = useState('');
-  const [isLoading, setIsLoading] = useState(false);
+  const [isAnnouncement, setIsAnnouncement] = useState(false);
   const [isPosting, setIsPosting] = useState(false);
   const [authorName, setAuthorName] = useState('...');
   const [expandedCommentPostId, setExpandedCommentPostId] = useState(null);
+  const [focusPost, setFocusPost] = useState(null);
+  const feedTopRef = useRef(null);
+
+  const focusPostId = query?.get('post') || null;
+  const focusComments = query?.get('comments') === '1';
+  const tab = FEED_TABS.some(t => t.value === query?.get('feed')) ? query.get('feed') : 'everyone';
+
+  // The feed queries at most 30 authors, so it follows the latest 30 follows
+  const myCourse = profile?.course || '';
+  const following = profile?.following || [];
+  const followedKey = following.slice(-FEED_MAX_AUTHORS).join(',');
+  // Only moderators' queries may include hidden posts
+  const includeHidden = profile?.role === 'admin';
+  const feedFilter = useMemo(() => {
+    if (tab === 'course') return myCourse ? { course: myCourse, includeHidden } : null;
+    if (tab === 'following') return followedKey ? { authorIds: followedKey.split(','), includeHidden } : null;
+    return { includeHidden };
+  }, [tab, myCourse, followedKey, includeHidden]);
+  const feed = useFeed(feedFilter);
 
   // Fetch current user's name for posting
   useEffect(() => {
     if (userId) {
       const fetchUserName = async () => {
-        const userRef = doc(db, `artifacts/${appId}/public/data/users`, userId);
-        const docSnap = await getDoc(userRef);
-        if (docSnap.exists()) {
-          setAuthorName(docSnap.data().name);
+        const profile = await getUser(userId);
+        if (profile) {
+          setAuthorName(profile.name);
         }
       };
       fetchUserName();
     }
   }, [userId]);
 
-  // Listen for new achievements
+  const isTeacher = profile?.role === 'teacher';
+  const isAdmin = profile?.role === 'admin';
+
+  // Listen for teacher announcements (pinned above the feed)
   useEffect(() => {
-    setIsLoading(true);
-    const achievementsCol = collection(
-      db,
-      `artifacts/${appId}/public/data/achievements`
-    );
-    const q = query(achievementsCol);
-
-    const unsubscribe = onSnapshot(
-      q,
-      (querySnapshot) => {
-        const docs = [];
-        querySnapshot.forEach((doc) => {
-          docs.push({ id: doc.id, ...doc.data() });
-        });
+    const unsubscribe = subscribeAnnouncements(setAnnouncements, (error) => {
+      showModal("Error", error.message);
+    });
+    return () => unsubscribe();
+  }, [showModal]);
 
-        // Sort in memory (newest first)
-        const sortedDocs = docs.sort((a, b) => {
-          const timeA = a.createdAt?.toDate() || 0;
-          const timeB = b.createdAt?.toDate() || 0;
-          return timeB - timeA;
-        });
+  useEffect(() => {
+    if (focusPostId && focusComments) setExpandedCommentPostId(focusPostId);
+  }, [focusPostId, focusComments]);
 
-        setAchievements(sortedDocs);
-        setIsLoading(false);
-      },
-      (error) => {
-        console.error("Error fetching achievements:", error);
-        showModal("Error", "Could not load achievements feed.");
-        setIsLoading(false);
-      }
-    );
+  // The focused post may be older than the pages loaded so far
+  useEffect(() => {
+    setFocusPost(null);
+    if (!focusPostId) return;
+    let isCurrent = true;
+    getAchievement(focusPostId)
+      .then((post) => {
+        if (isCurrent) setFocusPost(post);
+      })
+      .catch(() => {});
+    return () => {
+      isCurrent = false;
+    };
+  }, [focusPostId]);
 
-    return () => unsubscribe();
-  }, [showModal]);
+  // Scroll to the focused post once the feed has loaded
+  useEffect(() => {
+    if (!focusPostId || feed.isLoading) return;
+    document.getElementById(`post-${focusPostId}`)?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+  }, [focusPostId, feed.isLoading, focusPost]);
+
+  const showTab = (value) =>
+    setPage({ name: 'dashboard', query: value === 'everyone' ? '' : new URLSearchParams({ feed: value }).toString() });
+
+  const showNewPosts = () => {
+    feed.refresh();
+    feedTopRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  };
 
   const handlePostAchievement = async (e) => {
     e.preventDefault();
@@ -1084,49 +2309,51 @@ const DashboardPage = ({ userId, user, showModal }) => {
     setIsPosting(true);
 
     try {
-      const achievementsCol = collection(
-        db,
-        `artifacts/${appId}/public/data/achievements`
-      );
-      await addDoc(achievementsCol, {
-        content: newAchievement,
-        imageUrl: '', // Empty as feature is removed
-        authorId: userId,
-        authorName: authorName,
-        authorEmail: user.email,
-        createdAt: serverTimestamp(),
-        likes: [], 
-      });
-      
-      setNewAchievement('');
-    } catch (error) {
-      console.error("Error posting achievement:", error);
-       showModal("Error", "Could not post your achievement. Please try again.");
+      if (isTeacher && isAnnouncement) {
+        await createAnnouncement({
+          content: newAchievement,
+          authorId: userId,
+          authorName: authorName,
+        });
+      } else {
+        await createAchievement({
+          content: newAchievement,
+          authorId: userId,
+          authorName: authorName,
+          authorEmail: user.email,
+          authorCourse: myCourse,
+        });
+      }
+      
+      setNewAchievement('');
+      setIsAnnouncement(false);
+    } catch (error) {
+      showModal("Error", error.message);
     }
     setIsPosting(false);
   };
 
   // Handle Liking/Unliking a post
-  const handleLikePost = async (postId, currentLikes) => {
+  const handleLikePost = async (post) => {
     if (!userId) {
       showModal("Error", "You must be logged in to like a post.");
       return;
     }
-    const postRef = doc(db, `artifacts/${appId}/public/data/achievements`, postId);
-    const hasLiked = currentLikes.includes(userId);
-    let newLikes;
-
-    if (hasLiked) {
-      newLikes = currentLikes.filter(uid => uid !== userId);
-    } else {
-      newLikes = [...currentLikes, userId];
-    }
+    const hasLiked = (post.likes || []).includes(userId);
 
     try {
-      await updateDoc(postRef, { likes: newLikes });
+      await setAchievementLike(post.id, userId, !hasLiked);
+      if (!hasLiked) {
+        notify(post.authorId, {
+          type: 'like',
+          actor: { id: userId, name: authorName },
+          text: 'liked your post',
+          page: { name: 'dashboard', query: `post=${post.id}` },
+          about: { postId: post.id },
+        });
+      }
     } catch (error) {
-      console.error("Error liking post:", error);
-      showModal("Error", "Could not update like.");
+      showModal("Error", error.message);
     }
   };
  const handleDeletePost = async (postId) => {
@@ -1136,29 +2363,133 @@ const DashboardPage = ({ userId, user, showModal }) => {
     // if (!confirmed) return;
     
     try {
-      const postRef = doc(db, `artifacts/${appId}/public/data/achievements`, postId);
-      await deleteDoc(postRef);
-      // The onSnapshot listener will automatically update the UI
+      await deleteAchievement(postId);
+      // The feed subscription will automatically update the UI
+      if (postId === focusPost?.id) setFocusPost(null);
     } catch (error) {
-      console.error("Error deleting post:", error);
-      showModal("Error", "Could not delete the post.");
+      showModal("Error", error.message);
     }
   };
 
-  const timeAgo = (date) => {
-    if (!date) return 'just now';
-    const seconds = Math.floor((new Date() - date.toDate()) / 1000);
-    let interval = seconds / 31536000;
-    if (interval > 1) return Math.floor(interval) + "y ago";
-    interval = seconds / 2592000;
-    if (interval > 1) return Math.floor(interval) + "mo ago";
-    interval = seconds / 86400;
-    if (interval > 1) return Math.floor(interval) + "d ago";
-    interval = seconds / 3600;
-    if (interval > 1) return Math.floor(interval) + "h ago";
-    interval = seconds / 60;
-    if (interval > 1) return Math.floor(interval) + "m ago";
-    return "just now";
+  // Moderators still see hidden posts, and so do their authors
+  const isVisible = (post) => !post.hidden || post.authorId === userId || isAdmin;
+  // The user's own new posts go straight to the top; others wait behind the banner
+  const myNewPosts = feed.newPosts.filter(p => p.authorId === userId);
+  const visibleAchievements = [...myNewPosts, ...feed.posts.filter(isVisible)];
+  const pinnedPost = focusPost && isVisible(focusPost) && !visibleAchievements.some(p => p.id === focusPost.id) ? focusPost : null;
+  const newPostCount = feed.newPosts.length - myNewPosts.length;
+
+  const renderPost = (post) => {
+    const currentLikes = post.likes || [];
+    const hasLiked = currentLikes.includes(userId);
+
+    return (
+      <div
+        key={post.id}
+        id={`post-${post.id}`}
+        className={`bg-white p-5 rounded-xl shadow-lg relative ${post.id === focusPostId ? 'ring-2 ring-emerald-500' : ''}`}
+      >
+        {/* console.log removed */}
+        {post.authorId === userId ? (
+          <button
+            onClick={() => handleDeletePost(post.id)}
+            className="absolute top-3 right-3 text-gray-400 hover:text-red-500 transition-colors z-10"
+            title="Delete post"
+          >
+            <Trash2 size={16} />
+          </button>
+        ) : (
+          <ReportButton
+            target={{
+              type: 'achievement',
+              id: post.id,
+              ownerId: post.authorId,
+              ownerName: post.authorName,
+              excerpt: (post.content || '').slice(0, 280),
+            }}
+            reporter={{ id: userId, name: authorName }}
+            showModal={showModal}
+            className="absolute top-3 right-3 z-10"
+          />
+        )}
+        {post.hidden && <HiddenNotice isOwner={post.authorId === userId} />}
+        <div className="flex items-center mb-3">
+          <div className="flex-shrink-0 bg-emerald-100 rounded-full h-10 w-10 flex items-center justify-center">
+            <User size={20} className="text-emerald-600" />
+          </div>
+          <div className="ml-3">
+            <p className="text-sm font-semibold text-gray-900">
+              {post.authorName}
+            </p>
+            <p className="text-xs text-gray-500">
+              {timeAgo(post.createdAt)}
+            </p>
+          </div>
+        </div>
+        
+        {post.content && (
+          <Markdown className="text-gray-800">{post.content}</Markdown>
+        )}
+        
+        {/* --- Like and Comment Actions --- */}
+        <div className="flex justify-between items-center mt-4 pt-3 border-t border-gray-100">
+          <div className="flex space-x-5">
+            {/* Like Button */}
+            <button 
+              onClick={() => handleLikePost(post)} 
+              className="flex items-center space-x-1 text-gray-500 hover:text-emerald-600 transition-colors group"
+            >
+              <ThumbsUp 
+                size={18} 
+                className={`group-hover:text-emerald-600 ${hasLiked ? 'text-emerald-600 fill-emerald-600' : ''}`}
+              />
+              <span className={`text-sm group-hover:text-emerald-6D0 ${hasLiked ? 'text-emerald-600' : ''}`}>
+                {currentLikes.length} {currentLikes.length === 1 ? 'Like' : 'Likes'}
+              </span>
+            </button>
+            {/* Comment Button */}
+            <button 
+              onClick={() => setExpandedCommentPostId(post.id === expandedCommentPostId ? null : post.id)} 
+              className="flex items-center space-x-1 text-gray-500 hover:text-emerald-600 transition-colors group"
+            >
+              <MessageSquare 
+                size={18} 
+                className={`group-hover:text-emerald-600 ${expandedCommentPostId === post.id ? 'text-emerald-600' : ''}`}
+              />
+              <span className={`text-sm group-hover:text-emerald-600 ${expandedCommentPostId === post.id ? 'text-emerald-600' : ''}`}>
+                Comment
+              </span>
+            </button>
+          </div>
+        </div>
+        {/* --- END: Like and Comment Actions --- */}
+
+        {/* --- Expanded Comment Section --- */}
+        {expandedCommentPostId === post.id && (
+          <CommentSection 
+            postId={post.id} 
+            userId={userId} 
+            authorName={authorName} 
+            isAdmin={isAdmin}
+            showModal={showModal} 
+            ownerNotification={{
+              recipientId: post.authorId,
+              text: 'commented on your post',
+              page: { name: 'dashboard', query: `post=${post.id}&comments=1` },
+            }}
+          />
+        )}
+        {/* --- END: Expanded Comment Section --- */}
+      </div>
+    );
+  };
+
+  const handleDeleteAnnouncement = async (announcementId) => {
+    try {
+      await deleteAnnouncement(announcementId);
+    } catch (error) {
+      showModal("Error", error.message);
+    }
   };
 
 
@@ -1176,12 +2507,25 @@ const DashboardPage = ({ userId, user, showModal }) => {
         <textarea
           value={newAchievement}
           onChange={(e) => setNewAchievement(e.target.value)}
-          placeholder={`What have you achieved today, ${authorName.split(' ')[0]}?`}
+          placeholder={isAnnouncement
+            ? 'Write an announcement for everyone...'
+            : `What have you achieved today, ${authorName.split(' ')[0]}?`}
           className="w-full p-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-emerald-500"
           rows="3"
         ></textarea>
         
-        <div className="flex justify-end items-center mt-4">
+        <div className={`flex items-center mt-4 ${isTeacher ? 'justify-between' : 'justify-end'}`}>
+          {isTeacher && (
+            <label className="flex items-center space-x-2 text-sm text-gray-700">
+              <input
+                type="checkbox"
+                checked={isAnnouncement}
+                onChange={(e) => setIsAnnouncement(e.target.checked)}
+                className="h-4 w-4 text-emerald-600 border-gray-300 rounded focus:ring-emerald-500"
+              />
+              <span>Post as an official announcement</span>
+            </label>
+          )}
           <button
             type="submit"
             disabled={isPosting}
@@ -1197,152 +2541,163 @@ const DashboardPage = ({ userId, user, showModal }) => {
         </div>
       </form>
 
+      {/* Pinned Announcements */}
+      {announcements.length > 0 && (
+        <div className="space-y-4 mb-8">
+          {announcements.map((announcement) => (
+            <div key={announcement.id} className="bg-amber-50 border border-amber-200 p-5 rounded-xl shadow-lg relative">
+              {announcement.authorId === userId && (
+                <button
+                  onClick={() => handleDeleteAnnouncement(announcement.id)}
+                  className="absolute top-3 right-3 text-gray-400 hover:text-red-500 transition-colors z-10"
+                  title="Delete announcement"
+                >
+                  <Trash2 size={16} />
+                </button>
+              )}
+              <div className="flex items-center mb-2 text-amber-800">
+                <Pin size={16} className="mr-2" />
+                <span className="text-xs font-semibold uppercase tracking-wider">Announcement</span>
+              </div>
+              <p className="text-gray-800 whitespace-pre-wrap">{announcement.content}</p>
+              <p className="text-xs text-gray-500 mt-2">
+                {announcement.authorName} · {timeAgo(announcement.createdAt)}
+              </p>
+            </div>
+          ))}
+        </div>
+      )}
+
       {/* Feed */}
+      <div ref={feedTopRef} className="flex flex-wrap gap-2 mb-4 scroll-mt-20">
+        {FEED_TABS.map(t => (
+          <button
+            key={t.value}
+            onClick={() => showTab(t.value)}
+            className={`px-3 py-1.5 rounded-full text-sm font-medium transition-colors ${
+              tab === t.value
+                ? 'bg-emerald-600 text-white'
+                : 'bg-white text-gray-600 hover:bg-emerald-50 hover:text-emerald-700 shadow-sm'
+            }`}
+          >
+            {t.label}
+          </button>
+        ))}
+      </div>
+
+      {newPostCount > 0 && (
+        <button
+          onClick={showNewPosts}
+          className="sticky top-20 z-20 mx-auto mb-4 flex items-center bg-emerald-600 text-white text-sm font-medium px-4 py-2 rounded-full shadow-lg hover:bg-emerald-700 transition-colors"
+        >
+          <Sparkles size={16} className="mr-2" />
+          {newPostCount >= FEED_NEW_POSTS_LIMIT ? `${FEED_NEW_POSTS_LIMIT}+` : newPostCount} new {newPostCount === 1 ? 'post' : 'posts'}
+        </button>
+      )}
+
       <div className="space-y-6">
-        {isLoading ? (
+        {pinnedPost && renderPost(pinnedPost)}
+        {tab === 'course' && !myCourse ? (
+          <p className="text-center text-gray-500">Add your course to your profile to see posts from your classmates.</p>
+        ) : tab === 'following' && following.length === 0 ? (
+          <p className="text-center text-gray-500">You aren't following anyone yet. Follow people from their profiles to see their posts here.</p>
+        ) : feed.isLoading ? (
           <LoadingSpinner size={32} />
-        ) : achievements.length === 0 ? (
-          <p className="text-center text-gray-500">No achievements yet. Be the first to post!</p>
+        ) : feed.error ? (
+          <p className="text-center text-red-600">{feed.error}</p>
+        ) : visibleAchievements.length === 0 ? (
+          <p className="text-center text-gray-500">
+            {tab === 'everyone' ? 'No achievements yet. Be the first to post!' : 'No posts here yet.'}
+          </p>
         ) : (
-          achievements.map((post) => {
-            const currentLikes = post.likes || [];
-            const hasLiked = currentLikes.includes(userId);
-
-            return (
-              <div key={post.id} className="bg-white p-5 rounded-xl shadow-lg relative">
-                {/* console.log removed */}
-                {post.authorId === userId && (
-                  <button
-                    onClick={() => handleDeletePost(post.id)}
-                    className="absolute top-3 right-3 text-gray-400 hover:text-red-500 transition-colors z-10"
-                    title="Delete post"
-                  >
-                    <Trash2 size={16} />
-                  </button>
-                )}
-                <div className="flex items-center mb-3">
-                  <div className="flex-shrink-0 bg-emerald-100 rounded-full h-10 w-10 flex items-center justify-center">
-                    <User size={20} className="text-emerald-600" />
-                  </div>
-                  <div className="ml-3">
-                    <p className="text-sm font-semibold text-gray-900">
-                      {post.authorName}
-                    </p>
-                    <p className="text-xs text-gray-500">
-                      {timeAgo(post.createdAt)}
-                    </p>
-                  </div>
-                </div>
-                
-                {post.content && (
-                  <p className="text-gray-800 whitespace-pre-wrap">{post.content}</p>
-                )}
-                
-                {/* --- Like and Comment Actions --- */}
-                <div className="flex justify-between items-center mt-4 pt-3 border-t border-gray-100">
-                  <div className="flex space-x-5">
-                    {/* Like Button */}
-                    <button 
-                      onClick={() => handleLikePost(post.id, currentLikes)} 
-                      className="flex items-center space-x-1 text-gray-500 hover:text-emerald-600 transition-colors group"
-                    >
-                      <ThumbsUp 
-                        size={18} 
-                        className={`group-hover:text-emerald-600 ${hasLiked ? 'text-emerald-600 fill-emerald-600' : ''}`}
-                      />
-                      <span className={`text-sm group-hover:text-emerald-6D0 ${hasLiked ? 'text-emerald-600' : ''}`}>
-                        {currentLikes.length} {currentLikes.length === 1 ? 'Like' : 'Likes'}
-                      </span>
-                    </button>
-                    {/* Comment Button */}
-                    <button 
-                      onClick={() => setExpandedCommentPostId(post.id === expandedCommentPostId ? null : post.id)} 
-                      className="flex items-center space-x-1 text-gray-500 hover:text-emerald-600 transition-colors group"
-                    >
-                      <MessageSquare 
-                        size={18} 
-                        className={`group-hover:text-emerald-600 ${expandedCommentPostId === post.id ? 'text-emerald-600' : ''}`}
-                      />
-                      <span className={`text-sm group-hover:text-emerald-600 ${expandedCommentPostId === post.id ? 'text-emerald-600' : ''}`}>
-                        Comment
-                      </span>
-                    </button>
-                  </div>
-                </div>
-                {/* --- END: Like and Comment Actions --- */}
-
-                {/* --- Expanded Comment Section --- */}
-                {expandedCommentPostId === post.id && (
-                  <CommentSection 
-                    postId={post.id} 
-                    userId={userId} 
-                    authorName={authorName} 
-                    showModal={showModal} 
-                  />
-                )}
-                {/* --- END: Expanded Comment Section --- */}
-              </div>
-            )
-          })
+          <>
+            {tab === 'following' && following.length > FEED_MAX_AUTHORS && (
+              <p className="text-xs text-gray-500 text-center">
+                Showing posts from the {FEED_MAX_AUTHORS} people you followed most recently.
+              </p>
+            )}
+            {visibleAchievements.map(renderPost)}
+            {feed.isLoadingMore ? (
+              <LoadingSpinner size={24} />
+            ) : feed.hasMore ? (
+              <button
+                onClick={feed.loadMore}
+                className="w-full py-2 bg-white text-emerald-700 text-sm font-medium rounded-xl shadow hover:bg-emerald-50 transition-colors"
+              >
+                Load more
+              </button>
+            ) : (
+              <p className="text-center text-xs text-gray-400">You're all caught up.</p>
+            )}
+          </>
         )}
       </div>
     </div>
   );
 };
 
+// The people directory is read at most once every few minutes, however
+// often the page is opened. Keeping the same array also keeps the people
+// index built for it.
+const DIRECTORY_MAX_AGE_MS = 5 * 60 * 1000;
+let directoryCache = { people: null, loadedAt: 0 };
+
+/** @returns {Promise<import('./repository').DirectoryPerson[]>} */
+const loadPeopleDirectory = async () => {
+  if (!directoryCache.people || Date.now() - directoryCache.loadedAt > DIRECTORY_MAX_AGE_MS) {
+    directoryCache = { people: await listPeopleDirectory(), loadedAt: Date.now() };
+  }
+  return directoryCache.people;
+};
+
 /**
- * Search Page Component
+ * Search Page Component. The filters are kept in the URL, so a search can
+ * be bookmarked or shared.
  */
-const SearchPage = ({ setPage }) => {
-  const [searchTerm, setSearchTerm] = useState('');
-  const [results, setResults] = useState([]);
-  const [allUsers, setAllUsers] = useState([]);
+const SearchPage = ({ query, setPage }) => {
+  const [allUsers, setAllUsers] = useState(() => directoryCache.people || []);
   const [isLoading, setIsLoading] = useState(false);
-  const [hasSearched, setHasSearched] = useState(false);
+  const [copied, setCopied] = useState(false);
 
-  // Fetch all users on component mount to search locally
+  const filters = parseSearchFilters(query);
+  const results = searchPeople(allUsers, filters);
+  const counts = facetCounts(allUsers, filters);
+
+  // Load the people directory on mount to search locally
   useEffect(() => {
     const fetchAllUsers = async () => {
       setIsLoading(true);
       try {
-        const usersCol = collection(
-          db,
-          `artifacts/${appId}/public/data/users`
-        );
-        const userSnapshot = await getDocs(usersCol);
-        const userList = userSnapshot.docs.map((doc) => ({
-          id: doc.id,
-          ...doc.data(),
-        }));
-        setAllUsers(userList);
-      } catch (error) {
-        console.error("Error fetching all users:", error);
-        // showModal is not passed, log to console
+        setAllUsers(await loadPeopleDirectory());
+      } catch {
+        // showModal is not passed; the repository already logged the error
       }
       setIsLoading(false);
     };
     fetchAllUsers();
   }, []);
 
-  const handleSearch = (e) => {
-    e.preventDefault();
-    if (searchTerm.trim() === '') {
-      setResults([]);
-      setHasSearched(true);
-      return;
-    }
+  // Typing replaces the history entry; picking a filter adds one, so Back undoes it
+  const updateFilters = (changes, { replace = false } = {}) =>
+    navigate(pageToPath({ name: 'search', query: searchFiltersToQuery({ ...filters, ...changes }) }), { replace });
 
-    const lowerCaseSearch = searchTerm.toLowerCase();
-    const filtered = allUsers.filter((user) => {
-      const nameMatch = user.name.toLowerCase().includes(lowerCaseSearch);
-      const skillMatch = user.skills.some((skill) =>
-        skill.toLowerCase().includes(lowerCaseSearch)
-      );
-      return nameMatch || skillMatch;
+  const isSkillSelected = (skill) => filters.skills.some(s => isSameSkill(s, skill));
+
+  const toggleSkill = (skill) =>
+    updateFilters({
+      skills: isSkillSelected(skill)
+        ? filters.skills.filter(s => !isSameSkill(s, skill))
+        : [...filters.skills, skill]
     });
 
-    setResults(filtered);
-    setHasSearched(true);
+  const handleCopyLink = async () => {
+    try {
+      await navigator.clipboard.writeText(window.location.href);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 2000);
+    } catch (error) {
+      console.error("Copy failed:", error);
+    }
   };
 
   const UserCard = ({ user }) => (
@@ -1352,10 +2707,17 @@ const SearchPage = ({ setPage }) => {
        </div>
        <div className="flex-grow">
           <h4 className="text-lg font-semibold text-gray-900">{user.name}</h4>
-          <p className="text-sm text-gray-600 capitalize">{user.role}</p>
+          <p className="text-sm text-gray-600 capitalize">
+            {user.role}
+            {user.course && <span className="normal-case text-gray-400"> · {user.course}</span>}
+            {user.semester && <span className="normal-case text-gray-400"> · {user.semester} sem</span>}
+          </p>
           <div className="mt-2 flex flex-wrap gap-2">
             {user.skills.slice(0, 5).map((skill, index) => (
-              <span key={index} className="px-2 py-0.5 bg-emerald-100 text-emerald-800 text-xs font-medium rounded-full">
+              <span
+                key={index}
+                className={`px-2 py-0.5 text-xs font-medium rounded-full ${isSkillSelected(skill) ? 'bg-emerald-600 text-white' : 'bg-emerald-100 text-emerald-800'}`}
+              >
                 {skill}
               </span>
             ))}
@@ -1377,44 +2739,170 @@ const SearchPage = ({ setPage }) => {
     </div>
   );
 
+  const facetButtonClass = (active) =>
+    `w-full flex justify-between items-center px-3 py-1.5 rounded-md text-sm transition-colors ${
+      active ? 'bg-emerald-600 text-white' : 'text-gray-700 hover:bg-emerald-50 hover:text-emerald-700'
+    }`;
+
   return (
-    <div className="max-w-4xl mx-auto p-4 sm:p-6 lg:p-8">
+    <div className="max-w-6xl mx-auto p-4 sm:p-6 lg:p-8">
       <h2 className="text-3xl font-bold text-gray-900 mb-6">
         Find Collaborators
       </h2>
-      <form onSubmit={handleSearch} className="flex space-x-2 mb-8">
+      <form onSubmit={(e) => e.preventDefault()} className="relative mb-8">
+        <Search size={18} className="absolute left-3 top-1/2 -translate-y-1/2 text-gray-400" />
         <input
           type="search"
-          value={searchTerm}
-          onChange={(e) => setSearchTerm(e.target.value)}
-          placeholder="Search by name or skill (e.g., 'Python', 'Jane Doe')"
-          className="flex-grow px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+          value={filters.q}
+          onChange={(e) => updateFilters({ q: e.target.value }, { replace: true })}
+          placeholder="Search by name, skill or bio (e.g., 'Python', 'ML', 'Jane Doe')"
+          className="w-full pl-10 pr-4 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
         />
-        <button
-          type="submit"
-          className="flex-shrink-0 bg-emerald-600 text-white px-4 py-2 rounded-md hover:bg-emerald-700 flex items-center justify-center transition-colors"
-        >
-          <Search size={18} />
-        </button>
       </form>
 
-      {/* Results */}
-      <div className="space-y-4">
-        {isLoading && <LoadingSpinner size={32} />}
-        {!isLoading && hasSearched && results.length === 0 && (
-          <p className="text-center text-gray-500">
-            No users found matching your search.
-          </p>
-        )}
-        {results.map((user) => (
-          <UserCard key={user.id} user={user} />
-        ))}
+      <div className="grid grid-cols-1 lg:grid-cols-4 gap-6">
+        {/* Facets */}
+        <aside className="bg-white p-4 rounded-xl shadow-lg space-y-5 self-start">
+          <div>
+            <h3 className="text-xs font-semibold text-gray-500 uppercase tracking-wider mb-2">Role</h3>
+            <div className="space-y-1">
+              <button onClick={() => updateFilters({ role: '' })} className={facetButtonClass(!filters.role)}>
+                <span>Anyone</span>
+              </button>
+              {ROLE_FACETS.map(({ value, label }) => (
+                <button key={value} onClick={() => updateFilters({ role: value })} className={facetButtonClass(filters.role === value)}>
+                  <span>{label}</span>
+                  <span className="text-xs opacity-75">{counts.role[value] || 0}</span>
+                </button>
+              ))}
+            </div>
+          </div>
+
+          <div>
+            <label htmlFor="search-course" className="block text-xs font-semibold text-gray-500 uppercase tracking-wider mb-2">Course</label>
+            <select
+              id="search-course"
+              value={filters.course}
+              onChange={(e) => updateFilters({ course: e.target.value })}
+              className="w-full px-3 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-emerald-500 focus:border-emerald-500"
+            >
+              <option value="">Any course</option>
+              {COURSE_OPTIONS.map(c => <option key={c} value={c}>{c} ({counts.course[c] || 0})</option>)}
+            </select>
+          </div>
+
+          <div>
+            <label htmlFor="search-semester" className="block text-xs font-semibold text-gray-500 uppercase tracking-wider mb-2">Semester</label>
+            <select
+              id="search-semester"
+              value={filters.semester}
+              onChange={(e) => updateFilters({ semester: e.target.value })}
+              className="w-full px-3 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-emerald-500 focus:border-emerald-500"
+            >
+              <option value="">Any semester</option>
+              {SEMESTER_OPTIONS.map(s => <option key={s} value={s}>{s} ({counts.semester[s] || 0})</option>)}
+            </select>
+          </div>
+
+          <div>
+            <div className="flex justify-between items-center mb-2">
+              <h3 className="text-xs font-semibold text-gray-500 uppercase tracking-wider">Skills</h3>
+              <div className="flex text-xs rounded-md overflow-hidden border border-gray-200" title="Whether people need every selected skill or any one of them">
+                {['all', 'any'].map(mode => (
+                  <button
+                    key={mode}
+                    onClick={() => updateFilters({ match: mode })}
+                    className={`px-2 py-0.5 capitalize ${filters.match === mode ? 'bg-emerald-600 text-white' : 'bg-white text-gray-600 hover:bg-emerald-50'}`}
+                  >
+                    {mode}
+                  </button>
+                ))}
+              </div>
+            </div>
+            {counts.skills.length === 0 ? (
+              <p className="text-sm text-gray-400">No skills to filter by.</p>
+            ) : (
+              <ul className="space-y-1 max-h-72 overflow-y-auto">
+                {counts.skills.map(({ skill, count }) => (
+                  <li key={skill}>
+                    <label className="flex items-center justify-between text-sm text-gray-700 cursor-pointer">
+                      <span className="flex items-center space-x-2 min-w-0">
+                        <input
+                          type="checkbox"
+                          checked={isSkillSelected(skill)}
+                          onChange={() => toggleSkill(skill)}
+                          className="h-4 w-4 text-emerald-600 border-gray-300 rounded focus:ring-emerald-500"
+                        />
+                        <span className="truncate">{skill}</span>
+                      </span>
+                      <span className="text-xs text-gray-400">{count}</span>
+                    </label>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </aside>
+
+        {/* Results */}
+        <div className="lg:col-span-3 space-y-4">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <p className="text-sm text-gray-600">
+              {isLoading ? 'Loading people...' : `${results.length} ${results.length === 1 ? 'person' : 'people'}`}
+              {hasActiveFilters(filters) && (
+                <button
+                  onClick={() => updateFilters({ ...EMPTY_FILTERS, sort: filters.sort })}
+                  className="ml-3 text-emerald-600 hover:underline"
+                >
+                  Clear filters
+                </button>
+              )}
+            </p>
+            <div className="flex items-center space-x-2">
+              <select
+                value={filters.sort}
+                onChange={(e) => updateFilters({ sort: e.target.value })}
+                className="px-3 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-emerald-500 focus:border-emerald-500"
+              >
+                {SEARCH_SORTS.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+              </select>
+              <button
+                onClick={handleCopyLink}
+                className="flex items-center px-3 py-1.5 bg-white border border-gray-300 text-gray-700 text-sm rounded-md hover:bg-gray-50 transition-colors"
+                title="Copy a link to this search"
+              >
+                {copied ? <Check size={16} className="mr-1 text-emerald-600" /> : <Copy size={16} className="mr-1" />}
+                {copied ? 'Copied' : 'Share'}
+              </button>
+            </div>
+          </div>
+
+          {isLoading && <LoadingSpinner size={32} />}
+          {!isLoading && results.length === 0 && (
+            <p className="text-center text-gray-500">
+              No users found matching your search.
+            </p>
+          )}
+          {!isLoading && results.map((user) => (
+            <UserCard key={user.id} user={user} />
+          ))}
+        </div>
       </div>
     </div>
   );
 };
 
 // --- NEW FEATURE: Send Message Modal ---
+
+// One notification per conversation, refreshed by each new message
+const notifyNewMessage = (recipientId, sender, conversationId) =>
+  notify(recipientId, {
+    type: 'message',
+    actor: sender,
+    text: 'sent you a message',
+    page: { name: 'inbox', props: { conversationId } },
+    about: { conversationId },
+  }, `message_${conversationId}`);
 const SendMessageModal = ({ recipientId, recipientName, currentUserId, authorName, showModal, onClose }) => {
   const [message, setMessage] = useState('');
   const [isSending, setIsSending] = useState(false);
@@ -1425,22 +2913,18 @@ const SendMessageModal = ({ recipientId, recipientName, currentUserId, authorNam
 
     setIsSending(true);
     try {
-      // Create a reference to the RECIPIENT'S message inbox
-      const messageCol = collection(db, `artifacts/${appId}/public/data/users`, recipientId, 'messages');
-      
-      await addDoc(messageCol, {
-        text: message,
-        fromId: currentUserId,
-        fromName: authorName,
-        sentAt: serverTimestamp(),
-        isRead: false,
-      });
+      // Starts (or continues) the conversation with the recipient
+      const conversationId = await sendMessage(
+        { id: currentUserId, name: authorName },
+        { id: recipientId, name: recipientName },
+        message
+      );
+      notifyNewMessage(recipientId, { id: currentUserId, name: authorName }, conversationId);
 
-      showModal("Message Sent!", `Your message to ${recipientName} has been sent.`);
+      showModal("Message Sent!", `Your message to ${recipientName} has been sent. You can follow the conversation in your Inbox.`);
       onClose();
     } catch (error) {
-      console.error("Error sending message:", error);
-      showModal("Error", "Could not send your message. Please try again.");
+      showModal("Error", error.message);
     }
     setIsSending(false);
   };
@@ -1484,118 +2968,516 @@ const SendMessageModal = ({ recipientId, recipientName, currentUserId, authorNam
 };
 
 // --- NEW FEATURE: Inbox Page ---
-const InboxPage = ({ userId, showModal, setPage }) => {
+
+/**
+ * One conversation: the message thread plus a reply box.
+ */
+const ConversationThread = ({ conversationId, userId, authorName, showModal, setPage }) => {
+  const [conversation, setConversation] = useState(null);
   const [messages, setMessages] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
+  const [fetchedName, setFetchedName] = useState('...');
+  const [reply, setReply] = useState('');
+  const [isSending, setIsSending] = useState(false);
+  const threadEndRef = React.useRef(null);
 
-  // Helper to format time
-  const timeAgo = (date) => {
-    if (!date) return 'just now';
-    const seconds = Math.floor((new Date() - date.toDate()) / 1000);
-    let interval = seconds / 31536000;
-    if (interval > 1) return Math.floor(interval) + "y ago";
-    interval = seconds / 2592000;
-    if (interval > 1) return Math.floor(interval) + "mo ago";
-    interval = seconds / 86400;
-    if (interval > 1) return Math.floor(interval) + "d ago";
-    interval = seconds / 3600;
-    if (interval > 1) return Math.floor(interval) + "h ago";
-    interval = seconds / 60;
-    if (interval > 1) return Math.floor(interval) + "m ago";
-    return "just now";
-  };
+  const recipientId = otherParticipantId(conversationId, userId);
+  const recipientName = conversation?.participantNames?.[recipientId] || fetchedName;
 
-  // Listen for new messages
+  // Listen for conversation metadata (names, unread counts)
   useEffect(() => {
-    if (!userId) return;
-    
-    setIsLoading(true);
-    const messagesCol = collection(db, `artifacts/${appId}/public/data/users`, userId, 'messages');
-    const q = query(messagesCol);
+    const unsubscribe = subscribeConversation(conversationId, setConversation, (error) => {
+      showModal("Error", error.message);
+    });
+    return () => unsubscribe();
+  }, [conversationId, showModal]);
 
-    const unsubscribe = onSnapshot(q, (querySnapshot) => {
-      const msgs = [];
-      querySnapshot.forEach((doc) => {
-        msgs.push({ id: doc.id, ...doc.data() });
-      });
-      // Sort in memory (newest first)
-      msgs.sort((a, b) => {
-        const timeA = a.sentAt?.toDate() || 0;
-        const timeB = b.sentAt?.toDate() || 0;
-        return timeB - timeA;
-      });
+  // Listen for messages in this thread
+  useEffect(() => {
+    setIsLoading(true);
+    // Messages arrive sorted oldest first
+    const unsubscribe = subscribeMessages(conversationId, (msgs) => {
       setMessages(msgs);
       setIsLoading(false);
-      
-      // Mark messages as read
-      markMessagesAsRead(msgs.filter(m => !m.isRead));
     }, (error) => {
-      console.error("Error fetching messages:", error);
-      showModal("Error", "Could not load your inbox.");
+      showModal("Error", error.message);
       setIsLoading(false);
     });
-
     return () => unsubscribe();
-  }, [userId, showModal]);
+  }, [conversationId, showModal]);
 
-  // Mark messages as read when they are loaded
-  const markMessagesAsRead = async (unreadMessages) => {
-    if (unreadMessages.length === 0) return;
-    
+  // A brand-new conversation has no stored names yet, so look the recipient up
+  useEffect(() => {
+    getUser(recipientId)
+      .then(profile => setFetchedName(profile ? profile.name : 'Unknown user'))
+      .catch(() => setFetchedName('Unknown user'));
+  }, [recipientId]);
+
+  // Mark the thread as read whenever new messages arrive while it's open
+  useEffect(() => {
+    if (conversation?.unreadCounts?.[userId] > 0) {
+      markConversationRead(conversationId, userId).catch(() => {
+        // Already logged by the repository; the badge simply stays lit
+      });
+    }
+  }, [conversation, conversationId, userId]);
+
+  // Scroll to the newest message
+  useEffect(() => {
+    threadEndRef.current?.scrollIntoView({ behavior: "smooth" });
+  }, [messages]);
+
+  const handleSendReply = async (e) => {
+    e.preventDefault();
+    if (reply.trim() === '' || isSending) return;
+
+    setIsSending(true);
     try {
-      for (const msg of unreadMessages) {
-        const msgRef = doc(db, `artifacts/${appId}/public/data/users`, userId, 'messages', msg.id);
-        await updateDoc(msgRef, { isRead: true });
-      }
+      await sendMessage(
+        { id: userId, name: authorName },
+        { id: recipientId, name: recipientName },
+        reply
+      );
+      notifyNewMessage(recipientId, { id: userId, name: authorName }, conversationId);
+      setReply('');
     } catch (error) {
-      console.error("Error marking messages as read:", error);
+      showModal("Error", error.message);
     }
+    setIsSending(false);
   };
 
-
   return (
-    <div className="max-w-4xl mx-auto p-4 sm:p-6 lg:p-8">
-      <h2 className="text-3xl font-bold text-gray-900 mb-6">
-        Inbox
-      </h2>
-      <div className="space-y-4">
-        {isLoading && <LoadingSpinner size={32} />}
+    <>
+      {/* Thread Header */}
+      <div className="flex items-center space-x-3 px-4 py-3 border-b border-gray-100">
+        <button
+          onClick={() => setPage({ name: 'inbox' })}
+          className="sm:hidden text-gray-500 hover:text-emerald-600"
+          title="Back to conversations"
+        >
+          <ArrowLeft size={20} />
+        </button>
+        <button
+          onClick={() => setPage({ name: 'profile', props: { profileId: recipientId } })}
+          className="flex items-center space-x-2 group"
+        >
+          <div className="flex-shrink-0 bg-gray-100 rounded-full h-8 w-8 flex items-center justify-center">
+            <User size={16} className="text-gray-500" />
+          </div>
+          <span className="text-sm font-semibold text-gray-900 group-hover:text-emerald-600 group-hover:underline">
+            {recipientName}
+          </span>
+        </button>
+      </div>
+
+      {/* Messages */}
+      <div className="flex-grow overflow-y-auto p-4 space-y-3">
+        {isLoading && <LoadingSpinner size={24} />}
         {!isLoading && messages.length === 0 && (
-          <p className="text-center text-gray-500">You have no messages.</p>
+          <p className="text-center text-sm text-gray-500">
+            No messages yet. Say hello to {recipientName}!
+          </p>
         )}
-        {messages.map((msg) => (
-          <div key={msg.id} className={`bg-white p-5 rounded-xl shadow-lg border-l-4 ${msg.isRead ? 'border-transparent' : 'border-emerald-500'}`}>
-            <div className="flex justify-between items-center mb-2">
-              <button 
-                onClick={() => setPage({ name: 'profile', props: { profileId: msg.fromId } })}
-                className="flex items-center space-x-2 group"
-              >
-                <div className="flex-shrink-0 bg-gray-100 rounded-full h-8 w-8 flex items-center justify-center">
-                  <User size={16} className="text-gray-500" />
-                </div>
-                <span className="text-sm font-semibold text-gray-900 group-hover:text-emerald-600 group-hover:underline">
-                  {msg.fromName}
-                </span>
-              </button>
-              <span className="text-xs text-gray-400">{timeAgo(msg.sentAt)}</span>
+        {messages.map((msg) => {
+          const isMine = msg.senderId === userId;
+          return (
+            <div key={msg.id} className={`flex ${isMine ? 'justify-end' : 'justify-start'}`}>
+              <div className={`max-w-xs lg:max-w-md px-4 py-2 rounded-lg ${isMine ? 'bg-emerald-600 text-white' : 'bg-gray-100 text-gray-800'}`}>
+                <p className="whitespace-pre-wrap text-sm">{msg.text}</p>
+                <p className={`text-xs mt-1 ${isMine ? 'text-emerald-100' : 'text-gray-400'}`}>
+                  {timeAgo(msg.sentAt)}
+                </p>
+              </div>
             </div>
-            <p className="text-gray-700 whitespace-pre-wrap ml-10">
-              {msg.text}
-            </p>
-          </div>
-        ))}
+          );
+        })}
+        <div ref={threadEndRef} />
       </div>
-    </div>
-  );
-};
 
-
-// --- NEW FEATURE: AI Project Matcher Page ---
-const AIMatcherPage = ({ userId, showModal, setPage }) => {
+      {/* Reply Form */}
+      <form onSubmit={handleSendReply} className="flex space-x-2 p-4 border-t border-gray-100">
+        <input
+          type="text"
+          value={reply}
+          onChange={(e) => setReply(e.target.value)}
+          placeholder={`Reply to ${recipientName}...`}
+          className="flex-grow px-4 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-2 focus:ring-emerald-500"
+        />
+        <button
+          type="submit"
+          disabled={isSending}
+          className="flex-shrink-0 bg-emerald-600 text-white px-4 py-2 rounded-md hover:bg-emerald-700 flex items-center justify-center transition-colors disabled:bg-emerald-300"
+        >
+          {isSending ? <Loader2 size={18} className="animate-spin" /> : <Send size={18} />}
+        </button>
+      </form>
+    </>
+  );
+};
+
+const InboxPage = ({ userId, conversationId, showModal, setPage }) => {
+  const [conversations, setConversations] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [authorName, setAuthorName] = useState('...');
+
+  // Only open threads this user is actually part of
+  const isValidThread = Boolean(conversationId)
+    && conversationId.split('_').length === 2
+    && conversationId.split('_').includes(userId);
+
+  // Fetch current user's name (for replies)
+  useEffect(() => {
+    if (userId) {
+      const fetchUserName = async () => {
+        const profile = await getUser(userId);
+        if (profile) {
+          setAuthorName(profile.name);
+        }
+      };
+      fetchUserName();
+    }
+  }, [userId]);
+
+  // Listen for conversations
+  useEffect(() => {
+    if (!userId) return;
+    
+    setIsLoading(true);
+    // Conversations arrive sorted by most recent activity
+    const unsubscribe = subscribeConversations(userId, (list) => {
+      setConversations(list);
+      setIsLoading(false);
+    }, (error) => {
+      showModal("Error", error.message);
+      setIsLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [userId, showModal]);
+
+
+  return (
+    <div className="max-w-6xl mx-auto p-4 sm:p-6 lg:p-8">
+      <h2 className="text-3xl font-bold text-gray-900 mb-6">
+        Inbox
+      </h2>
+      <div className="bg-white rounded-xl shadow-lg flex overflow-hidden" style={{ height: 'calc(100vh - 14rem)' }}>
+        {/* Conversation List */}
+        <aside className={`w-full sm:w-80 flex-shrink-0 border-r border-gray-100 overflow-y-auto ${conversationId ? 'hidden sm:block' : 'block'}`}>
+          {isLoading && <LoadingSpinner size={32} />}
+          {!isLoading && conversations.length === 0 && (
+            <p className="text-center text-gray-500 p-6">You have no messages.</p>
+          )}
+          {conversations.map((conversation) => {
+            const otherId = otherParticipantId(conversation.id, userId);
+            const unread = conversation.unreadCounts?.[userId] || 0;
+            const isActive = conversation.id === conversationId;
+            const lastMessage = conversation.lastMessage;
+            return (
+              <button
+                key={conversation.id}
+                onClick={() => setPage({ name: 'inbox', props: { conversationId: conversation.id } })}
+                className={`w-full text-left px-4 py-3 border-b border-gray-50 border-l-4 transition-colors ${isActive ? 'bg-emerald-50' : 'hover:bg-gray-50'} ${unread > 0 ? 'border-l-emerald-500' : 'border-l-transparent'}`}
+              >
+                <div className="flex justify-between items-center">
+                  <span className={`text-sm text-gray-900 truncate ${unread > 0 ? 'font-bold' : 'font-semibold'}`}>
+                    {conversation.participantNames?.[otherId] || 'Unknown user'}
+                  </span>
+                  <span className="text-xs text-gray-400 flex-shrink-0 ml-2">{timeAgo(conversation.updatedAt)}</span>
+                </div>
+                <div className="flex justify-between items-center mt-1">
+                  <p className="text-sm text-gray-500 truncate">
+                    {lastMessage?.senderId === userId && 'You: '}
+                    {lastMessage?.text}
+                  </p>
+                  {unread > 0 && (
+                    <span className="ml-2 flex-shrink-0 bg-emerald-600 text-white text-xs font-semibold rounded-full px-2 py-0.5">
+                      {unread}
+                    </span>
+                  )}
+                </div>
+              </button>
+            );
+          })}
+        </aside>
+
+        {/* Thread */}
+        <section className={`flex-grow flex-col min-w-0 ${conversationId ? 'flex' : 'hidden sm:flex'}`}>
+          {isValidThread ? (
+            <ConversationThread
+              key={conversationId}
+              conversationId={conversationId}
+              userId={userId}
+              authorName={authorName}
+              showModal={showModal}
+              setPage={setPage}
+            />
+          ) : (
+            <div className="flex-grow flex items-center justify-center p-6">
+              <p className="text-gray-500 text-center">
+                {conversationId ? 'Conversation not found.' : 'Select a conversation to start chatting.'}
+              </p>
+            </div>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+
+// --- NEW FEATURE: AI Project Matcher Page ---
+
+// Profiles Gemini is asked to rank; the rest of the directory never leaves
+// Firestore.
+const MATCH_SHORTLIST_SIZE = 15;
+const MATCH_RESULTS = 5;
+// Profiles read to rank by skills overlap
+const MATCH_SKILL_CANDIDATES = 50;
+
+/**
+ * The profiles for the AI to rank: the nearest to the description by
+ * embedding, alongside the best skills overlap among profiles that list a
+ * skill the description names (which covers those without an embedding
+ * yet). Only the latter if the embedding search is unavailable.
+ */
+const shortlistForMatching = async (description, userId) => {
+  let nearestIds = [];
+  try {
+    const result = await callAiFunction('matchProfiles', { description, limit: MATCH_SHORTLIST_SIZE });
+    nearestIds = (result.candidates || []).map(c => c.userId);
+  } catch (error) {
+    console.error("Embedding shortlist failed, using skills overlap:", error);
+  }
+
+  const skills = skillSpellingsIn(description);
+  const [nearest, withSkills] = await Promise.all([
+    getUsers(nearestIds),
+    skills.length ? findUsers({ skills, count: MATCH_SKILL_CANDIDATES }) : [],
+  ]);
+  const eligible = (user) => user.uid !== userId && !user.suspended;
+  const bySkills = rankBySkills(description, withSkills.filter(eligible)).map(ranked => ranked.user);
+  return mergeShortlists(nearest.filter(eligible), bySkills, MATCH_SHORTLIST_SIZE);
+};
+
+// "Projects for me": open projects ranked against the student's profile.
+const PROJECT_SHORTLIST_SIZE = 10;
+const PROJECT_RESULTS = 5;
+
+/**
+ * Recruiting projects with an open role that the user isn't already on.
+ * @returns {Array<{project: Project, openSkills: string[]}>}
+ */
+const openProjectsFor = (projects, userId) =>
+  projects
+    .filter(project => !project.hidden
+      && getProjectStatus(project).value === 'recruiting'
+      && !getProjectMembers(project).some(m => m.uid === userId))
+    .map(project => ({
+      project,
+      openSkills: Object.entries(getOpenSlots(project)).filter(([, open]) => open > 0).map(([skill]) => skill)
+    }))
+    .filter(candidate => candidate.openSkills.length > 0);
+
+const MatchConfidenceBadge = ({ score }) => (
+  <span
+    title="Match confidence"
+    className={`text-xs font-semibold px-2 py-0.5 rounded-full ${score >= 75 ? 'bg-emerald-100 text-emerald-800' : score >= 50 ? 'bg-amber-100 text-amber-800' : 'bg-gray-100 text-gray-600'}`}
+  >
+    {score}% match
+  </span>
+);
+
+/**
+ * One recommended project, with a one-click join request for the role the
+ * student fits.
+ */
+const ProjectRecommendationCard = ({ pick, myRequest, isJoining, onJoin, setPage }) => {
+  const { project, openSkills, skill, reason, confidence } = pick;
+  return (
+    <div className="bg-white p-5 rounded-xl shadow-lg">
+      <div className="flex items-start justify-between gap-4">
+        <div className="min-w-0">
+          <div className="flex items-center gap-2 flex-wrap">
+            <button
+              onClick={() => setPage({ name: 'project', props: { projectId: project.id } })}
+              className="text-lg font-semibold text-gray-900 hover:text-emerald-700 text-left"
+            >
+              {project.title}
+            </button>
+            <MatchConfidenceBadge score={confidence} />
+          </div>
+          <p className="text-xs text-gray-500">by {project.authorName}</p>
+        </div>
+        <div className="flex-shrink-0">
+          {myRequest?.status === 'pending' ? (
+            <span className="text-sm text-gray-500">Request pending</span>
+          ) : myRequest?.status === 'rejected' ? (
+            <span className="text-sm text-gray-500">Request declined</span>
+          ) : (
+            <button
+              onClick={() => onJoin(pick)}
+              disabled={isJoining}
+              className="flex items-center bg-emerald-600 text-white px-3 py-1.5 rounded-md text-sm hover:bg-emerald-700 disabled:bg-emerald-300 transition-colors"
+            >
+              {isJoining ? <Loader2 size={16} className="animate-spin mr-1" /> : <UserPlus size={16} className="mr-1" />}
+              Join as {skill}
+            </button>
+          )}
+        </div>
+      </div>
+      <p className="text-sm text-gray-600 italic mt-2">"{reason}"</p>
+      <div className="flex flex-wrap gap-2 mt-3">
+        {openSkills.map(s => (
+          <span key={s} className="text-xs bg-emerald-50 text-emerald-700 px-2 py-0.5 rounded-full">
+            {s} wanted
+          </span>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * The "Projects for me" tab: ranks open projects against the student's
+ * skills, bio, course and semester, with an AI-written reason for each.
+ */
+const ProjectsForMe = ({ userId, profile, showModal, setPage }) => {
+  const [picks, setPicks] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [hasSearched, setHasSearched] = useState(false);
+  const [isFallback, setIsFallback] = useState(false);
+  const [myRequests, setMyRequests] = useState([]);
+  const [joiningId, setJoiningId] = useState(null);
+  const ai = useAiAvailability();
+
+  useEffect(() => {
+    if (!userId) return;
+    const unsubscribe = subscribeMyJoinRequests(userId, setMyRequests, (error) => showModal("Error", error.message));
+    return () => unsubscribe();
+  }, [userId, showModal]);
+
+  const handleFindProjects = async () => {
+    setIsLoading(true);
+    setPicks([]);
+    setIsFallback(false);
+
+    let shortlist;
+    try {
+      shortlist = rankProjectsForUser(profile, openProjectsFor(await listProjects(), userId))
+        .slice(0, PROJECT_SHORTLIST_SIZE);
+    } catch (error) {
+      showModal("Error", error.message);
+      setIsLoading(false);
+      return;
+    }
+    setHasSearched(true);
+    if (shortlist.length === 0) {
+      setIsLoading(false);
+      return;
+    }
+
+    try {
+      const payload = buildProjectPicksPayload(profile, shortlist);
+
+      setPicks(await generateValidJson('projectsForMe', payload, (parsed) => {
+        const { picks: valid, dropped } = validateAiProjectPicks(parsed, shortlist);
+        if (dropped > 0) console.warn(`Projects for me: dropped ${dropped} invalid pick(s).`);
+        return valid.slice(0, PROJECT_RESULTS);
+      }));
+
+    } catch (error) {
+      // Without the AI, show the skills-overlap ranking
+      console.error("Error in Projects for me, falling back to skills overlap:", error);
+      setPicks(shortlist.slice(0, PROJECT_RESULTS).map(candidate => ({
+        ...candidate,
+        reason: describeProjectMatch(candidate),
+        confidence: skillsMatchConfidence(candidate)
+      })));
+      setIsFallback(true);
+    }
+    setIsLoading(false);
+  };
+
+  const handleJoin = async ({ project, skill }) => {
+    setJoiningId(project.id);
+    try {
+      await sendJoinRequest(project, {
+        userId,
+        authorName: profile.name,
+        skill,
+        message: "I found this project through Projects for me."
+      });
+    } catch (error) {
+      showModal("Error", error.message);
+    }
+    setJoiningId(null);
+  };
+
+  if (!profile) return <LoadingSpinner size={32} />;
+
+  return (
+    <div>
+      <div className="bg-white p-6 rounded-xl shadow-lg mb-8 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <p className="text-sm text-gray-700">
+            Find open projects that need what you know, based on the skills, bio, course and semester on your profile.
+            {(profile.skills || []).length === 0 && ' Add some skills to your profile for better picks.'}
+          </p>
+          <AiUnavailableNote availability={ai} fallback="Projects will be ranked by your skills instead." className="mt-1" />
+        </div>
+        <button
+          onClick={handleFindProjects}
+          disabled={isLoading}
+          className="flex-shrink-0 flex items-center justify-center bg-emerald-600 text-white px-5 py-2 rounded-md hover:bg-emerald-700 disabled:bg-emerald-300 shadow-md hover:shadow-lg transition-all"
+        >
+          {isLoading ? <Loader2 className="animate-spin" /> : <Sparkles size={18} className="mr-2" />}
+          Find Projects
+        </button>
+      </div>
+
+      <div className="space-y-4">
+        {isLoading && <LoadingSpinner size={32} />}
+        {!isLoading && picks.length > 0 && (
+          <>
+            <h3 className="text-2xl font-bold text-gray-800">Projects for You</h3>
+            {isFallback && (
+              <p className="text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-md px-4 py-2">
+                The AI is unavailable right now, so these projects are ranked by the skills on your profile.
+              </p>
+            )}
+            {picks.map(pick => (
+              <ProjectRecommendationCard
+                key={pick.project.id}
+                pick={pick}
+                myRequest={myRequests.find(r => r.projectId === pick.project.id)}
+                isJoining={joiningId === pick.project.id}
+                onJoin={handleJoin}
+                setPage={setPage}
+              />
+            ))}
+          </>
+        )}
+        {!isLoading && hasSearched && picks.length === 0 && (
+          <p className="text-center text-gray-500">
+            No open projects fit your profile right now. Check back later, or post your own idea on the Projects page.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const AIMatcherPage = ({ userId, profile, showModal, setPage }) => {
+  // 'people' finds collaborators for a project; 'projects' finds projects for me
+  const [mode, setMode] = useState('people');
   const [projectDesc, setProjectDesc] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const [matches, setMatches] = useState([]);
-  
+  // True when the AI was unavailable and matches come from skills overlap
+  const [isFallback, setIsFallback] = useState(false);
+  const ai = useAiAvailability();
+
   const handleFindMatches = async (e) => {
     e.preventDefault();
     if (projectDesc.trim() === '') {
@@ -1605,59 +3487,45 @@ const AIMatcherPage = ({ userId, showModal, setPage }) => {
     
     setIsLoading(true);
     setMatches([]); // Clear previous matches
+    setIsFallback(false);
     
+    // 1. Shortlist candidates: nearest profiles by embedding, plus the
+    //    unembedded ones by skills overlap
+    let shortlist;
     try {
-      // 1. Fetch all user profiles
-      const usersCol = collection(db, `artifacts/${appId}/public/data/users`);
-      const userSnapshot = await getDocs(usersCol);
-      
-      const allUsers = userSnapshot.docs
-        .map(doc => doc.data())
-        .filter(user => user.uid !== userId); // Filter out the current user
-        
-      if (allUsers.length === 0) {
-        showModal("No Users", "There are no other users in the directory to match with.");
-        setIsLoading(false);
-        return;
-      }
-      
-      // 2. Prepare user data for the AI
-      const userProfilesSummary = allUsers.map(user => {
-        return `User ID: ${user.uid}\nName: ${user.name}\nRole: ${user.role}\nBio: ${user.bio || 'N/A'}\nSkills: ${(user.skills || []).join(', ')}\n`;
-      }).join("\n---\n");
-
-      // 3. Call Gemini API
-      const systemPrompt = "You are an AI assistant helping a student find project collaborators from a university directory. Your task is to analyze a project description and a list of user profiles. Return a JSON array of the top 3-5 best matches. For each match, provide their `userId`, a brief `reason` (1-2 sentences) why they are a good match, and their `name`. Do not match the user with themselves. If no good matches are found, return an empty array.";
-      const userPrompt = `Here is my project description:\n"${projectDesc}"\n\nHere is the list of available users:\n${userProfilesSummary}\n\nReturn the JSON array of top matches.`;
+      shortlist = await shortlistForMatching(projectDesc, userId);
+    } catch (error) {
+      showModal("Error", error.message);
+      setIsLoading(false);
+      return;
+    }
 
-      const payload = {
-        contents: [{ parts: [{ text: userPrompt }] }],
-        systemInstruction: { parts: [{ text: systemPrompt }] },
-        // --- NEW: Request JSON output ---
-        generationConfig: {
-          responseMimeType: "application/json",
-          responseSchema: {
-            type: "ARRAY",
-            items: {
-              type: "OBJECT",
-              properties: {
-                "userId": { "type": "STRING" },
-                "name": { "type": "STRING" },
-                "reason": { "type": "STRING" }
-              }
-            }
-          }
-        }
-      };
+    if (shortlist.length === 0) {
+      setIsLoading(false);
+      return;
+    }
 
-      const responseText = await callGeminiApi(payload);
-      const parsedMatches = JSON.parse(responseText);
+    try {
+      // 2. Ask Gemini to rank and explain the shortlist
+      const payload = buildMatchPayload(projectDesc, shortlist);
 
-      setMatches(parsedMatches);
+      setMatches(await generateValidJson('matcher', payload, (parsed) => {
+        const { matches: valid, dropped } = validateAiMatches(parsed, shortlist, userId);
+        if (dropped > 0) console.warn(`AI Matcher: dropped ${dropped} invalid match(es).`);
+        return valid.slice(0, MATCH_RESULTS);
+      }));
 
     } catch (error) {
-      console.error("Error in AI Matcher:", error);
-      showModal("AI Error", "Could not find matches. Please try again.\n" + error.message);
+      // 3. Without the AI, rank the shortlist by skills overlap instead
+      console.error("Error in AI Matcher, falling back to skills overlap:", error);
+      const ranked = rankBySkills(projectDesc, shortlist).slice(0, MATCH_RESULTS);
+      setMatches(ranked.map(match => ({
+        userId: match.user.uid,
+        name: match.user.name,
+        reason: describeSkillsMatch(match),
+        score: skillsMatchConfidence(match)
+      })));
+      setIsFallback(true);
     }
     setIsLoading(false);
   };
@@ -1668,7 +3536,10 @@ const AIMatcherPage = ({ userId, showModal, setPage }) => {
          <User size={24} className="text-emerald-700" />
        </div>
        <div className="flex-grow">
-          <h4 className="text-lg font-semibold text-gray-900">{match.name}</h4>
+          <div className="flex items-center gap-2 flex-wrap">
+            <h4 className="text-lg font-semibold text-gray-900">{match.name}</h4>
+            <MatchConfidenceBadge score={match.score} />
+          </div>
           <p className="text-sm text-gray-600 italic">"{match.reason}"</p>
        </div>
        <div className="flex-shrink-0">
@@ -1687,6 +3558,30 @@ const AIMatcherPage = ({ userId, showModal, setPage }) => {
       <h2 className="text-3xl font-bold text-gray-900 mb-6">
         AI Project Matcher
       </h2>
+
+      <div className="flex space-x-2 mb-6">
+        {[
+          { value: 'people', label: 'Find Collaborators' },
+          { value: 'projects', label: 'Projects for Me' },
+        ].map(t => (
+          <button
+            key={t.value}
+            onClick={() => setMode(t.value)}
+            className={`px-3 py-1.5 rounded-full text-sm font-medium transition-colors ${
+              mode === t.value
+                ? 'bg-emerald-600 text-white'
+                : 'bg-white text-gray-600 hover:bg-emerald-50 hover:text-emerald-700 shadow-sm'
+            }`}
+          >
+            {t.label}
+          </button>
+        ))}
+      </div>
+
+      {mode === 'projects' ? (
+        <ProjectsForMe userId={userId} profile={profile} showModal={showModal} setPage={setPage} />
+      ) : (
+      <>
       <form
         onSubmit={handleFindMatches}
         className="bg-white p-6 rounded-xl shadow-lg mb-8"
@@ -1702,7 +3597,8 @@ const AIMatcherPage = ({ userId, showModal, setPage }) => {
           className="w-full p-3 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-emerald-500"
           rows="5"
         ></textarea>
-        <div className="flex justify-end items-center mt-4">
+        <div className="flex justify-end items-center gap-4 mt-4">
+          <AiUnavailableNote availability={ai} fallback="Matches will be ranked by skills instead." />
           <button
             type="submit"
             disabled={isLoading}
@@ -1724,6 +3620,11 @@ const AIMatcherPage = ({ userId, showModal, setPage }) => {
         {!isLoading && matches.length > 0 && (
           <>
             <h3 className="text-2xl font-bold text-gray-800">Top Matches</h3>
+            {isFallback && (
+              <p className="text-sm text-amber-800 bg-amber-50 border border-amber-200 rounded-md px-4 py-2">
+                The AI is unavailable right now, so these matches are based on skills your description mentions.
+              </p>
+            )}
             {matches.map((match) => (
               <UserMatchCard key={match.userId} match={match} />
             ))}
@@ -1735,318 +3636,2229 @@ const AIMatcherPage = ({ userId, showModal, setPage }) => {
           </p>
         )}
       </div>
+      </>
+      )}
     </div>
   );
 };
 
 
 // --- NEW FEATURE: Projects Page ---
-const ProjectsPage = ({ userId, user, showModal, setPage }) => {
-  const [projects, setProjects] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
-  const [showCreateModal, setShowCreateModal] = useState(false);
-  const [authorName, setAuthorName] = useState('...'); // State for author name
 
-  // Fetch current user's name for posting
-  useEffect(() => {
-    if (userId) {
-      const fetchUserName = async () => {
-        const userRef = doc(db, `artifacts/${appId}/public/data/users`, userId);
-        const docSnap = await getDoc(userRef);
-        if (docSnap.exists()) {
-          setAuthorName(docSnap.data().name);
-        } else {
-          setAuthorName(user.email); // Fallback
-        }
-      };
-      fetchUserName();
-    }
-  }, [userId, user.email]);
+const PROJECT_STATUSES = [
+  { value: 'recruiting', label: 'Recruiting', className: 'bg-emerald-100 text-emerald-800' },
+  { value: 'in_progress', label: 'In Progress', className: 'bg-amber-100 text-amber-800' },
+  { value: 'completed', label: 'Completed', className: 'bg-gray-200 text-gray-700' },
+];
 
-  // Fetch all projects
-  useEffect(() => {
-    setIsLoading(true);
-    const projectsCol = collection(db, `artifacts/${appId}/public/data/projects`);
-    const q = query(projectsCol);
+const getProjectStatus = (project) =>
+  PROJECT_STATUSES.find(s => s.value === project.status) || PROJECT_STATUSES[0];
 
-    const unsubscribe = onSnapshot(q, (querySnapshot) => {
-      const projectsList = [];
-      querySnapshot.forEach((doc) => {
-        projectsList.push({ id: doc.id, ...doc.data() });
-      });
-      // Sort in memory (newest first)
-      projectsList.sort((a, b) => {
-        const timeA = a.createdAt?.toDate() || 0;
-        const timeB = b.createdAt?.toDate() || 0;
-        return timeB - timeA;
-      });
-      setProjects(projectsList);
-      setIsLoading(false);
-    }, (error) => {
-      console.error("Error fetching projects:", error);
-      showModal("Error", "Could not load projects.");
-      setIsLoading(false);
-    });
+/**
+ * The team roster. Projects posted before teams existed only have an author.
+ */
+const getProjectMembers = (project) =>
+  project.members?.length
+    ? project.members
+    : [{ uid: project.authorId, name: project.authorName, role: 'owner', skill: '' }];
 
-    return () => unsubscribe();
-  }, [showModal]);
+/**
+ * Open places per required skill: wanted slots minus members filling that skill.
+ * @returns {Object<string, number>}
+ */
+const getOpenSlots = (project) => {
+  const slots = project.slots || Object.fromEntries(project.skills.map(skill => [skill, 1]));
+  const members = getProjectMembers(project);
+  return Object.fromEntries(
+    Object.entries(slots).map(([skill, count]) => [
+      skill,
+      Math.max(0, count - members.filter(m => m.skill === skill).length),
+    ])
+  );
+};
 
-  const timeAgo = (date) => {
-    if (!date) return 'just now';
-    const seconds = Math.floor((new Date() - date.toDate()) / 1000);
-    let interval = seconds / 86400;
-    if (interval > 1) return Math.floor(interval) + "d ago";
-    interval = seconds / 3600;
-    if (interval > 1) return Math.floor(interval) + "h ago";
-    interval = seconds / 60;
-    if (interval > 1) return Math.floor(interval) + "m ago";
-    return "just now";
-  };
-  const handleDeleteProject = async (projectId) => {
-    // const confirmed = window.confirm("Are you sure you want to delete this project?");
-    // if (!confirmed) return;
-    
+/**
+ * Sends a join request and lets the project owner know.
+ * @param {{userId: string, authorName: string, skill: string, message: string}} request
+ */
+const sendJoinRequest = async (project, { userId, authorName, skill, message }) => {
+  await requestToJoinProject(project.id, {
+    uid: userId,
+    name: authorName,
+    skill,
+    message,
+  });
+  notify(project.authorId, {
+    type: 'join_request',
+    actor: { id: userId, name: authorName },
+    text: `asked to join "${project.title}" as ${skill}`,
+    page: { name: 'project', props: { projectId: project.id } },
+    about: { projectId: project.id },
+  });
+};
+
+/**
+ * Modal for asking to join a project in one of its open skill slots
+ */
+const JoinProjectModal = ({ project, userId, authorName, showModal, onClose }) => {
+  const openSkills = Object.entries(getOpenSlots(project))
+    .filter(([, open]) => open > 0)
+    .map(([skill]) => skill);
+  const [skill, setSkill] = useState(openSkills[0] || '');
+  const [message, setMessage] = useState('');
+  const [isSending, setIsSending] = useState(false);
+
+  const handleSendRequest = async (e) => {
+    e.preventDefault();
+    if (!skill) {
+      showModal("Incomplete Form", "Please choose the role you'd like to fill.");
+      return;
+    }
+
+    setIsSending(true);
     try {
-      const projectRef = doc(db, `artifacts/${appId}/public/data/projects`, projectId);
-      await deleteDoc(projectRef);
+      await sendJoinRequest(project, { userId, authorName, skill, message: message.trim() });
+      showModal("Request Sent!", `${project.authorName} will review your request to join "${project.title}".`);
+      onClose();
     } catch (error) {
-      console.error("Error deleting project:", error);
-      showModal("Error", "Could not delete the project.");
+      showModal("Error", error.message);
     }
+    setIsSending(false);
   };
 
   return (
-    <div className="max-w-4xl mx-auto p-4 sm:p-6 lg:p-8">
-      <div className="flex justify-between items-center mb-6">
-        <h2 className="text-3xl font-bold text-gray-900">
-          Projects
-        </h2>
+    <div className="fixed inset-0 bg-black bg-opacity-75 backdrop-blur-sm z-50 flex justify-center items-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-md p-6 relative">
         <button
-          onClick={() => setShowCreateModal(true)}
-          className="flex items-center justify-center bg-emerald-600 text-white px-4 py-2 rounded-md hover:bg-emerald-700 shadow-md hover:shadow-lg transition-all"
+          onClick={onClose}
+          className="absolute top-3 right-3 text-gray-400 hover:text-gray-600"
         >
-          <Plus size={18} className="mr-2" />
-          Post a Project
+          <X size={20} />
         </button>
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">
+          Join "{project.title}"
+        </h3>
+        <form onSubmit={handleSendRequest} className="space-y-4">
+          <div>
+            <label htmlFor="join-skill" className="block text-sm font-medium text-gray-700">I can help with</label>
+            <select
+              id="join-skill"
+              value={skill}
+              onChange={(e) => setSkill(e.target.value)}
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-emerald-500 focus:border-emerald-500"
+            >
+              {openSkills.map(s => <option key={s} value={s}>{s}</option>)}
+            </select>
+          </div>
+          <div>
+            <label htmlFor="join-message" className="block text-sm font-medium text-gray-700">Message (optional)</label>
+            <textarea
+              id="join-message"
+              value={message}
+              onChange={(e) => setMessage(e.target.value)}
+              placeholder="Tell the author why you'd be a good fit..."
+              rows="3"
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-emerald-500 focus:border-emerald-500"
+            ></textarea>
+          </div>
+          <button
+            type="submit"
+            disabled={isSending}
+            className="w-full flex items-center justify-center bg-emerald-600 text-white px-5 py-2 rounded-md hover:bg-emerald-700 disabled:bg-emerald-300 shadow-md hover:shadow-lg transition-all"
+          >
+            {isSending ? (
+              <Loader2 className="animate-spin" />
+            ) : (
+              <UserPlus size={18} className="mr-2" />
+            )}
+            Send Request
+          </button>
+        </form>
       </div>
+    </div>
+  );
+};
 
-      {/* Project List */}
-      <div className="space-y-6">
-        {isLoading && <LoadingSpinner size={32} />}
-        {!isLoading && projects.length === 0 && (
-          <p className="text-center text-gray-500">No projects listed yet. Be the first to post!</p>
-        )}
-        {projects.map((project) => (
-          <div key={project.id} className="bg-white p-5 rounded-xl shadow-lg relative">
-            {/* console.log removed */}
-              {project.authorId === userId && (
+/**
+ * Pending join requests on a project, with approve/reject for the author
+ */
+const JoinRequestsPanel = ({ project, requests, actor, showModal, setPage }) => {
+  const [respondingTo, setRespondingTo] = useState(null);
+  const pending = requests.filter(r => r.status === 'pending');
+  const openSlots = getOpenSlots(project);
+
+  const handleRespond = async (request, approve) => {
+    setRespondingTo(request.uid);
+    try {
+      await respondToJoinRequest(project.id, request, approve, actor);
+      notify(request.uid, {
+        type: 'join_response',
+        actor,
+        text: `${approve ? 'approved' : 'declined'} your request to join "${project.title}"`,
+        page: { name: 'project', props: { projectId: project.id } },
+        about: { projectId: project.id },
+      });
+    } catch (error) {
+      showModal("Error", error.message);
+    }
+    setRespondingTo(null);
+  };
+
+  if (pending.length === 0) {
+    return <p className="text-xs text-gray-500">No pending requests.</p>;
+  }
+
+  return (
+    <ul className="space-y-2">
+      {pending.map((request) => (
+        <li key={request.uid} className="bg-gray-50 p-3 rounded-lg">
+          <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-2">
+            <div>
               <button
-                onClick={() => handleDeleteProject(project.id)}
-                className="absolute top-3 right-3 text-gray-400 hover:text-red-500 transition-colors z-10"
-                title="Delete project"
+                onClick={() => setPage({ name: 'profile', props: { profileId: request.uid } })}
+                className="text-sm font-semibold text-gray-900 hover:text-emerald-600 hover:underline"
               >
-                <Trash2 size={16} />
+                {request.name}
               </button>
-            )}
-            <div className="flex justify-between items-start">
-              <div>
-                <h3 className="text-xl font-semibold text-gray-900">{project.title}</h3>
-                <button 
-                  onClick={() => setPage({ name: 'profile', props: { profileId: project.authorId } })}
-                  className="text-sm text-gray-500 hover:text-emerald-600 hover:underline"
-                >
-                  by {project.authorName}
-                </button>
-              </div>
-              <span className="text-xs text-gray-400 flex-shrink-0 ml-2">{timeAgo(project.createdAt)}</span>
+              <span className="text-xs text-gray-500"> wants to help with </span>
+              <span className="px-2 py-0.5 bg-emerald-100 text-emerald-800 text-xs font-medium rounded-full">
+                {request.skill}
+              </span>
             </div>
-            <p className="text-gray-700 whitespace-pre-wrap my-3">{project.description}</p>
-            <div className="flex flex-wrap gap-2">
-              <span className="text-xs font-semibold text-gray-600">Skills needed:</span>
-              {project.skills.map((skill, index) => (
-                <span key={index} className="px-2 py-0.5 bg-emerald-100 text-emerald-800 text-xs font-medium rounded-full">
-                  {skill}
-                </span>
-              ))}
+            <div className="flex space-x-2 flex-shrink-0">
+              <button
+                onClick={() => handleRespond(request, true)}
+                disabled={respondingTo === request.uid || !openSlots[request.skill]}
+                title={openSlots[request.skill] ? 'Approve' : 'No open slots left for this skill'}
+                className="flex items-center bg-emerald-600 text-white px-3 py-1 rounded-md text-sm hover:bg-emerald-700 disabled:bg-emerald-300 transition-colors"
+              >
+                <Check size={16} className="mr-1" />
+                Approve
+              </button>
+              <button
+                onClick={() => handleRespond(request, false)}
+                disabled={respondingTo === request.uid}
+                className="flex items-center bg-gray-100 text-gray-700 px-3 py-1 rounded-md text-sm hover:bg-gray-200 disabled:opacity-50 transition-colors"
+              >
+                <X size={16} className="mr-1" />
+                Reject
+              </button>
             </div>
           </div>
+          {request.message && (
+            <p className="text-sm text-gray-700 mt-2 whitespace-pre-wrap">"{request.message}"</p>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+/**
+ * Keeps a project's join requests in state. Only the author may read them,
+ * so nothing is fetched for anyone else.
+ */
+const useJoinRequests = (projectId, isOwner, showModal) => {
+  const [requests, setRequests] = useState([]);
+
+  useEffect(() => {
+    if (!isOwner) return;
+    const unsubscribe = subscribeJoinRequests(projectId, setRequests, (error) => {
+      showModal("Error", error.message);
+    });
+    return () => unsubscribe();
+  }, [isOwner, projectId, showModal]);
+
+  return requests;
+};
+
+/**
+ * Status badge; a dropdown for the author
+ */
+const ProjectStatusControl = ({ project, isOwner, actor, showModal }) => {
+  const status = getProjectStatus(project);
+
+  const handleStatusChange = async (e) => {
+    try {
+      await updateProject(project.id, { status: e.target.value }, actor);
+    } catch (error) {
+      showModal("Error", error.message);
+    }
+  };
+
+  if (!isOwner) {
+    return <span className={`text-xs font-medium rounded-full px-2 py-0.5 ${status.className}`}>{status.label}</span>;
+  }
+  return (
+    <select
+      value={status.value}
+      onChange={handleStatusChange}
+      className={`text-xs font-medium rounded-full px-2 py-0.5 border-none focus:ring-1 focus:ring-emerald-500 ${status.className}`}
+    >
+      {PROJECT_STATUSES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+    </select>
+  );
+};
+
+/**
+ * Required skills with how many places are still open for each
+ */
+const ProjectSkills = ({ project }) => {
+  const openSlots = getOpenSlots(project);
+  return (
+    <div className="flex flex-wrap gap-2">
+      <span className="text-xs font-semibold text-gray-600">Skills needed:</span>
+      {project.skills.map((skill, index) => (
+        <span key={index} className="px-2 py-0.5 bg-emerald-100 text-emerald-800 text-xs font-medium rounded-full">
+          {skill}
+          <span className="text-emerald-600"> · {openSlots[skill] || 0} open</span>
+        </span>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * The problem, scope and milestone checklist from the project's plan.
+ * Only the author can tick milestones off.
+ */
+const ProjectPlan = ({ project, isOwner, actor, showModal }) => {
+  const [savingId, setSavingId] = useState(null);
+  const milestones = project.milestones || [];
+
+  if (!project.problem && !project.scope && milestones.length === 0) return null;
+
+  const handleToggle = async (milestone) => {
+    setSavingId(milestone.id);
+    try {
+      await setProjectMilestoneDone(project, milestone.id, !milestone.done, actor);
+    } catch (error) {
+      showModal("Error", error.message);
+    }
+    setSavingId(null);
+  };
+
+  const doneCount = milestones.filter(m => m.done).length;
+
+  return (
+    <div className="mt-4 space-y-4">
+      {project.problem && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-500 uppercase tracking-wider mb-1">Problem</h4>
+          <Markdown className="text-gray-800">{project.problem}</Markdown>
+        </div>
+      )}
+      {project.scope && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-500 uppercase tracking-wider mb-1">Scope</h4>
+          <Markdown className="text-gray-800">{project.scope}</Markdown>
+        </div>
+      )}
+      {milestones.length > 0 && (
+        <div>
+          <h4 className="text-sm font-semibold text-gray-500 uppercase tracking-wider mb-1">
+            Milestones <span className="normal-case font-normal">({doneCount}/{milestones.length} done)</span>
+          </h4>
+          <ul className="space-y-1">
+            {milestones.map((milestone) => (
+              <li key={milestone.id}>
+                <label className={`flex items-center space-x-2 text-sm ${isOwner ? 'cursor-pointer' : ''}`}>
+                  <input
+                    type="checkbox"
+                    checked={milestone.done}
+                    disabled={!isOwner || savingId !== null}
+                    onChange={() => handleToggle(milestone)}
+                    className="h-4 w-4 text-emerald-600 border-gray-300 rounded focus:ring-emerald-500"
+                  />
+                  <span className={milestone.done ? 'line-through text-gray-400' : 'text-gray-800'}>{milestone.title}</span>
+                </label>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * The team roster with each member's role
+ */
+const ProjectTeamRoster = ({ project, setPage }) => {
+  const members = getProjectMembers(project);
+  return (
+    <div>
+      <span className="text-xs font-semibold text-gray-600">Team ({members.length}):</span>
+      <div className="mt-1 flex flex-wrap gap-2">
+        {members.map((member) => (
+          <button
+            key={member.uid}
+            onClick={() => setPage({ name: 'profile', props: { profileId: member.uid } })}
+            className="flex items-center space-x-1 px-2 py-1 bg-gray-50 rounded-md text-sm hover:bg-gray-100 transition-colors"
+          >
+            <User size={14} className="text-gray-500" />
+            <span className="text-gray-800">{member.name}</span>
+            <span className="text-xs text-gray-500">
+              ({member.role === 'owner' ? 'Owner' : member.skill})
+            </span>
+          </button>
         ))}
       </div>
-      
-      {/* Create Project Modal */}
-      {showCreateModal && (
-        <CreateProjectModal 
-          userId={userId} 
-          authorName={authorName} // Pass the fetched author name
-          showModal={showModal} 
-          onClose={() => setShowCreateModal(false)} 
+    </div>
+  );
+};
+
+/**
+ * "Request to Join" / pending / member state for the current user
+ */
+const ProjectJoinAction = ({ project, userId, authorName, myRequest, showModal }) => {
+  const [isJoining, setIsJoining] = useState(false);
+
+  const isOwner = project.authorId === userId;
+  const isMember = getProjectMembers(project).some(m => m.uid === userId);
+  const hasOpenSlots = Object.values(getOpenSlots(project)).some(open => open > 0);
+
+  const handleWithdraw = async () => {
+    try {
+      await withdrawJoinRequest(project.id, userId);
+    } catch (error) {
+      showModal("Error", error.message);
+    }
+  };
+
+  if (isMember) {
+    return <span className="text-sm text-emerald-700 font-medium">{isOwner ? "You're the owner" : "You're on this team"}</span>;
+  }
+  if (myRequest?.status === 'pending') {
+    return (
+      <div className="flex items-center space-x-2">
+        <span className="text-sm text-gray-500">Request pending</span>
+        <button onClick={handleWithdraw} className="text-sm text-gray-500 hover:text-red-500 underline">
+          Withdraw
+        </button>
+      </div>
+    );
+  }
+  if (myRequest?.status === 'rejected') {
+    return <span className="text-sm text-gray-500">Request declined</span>;
+  }
+  if (getProjectStatus(project).value !== 'recruiting') {
+    return null;
+  }
+  return (
+    <>
+      <button
+        onClick={() => setIsJoining(true)}
+        disabled={!hasOpenSlots}
+        className="flex items-center bg-emerald-600 text-white px-3 py-1.5 rounded-md text-sm hover:bg-emerald-700 disabled:bg-emerald-300 transition-colors"
+      >
+        <UserPlus size={16} className="mr-1" />
+        {hasOpenSlots ? 'Request to Join' : 'Team Full'}
+      </button>
+      {isJoining && (
+        <JoinProjectModal
+          project={project}
+          userId={userId}
+          authorName={authorName}
+          showModal={showModal}
+          onClose={() => setIsJoining(false)}
         />
       )}
+    </>
+  );
+};
+
+/**
+ * Teacher verification and mentor, when a project has them
+ */
+const ProjectTeacherBadges = ({ project, setPage }) => {
+  if (!project.endorsement && !project.mentor) return null;
+  return (
+    <div className="flex flex-wrap gap-2 mt-2">
+      {project.endorsement && (
+        <span className="flex items-center px-2 py-0.5 bg-sky-100 text-sky-800 text-xs font-medium rounded-full">
+          <BadgeCheck size={14} className="mr-1" />
+          Verified by {project.endorsement.name}
+        </span>
+      )}
+      {project.mentor && (
+        <button
+          onClick={() => setPage({ name: 'profile', props: { profileId: project.mentor.uid } })}
+          className="flex items-center px-2 py-0.5 bg-amber-100 text-amber-800 text-xs font-medium rounded-full hover:bg-amber-200"
+        >
+          <GraduationCap size={14} className="mr-1" />
+          Mentor: {project.mentor.name}
+        </button>
+      )}
     </div>
   );
 };
 
-// --- NEW FEATURE: Create Project Modal ---
-const CreateProjectModal = ({ userId, authorName, showModal, onClose }) => {
-  const [title, setTitle] = useState('');
-  const [description, setDescription] = useState('');
-  const [skills, setSkills] = useState('');
-  const [isPosting, setIsPosting] = useState(false);
+/**
+ * Endorse / mentor buttons for teachers viewing someone else's project
+ */
+const ProjectTeacherActions = ({ project, userId, authorName, showModal }) => {
+  const [isSaving, setIsSaving] = useState(false);
+  const teacher = { id: userId, name: authorName };
+  const hasEndorsed = project.endorsement?.uid === userId;
+  const isMentor = project.mentor?.uid === userId;
 
-  const handlePostProject = async (e) => {
-    e.preventDefault();
-    if (title.trim() === '' || description.trim() === '' || skills.trim() === '') {
-      showModal("Incomplete Form", "Please fill out all fields.");
-      return;
+  const handle = (action) => async () => {
+    setIsSaving(true);
+    try {
+      await action();
+    } catch (error) {
+      showModal("Error", error.message);
     }
-    
-    setIsPosting(true);
-    
-    const skillsArray = skills.split(',').map(s => s.trim()).filter(s => s);
+    setIsSaving(false);
+  };
+
+  return (
+    <div className="flex items-center space-x-4">
+      {(!project.endorsement || hasEndorsed) && (
+        <button
+          onClick={handle(() => setProjectEndorsement(project.id, teacher, !hasEndorsed))}
+          disabled={isSaving}
+          className="flex items-center space-x-1 text-sm text-gray-500 hover:text-sky-600 disabled:opacity-50 transition-colors"
+        >
+          <BadgeCheck size={16} />
+          <span>{hasEndorsed ? 'Remove endorsement' : 'Endorse'}</span>
+        </button>
+      )}
+      {(!project.mentor || isMentor) && (
+        <button
+          onClick={handle(() => setProjectMentor(project.id, teacher, !isMentor))}
+          disabled={isSaving}
+          className="flex items-center space-x-1 text-sm text-gray-500 hover:text-amber-600 disabled:opacity-50 transition-colors"
+        >
+          <GraduationCap size={16} />
+          <span>{isMentor ? 'Stop mentoring' : 'Mentor'}</span>
+        </button>
+      )}
+    </div>
+  );
+};
+
+const projectReportTarget = (project) => ({
+  type: 'project',
+  id: project.id,
+  ownerId: project.authorId,
+  ownerName: project.authorName,
+  excerpt: `${project.title}: ${project.description}`.slice(0, 280),
+});
+
+/**
+ * A single project listing: summary, open slots, team roster and join actions
+ */
+const ProjectCard = ({ project, userId, authorName, isTeacher, myRequest, showModal, setPage }) => {
+  const [showRequests, setShowRequests] = useState(false);
+
+  const isOwner = project.authorId === userId;
+  const actor = { id: userId, name: authorName };
+  const requests = useJoinRequests(project.id, isOwner, showModal);
+  const pendingCount = requests.filter(r => r.status === 'pending').length;
+  const openProject = () => setPage({ name: 'project', props: { projectId: project.id } });
 
+  const handleDeleteProject = async () => {
+    // const confirmed = window.confirm("Are you sure you want to delete this project?");
+    // if (!confirmed) return;
+    
     try {
-      const projectsCol = collection(db, `artifacts/${appId}/public/data/projects`);
-      await addDoc(projectsCol, {
-        title: title,
-        description: description,
-        skills: skillsArray,
-        authorId: userId,
-        authorName: authorName,
-        createdAt: serverTimestamp(),
-      });
-      showModal("Success!", "Your project has been posted.");
-      onClose();
+      await deleteProject(project.id);
     } catch (error) {
-      console.error("Error posting project:", error);
-      showModal("Error", "Could not post your project.");
+      showModal("Error", error.message);
     }
-    setIsPosting(false);
   };
 
   return (
-    <div className="fixed inset-0 bg-black bg-opacity-75 backdrop-blur-sm z-50 flex justify-center items-center p-4">
-      <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg p-6 relative">
-        <button
-          onClick={onClose}
-          className="absolute top-3 right-3 text-gray-400 hover:text-gray-600"
-        >
-          <X size={20} />
-        </button>
-        <h3 className="text-lg font-semibold text-gray-900 mb-4">
-          Post a New Project
-        </h3>
-        <form onSubmit={handlePostProject} className="space-y-4">
-          <div>
-            <label htmlFor="title" className="block text-sm font-medium text-gray-700">Project Title</label>
-            <input
-              id="title"
-              type="text"
-              value={title}
-              onChange={(e) => setTitle(e.target.value)}
-              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-emerald-500 focus:border-emerald-500"
-            />
-          </div>
-           <div>
-            <label htmlFor="description" className="block text-sm font-medium text-gray-700">Description</label>
-            <textarea
-              id="description"
-              value={description}
-              onChange={(e) => setDescription(e.target.value)}
-              rows="4"
-              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-emerald-500 focus:border-emerald-500"
-            ></textarea>
-          </div>
-           <div>
-            <label htmlFor="skills" className="block text-sm font-medium text-gray-700">Skills Needed (comma-separated)</label>
-            <input
-              id="skills"
-              type="text"
-              value={skills}
-              onChange={(e) => setSkills(e.target.value)}
-              placeholder="e.g., React, Python, UI/UX Design"
-              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-emerald-500 focus:border-emerald-500"
-            />
-          </div>
+    <div className="bg-white p-5 rounded-xl shadow-lg relative">
+      {isOwner ? (
+        <button
+          onClick={handleDeleteProject}
+          className="absolute top-3 right-3 text-gray-400 hover:text-red-500 transition-colors z-10"
+          title="Delete project"
+        >
+          <Trash2 size={16} />
+        </button>
+      ) : (
+        <ReportButton
+          target={projectReportTarget(project)}
+          reporter={actor}
+          showModal={showModal}
+          className="absolute top-3 right-3 z-10"
+        />
+      )}
+      {project.hidden && <HiddenNotice isOwner={isOwner} />}
+      <div className="flex justify-between items-start pr-6">
+        <div>
+          <button onClick={openProject} className="text-left">
+            <h3 className="text-xl font-semibold text-gray-900 hover:text-emerald-600 hover:underline">{project.title}</h3>
+          </button>
+          <button 
+            onClick={() => setPage({ name: 'profile', props: { profileId: project.authorId } })}
+            className="block text-sm text-gray-500 hover:text-emerald-600 hover:underline"
+          >
+            by {project.authorName}
+          </button>
+          <ProjectTeacherBadges project={project} setPage={setPage} />
+        </div>
+        <div className="flex flex-col items-end flex-shrink-0 ml-2 space-y-1">
+          <ProjectStatusControl project={project} isOwner={isOwner} actor={actor} showModal={showModal} />
+          <span className="text-xs text-gray-400">{timeAgo(project.createdAt)}</span>
+        </div>
+      </div>
+      <Markdown className="text-gray-700 my-3 line-clamp-3">{project.description}</Markdown>
+      <ProjectSkills project={project} />
+
+      <div className="mt-4">
+        <ProjectTeamRoster project={project} setPage={setPage} />
+      </div>
+
+      {/* Actions */}
+      <div className="flex justify-between items-center mt-4 pt-3 border-t border-gray-100">
+        <div className="flex items-center space-x-4">
+          <button
+            onClick={openProject}
+            className="flex items-center space-x-1 text-sm text-gray-500 hover:text-emerald-600 transition-colors"
+          >
+            <FileText size={16} />
+            <span>View details</span>
+          </button>
+          {isOwner && (
+            <button
+              onClick={() => setShowRequests(!showRequests)}
+              className="flex items-center space-x-1 text-sm text-gray-500 hover:text-emerald-600 transition-colors"
+            >
+              <Users size={16} />
+              <span>Join requests</span>
+              {pendingCount > 0 && (
+                <span className="bg-emerald-600 text-white text-xs font-semibold rounded-full px-2 py-0.5">{pendingCount}</span>
+              )}
+            </button>
+          )}
+          {isTeacher && !isOwner && (
+            <ProjectTeacherActions project={project} userId={userId} authorName={authorName} showModal={showModal} />
+          )}
+        </div>
+        <ProjectJoinAction
+          project={project}
+          userId={userId}
+          authorName={authorName}
+          myRequest={myRequest}
+          showModal={showModal}
+        />
+      </div>
+      {isOwner && showRequests && (
+        <div className="mt-3">
+          <JoinRequestsPanel project={project} requests={requests} actor={actor} showModal={showModal} setPage={setPage} />
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ProjectsPage = ({ userId, user, profile, showModal, setPage }) => {
+  const [projects, setProjects] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [showCreateModal, setShowCreateModal] = useState(false);
+  const [authorName, setAuthorName] = useState('...'); // State for author name
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [myRequests, setMyRequests] = useState({}); // projectId -> JoinRequest
+
+  // Fetch current user's name for posting
+  useEffect(() => {
+    if (userId) {
+      const fetchUserName = async () => {
+        const profile = await getUser(userId);
+        if (profile) {
+          setAuthorName(profile.name);
+        } else {
+          setAuthorName(user.email); // Fallback
+        }
+      };
+      fetchUserName();
+    }
+  }, [userId, user.email]);
+
+  // Fetch all projects
+  const isAdmin = profile?.role === 'admin';
+  useEffect(() => {
+    setIsLoading(true);
+    // Projects arrive sorted newest first
+    const unsubscribe = subscribeProjects({ id: userId, isAdmin }, (projectsList) => {
+      setProjects(projectsList);
+      setIsLoading(false);
+    }, (error) => {
+      showModal("Error", error.message);
+      setIsLoading(false);
+    });
+
+    return () => unsubscribe();
+  }, [userId, isAdmin, showModal]);
+
+  // Track the current user's join requests across all projects
+  useEffect(() => {
+    if (!userId) return;
+    const unsubscribe = subscribeMyJoinRequests(userId, (requests) => {
+      setMyRequests(Object.fromEntries(requests.map(r => [r.projectId, r])));
+    }, (error) => {
+      showModal("Error", error.message);
+    });
+    return () => unsubscribe();
+  }, [userId, showModal]);
+
+  // Moderators still see hidden projects, and so do their authors
+  const visibleProjects = projects.filter(p => !p.hidden || p.authorId === userId || isAdmin);
+  const filteredProjects = statusFilter === 'all'
+    ? visibleProjects
+    : visibleProjects.filter(p => getProjectStatus(p).value === statusFilter);
+
+  return (
+    <div className="max-w-4xl mx-auto p-4 sm:p-6 lg:p-8">
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-3xl font-bold text-gray-900">
+          Projects
+        </h2>
+        <button
+          onClick={() => setShowCreateModal(true)}
+          className="flex items-center justify-center bg-emerald-600 text-white px-4 py-2 rounded-md hover:bg-emerald-700 shadow-md hover:shadow-lg transition-all"
+        >
+          <Plus size={18} className="mr-2" />
+          Post a Project
+        </button>
+      </div>
+
+      {/* Status Filter */}
+      <div className="flex flex-wrap gap-2 mb-6">
+        {[{ value: 'all', label: 'All' }, ...PROJECT_STATUSES].map((s) => (
+          <button
+            key={s.value}
+            onClick={() => setStatusFilter(s.value)}
+            className={`px-3 py-1 rounded-full text-sm font-medium transition-colors ${statusFilter === s.value ? 'bg-emerald-600 text-white' : 'bg-white text-gray-600 hover:bg-emerald-50 shadow-sm'}`}
+          >
+            {s.label}
+          </button>
+        ))}
+      </div>
+
+      {/* Project List */}
+      <div className="space-y-6">
+        {isLoading && <LoadingSpinner size={32} />}
+        {!isLoading && projects.length === 0 && (
+          <p className="text-center text-gray-500">No projects listed yet. Be the first to post!</p>
+        )}
+        {!isLoading && projects.length > 0 && filteredProjects.length === 0 && (
+          <p className="text-center text-gray-500">No projects with this status.</p>
+        )}
+        {filteredProjects.map((project) => (
+          <ProjectCard
+            key={project.id}
+            project={project}
+            userId={userId}
+            authorName={authorName}
+            isTeacher={profile?.role === 'teacher'}
+            myRequest={myRequests[project.id]}
+            showModal={showModal}
+            setPage={setPage}
+          />
+        ))}
+      </div>
+      
+      {/* Create Project Modal */}
+      {showCreateModal && (
+        <CreateProjectModal 
+          userId={userId} 
+          authorName={authorName} // Pass the fetched author name
+          showModal={showModal} 
+          onClose={() => setShowCreateModal(false)} 
+        />
+      )}
+    </div>
+  );
+};
+
+// --- NEW FEATURE: Create Project Modal ---
+const CreateProjectModal = ({ userId, authorName, showModal, onClose }) => {
+  const [title, setTitle] = useState('');
+  const [description, setDescription] = useState('');
+  const [skills, setSkills] = useState('');
+  const [slotCounts, setSlotCounts] = useState({}); // skill -> people wanted
+  const [problem, setProblem] = useState('');
+  const [scope, setScope] = useState('');
+  const [milestones, setMilestones] = useState([]); // titles, in order
+  const [isPosting, setIsPosting] = useState(false);
+  const [roughIdea, setRoughIdea] = useState('');
+  const [isDrafting, setIsDrafting] = useState(false);
+  const ai = useAiAvailability();
+
+  const skillsArray = skills.split(',').map(s => s.trim()).filter(s => s);
+
+  // Turns the author's rough notes into a proposal they can edit before posting
+  const handleDraftWithAi = async () => {
+    if (roughIdea.trim() === '') {
+      showModal("Nothing to Draft", "Describe your idea in a few sentences first.");
+      return;
+    }
+    setIsDrafting(true);
+    try {
+      const payload = buildProjectDraftPayload(roughIdea);
+      const draft = await generateValidJson('projectDraft', payload, validateProjectDraft);
+      setTitle(draft.title);
+      setDescription(draft.summary);
+      setProblem(draft.problem);
+      setScope(draft.scope);
+      setMilestones(draft.milestones);
+      setSkills(draft.skills.join(', '));
+    } catch (error) {
+      console.error("Error drafting the project:", error);
+      showModal("Draft Failed", `Couldn't draft your project (${error.message}). You can still fill in the form yourself.`);
+    }
+    setIsDrafting(false);
+  };
+
+  const updateMilestone = (index, value) =>
+    setMilestones(prev => prev.map((m, i) => (i === index ? value : m)));
+
+  const handlePostProject = async (e) => {
+    e.preventDefault();
+    if (title.trim() === '' || description.trim() === '' || skills.trim() === '') {
+      showModal("Incomplete Form", "Please fill out all fields.");
+      return;
+    }
+    
+    setIsPosting(true);
+
+    try {
+      await createProject({
+        title: title,
+        description: description,
+        skills: skillsArray,
+        slots: Object.fromEntries(skillsArray.map(skill => [skill, slotCounts[skill] || 1])),
+        problem: problem.trim(),
+        scope: scope.trim(),
+        milestones: toMilestones(milestones),
+        members: [{ uid: userId, name: authorName, role: 'owner', skill: '' }],
+        memberIds: [userId],
+        authorId: userId,
+        authorName: authorName,
+      });
+      showModal("Success!", "Your project has been posted.");
+      onClose();
+    } catch (error) {
+      showModal("Error", error.message);
+    }
+    setIsPosting(false);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-75 backdrop-blur-sm z-50 flex justify-center items-center p-4">
+      <div className="bg-white rounded-xl shadow-2xl w-full max-w-lg max-h-[90vh] overflow-y-auto p-6 relative">
+        <button
+          onClick={onClose}
+          className="absolute top-3 right-3 text-gray-400 hover:text-gray-600"
+        >
+          <X size={20} />
+        </button>
+        <h3 className="text-lg font-semibold text-gray-900 mb-4">
+          Post a New Project
+        </h3>
+        <div className="mb-4 p-4 bg-emerald-50 border border-emerald-100 rounded-lg">
+          <label htmlFor="roughIdea" className="block text-sm font-medium text-emerald-800">Draft with AI</label>
+          <p className="text-xs text-emerald-700 mb-2">Describe your idea in a few rough sentences. You can edit everything before posting.</p>
+          <textarea
+            id="roughIdea"
+            value={roughIdea}
+            onChange={(e) => setRoughIdea(e.target.value)}
+            rows="3"
+            placeholder="e.g., An app that lets students swap used textbooks on campus. Needs a web app and some way to verify students..."
+            className="block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-emerald-500 focus:border-emerald-500"
+          ></textarea>
+          <button
+            type="button"
+            onClick={handleDraftWithAi}
+            disabled={isDrafting || !ai.available}
+            title={ai.reason || undefined}
+            className="mt-2 flex items-center bg-emerald-600 text-white px-3 py-1.5 rounded-md text-sm hover:bg-emerald-700 disabled:bg-emerald-300 transition-colors"
+          >
+            {isDrafting ? <Loader2 size={16} className="animate-spin mr-1" /> : <Sparkles size={16} className="mr-1" />}
+            {isDrafting ? 'Drafting...' : 'Draft Proposal'}
+          </button>
+          <AiUnavailableNote availability={ai} className="mt-2" />
+        </div>
+        <form onSubmit={handlePostProject} className="space-y-4">
+          <div>
+            <label htmlFor="title" className="block text-sm font-medium text-gray-700">Project Title</label>
+            <input
+              id="title"
+              type="text"
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-emerald-500 focus:border-emerald-500"
+            />
+          </div>
+           <div>
+            <label htmlFor="description" className="block text-sm font-medium text-gray-700">Description</label>
+            <textarea
+              id="description"
+              value={description}
+              onChange={(e) => setDescription(e.target.value)}
+              rows="4"
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-emerald-500 focus:border-emerald-500"
+            ></textarea>
+          </div>
+           <div>
+            <label htmlFor="skills" className="block text-sm font-medium text-gray-700">Skills Needed (comma-separated)</label>
+            <input
+              id="skills"
+              type="text"
+              value={skills}
+              onChange={(e) => setSkills(e.target.value)}
+              placeholder="e.g., React, Python, UI/UX Design"
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-emerald-500 focus:border-emerald-500"
+            />
+          </div>
+          <div>
+            <label htmlFor="problem" className="block text-sm font-medium text-gray-700">Problem Statement <span className="text-gray-400 font-normal">(optional)</span></label>
+            <textarea
+              id="problem"
+              value={problem}
+              onChange={(e) => setProblem(e.target.value)}
+              rows="3"
+              maxLength={5000}
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-emerald-500 focus:border-emerald-500"
+            ></textarea>
+          </div>
+          <div>
+            <label htmlFor="scope" className="block text-sm font-medium text-gray-700">Scope <span className="text-gray-400 font-normal">(optional)</span></label>
+            <textarea
+              id="scope"
+              value={scope}
+              onChange={(e) => setScope(e.target.value)}
+              rows="3"
+              maxLength={5000}
+              className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-emerald-500 focus:border-emerald-500"
+            ></textarea>
+          </div>
+          <div>
+            <span className="block text-sm font-medium text-gray-700">Milestones <span className="text-gray-400 font-normal">(optional)</span></span>
+            <div className="mt-1 space-y-2">
+              {milestones.map((milestone, index) => (
+                <div key={index} className="flex items-center space-x-2">
+                  <span className="text-xs text-gray-400 w-4">{index + 1}.</span>
+                  <input
+                    type="text"
+                    value={milestone}
+                    onChange={(e) => updateMilestone(index, e.target.value)}
+                    maxLength={200}
+                    className="flex-1 px-3 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-1 focus:ring-emerald-500"
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setMilestones(prev => prev.filter((_, i) => i !== index))}
+                    className="text-gray-400 hover:text-red-600"
+                    title="Remove milestone"
+                  >
+                    <X size={16} />
+                  </button>
+                </div>
+              ))}
+              {milestones.length < MAX_MILESTONES && (
+                <button
+                  type="button"
+                  onClick={() => setMilestones(prev => [...prev, ''])}
+                  className="flex items-center text-sm text-emerald-600 hover:text-emerald-700"
+                >
+                  <Plus size={16} className="mr-1" />
+                  Add milestone
+                </button>
+              )}
+            </div>
+          </div>
+          {skillsArray.length > 0 && (
+            <div>
+              <span className="block text-sm font-medium text-gray-700">People needed per skill</span>
+              <div className="mt-1 grid grid-cols-2 gap-2">
+                {skillsArray.map((skill) => (
+                  <label key={skill} className="flex items-center justify-between bg-gray-50 rounded-md px-3 py-1.5 text-sm text-gray-700">
+                    <span className="truncate mr-2">{skill}</span>
+                    <input
+                      type="number"
+                      min="1"
+                      max="10"
+                      value={slotCounts[skill] || 1}
+                      onChange={(e) => setSlotCounts(prev => ({ ...prev, [skill]: Math.min(10, Math.max(1, Number(e.target.value) || 1)) }))}
+                      className="w-16 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-1 focus:ring-emerald-500"
+                    />
+                  </label>
+                ))}
+              </div>
+            </div>
+          )}
+          <button
+            type="submit"
+            disabled={isPosting}
+            className="mt-4 w-full flex items-center justify-center bg-emerald-600 text-white px-5 py-2 rounded-md hover:bg-emerald-700 disabled:bg-emerald-300 shadow-md hover:shadow-lg transition-all"
+          >
+            {isPosting ? (
+              <Loader2 className="animate-spin" />
+            ) : (
+              <Plus size={18} className="mr-2" />
+            )}
+            Post Project
+          </button>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+
+// --- NEW FEATURE: Project Detail Page ---
+
+/**
+ * Human-readable line for one activity timeline entry
+ */
+const describeActivity = (entry) => {
+  switch (entry.type) {
+    case 'created':
+      return `${entry.actorName} created the project`;
+    case 'member_joined':
+      return `${entry.detail?.name} joined the team${entry.detail?.skill ? ` for ${entry.detail.skill}` : ''}`;
+    case 'status_changed': {
+      const status = PROJECT_STATUSES.find(s => s.value === entry.detail?.status);
+      return `${entry.actorName} marked the project as ${status ? status.label : entry.detail?.status}`;
+    }
+    case 'edited':
+      return `${entry.actorName} updated the project details`;
+    case 'endorsed':
+      return `${entry.actorName} verified the project`;
+    case 'mentor_joined':
+      return `${entry.actorName} started mentoring the team`;
+    case 'milestone_done':
+      return `${entry.actorName} completed the milestone "${entry.detail?.title}"`;
+    default:
+      return `${entry.actorName} updated the project`;
+  }
+};
+
+/**
+ * Chronological list of what happened on a project
+ */
+const ProjectActivityTimeline = ({ project, activity }) => {
+  // Projects posted before the timeline existed have no 'created' entry
+  const entries = activity.some(a => a.type === 'created')
+    ? activity
+    : [
+        { id: 'created', type: 'created', actorName: project.authorName, createdAt: project.createdAt },
+        ...activity,
+      ];
+
+  return (
+    <ol className="relative border-l-2 border-emerald-100 ml-2 space-y-4">
+      {entries.map((entry) => (
+        <li key={entry.id} className="ml-4">
+          <span className="absolute -left-[7px] mt-1.5 h-3 w-3 rounded-full bg-emerald-500" />
+          <p className="text-sm text-gray-800">{describeActivity(entry)}</p>
+          <p className="text-xs text-gray-400">{timeAgo(entry.createdAt)}</p>
+        </li>
+      ))}
+    </ol>
+  );
+};
+
+/**
+ * Inline form for the author to edit title, description and skills
+ */
+const EditProjectForm = ({ project, actor, showModal, onDone }) => {
+  const [title, setTitle] = useState(project.title);
+  const [description, setDescription] = useState(project.description);
+  const [skills, setSkills] = useState(project.skills.join(', '));
+  const [isSaving, setIsSaving] = useState(false);
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const skillsArray = skills.split(',').map(s => s.trim()).filter(s => s);
+    if (title.trim() === '' || description.trim() === '' || skillsArray.length === 0) {
+      showModal("Incomplete Form", "Please fill out all fields.");
+      return;
+    }
+
+    // Keep the wanted head-count for skills that are still listed
+    const previousSlots = project.slots || {};
+    const slots = Object.fromEntries(skillsArray.map(skill => [skill, previousSlots[skill] || 1]));
+
+    setIsSaving(true);
+    try {
+      await updateProject(project.id, { title, description, skills: skillsArray, slots }, actor);
+      onDone();
+    } catch (error) {
+      showModal("Error", error.message);
+    }
+    setIsSaving(false);
+  };
+
+  return (
+    <form onSubmit={handleSave} className="space-y-4">
+      <div>
+        <label htmlFor="edit-title" className="block text-sm font-medium text-gray-700">Project Title</label>
+        <input
+          id="edit-title"
+          type="text"
+          value={title}
+          onChange={(e) => setTitle(e.target.value)}
+          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-emerald-500 focus:border-emerald-500"
+        />
+      </div>
+      <div>
+        <label htmlFor="edit-description" className="block text-sm font-medium text-gray-700">Description</label>
+        <textarea
+          id="edit-description"
+          value={description}
+          onChange={(e) => setDescription(e.target.value)}
+          rows="6"
+          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-emerald-500 focus:border-emerald-500"
+        ></textarea>
+      </div>
+      <div>
+        <label htmlFor="edit-skills" className="block text-sm font-medium text-gray-700">Skills Needed (comma-separated)</label>
+        <input
+          id="edit-skills"
+          type="text"
+          value={skills}
+          onChange={(e) => setSkills(e.target.value)}
+          className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-emerald-500 focus:border-emerald-500"
+        />
+      </div>
+      <div className="flex justify-end space-x-2">
+        <button
+          type="button"
+          onClick={onDone}
+          className="flex items-center bg-gray-100 text-gray-700 px-4 py-2 rounded-md hover:bg-gray-200 transition-colors"
+        >
+          <X size={18} className="mr-1" />
+          Cancel
+        </button>
+        <button
+          type="submit"
+          disabled={isSaving}
+          className="flex items-center bg-emerald-600 text-white px-4 py-2 rounded-md hover:bg-emerald-700 disabled:bg-emerald-300 transition-colors"
+        >
+          {isSaving ? <Loader2 className="animate-spin" /> : <Save size={18} className="mr-1" />}
+          Save
+        </button>
+      </div>
+    </form>
+  );
+};
+
+const ProjectDetailPage = ({ projectId, userId, user, profile, showModal, setPage }) => {
+  const [project, setProject] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [activity, setActivity] = useState([]);
+  const [myRequest, setMyRequest] = useState(null);
+  const [authorName, setAuthorName] = useState('...');
+  const [isEditing, setIsEditing] = useState(false);
+
+  const isOwner = project?.authorId === userId;
+  const actor = { id: userId, name: authorName };
+  const requests = useJoinRequests(projectId, isOwner, showModal);
+
+  // Fetch current user's name for comments and join requests
+  useEffect(() => {
+    if (userId) {
+      const fetchUserName = async () => {
+        const profile = await getUser(userId);
+        setAuthorName(profile ? profile.name : user.email);
+      };
+      fetchUserName();
+    }
+  }, [userId, user.email]);
+
+  // Listen for the project itself
+  useEffect(() => {
+    setIsLoading(true);
+    const unsubscribe = subscribeProject(projectId, (data) => {
+      setProject(data);
+      setIsLoading(false);
+    }, (error) => {
+      showModal("Error", error.message);
+      setIsLoading(false);
+    });
+    return () => unsubscribe();
+  }, [projectId, showModal]);
+
+  // Listen for the activity timeline
+  useEffect(() => {
+    const unsubscribe = subscribeProjectActivity(projectId, setActivity, (error) => {
+      showModal("Error", error.message);
+    });
+    return () => unsubscribe();
+  }, [projectId, showModal]);
+
+  // The current user's join request on this project, if any
+  useEffect(() => {
+    if (!userId) return;
+    const unsubscribe = subscribeMyJoinRequests(userId, (list) => {
+      setMyRequest(list.find(r => r.projectId === projectId) || null);
+    });
+    return () => unsubscribe();
+  }, [userId, projectId]);
+
+  const handleDeleteProject = async () => {
+    try {
+      await deleteProject(projectId);
+      setPage({ name: 'projects' });
+    } catch (error) {
+      showModal("Error", error.message);
+    }
+  };
+
+  if (isLoading) {
+    return (
+      <div className="flex-grow pt-20">
+        <LoadingSpinner size={40} />
+      </div>
+    );
+  }
+
+  if (!project || (project.hidden && !isOwner && profile?.role !== 'admin')) {
+    return (
+      <div className="flex-grow flex flex-col items-center justify-center pt-20">
+        <p className="text-xl text-gray-600">Project not found.</p>
+        <button
+          onClick={() => setPage({ name: 'projects' })}
+          className="mt-4 text-emerald-600 hover:underline"
+        >
+          Back to Projects
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="max-w-4xl mx-auto p-4 sm:p-6 lg:p-8 space-y-6">
+      <button
+        onClick={() => setPage({ name: 'projects' })}
+        className="flex items-center text-sm text-gray-500 hover:text-emerald-600"
+      >
+        <ArrowLeft size={16} className="mr-1" />
+        All Projects
+      </button>
+
+      {/* Project Details */}
+      <div className="bg-white p-6 rounded-xl shadow-lg">
+        {project.hidden && <HiddenNotice isOwner={isOwner} />}
+        {isEditing ? (
+          <EditProjectForm project={project} actor={actor} showModal={showModal} onDone={() => setIsEditing(false)} />
+        ) : (
+          <>
+            <div className="flex flex-col sm:flex-row sm:justify-between sm:items-start gap-3">
+              <div>
+                <h2 className="text-3xl font-bold text-gray-900">{project.title}</h2>
+                <button
+                  onClick={() => setPage({ name: 'profile', props: { profileId: project.authorId } })}
+                  className="text-sm text-gray-500 hover:text-emerald-600 hover:underline"
+                >
+                  by {project.authorName}
+                </button>
+                <span className="text-xs text-gray-400 ml-2">{timeAgo(project.createdAt)}</span>
+                <ProjectTeacherBadges project={project} setPage={setPage} />
+              </div>
+              <div className="flex items-center space-x-2 flex-shrink-0">
+                <ProjectStatusControl project={project} isOwner={isOwner} actor={actor} showModal={showModal} />
+                {isOwner && (
+                  <>
+                    <button
+                      onClick={() => setIsEditing(true)}
+                      className="flex items-center bg-emerald-600 text-white px-3 py-1.5 rounded-md text-sm hover:bg-emerald-700 transition-colors"
+                    >
+                      <Edit size={16} className="mr-1" />
+                      Edit
+                    </button>
+                    <button
+                      onClick={handleDeleteProject}
+                      className="flex items-center bg-gray-100 text-gray-700 px-3 py-1.5 rounded-md text-sm hover:bg-red-50 hover:text-red-600 transition-colors"
+                    >
+                      <Trash2 size={16} className="mr-1" />
+                      Delete
+                    </button>
+                  </>
+                )}
+                {!isOwner && (
+                  <ReportButton
+                    target={projectReportTarget(project)}
+                    reporter={actor}
+                    showModal={showModal}
+                    label="Report"
+                    className="text-sm"
+                  />
+                )}
+              </div>
+            </div>
+            <Markdown className="text-gray-800 my-4">{project.description}</Markdown>
+            <ProjectSkills project={project} />
+            <ProjectPlan project={project} isOwner={isOwner} actor={actor} showModal={showModal} />
+            {profile?.role === 'teacher' && !isOwner && (
+              <div className="mt-4 pt-3 border-t border-gray-100">
+                <ProjectTeacherActions project={project} userId={userId} authorName={authorName} showModal={showModal} />
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      {/* Team */}
+      <div className="bg-white p-6 rounded-xl shadow-lg space-y-4">
+        <div className="flex justify-between items-center">
+          <h3 className="text-lg font-semibold text-gray-900">Team</h3>
+          <ProjectJoinAction
+            project={project}
+            userId={userId}
+            authorName={authorName}
+            myRequest={myRequest}
+            showModal={showModal}
+          />
+        </div>
+        <ProjectTeamRoster project={project} setPage={setPage} />
+        {isOwner && (
+          <div>
+            <h4 className="text-sm font-semibold text-gray-500 uppercase tracking-wider mb-2">Join Requests</h4>
+            <JoinRequestsPanel project={project} requests={requests} actor={actor} showModal={showModal} setPage={setPage} />
+          </div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+        {/* Discussion */}
+        <div className="bg-white p-6 rounded-xl shadow-lg lg:col-span-2">
+          <h3 className="text-lg font-semibold text-gray-900">Discussion</h3>
+          <CommentSection
+            parentCollection="projects"
+            postId={project.id}
+            userId={userId}
+            authorName={authorName}
+            isAdmin={profile?.role === 'admin'}
+            showModal={showModal}
+            ownerNotification={{
+              recipientId: project.authorId,
+              text: `commented on "${project.title}"`,
+              page: { name: 'project', props: { projectId: project.id } },
+            }}
+          />
+        </div>
+
+        {/* Activity */}
+        <div className="bg-white p-6 rounded-xl shadow-lg">
+          <h3 className="text-lg font-semibold text-gray-900 mb-4">Activity</h3>
+          <ProjectActivityTimeline project={project} activity={activity} />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+
+// --- NEW FEATURE: Moderation Console ---
+
+const MODERATION_TARGET_LABELS = {
+  achievement: 'Post',
+  comment: 'Comment',
+  project: 'Project',
+  user: 'User',
+};
+
+/**
+ * Human-readable line for one audit log entry (after the admin's name)
+ */
+const describeModeration = ({ action, target }) => {
+  const subject = target.type === 'user'
+    ? target.ownerName
+    : `a ${MODERATION_TARGET_LABELS[target.type].toLowerCase()} by ${target.ownerName}`;
+  switch (action) {
+    case 'hide':
+      return `hid ${subject}`;
+    case 'unhide':
+      return `unhid ${subject}`;
+    case 'delete':
+      return `deleted ${subject}`;
+    case 'suspend':
+      return `suspended ${target.ownerName}`;
+    case 'unsuspend':
+      return `lifted ${target.ownerName}'s suspension`;
+    case 'dismiss':
+      return `dismissed a report on ${subject}`;
+    default:
+      return `${action} ${subject}`;
+  }
+};
+
+// Where a moderation target can be seen in the app
+const targetPage = (target) => {
+  switch (target.type) {
+    case 'project':
+      return { name: 'project', props: { projectId: target.id } };
+    case 'comment':
+      return target.parentCollection === 'projects'
+        ? { name: 'project', props: { projectId: target.parentId } }
+        : { name: 'dashboard' };
+    case 'user':
+      return { name: 'profile', props: { profileId: target.id } };
+    default:
+      return { name: 'dashboard' };
+  }
+};
+
+/**
+ * One report in the queue, with the reported content and moderation actions
+ */
+const ReportItem = ({ report, admin, showModal, setPage }) => {
+  const [note, setNote] = useState('');
+  const [isWorking, setIsWorking] = useState(false);
+  const { target } = report;
+  const isOpen = report.status === 'open';
+
+  const handleAction = async (action) => {
+    setIsWorking(true);
+    try {
+      // Follow-up actions on a closed report are logged, but don't reopen it
+      await moderate(action, target, admin, { reportId: isOpen ? report.id : null, note: note.trim() });
+      setNote('');
+    } catch (error) {
+      showModal("Error", error.message);
+    }
+    setIsWorking(false);
+  };
+
+  const actionButton = (action, label, Icon, className) => (
+    <button
+      onClick={() => handleAction(action)}
+      disabled={isWorking}
+      className={`flex items-center px-3 py-1 rounded-md text-sm disabled:opacity-50 transition-colors ${className}`}
+    >
+      <Icon size={16} className="mr-1" />
+      {label}
+    </button>
+  );
+
+  return (
+    <li className="bg-white p-5 rounded-xl shadow-lg space-y-3">
+      <div className="flex justify-between items-start">
+        <div>
+          <span className="px-2 py-0.5 bg-gray-100 text-gray-700 text-xs font-medium rounded-full">
+            {MODERATION_TARGET_LABELS[target.type]}
+          </span>
+          <span className="text-sm text-gray-500 ml-2">
+            reported by {report.reporterName} · {timeAgo(report.createdAt)}
+          </span>
+        </div>
+        {!isOpen && (
+          <span className="text-xs font-medium text-gray-500 capitalize">
+            {report.status}{report.resolution && report.resolution !== 'dismiss' ? ` (${report.resolution})` : ''}
+          </span>
+        )}
+      </div>
+
+      <p className="text-gray-800"><strong>Reason:</strong> {report.reason}</p>
+
+      {/* Context */}
+      <div className="bg-gray-50 p-3 rounded-md">
+        <button
+          onClick={() => setPage({ name: 'profile', props: { profileId: target.ownerId } })}
+          className="text-sm font-semibold text-gray-800 hover:text-emerald-600 hover:underline"
+        >
+          {target.ownerName}
+        </button>
+        {target.excerpt && <p className="text-sm text-gray-700 mt-1 whitespace-pre-wrap">{target.excerpt}</p>}
+        <button
+          onClick={() => setPage(targetPage(target))}
+          className="text-xs text-emerald-600 hover:underline mt-1"
+        >
+          View in context
+        </button>
+      </div>
+
+      <input
+        type="text"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+        placeholder="Note for the audit log (optional)"
+        className="block w-full px-3 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-1 focus:ring-emerald-500"
+      />
+
+      <div className="flex flex-wrap gap-2">
+        {isOpen ? (
+          <>
+            {target.type !== 'user' && actionButton('hide', 'Hide', EyeOff, 'bg-amber-100 text-amber-800 hover:bg-amber-200')}
+            {target.type !== 'user' && actionButton('delete', 'Delete', Trash2, 'bg-red-100 text-red-700 hover:bg-red-200')}
+            {actionButton('suspend', 'Suspend user', Ban, 'bg-red-600 text-white hover:bg-red-700')}
+            {actionButton('dismiss', 'Dismiss', X, 'bg-gray-100 text-gray-700 hover:bg-gray-200')}
+          </>
+        ) : (
+          <>
+            {report.resolution === 'hide' && actionButton('unhide', 'Unhide', Eye, 'bg-gray-100 text-gray-700 hover:bg-gray-200')}
+            {report.resolution === 'suspend' && actionButton('unsuspend', 'Lift suspension', Check, 'bg-gray-100 text-gray-700 hover:bg-gray-200')}
+          </>
+        )}
+      </div>
+    </li>
+  );
+};
+
+/**
+ * Admin settings for who may sign up: campus domains and guest addresses
+ */
+const SignupAccessSettings = ({ userId, showModal }) => {
+  const [domains, setDomains] = useState(null); // [{ domain, role }]
+  const [isSavingDomains, setIsSavingDomains] = useState(false);
+  const [guests, setGuests] = useState([]);
+  const [newGuest, setNewGuest] = useState({ email: '', role: '', note: '' });
+  const [isAddingGuest, setIsAddingGuest] = useState(false);
+
+  useEffect(() => {
+    getAllowedDomains()
+      .then((saved) => {
+        setDomains(Object.entries(saved || DEFAULT_ALLOWED_DOMAINS).map(([domain, role]) => ({ domain, role })));
+      })
+      .catch((error) => showModal("Error", error.message));
+  }, [showModal]);
+
+  useEffect(() => {
+    const unsubscribe = subscribeSignupGuests(setGuests, (error) => {
+      showModal("Error", error.message);
+    });
+    return () => unsubscribe();
+  }, [showModal]);
+
+  const updateDomain = (index, changes) => {
+    setDomains(prev => prev.map((d, i) => (i === index ? { ...d, ...changes } : d)));
+  };
+
+  const handleSaveDomains = async () => {
+    const cleaned = domains
+      .map(d => ({ ...d, domain: d.domain.trim().toLowerCase().replace(/^@/, '') }))
+      .filter(d => d.domain);
+    if (cleaned.length === 0) {
+      showModal("No Domains", "Keep at least one domain, or nobody new will be able to sign up.");
+      return;
+    }
+    setIsSavingDomains(true);
+    try {
+      await saveAllowedDomains(Object.fromEntries(cleaned.map(d => [d.domain, d.role])));
+      setDomains(cleaned);
+      showModal("Saved", "The allowed domains have been updated.");
+    } catch (error) {
+      showModal("Error", error.message);
+    }
+    setIsSavingDomains(false);
+  };
+
+  const handleAddGuest = async (e) => {
+    e.preventDefault();
+    if (!newGuest.email.includes('@')) {
+      showModal("Invalid Email", "Please enter the guest's full email address.");
+      return;
+    }
+    setIsAddingGuest(true);
+    try {
+      await addSignupGuest(newGuest, userId);
+      setNewGuest({ email: '', role: '', note: '' });
+    } catch (error) {
+      showModal("Error", error.message);
+    }
+    setIsAddingGuest(false);
+  };
+
+  const handleRemoveGuest = async (email) => {
+    try {
+      await removeSignupGuest(email);
+    } catch (error) {
+      showModal("Error", error.message);
+    }
+  };
+
+  const roleSelect = (value, onChange) => (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="px-2 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-emerald-500 focus:border-emerald-500"
+    >
+      <option value="">Student or teacher</option>
+      <option value="student">Students only</option>
+      <option value="teacher">Teachers only</option>
+    </select>
+  );
+
+  if (!domains) return <LoadingSpinner size={32} />;
+
+  return (
+    <div className="space-y-6">
+      {/* Campus Domains */}
+      <div className="bg-white p-5 rounded-xl shadow-lg">
+        <h3 className="text-lg font-semibold text-gray-900">Campus Domains</h3>
+        <p className="text-sm text-gray-500 mb-4">
+          Addresses at these domains can sign up. Sub-domains must be listed separately, e.g. staff.iilm.edu for teachers.
+        </p>
+        <ul className="space-y-2">
+          {domains.map((d, index) => (
+            <li key={index} className="flex items-center space-x-2">
+              <span className="text-gray-500">@</span>
+              <input
+                type="text"
+                value={d.domain}
+                onChange={(e) => updateDomain(index, { domain: e.target.value })}
+                placeholder="iilm.edu"
+                className="flex-grow px-3 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-1 focus:ring-emerald-500"
+              />
+              {roleSelect(d.role, (role) => updateDomain(index, { role }))}
+              <button
+                onClick={() => setDomains(prev => prev.filter((_, i) => i !== index))}
+                className="text-gray-400 hover:text-red-500"
+                title="Remove domain"
+              >
+                <Trash2 size={16} />
+              </button>
+            </li>
+          ))}
+        </ul>
+        <div className="flex justify-between mt-4">
+          <button
+            onClick={() => setDomains(prev => [...prev, { domain: '', role: '' }])}
+            className="flex items-center text-sm text-emerald-600 hover:underline"
+          >
+            <Plus size={16} className="mr-1" />
+            Add domain
+          </button>
+          <button
+            onClick={handleSaveDomains}
+            disabled={isSavingDomains}
+            className="flex items-center bg-emerald-600 text-white px-4 py-2 rounded-md text-sm hover:bg-emerald-700 disabled:bg-emerald-300 transition-colors"
+          >
+            {isSavingDomains ? <Loader2 size={16} className="animate-spin mr-1" /> : <Save size={16} className="mr-1" />}
+            Save Domains
+          </button>
+        </div>
+      </div>
+
+      {/* Guests */}
+      <div className="bg-white p-5 rounded-xl shadow-lg">
+        <h3 className="text-lg font-semibold text-gray-900">Guests</h3>
+        <p className="text-sm text-gray-500 mb-4">Individual addresses from outside campus that may sign up anyway.</p>
+        <form onSubmit={handleAddGuest} className="flex flex-col sm:flex-row gap-2 mb-4">
+          <input
+            type="email"
+            value={newGuest.email}
+            onChange={(e) => setNewGuest(prev => ({ ...prev, email: e.target.value }))}
+            placeholder="guest@example.com"
+            className="flex-grow px-3 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-1 focus:ring-emerald-500"
+          />
+          {roleSelect(newGuest.role, (role) => setNewGuest(prev => ({ ...prev, role })))}
+          <input
+            type="text"
+            value={newGuest.note}
+            onChange={(e) => setNewGuest(prev => ({ ...prev, note: e.target.value }))}
+            placeholder="Note (e.g. visiting lecturer)"
+            className="px-3 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-1 focus:ring-emerald-500"
+          />
+          <button
+            type="submit"
+            disabled={isAddingGuest}
+            className="flex items-center justify-center bg-emerald-600 text-white px-3 py-1.5 rounded-md text-sm hover:bg-emerald-700 disabled:bg-emerald-300 transition-colors"
+          >
+            <UserPlus size={16} className="mr-1" />
+            Add
+          </button>
+        </form>
+        {guests.length === 0 ? (
+          <p className="text-sm text-gray-500">No guests yet.</p>
+        ) : (
+          <ul className="divide-y divide-gray-100">
+            {guests.map(guest => (
+              <li key={guest.id} className="flex justify-between items-center py-2">
+                <div>
+                  <p className="text-sm text-gray-800">{guest.email}</p>
+                  <p className="text-xs text-gray-500">
+                    {guest.role ? `${guest.role} only` : 'Student or teacher'}
+                    {guest.note && ` · ${guest.note}`}
+                  </p>
+                </div>
+                <button
+                  onClick={() => handleRemoveGuest(guest.id)}
+                  className="text-gray-400 hover:text-red-500"
+                  title="Remove guest"
+                >
+                  <Trash2 size={16} />
+                </button>
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Rebuilds the global search index, for content written before the index
+ * existed (new writes are indexed as they happen)
+ */
+const SearchIndexSettings = ({ showModal }) => {
+  const [isRebuilding, setIsRebuilding] = useState(false);
+
+  const handleRebuild = async () => {
+    setIsRebuilding(true);
+    try {
+      const { indexed, failed } = await rebuildSearchIndex();
+      showModal(
+        "Search Index Rebuilt",
+        `Indexed ${indexed.user} people, ${indexed.project} projects, ${indexed.achievement} achievements and ${indexed.comment} comments.`
+          + (failed ? ` ${failed} could not be indexed; see the function logs.` : '')
+      );
+    } catch (error) {
+      showModal("Error", error.message);
+    }
+    setIsRebuilding(false);
+  };
+
+  return (
+    <div className="bg-white p-5 rounded-xl shadow-lg">
+      <h3 className="text-lg font-semibold text-gray-900">Search Index</h3>
+      <p className="text-sm text-gray-500 mb-4">
+        The navbar search and Find Collaborators read prebuilt indexes that are updated whenever people, projects, posts or comments change.
+        Rebuild it after importing data or if results look out of date. This reads every document, so it can take a few minutes.
+      </p>
+      <button
+        onClick={handleRebuild}
+        disabled={isRebuilding}
+        className="flex items-center justify-center bg-emerald-600 text-white px-4 py-2 rounded-md text-sm hover:bg-emerald-700 disabled:bg-emerald-300 transition-colors"
+      >
+        {isRebuilding ? <Loader2 size={16} className="animate-spin mr-2" /> : <Search size={16} className="mr-2" />}
+        {isRebuilding ? 'Rebuilding...' : 'Rebuild search index'}
+      </button>
+    </div>
+  );
+};
+
+/**
+ * Flags older posts, comments and projects as not hidden, once
+ */
+const HiddenBackfillSettings = ({ showModal }) => {
+  const [isUpdating, setIsUpdating] = useState(false);
+
+  const handleBackfill = async () => {
+    setIsUpdating(true);
+    try {
+      const { achievements, projects, comments, failed } = await backfillHidden();
+      showModal(
+        "Posts Updated",
+        (achievements + projects + comments
+          ? `Updated ${achievements} posts, ${projects} projects and ${comments} comments.`
+          : failed ? 'Nothing was updated.' : 'Everything was already up to date.')
+          + (failed ? ` ${failed} could not be updated; see the function logs.` : '')
+      );
+    } catch (error) {
+      showModal("Error", error.message);
+    }
+    setIsUpdating(false);
+  };
+
+  return (
+    <div className="bg-white p-5 rounded-xl shadow-lg">
+      <h3 className="text-lg font-semibold text-gray-900">Older Posts and Projects</h3>
+      <p className="text-sm text-gray-500 mb-4">
+        Posts, comments and projects from before moderation kept hidden content private are only shown to their
+        authors. Mark the ones you haven't hidden as visible. Running it again only updates what is left.
+      </p>
+      <button
+        onClick={handleBackfill}
+        disabled={isUpdating}
+        className="flex items-center justify-center bg-emerald-600 text-white px-4 py-2 rounded-md text-sm hover:bg-emerald-700 disabled:bg-emerald-300 transition-colors"
+      >
+        {isUpdating ? <Loader2 size={16} className="animate-spin mr-2" /> : <Eye size={16} className="mr-2" />}
+        {isUpdating ? 'Updating...' : 'Update older posts'}
+      </button>
+    </div>
+  );
+};
+
+/**
+ * Adds the sort key to profiles from before the directory sorted on it
+ */
+const NameBackfillSettings = ({ showModal }) => {
+  const [isUpdating, setIsUpdating] = useState(false);
+
+  const handleBackfill = async () => {
+    setIsUpdating(true);
+    try {
+      const { users, failed } = await backfillNames();
+      showModal(
+        "Directory Updated",
+        (users
+          ? `Updated ${users} ${users === 1 ? 'profile' : 'profiles'}.`
+          : failed ? 'Nothing was updated.' : 'Everything was already up to date.')
+          + (failed ? ` ${failed} could not be updated; see the function logs.` : '')
+      );
+    } catch (error) {
+      showModal("Error", error.message);
+    }
+    setIsUpdating(false);
+  };
+
+  return (
+    <div className="bg-white p-5 rounded-xl shadow-lg">
+      <h3 className="text-lg font-semibold text-gray-900">Older Profiles</h3>
+      <p className="text-sm text-gray-500 mb-4">
+        Profiles that haven't been saved since the directory started sorting names case-insensitively are missing
+        from the A-Z list. Add them back. Running it again only updates what is left.
+      </p>
+      <button
+        onClick={handleBackfill}
+        disabled={isUpdating}
+        className="flex items-center justify-center bg-emerald-600 text-white px-4 py-2 rounded-md text-sm hover:bg-emerald-700 disabled:bg-emerald-300 transition-colors"
+      >
+        {isUpdating ? <Loader2 size={16} className="animate-spin mr-2" /> : <Users size={16} className="mr-2" />}
+        {isUpdating ? 'Updating...' : 'Update older profiles'}
+      </button>
+    </div>
+  );
+};
+
+/**
+ * Moves messages from the old one-way inbox into conversations, once
+ */
+const InboxMigrationSettings = ({ showModal }) => {
+  const [isMigrating, setIsMigrating] = useState(false);
+
+  const handleMigrate = async () => {
+    setIsMigrating(true);
+    try {
+      const { moved, conversations } = await migrateInbox();
+      showModal(
+        "Inbox Migrated",
+        moved
+          ? `Moved ${moved} messages into ${conversations} conversations.`
+          : 'There were no old messages left to move.'
+      );
+    } catch (error) {
+      showModal("Error", error.message);
+    }
+    setIsMigrating(false);
+  };
+
+  return (
+    <div className="bg-white p-5 rounded-xl shadow-lg">
+      <h3 className="text-lg font-semibold text-gray-900">Old Inbox Messages</h3>
+      <p className="text-sm text-gray-500 mb-4">
+        Messages sent before the inbox had conversations are no longer shown. Move them into the conversations
+        between sender and recipient, keeping their unread state. Running it again only moves what is left.
+      </p>
+      <button
+        onClick={handleMigrate}
+        disabled={isMigrating}
+        className="flex items-center justify-center bg-emerald-600 text-white px-4 py-2 rounded-md text-sm hover:bg-emerald-700 disabled:bg-emerald-300 transition-colors"
+      >
+        {isMigrating ? <Loader2 size={16} className="animate-spin mr-2" /> : <Inbox size={16} className="mr-2" />}
+        {isMigrating ? 'Moving...' : 'Move old messages'}
+      </button>
+    </div>
+  );
+};
+
+/**
+ * Moderation queue, audit log, sign-up settings and data upkeep (admins only)
+ */
+const ModerationPage = ({ userId, profile, showModal, setPage }) => {
+  const [reports, setReports] = useState([]);
+  const [log, setLog] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [tab, setTab] = useState('open');
+
+  const admin = { id: userId, name: profile.name };
+
+  useEffect(() => {
+    const unsubscribe = subscribeReports((list) => {
+      setReports(list);
+      setIsLoading(false);
+    }, (error) => {
+      showModal("Error", error.message);
+      setIsLoading(false);
+    });
+    return () => unsubscribe();
+  }, [showModal]);
+
+  useEffect(() => {
+    const unsubscribe = subscribeModerationLog(setLog, (error) => {
+      showModal("Error", error.message);
+    });
+    return () => unsubscribe();
+  }, [showModal]);
+
+  const openReports = reports.filter(r => r.status === 'open');
+  const closedReports = reports.filter(r => r.status !== 'open');
+  const tabs = [
+    { value: 'open', label: `Open (${openReports.length})` },
+    { value: 'closed', label: 'Resolved' },
+    { value: 'log', label: 'Audit Log' },
+    { value: 'access', label: 'Sign-up Access' },
+    { value: 'maintenance', label: 'Maintenance' },
+  ];
+
+  const renderReports = (list, emptyText) => (
+    list.length === 0 ? (
+      <p className="text-center text-gray-500">{emptyText}</p>
+    ) : (
+      <ul className="space-y-4">
+        {list.map(report => (
+          <ReportItem key={report.id} report={report} admin={admin} showModal={showModal} setPage={setPage} />
+        ))}
+      </ul>
+    )
+  );
+
+  return (
+    <div className="max-w-4xl mx-auto p-4 sm:p-6 lg:p-8">
+      <h2 className="text-3xl font-bold text-gray-900 mb-6 flex items-center">
+        <Shield className="mr-2 text-emerald-600" />
+        Moderation
+      </h2>
+
+      <div className="flex flex-wrap gap-2 mb-6">
+        {tabs.map(t => (
           <button
-            type="submit"
-            disabled={isPosting}
-            className="mt-4 w-full flex items-center justify-center bg-emerald-600 text-white px-5 py-2 rounded-md hover:bg-emerald-700 disabled:bg-emerald-300 shadow-md hover:shadow-lg transition-all"
+            key={t.value}
+            onClick={() => setTab(t.value)}
+            className={`px-3 py-1.5 rounded-full text-sm font-medium transition-colors ${
+              tab === t.value
+                ? 'bg-emerald-600 text-white'
+                : 'bg-white text-gray-600 hover:bg-emerald-50 hover:text-emerald-700 shadow-sm'
+            }`}
           >
-            {isPosting ? (
-              <Loader2 className="animate-spin" />
-            ) : (
-              <Plus size={18} className="mr-2" />
-            )}
-            Post Project
+            {t.label}
           </button>
-        </form>
+        ))}
       </div>
+
+      {tab === 'access' ? (
+        <SignupAccessSettings userId={userId} showModal={showModal} />
+      ) : tab === 'maintenance' ? (
+        <div className="space-y-6">
+          <SearchIndexSettings showModal={showModal} />
+          <InboxMigrationSettings showModal={showModal} />
+          <HiddenBackfillSettings showModal={showModal} />
+          <NameBackfillSettings showModal={showModal} />
+        </div>
+      ) : isLoading ? (
+        <LoadingSpinner size={32} />
+      ) : tab === 'open' ? (
+        renderReports(openReports, 'No open reports. All clear!')
+      ) : tab === 'closed' ? (
+        renderReports(closedReports, 'No resolved reports yet.')
+      ) : log.length === 0 ? (
+        <p className="text-center text-gray-500">No moderation actions yet.</p>
+      ) : (
+        <ul className="bg-white rounded-xl shadow-lg divide-y divide-gray-100">
+          {log.map(entry => (
+            <li key={entry.id} className="p-4">
+              <p className="text-sm text-gray-800">
+                <span className="font-semibold">{entry.adminName}</span> {describeModeration(entry)}
+              </p>
+              {entry.note && <p className="text-sm text-gray-600 mt-1">"{entry.note}"</p>}
+              <p className="text-xs text-gray-400 mt-1">{timeAgo(entry.createdAt)}</p>
+            </li>
+          ))}
+        </ul>
+      )}
     </div>
   );
 };
 
+/**
+ * Shown instead of the app to a suspended user
+ */
+const SuspendedNotice = ({ handleLogout }) => (
+  <div className="flex-grow flex items-center justify-center p-4">
+    <div className="text-center max-w-md">
+      <Ban className="h-16 w-16 text-red-500 mx-auto" />
+      <h2 className="mt-4 text-2xl font-bold text-gray-900">Your account is suspended</h2>
+      <p className="mt-2 text-gray-600">
+        A moderator has suspended your account. If you think this is a mistake, contact{' '}
+        <a href="mailto:collabnest.iilm@gmail.com" className="font-medium text-emerald-600 hover:text-emerald-500">collabnest.iilm@gmail.com</a>.
+      </p>
+      <button
+        onClick={handleLogout}
+        className="mt-6 bg-emerald-600 text-white px-5 py-2 rounded-md hover:bg-emerald-700 transition-colors"
+      >
+        Log Out
+      </button>
+    </div>
+  </div>
+);
+
+// --- User Directory ---
+
+const DIRECTORY_PAGE_SIZE = 50;
+// Each row is h-20 plus the gap below it
+const DIRECTORY_ROW_HEIGHT = 92;
+// Rows rendered above and below the screen
+const DIRECTORY_OVERSCAN = 8;
+const DIRECTORY_LETTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ'.split('');
+
+const DIRECTORY_SORTS = [
+  { value: 'name', label: 'Name (A-Z)' },
+  { value: 'newest', label: 'Newest members' },
+  { value: 'course', label: 'Course' },
+];
 
 /**
- * User Directory Page
+ * Reads the directory's view from the query string, e.g.
+ * #/users?sort=newest&course=BBA&role=student, or ?from=M to start at a letter.
  */
-const UserDirectoryPage = ({ setPage }) => {
-  const [users, setUsers] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
+const parseDirectoryView = (query) => ({
+  sort: DIRECTORY_SORTS.some(s => s.value === query.get('sort')) ? query.get('sort') : 'name',
+  course: query.get('course') || '',
+  role: ['student', 'teacher'].includes(query.get('role')) ? query.get('role') : '',
+  from: DIRECTORY_LETTERS.includes(query.get('from')) ? query.get('from') : '',
+});
+
+const directoryViewToQuery = ({ sort, course, role, from }) => {
+  const query = new URLSearchParams();
+  if (sort !== 'name') query.set('sort', sort);
+  if (course) query.set('course', course);
+  if (role) query.set('role', role);
+  if (from && sort === 'name') query.set('from', from);
+  return query.toString();
+};
+
+/**
+ * Which rows of a window-scrolled list of fixed-height rows are on screen
+ * (plus `overscan` either side), so only those need rendering.
+ * @returns {{start: number, end: number}} - `end` is exclusive.
+ */
+const useVisibleRows = (listRef, rowCount, rowHeight, overscan) => {
+  const [range, setRange] = useState({ start: 0, end: 0 });
 
   useEffect(() => {
-    const fetchUsers = async () => {
-      setIsLoading(true);
-      try {
-        const usersCol = collection(db, `artifacts/${appId}/public/data/users`);
-        const userSnapshot = await getDocs(usersCol);
-        const userList = userSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-        // Sort in memory by name
-        userList.sort((a, b) => a.name.localeCompare(b.name));
-        setUsers(userList);
-      } catch (error) {
-        console.error("Error fetching user directory:", error);
-      }
-      setIsLoading(false);
+    const update = () => {
+      const top = listRef.current ? listRef.current.getBoundingClientRect().top : 0;
+      const start = Math.min(rowCount, Math.max(0, Math.floor(-top / rowHeight) - overscan));
+      const end = Math.min(rowCount, Math.max(start, Math.ceil((window.innerHeight - top) / rowHeight) + overscan));
+      setRange(prev => (prev.start === start && prev.end === end ? prev : { start, end }));
     };
-    fetchUsers();
-  }, []);
+    update();
+    window.addEventListener('scroll', update, { passive: true });
+    window.addEventListener('resize', update);
+    return () => {
+      window.removeEventListener('scroll', update);
+      window.removeEventListener('resize', update);
+    };
+  }, [listRef, rowCount, rowHeight, overscan]);
 
-  const UserRow = ({ user }) => (
-    <li className="flex flex-col sm:flex-row items-start sm:items-center justify-between gap-4 p-4 bg-white rounded-xl shadow-lg transition-shadow duration-300 hover:shadow-xl">
-      <div className="flex items-center space-x-3">
-        <div className="flex-shrink-0 bg-gray-200 rounded-full h-10 w-10 flex items-center justify-center">
-          <User size={20} className="text-gray-600" />
-        </div>
-        <div>
-          <p className="text-sm font-semibold text-gray-900">{user.name}</p>
-          <p className="text-sm text-gray-500">{user.email}</p>
-        </div>
+  return range;
+};
+
+/**
+ * One row of the user directory, placed `top` pixels down the list.
+ */
+const UserRow = ({ user, top, setPage }) => (
+  <li
+    className="absolute inset-x-0 h-20 flex items-center justify-between gap-4 px-4 bg-white rounded-xl shadow-lg transition-shadow duration-300 hover:shadow-xl"
+    style={{ top }}
+  >
+    <div className="flex items-center space-x-3 min-w-0">
+      <div className="flex-shrink-0 bg-gray-200 rounded-full h-10 w-10 flex items-center justify-center">
+        <User size={20} className="text-gray-600" />
       </div>
-      <div className="w-full sm:w-auto flex flex-col sm:items-end gap-2">
-         <p className="text-sm text-gray-600 capitalize">{user.role}</p>
-         <button
-            onClick={() => setPage({ name: 'profile', props: { profileId: user.id } })}
-            className="w-full sm:w-auto px-3 py-1 bg-emerald-50 text-emerald-700 text-sm rounded-md hover:bg-emerald-100 transition-colors text-center"
-          >
-            View Profile
-          </button>
+      <div className="min-w-0">
+        <p className="text-sm font-semibold text-gray-900 truncate">{user.name}</p>
+        <p className="text-sm text-gray-500 truncate">{user.email}</p>
+        <p className="text-xs text-gray-600 capitalize truncate sm:hidden">
+          {user.role}
+          {user.course && <span className="normal-case text-gray-400"> · {user.course}</span>}
+        </p>
       </div>
-    </li>
-  );
+    </div>
+    <div className="flex-shrink-0 flex items-center gap-4">
+      <p className="hidden sm:block text-sm text-gray-600 capitalize">
+        {user.role}
+        {user.course && <span className="normal-case text-gray-400"> · {user.course}</span>}
+      </p>
+      <button
+        onClick={() => setPage({ name: 'profile', props: { profileId: user.id } })}
+        className="px-3 py-1 bg-emerald-50 text-emerald-700 text-sm rounded-md hover:bg-emerald-100 transition-colors text-center"
+      >
+        View Profile
+      </button>
+    </div>
+  </li>
+);
+
+/**
+ * User Directory Page. Loads the directory a page at a time as it's
+ * scrolled, and only renders the rows on screen.
+ */
+const UserDirectoryPage = ({ profile, query, setPage }) => {
+  const [users, setUsers] = useState([]);
+  const [next, setNext] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [isLoadingMore, setIsLoadingMore] = useState(false);
+  const [error, setError] = useState('');
+  const listRef = useRef(null);
+  // Bumped when the view changes, so late pages of the old view are dropped
+  const viewRef = useRef(0);
+
+  const { sort, course, role, from } = parseDirectoryView(query);
+  const { start, end } = useVisibleRows(listRef, users.length, DIRECTORY_ROW_HEIGHT, DIRECTORY_OVERSCAN);
+
+  // Teachers get a shortcut to the students on the course they teach
+  const myCourse = profile?.role === 'teacher' ? profile.course : '';
+
+  useEffect(() => {
+    const view = ++viewRef.current;
+    setIsLoading(true);
+    setIsLoadingMore(false);
+    setError('');
+    setUsers([]);
+    setNext(null);
+    listUsersPage({ sort, course, role, from, count: DIRECTORY_PAGE_SIZE })
+      .then((page) => {
+        if (view !== viewRef.current) return;
+        setUsers(page.users);
+        setNext(page.next);
+      })
+      .catch((err) => {
+        if (view === viewRef.current) setError(err.message);
+      })
+      .finally(() => {
+        if (view === viewRef.current) setIsLoading(false);
+      });
+  }, [sort, course, role, from]);
+
+  const loadMore = useCallback(async () => {
+    const view = viewRef.current;
+    setIsLoadingMore(true);
+    try {
+      const page = await listUsersPage({ sort, course, role, after: next, count: DIRECTORY_PAGE_SIZE });
+      if (view !== viewRef.current) return;
+      setUsers(prev => [...prev, ...page.users]);
+      setNext(page.next);
+    } catch (err) {
+      if (view === viewRef.current) setError(err.message);
+    }
+    if (view === viewRef.current) setIsLoadingMore(false);
+  }, [sort, course, role, next]);
+
+  // Fetch the next page before the last rows scroll into view
+  useEffect(() => {
+    if (next && !isLoading && !isLoadingMore && !error && end >= users.length - DIRECTORY_OVERSCAN) {
+      loadMore();
+    }
+  }, [next, isLoading, isLoadingMore, error, end, users.length, loadMore]);
+
+  // Filters and sorting start the list again from the top
+  const updateView = (changes) =>
+    setPage({ name: 'users', query: directoryViewToQuery({ sort, course, role, from: '', ...changes }) });
+
+  const isShowingMyStudents = myCourse && course === myCourse && role === 'student';
 
   return (
     <div className="max-w-4xl mx-auto p-4 sm:p-6 lg:p-8">
       <h2 className="text-3xl font-bold text-gray-900 mb-6">
         User Directory
       </h2>
+
+      {/* Filters */}
+      <div className="flex flex-wrap items-center gap-2 mb-4">
+        {myCourse && (
+          <button
+            onClick={() => updateView(isShowingMyStudents ? { course: '', role: '' } : { course: myCourse, role: 'student' })}
+            className={`flex items-center px-3 py-1.5 rounded-full text-sm font-medium transition-colors ${
+              isShowingMyStudents
+                ? 'bg-emerald-600 text-white'
+                : 'bg-white text-gray-600 hover:bg-emerald-50 hover:text-emerald-700 shadow-sm'
+            }`}
+          >
+            <GraduationCap size={16} className="mr-1" />
+            My {myCourse} students
+          </button>
+        )}
+        <select
+          value={course}
+          onChange={(e) => updateView({ course: e.target.value })}
+          className="px-3 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-emerald-500 focus:border-emerald-500"
+        >
+          <option value="">All courses</option>
+          {COURSE_OPTIONS.map(c => <option key={c} value={c}>{c}</option>)}
+        </select>
+        <select
+          value={role}
+          onChange={(e) => updateView({ role: e.target.value })}
+          className="px-3 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-emerald-500 focus:border-emerald-500"
+        >
+          <option value="">Students and teachers</option>
+          <option value="student">Students</option>
+          <option value="teacher">Teachers</option>
+        </select>
+        <select
+          value={sort}
+          onChange={(e) => updateView({ sort: e.target.value })}
+          aria-label="Sort by"
+          className="sm:ml-auto px-3 py-1.5 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-emerald-500 focus:border-emerald-500"
+        >
+          {DIRECTORY_SORTS.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+        </select>
+      </div>
+
+      {/* Jump to a letter */}
+      {sort === 'name' && (
+        <nav className="sticky top-16 z-10 bg-slate-50 py-2 mb-4 flex flex-wrap gap-1" aria-label="Jump to a letter">
+          {DIRECTORY_LETTERS.map(letter => (
+            <button
+              key={letter}
+              onClick={() => updateView({ from: letter === from ? '' : letter })}
+              className={`w-7 h-7 rounded text-xs font-semibold transition-colors ${
+                letter === from ? 'bg-emerald-600 text-white' : 'text-gray-600 hover:bg-emerald-50 hover:text-emerald-700'
+              }`}
+            >
+              {letter}
+            </button>
+          ))}
+        </nav>
+      )}
+
+      {from && (
+        <p className="text-sm text-gray-600 mb-4">
+          Names from {from} onwards.
+          <button onClick={() => updateView({})} className="ml-2 text-emerald-600 hover:underline">
+            Back to A
+          </button>
+        </p>
+      )}
+
       {isLoading ? (
         <LoadingSpinner size={32} />
+      ) : users.length === 0 ? (
+        <p className="text-center text-gray-500">{error || 'No users match these filters.'}</p>
       ) : (
-        <ul className="space-y-3">
-          {users.map(user => (
-            <UserRow key={user.id} user={user} />
-          ))}
-        </ul>
+        <>
+          <ul ref={listRef} className="relative" style={{ height: users.length * DIRECTORY_ROW_HEIGHT }}>
+            {users.slice(start, end).map((user, index) => (
+              <UserRow key={user.id} user={user} top={(start + index) * DIRECTORY_ROW_HEIGHT} setPage={setPage} />
+            ))}
+          </ul>
+          {isLoadingMore && <LoadingSpinner size={24} />}
+          {error && (
+            <p className="text-center text-sm text-red-600">
+              {error}
+              <button onClick={() => setError('')} className="ml-2 text-emerald-600 hover:underline">
+                Try again
+              </button>
+            </p>
+          )}
+          {!next && (
+            <p className="text-center text-xs text-gray-400">
+              {users.length} {users.length === 1 ? 'person' : 'people'}{from && ` from ${from}`}
+            </p>
+          )}
+        </>
       )}
     </div>
   );
@@ -2056,7 +5868,7 @@ const UserDirectoryPage = ({ setPage }) => {
 /**
  * Profile Page Component
  */
-const ProfilePage = ({ currentUserId, currentUser, showModal, setPage, profileId }) => {
+const ProfilePage = ({ currentUserId, currentUser, currentProfile, showModal, setPage, profileId }) => {
   const [profile, setProfile] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [isEditing, setIsEditing] = useState(false);
@@ -2069,22 +5881,27 @@ const ProfilePage = ({ currentUserId, currentUser, showModal, setPage, profileId
     github: '',
     course: '',
     semester: '',
+    mutedNotifications: [],
   });
   const [bioKeywords, setBioKeywords] = useState('');
   const [isGeneratingBio, setIsGeneratingBio] = useState(false);
+  const ai = useAiAvailability();
   const [isSendingMessage, setIsSendingMessage] = useState(false); // New state for message modal
   const [authorName, setAuthorName] = useState('...'); // State for author name
+  const [projects, setProjects] = useState([]);
+  const [isUpdatingFollow, setIsUpdatingFollow] = useState(false);
 
   const isOwnProfile = currentUserId === profileId;
+  const myFollowing = currentProfile?.following || [];
+  const isFollowing = myFollowing.includes(profileId);
   
   // Fetch current user's name (for sending messages)
   useEffect(() => {
     if (currentUser) {
        const fetchUserName = async () => {
-        const userRef = doc(db, `artifacts/${appId}/public/data/users`, currentUserId);
-        const docSnap = await getDoc(userRef);
-        if (docSnap.exists()) {
-          setAuthorName(docSnap.data().name);
+        const profile = await getUser(currentUserId);
+        if (profile) {
+          setAuthorName(profile.name);
         } else {
           setAuthorName(currentUser.email); // Fallback
         }
@@ -2104,10 +5921,8 @@ const ProfilePage = ({ currentUserId, currentUser, showModal, setPage, profileId
     setIsLoading(true);
     const fetchProfile = async () => {
       try {
-        const userRef = doc(db, `artifacts/${appId}/public/data/users`, profileId);
-        const docSnap = await getDoc(userRef);
-        if (docSnap.exists()) {
-          const data = docSnap.data();
+        const data = await getUser(profileId);
+        if (data) {
           setProfile(data);
           // Pre-fill form data
                setFormData({
@@ -2118,6 +5933,7 @@ const ProfilePage = ({ currentUserId, currentUser, showModal, setPage, profileId
             github: data.github || '',
             course: data.course || '',
             semester: data.semester || '',
+            mutedNotifications: data.mutedNotifications || [],
           });
 
         } else {
@@ -2125,8 +5941,7 @@ const ProfilePage = ({ currentUserId, currentUser, showModal, setPage, profileId
           setProfile(null);
         }
       } catch (error) {
-        console.error("Error fetching profile:", error);
-        showModal("Error", "Could not load profile.");
+        showModal("Error", error.message);
       }
       setIsLoading(false);
     };
@@ -2134,11 +5949,43 @@ const ProfilePage = ({ currentUserId, currentUser, showModal, setPage, profileId
     fetchProfile();
   }, [profileId, showModal]);
 
+  // Fetch the projects this user owns or has joined
+  const isAdmin = currentProfile?.role === 'admin';
+  useEffect(() => {
+    if (!profileId) return;
+    listProjectsForUser(profileId, { id: currentUserId, isAdmin })
+      .then(setProjects)
+      .catch((error) => console.error("Error fetching projects:", error));
+  }, [profileId, currentUserId, isAdmin]);
+
   const handleInputChange = (e) => {
     const { name, value } = e.target;
     setFormData((prev) => ({ ...prev, [name]: value }));
   };
 
+  const handleToggleNotification = (type) => {
+    setFormData((prev) => ({
+      ...prev,
+      mutedNotifications: prev.mutedNotifications.includes(type)
+        ? prev.mutedNotifications.filter(t => t !== type)
+        : [...prev.mutedNotifications, type],
+    }));
+  };
+
+  const handleToggleFollow = async () => {
+    if (!isFollowing && myFollowing.length >= MAX_FOLLOWING) {
+      showModal("Following Limit", `You can follow up to ${MAX_FOLLOWING} people. Unfollow someone first.`);
+      return;
+    }
+    setIsUpdatingFollow(true);
+    try {
+      await setFollowing(currentUserId, profileId, !isFollowing);
+    } catch (error) {
+      showModal("Error", error.message);
+    }
+    setIsUpdatingFollow(false);
+  };
+
   const handleSaveProfile = async (e) => {
     e.preventDefault();
     setIsSaving(true);
@@ -2156,18 +6003,18 @@ const ProfilePage = ({ currentUserId, currentUser, showModal, setPage, profileId
       github: formData.github,
       course: formData.course,
       semester: formData.semester,
+      mutedNotifications: formData.mutedNotifications,
     };
 
 
     try {
-      const userRef = doc(db, `artifacts/${appId}/public/data/users`, currentUserId);
-      await updateDoc(userRef, updatedData);
+      await updateUserProfile(currentUserId, updatedData);
       setProfile(prev => ({ ...prev, ...updatedData }));
       setIsEditing(false);
       showModal("Success", "Your profile has been updated.");
+      refreshProfileEmbedding();
     } catch (error) {
-       console.error("Error updating profile:", error);
-       showModal("Error", "Could not save your profile.");
+       showModal("Error", error.message);
     }
     setIsSaving(false);
   };
@@ -2189,7 +6036,7 @@ const ProfilePage = ({ currentUserId, currentUser, showModal, setPage, profileId
         },
       };
 
-      const generatedBio = await callGeminiApi(payload);
+      const generatedBio = await generateText('bio', payload);
       setFormData(prev => ({ ...prev, bio: generatedBio.trim() }));
       
     } catch (error) {
@@ -2241,6 +6088,9 @@ const ProfilePage = ({ currentUserId, currentUser, showModal, setPage, profileId
                   <p className="text-md text-gray-600 capitalize">{profile.role}</p>
                   <p className="text-sm text-gray-500">{profile.email}</p>
                  
+                  {profile.role === 'teacher' && profile.course && (
+                    <p className="text-sm text-emerald-700 font-medium pt-1">Teaches {profile.course}</p>
+                  )}
                   {profile.role === 'student' && (profile.course || profile.semester) && (
                     <p className="text-sm text-emerald-700 font-medium pt-1">
                       {profile.course}
@@ -2280,14 +6130,42 @@ const ProfilePage = ({ currentUserId, currentUser, showModal, setPage, profileId
                     </button>
                   )
                 ) : (
-                  // --- NEW: Send Message Button ---
-                  <button
-                    onClick={() => setIsSendingMessage(true)}
-                    className="flex items-center bg-emerald-600 text-white px-4 py-2 rounded-md hover:bg-emerald-700 transition-all shadow-md hover:shadow-lg"
-                  >
-                    <MessageCircle size={18} className="mr-1" />
-                    Send Message
-                  </button>
+                  <div className="flex items-center space-x-3">
+                    <button
+                      onClick={handleToggleFollow}
+                      disabled={isUpdatingFollow}
+                      className={`flex items-center px-4 py-2 rounded-md border transition-colors disabled:opacity-60 ${
+                        isFollowing
+                          ? 'bg-emerald-50 border-emerald-200 text-emerald-700 hover:bg-emerald-100'
+                          : 'bg-white border-emerald-600 text-emerald-700 hover:bg-emerald-50'
+                      }`}
+                      title={isFollowing ? 'Unfollow' : 'See their posts under "People I follow" on the dashboard'}
+                    >
+                      {isFollowing ? <Check size={18} className="mr-1" /> : <UserPlus size={18} className="mr-1" />}
+                      {isFollowing ? 'Following' : 'Follow'}
+                    </button>
+                    {/* --- NEW: Send Message Button --- */}
+                    <button
+                      onClick={() => setIsSendingMessage(true)}
+                      className="flex items-center bg-emerald-600 text-white px-4 py-2 rounded-md hover:bg-emerald-700 transition-all shadow-md hover:shadow-lg"
+                    >
+                      <MessageCircle size={18} className="mr-1" />
+                      Send Message
+                    </button>
+                    <ReportButton
+                      target={{
+                        type: 'user',
+                        id: profileId,
+                        ownerId: profileId,
+                        ownerName: profile.name,
+                        excerpt: profile.bio || '',
+                      }}
+                      reporter={{ id: currentUserId, name: authorName }}
+                      showModal={showModal}
+                      label="Report"
+                      className="text-sm"
+                    />
+                  </div>
                 )}
               </div>
             </div>
@@ -2322,7 +6200,8 @@ const ProfilePage = ({ currentUserId, currentUser, showModal, setPage, profileId
                         <button
                           type="button"
                           onClick={handleGenerateBio}
-                          disabled={isGeneratingBio}
+                          disabled={isGeneratingBio || !ai.available}
+                          title={ai.reason || undefined}
                           className="flex-shrink-0 bg-emerald-600 text-white px-3 py-1.5 rounded-md text-sm hover:bg-emerald-700 disabled:bg-emerald-300 transition-colors flex items-center"
                         >
                           {isGeneratingBio ? (
@@ -2333,6 +6212,7 @@ const ProfilePage = ({ currentUserId, currentUser, showModal, setPage, profileId
                           Generate
                         </button>
                       </div>
+                      <AiUnavailableNote availability={ai} className="mt-1" />
                     </div>
                   </div>
                 ) : (
@@ -2369,6 +6249,20 @@ const ProfilePage = ({ currentUserId, currentUser, showModal, setPage, profileId
                   </div>
                 </div>
               )}
+              {isEditing && profile.role === 'teacher' && (
+                <div>
+                  <h4 className="text-sm font-semibold text-gray-500 uppercase tracking-wider">Course You Teach</h4>
+                  <select
+                    name="course"
+                    value={formData.course}
+                    onChange={handleInputChange}
+                    className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-emerald-500 focus:border-emerald-500"
+                  >
+                    <option value="">Not set</option>
+                    {COURSE_OPTIONS.map(c => <option key={c} value={c}>{c}</option>)}
+                  </select>
+                </div>
+              )}
 
                {/* Skills */}
               <div>
@@ -2444,6 +6338,52 @@ const ProfilePage = ({ currentUserId, currentUser, showModal, setPage, profileId
                  </div>
               </div>
 
+              {/* Notification Preferences */}
+              {isEditing && (
+                <div>
+                  <h4 className="text-sm font-semibold text-gray-500 uppercase tracking-wider">Notify Me About</h4>
+                  <div className="mt-2 grid grid-cols-1 sm:grid-cols-2 gap-2">
+                    {NOTIFICATION_TYPES.map(({ value, label }) => (
+                      <label key={value} className="flex items-center space-x-2 text-sm text-gray-800">
+                        <input
+                          type="checkbox"
+                          checked={!formData.mutedNotifications.includes(value)}
+                          onChange={() => handleToggleNotification(value)}
+                          className="h-4 w-4 text-emerald-600 border-gray-300 rounded focus:ring-emerald-500"
+                        />
+                        <span>{label}</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              )}
+
+              {/* Projects */}
+              {!isEditing && (
+                <div>
+                  <h4 className="text-sm font-semibold text-gray-500 uppercase tracking-wider">Projects</h4>
+                  {projects.length > 0 ? (
+                    <ul className="mt-2 space-y-2">
+                      {projects.map((project) => (
+                        <li key={project.id}>
+                          <button
+                            onClick={() => setPage({ name: 'project', props: { projectId: project.id } })}
+                            className="w-full flex justify-between items-center text-left p-3 bg-gray-50 rounded-md hover:bg-gray-100 transition-colors"
+                          >
+                            <span className="text-gray-800 font-medium">{project.title}</span>
+                            <span className="text-xs text-gray-500">
+                              {project.authorId === profileId ? 'Owner' : 'Member'} · {getProjectStatus(project).label}
+                            </span>
+                          </button>
+                        </li>
+                      ))}
+                    </ul>
+                  ) : (
+                    <p className="mt-1 text-gray-400 italic">No projects yet.</p>
+                  )}
+                </div>
+              )}
+
             </div>
           </div>
         </div>
@@ -2464,6 +6404,27 @@ const ProfilePage = ({ currentUserId, currentUser, showModal, setPage, profileId
   );
 };
 
+/**
+ * Not Found Page Component
+ */
+const NotFoundPage = ({ path, setPage }) => (
+  <div className="flex-grow flex items-center justify-center p-4 pt-20">
+    <div className="text-center">
+      <p className="text-6xl font-bold text-emerald-600">404</p>
+      <h2 className="mt-4 text-2xl font-bold text-gray-900">Page not found</h2>
+      <p className="mt-2 text-gray-600">
+        There is nothing at <span className="font-mono text-sm bg-gray-100 px-1 rounded">#{path}</span>.
+      </p>
+      <button
+        onClick={() => setPage({ name: 'dashboard' })}
+        className="mt-6 bg-emerald-600 text-white px-5 py-2 rounded-md hover:bg-emerald-700 shadow-md hover:shadow-lg transition-all"
+      >
+        Back to Dashboard
+      </button>
+    </div>
+  </div>
+);
+
 /**
  * Footer Component
  */
@@ -2484,16 +6445,22 @@ const Footer = () => (
 export default function App() {
   const [user, setUser] = useState(null);
   const [userId, setUserId] = useState(null);
+  const [profile, setProfile] = useState(null); // The signed-in user's profile (role, course)
   const [isAuthReady, setIsAuthReady] = useState(false);
-  const [page, setPage] = useState({ name: 'login' });
+  const page = useHashRoute();
   const [modal, setModal] = useState({ isOpen: false, title: '', message: '' });
 
-  const showModal = (title, message) => {
+  // Pages keep calling setPage({ name, props }); it now just changes the URL.
+  const setPage = useCallback((nextPage) => navigate(pageToPath(nextPage)), []);
+
+  // Stable, because pages list showModal in their subscription effects'
+  // dependencies: a new function each render would resubscribe them all
+  const showModal = useCallback((title, message) => {
     setModal({ isOpen: true, title, message });
-  };
-  const closeModal = () => {
+  }, []);
+  const closeModal = useCallback(() => {
     setModal({ isOpen: false, title: '', message: '' });
-  };
+  }, []);
 
   // Handle Firebase Auth
   useEffect(() => {
@@ -2512,20 +6479,13 @@ export default function App() {
     };
     
     const unsubscribe = onAuthStateChanged(auth, (currentUser) => {
-     if (currentUser && currentUser.emailVerified && !currentUser.isAnonymous) {
+      if (currentUser && currentUser.emailVerified && !currentUser.isAnonymous) {
         setUser(currentUser);
         setUserId(currentUser.uid);
-        if (page.name === 'login' || page.name === 'signup') {
-          setPage({ name: 'dashboard' });
-        }
-     } else {
-  setUser(null);
-  setUserId(null);
-  // Don't kick user off login/signup pages
-  if (page.name !== 'login' && page.name !== 'signup') {
-    setPage({ name: 'login' });
-  }
-}
+      } else {
+        setUser(null);
+        setUserId(null);
+      }
       setIsAuthReady(true);
     });
 
@@ -2533,10 +6493,51 @@ export default function App() {
     return () => unsubscribe();
   }, []);
 
+  // Keep the signed-in user's profile live, for role-dependent features
+  useEffect(() => {
+    if (!userId) {
+      setProfile(null);
+      return;
+    }
+    const unsubscribe = subscribeUser(userId, setProfile);
+    return () => unsubscribe();
+  }, [userId]);
+
+  // Backfill the AI matcher's embedding for profiles saved before it existed
+  // (the function skips profiles that haven't changed)
+  const emailVerified = Boolean(user?.emailVerified);
+  useEffect(() => {
+    if (userId && emailVerified) refreshProfileEmbedding();
+  }, [userId, emailVerified]);
+
+  // Auth guard: send signed-out users to login (remembering where they were
+  // headed) and send signed-in users on from login/signup.
+  useEffect(() => {
+    if (!isAuthReady) return;
+    const isPublicPage = PUBLIC_PAGES.includes(page.name);
+
+    if (!user) {
+      if (page.name === 'root') {
+        navigate('/login', { replace: true });
+      } else if (!isPublicPage) {
+        navigate(`/login?next=${encodeURIComponent(page.path)}`, { replace: true });
+      }
+      return;
+    }
+
+    if (page.name === 'root') {
+      navigate('/dashboard', { replace: true });
+    } else if (isPublicPage) {
+      const next = page.query.get('next');
+      // Only follow in-app paths, never an absolute URL.
+      navigate(next && next.startsWith('/') ? next : '/dashboard', { replace: true });
+    }
+  }, [isAuthReady, user, page]);
+
   const handleLogout = async () => {
     try {
       await signOut(auth);
-      setPage({ name: 'login' });
+      navigate('/login');
     } catch (error) {
       console.error("Logout Error:", error);
       showModal('Logout Failed', 'An error occurred while logging out.');
@@ -2556,47 +6557,91 @@ export default function App() {
     if (!user) {
       switch (page.name) {
         case 'signup':
-          return <SignUpPage setPage={setPage} showModal={showModal} />;
+          return <SignUpPage next={page.query.get('next')} setPage={setPage} showModal={showModal} />;
         case 'login':
+          return <LoginPage next={page.query.get('next')} setPage={setPage} showModal={showModal} />;
         default:
-          return <LoginPage setPage={setPage} showModal={showModal} />;
+          // The auth guard is redirecting to login.
+          return null;
       }
     }
 
+    if (profile?.suspended) {
+      return <SuspendedNotice handleLogout={handleLogout} />;
+    }
+
     // User is logged in
     switch (page.name) {
       case 'dashboard':
-        return <DashboardPage userId={userId} user={user} showModal={showModal} />;
+        return <DashboardPage userId={userId} user={user} profile={profile} query={page.query} showModal={showModal} setPage={setPage} />;
       case 'projects': // NEW
-        return <ProjectsPage userId={userId} user={user} showModal={showModal} setPage={setPage} />;
+        return <ProjectsPage userId={userId} user={user} profile={profile} showModal={showModal} setPage={setPage} />;
+      case 'project':
+        return (
+          <ProjectDetailPage
+            key={page.props.projectId}
+            projectId={page.props.projectId}
+            userId={userId}
+            user={user}
+            profile={profile}
+            showModal={showModal}
+            setPage={setPage}
+          />
+        );
       case 'search':
-        return <SearchPage setPage={setPage} />;
+        return <SearchPage query={page.query} setPage={setPage} />;
       case 'ai_matcher': // NEW
-        return <AIMatcherPage userId={userId} showModal={showModal} setPage={setPage} />;
+        return <AIMatcherPage userId={userId} profile={profile} showModal={showModal} setPage={setPage} />;
       case 'inbox': // NEW
-        return <InboxPage userId={userId} showModal={showModal} setPage={setPage} />;
+        return (
+          <InboxPage
+            userId={userId}
+            conversationId={page.props.conversationId}
+            showModal={showModal}
+            setPage={setPage}
+          />
+        );
       case 'users':
-        return <UserDirectoryPage setPage={setPage} />;
+        return <UserDirectoryPage profile={profile} query={page.query} setPage={setPage} />;
       case 'ai_assistant':
-        return <AIAssistantPage showModal={showModal} />;
+        return (
+          <AIAssistantPage
+            userId={userId}
+            chatId={page.props.chatId}
+            showModal={showModal}
+            setPage={setPage}
+          />
+        );
+      case 'moderation':
+        if (profile?.role !== 'admin') {
+          return <NotFoundPage path={page.path} setPage={setPage} />;
+        }
+        return <ModerationPage userId={userId} profile={profile} showModal={showModal} setPage={setPage} />;
       case 'profile':
         return (
           <ProfilePage
+            key={page.props.profileId || userId}
             currentUserId={userId}
             currentUser={user} // Pass full user object
-            profileId={page.props?.profileId || userId}
+            currentProfile={profile}
+            profileId={page.props.profileId || userId}
             showModal={showModal}
             setPage={setPage}
           />
         );
+      case 'root':
+      case 'login':
+      case 'signup':
+        // The auth guard is redirecting to the dashboard.
+        return null;
       default:
-        return <DashboardPage userId={userId} user={user} showModal={showModal} />;
+        return <NotFoundPage path={page.path} setPage={setPage} />;
     }
   };
 
   return (
     <div className="min-h-screen flex flex-col bg-slate-50 font-inter">
-      <Navbar user={user} setPage={setPage} handleLogout={handleLogout} />
+      <Navbar user={user} profile={profile} setPage={setPage} handleLogout={handleLogout} />
       <main className="flex-grow w-full">
         {renderPage()}
       </main>
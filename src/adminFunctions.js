@@ -0,0 +1,24 @@
+import { auth, functionUrl } from './firebase';
+
+// --- Admin Functions ---
+// The Moderation page's Maintenance tab calls admin-only Cloud Functions
+// (functions/adminEndpoint.js) with the signed-in user's ID token.
+
+/**
+ * POSTs to an admin-only function and returns its JSON answer.
+ * @param {string} name - The function's name, as exported in functions/index.js
+ * @param {string} failure - The error message when the function gives none
+ * @returns {Promise<object>}
+ */
+export const callAdminFunction = async (name, failure) => {
+  const idToken = await auth.currentUser?.getIdToken();
+  const response = await fetch(functionUrl(name), {
+    method: 'POST',
+    headers: { 'Authorization': `Bearer ${idToken}` },
+  });
+  const result = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(result.error?.message || `${failure} (status ${response.status}).`);
+  }
+  return result;
+};
@@ -0,0 +1,222 @@
+import { geminiProvider } from './geminiProvider';
+import { mockAiProvider } from './mockAiProvider';
+
+// --- AI Provider ---
+// Every AI feature goes through the provider picked with VITE_APP_AI_PROVIDER:
+// 'gemini' (the default, via the `gemini` Cloud Function), 'mock' (local and
+// deterministic, see mockAiProvider.js) or 'none'. Payloads use Gemini's
+// request shape (contents, systemInstruction, generationConfig, tools) for
+// every provider.
+
+/**
+ * @typedef {object} AiProvider
+ * @property {string} id
+ * @property {boolean} needsNetwork - Unavailable while the browser is offline
+ * @property {(payload: object, options: {model: string, maxRetries?: number}) => Promise<string>} generate
+ *   The answer's text.
+ * @property {(payload: object, options: {model: string, onText: (text: string) => void, signal?: AbortSignal})
+ *   => Promise<{text: string, functionCalls: object[]}>} stream
+ *   Calls `onText` with the text so far as it arrives. If the answer breaks
+ *   off, the error carries the text so far as `partialText`.
+ * @property {(name: string, body: object, options?: {maxRetries?: number}) => Promise<object>} callFunction
+ *   One of the other AI functions (embedProfile, matchProfiles).
+ * @property {() => Promise<boolean|null>} checkConfigured - null if it couldn't tell
+ */
+
+/**
+ * @typedef {'collabBot'|'chatTitle'|'chatSummary'|'bio'|'matcher'|'projectsForMe'|'projectDraft'} AiFeature
+ */
+
+/**
+ * @typedef {object} AiAvailability
+ * @property {boolean} available
+ * @property {string} reason - Why not, for the user ('' when available)
+ */
+
+const PROVIDERS = { gemini: geminiProvider, mock: mockAiProvider };
+
+const providerId = import.meta.env.VITE_APP_AI_PROVIDER || 'gemini';
+const provider = PROVIDERS[providerId] || null;
+
+const DEFAULT_MODEL = 'gemini-2.5-flash-preview-09-2025';
+
+// Small housekeeping calls use the cheaper model. Override any of these
+// (or 'default') with VITE_APP_AI_MODELS, e.g. {"matcher":"gemini-2.5-pro"};
+// the proxy only accepts the models in functions/gemini.js.
+const FEATURE_MODELS = {
+  chatTitle: 'gemini-2.5-flash-lite',
+  chatSummary: 'gemini-2.5-flash-lite',
+};
+
+const modelOverrides = (() => {
+  try {
+    return JSON.parse(import.meta.env.VITE_APP_AI_MODELS || '{}');
+  } catch (e) {
+    console.error("VITE_APP_AI_MODELS isn't valid JSON; using the default models.", e);
+    return {};
+  }
+})();
+
+/**
+ * The model a feature asks for.
+ * @param {AiFeature} feature
+ */
+export const modelFor = (feature) =>
+  modelOverrides[feature] || FEATURE_MODELS[feature] || modelOverrides.default || DEFAULT_MODEL;
+
+// --- Availability ---
+
+let configured = provider ? null : false; // null until the provider has told us
+let checking = false;
+let availability = null;
+const listeners = new Set();
+
+const computeAvailability = () => {
+  if (!provider) {
+    return {
+      available: false,
+      reason: providerId === 'none'
+        ? "AI features are turned off for this site."
+        : `AI features are off: unknown AI provider "${providerId}".`,
+    };
+  }
+  if (configured === false) {
+    return { available: false, reason: "AI features aren't set up yet: the server has no Gemini API key." };
+  }
+  if (provider.needsNetwork && !navigator.onLine) {
+    return { available: false, reason: "You're offline. AI features will be back when you reconnect." };
+  }
+  return { available: true, reason: '' };
+};
+
+const notify = () => {
+  const next = computeAvailability();
+  if (availability && next.available === availability.available && next.reason === availability.reason) return;
+  availability = next;
+  listeners.forEach(listener => listener(availability));
+};
+
+const checkProvider = async () => {
+  if (!provider || configured !== null || checking) return;
+  checking = true;
+  configured = await provider.checkConfigured();
+  checking = false;
+  notify();
+};
+
+const markNotConfigured = (error) => {
+  if (error?.notConfigured) {
+    configured = false;
+    notify();
+  }
+  throw error;
+};
+
+const handleConnectivity = () => {
+  notify();
+  // A check that failed while offline is worth another try
+  if (navigator.onLine) checkProvider();
+};
+
+/**
+ * Whether AI features can be used right now, and if not, why.
+ * @returns {AiAvailability}
+ */
+export const getAiAvailability = () => availability || (availability = computeAvailability());
+
+/**
+ * Listens for the AI becoming available or unavailable (offline, no key).
+ * The first listener triggers a check with the provider.
+ * @param {(availability: AiAvailability) => void} onChange
+ * @returns {() => void} - Stops listening.
+ */
+export const subscribeAiAvailability = (onChange) => {
+  if (listeners.size === 0) {
+    window.addEventListener('online', handleConnectivity);
+    window.addEventListener('offline', handleConnectivity);
+  }
+  listeners.add(onChange);
+  checkProvider();
+  return () => {
+    listeners.delete(onChange);
+    if (listeners.size === 0) {
+      window.removeEventListener('online', handleConnectivity);
+      window.removeEventListener('offline', handleConnectivity);
+    }
+  };
+};
+
+const ensureAvailable = () => {
+  const { available, reason } = computeAvailability();
+  if (!available) {
+    const error = new Error(reason);
+    error.noRetry = true;
+    error.unavailable = true;
+    throw error;
+  }
+};
+
+// --- AI Calls ---
+
+/**
+ * Generates an answer with the feature's model.
+ * @param {AiFeature} feature
+ * @param {object} payload
+ * @returns {Promise<string>} - The generated text.
+ */
+export const generateText = async (feature, payload) => {
+  ensureAvailable();
+  return provider.generate(payload, { model: modelFor(feature) }).catch(markNotConfigured);
+};
+
+/**
+ * Asks for a JSON answer and checks it with `validate`, which should throw
+ * if the answer is unusable. A malformed answer gets one repair attempt,
+ * with the error sent back to the model.
+ * @template T
+ * @param {AiFeature} feature
+ * @param {object} payload - A payload with a JSON `responseSchema`.
+ * @param {(parsed: unknown) => T} validate
+ * @returns {Promise<T>}
+ */
+export const generateValidJson = async (feature, payload, validate) => {
+  const responseText = await generateText(feature, payload);
+  try {
+    return validate(JSON.parse(responseText));
+  } catch (error) {
+    console.warn("The model returned an unusable answer, asking for a repair:", error);
+    const repairText = await generateText(feature, {
+      ...payload,
+      contents: [
+        ...payload.contents,
+        { role: "model", parts: [{ text: responseText }] },
+        { role: "user", parts: [{ text: `That response was not valid (${error.message}). Reply again with only the JSON, following the schema.` }] }
+      ]
+    });
+    return validate(JSON.parse(repairText));
+  }
+};
+
+/**
+ * Streams an answer with the feature's model.
+ * @param {AiFeature} feature
+ * @param {object} payload
+ * @param {{onText: (text: string) => void, signal?: AbortSignal}} options
+ * @returns {Promise<{text: string, functionCalls: object[]}>} - The generated
+ *   text, and any `functionCall` parts (as sent, so they can be echoed back).
+ */
+export const streamText = async (feature, payload, options) => {
+  ensureAvailable();
+  return provider.stream(payload, { ...options, model: modelFor(feature) }).catch(markNotConfigured);
+};
+
+/**
+ * Calls one of the other AI functions (embedProfile, matchProfiles).
+ * @param {string} name - The function's name in functions/index.js.
+ * @param {object} body
+ * @returns {Promise<object>} - The function's JSON response.
+ */
+export const callAiFunction = async (name, body, maxRetries = 3) => {
+  ensureAvailable();
+  return provider.callFunction(name, body, { maxRetries }).catch(markNotConfigured);
+};
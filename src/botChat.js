@@ -0,0 +1,78 @@
+import { generateText } from './aiProvider';
+import { BOT_TOOLS } from './botTools';
+
+// --- CollabBot Requests ---
+// What CollabBot sends the model besides the question: its instructions,
+// the chat so far (folded into a running summary once it gets long) and
+// the portal lookups it may make. The chat page in App.jsx streams the
+// answers and saves the chats.
+
+const COLLABBOT_INSTRUCTION = "You are 'CollabBot,' a helpful AI assistant for the CollabNest college portal. Your goal is to help students connect, find collaborators, and get tips on their projects. Be friendly, encouraging, and concise. Your name is CollabBot. If users need administrative help or support, they can contact collabnest.iilm@gmail.com. You can look up the portal's projects, user profiles, recent achievement posts and the user's unread messages with the tools provided. Use them for any question about what is on the portal, and never make up people, projects or posts.";
+
+// Every message the chat's summary doesn't cover yet is sent back to the
+// model. Once this many have piled up...
+export const BOT_SUMMARIZE_AFTER = 20;
+// ...all but about this many recent ones are folded into the summary.
+export const BOT_CONTEXT_MESSAGES = 12;
+
+/**
+ * The title a chat gets straight away, before the AI one arrives.
+ */
+export const draftBotChatTitle = (question) =>
+  question.length > 60 ? `${question.slice(0, 57).trim()}...` : question;
+
+/**
+ * Builds the request for the next answer: the chat's summary goes in the
+ * system instruction, followed by the messages it doesn't cover.
+ * @param {Array<{role: string, text: string}>} messages - Including the new question
+ * @param {{summary?: string, summarizedCount?: number}|null} chat
+ */
+export const buildBotPayload = (messages, chat) => {
+  let recent = messages.slice(chat?.summarizedCount || 0);
+  // The model expects the conversation to open with a user turn
+  while (recent.length > 1 && recent[0].role !== 'user') recent = recent.slice(1);
+
+  const summary = chat?.summary
+    ? `\n\nSummary of the earlier part of this conversation:\n${chat.summary}`
+    : '';
+  return {
+    contents: recent.map(({ role, text }) => ({ role, parts: [{ text }] })),
+    systemInstruction: { role: "system", parts: [{ text: COLLABBOT_INSTRUCTION + summary }] },
+    tools: BOT_TOOLS
+  };
+};
+
+/**
+ * Asks the model for a short title for a chat that opens with `question`.
+ */
+export const generateBotChatTitle = async (question) => {
+  const title = await generateText('chatTitle', {
+    contents: [{ role: "user", parts: [{ text: question }] }],
+    systemInstruction: { parts: [{ text: "Write a title of at most six words for a chat that starts with the following question. Reply with the title only, without quotes or punctuation at the end." }] }
+  });
+  return title.trim().replace(/^["']|["']$/g, '').slice(0, 80);
+};
+
+/**
+ * Folds all but the recent messages into the chat's running summary, once
+ * enough of them have piled up.
+ * @returns {Promise<{summary: string, summarizedCount: number}|null>} - null if not needed yet
+ */
+export const summarizeBotChat = async (messages, chat) => {
+  const summarizedCount = chat?.summarizedCount || 0;
+  if (messages.length - summarizedCount < BOT_SUMMARIZE_AFTER) return null;
+
+  // The messages left out of the summary start with a question, as the model expects
+  let upTo = messages.length - BOT_CONTEXT_MESSAGES;
+  while (upTo < messages.length - 1 && messages[upTo].role !== 'user') upTo++;
+  const transcript = messages
+    .slice(summarizedCount, upTo)
+    .map(({ role, text }) => `${role === 'user' ? 'Student' : 'CollabBot'}: ${text}`)
+    .join('\n\n');
+  const earlier = chat?.summary ? `Summary so far:\n${chat.summary}\n\n` : '';
+  const summary = await generateText('chatSummary', {
+    contents: [{ role: "user", parts: [{ text: `${earlier}Conversation to add:\n${transcript}` }] }],
+    systemInstruction: { parts: [{ text: "Summarise this conversation between a student and CollabBot in under 150 words. Keep the names, projects, skills and decisions the student may refer back to. Reply with the summary only." }] }
+  });
+  return { summary: summary.trim(), summarizedCount: upTo };
+};
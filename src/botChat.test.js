@@ -0,0 +1,84 @@
+import { describe, expect, it, vi } from 'vitest';
+import {
+  BOT_CONTEXT_MESSAGES,
+  BOT_SUMMARIZE_AFTER,
+  buildBotPayload,
+  draftBotChatTitle,
+  generateBotChatTitle,
+  summarizeBotChat,
+} from './botChat';
+import { BOT_TOOLS } from './botTools';
+
+vi.mock('./firebase', () => import('./testing/firebaseStub'));
+
+/** A chat of `count` messages, alternating between the student and CollabBot. */
+const chatOf = (count) =>
+  Array.from({ length: count }, (_, i) => ({ role: i % 2 === 0 ? 'user' : 'model', text: `Message ${i}` }));
+
+const sentTexts = (payload) => payload.contents.map(({ parts }) => parts[0].text);
+
+describe('draftBotChatTitle', () => {
+  it('keeps short questions whole', () => {
+    expect(draftBotChatTitle('Who knows React?')).toBe('Who knows React?');
+  });
+
+  it('cuts long questions to 60 characters', () => {
+    const title = draftBotChatTitle(`${'word '.repeat(20)}end`);
+    expect(title.length).toBeLessThanOrEqual(60);
+    expect(title.endsWith('...')).toBe(true);
+  });
+});
+
+describe('buildBotPayload', () => {
+  it('sends the whole chat while nothing is summarized, with the tools', () => {
+    const messages = chatOf(5);
+    const payload = buildBotPayload(messages, null);
+    expect(sentTexts(payload)).toEqual(messages.map(({ text }) => text));
+    expect(payload.contents[1]).toEqual({ role: 'model', parts: [{ text: 'Message 1' }] });
+    expect(payload.tools).toBe(BOT_TOOLS);
+    expect(payload.systemInstruction.parts[0].text).not.toContain('Summary of the earlier part');
+  });
+
+  it('sends every message the summary does not cover, however many', () => {
+    const messages = chatOf(31);
+    const payload = buildBotPayload(messages, { summary: 'They want a React teammate.', summarizedCount: 4 });
+    expect(sentTexts(payload)).toEqual(messages.slice(4).map(({ text }) => text));
+    expect(payload.systemInstruction.parts[0].text)
+      .toContain('Summary of the earlier part of this conversation:\nThey want a React teammate.');
+  });
+
+  it('opens with a user turn', () => {
+    const payload = buildBotPayload(chatOf(7), { summary: 'Earlier.', summarizedCount: 3 });
+    expect(payload.contents[0]).toEqual({ role: 'user', parts: [{ text: 'Message 4' }] });
+  });
+});
+
+describe('summarizeBotChat', () => {
+  it(`waits for ${BOT_SUMMARIZE_AFTER} unsummarized messages`, async () => {
+    expect(await summarizeBotChat(chatOf(BOT_SUMMARIZE_AFTER - 1), null)).toBeNull();
+    expect(await summarizeBotChat(chatOf(BOT_SUMMARIZE_AFTER + 9), { summary: 'S', summarizedCount: 10 })).toBeNull();
+  });
+
+  it('folds all but the recent messages into the summary, leaving a user turn first', async () => {
+    const messages = chatOf(BOT_SUMMARIZE_AFTER + 1);
+    const result = await summarizeBotChat(messages, null);
+    expect(result.summarizedCount).toBeGreaterThanOrEqual(messages.length - BOT_CONTEXT_MESSAGES);
+    expect(messages[result.summarizedCount].role).toBe('user');
+    expect(result.summary).toContain('Student: Message 0');
+    expect(result.summary).not.toContain(`Message ${result.summarizedCount}`);
+  });
+
+  it('builds on the summary so far', async () => {
+    const result = await summarizeBotChat(chatOf(40), { summary: 'They want a React teammate.', summarizedCount: 10 });
+    expect(result.summary).toContain('Summary so far: They want a React teammate.');
+    expect(result.summary).toContain('Student: Message 10');
+  });
+});
+
+describe('generateBotChatTitle', () => {
+  it('returns a short title from the model', async () => {
+    const title = await generateBotChatTitle('Who on the portal knows React?');
+    expect(title).toContain('Who on the portal knows React?');
+    expect(title.length).toBeLessThanOrEqual(80);
+  });
+});
@@ -0,0 +1,220 @@
+import {
+  getUser,
+  findUsers,
+  findUsersByName,
+  findProjects,
+  listProjectsForUser,
+  listRecentAchievements,
+  listConversations,
+  otherParticipantId
+} from './repository';
+import { isSameSkill, skillSpellings } from './skills';
+
+// --- CollabBot Tools ---
+// Read-only lookups CollabBot can make through Gemini function calling. They
+// run in the browser as the signed-in user, so the security rules still
+// decide what each one can see.
+
+const MAX_RESULTS = 10;
+// Documents a search reads; filters Firestore can't apply narrow these
+const MAX_SCANNED = 100;
+const EXCERPT_LENGTH = 300;
+
+const includesText = (value, term) => String(value || '').toLowerCase().includes(String(term).toLowerCase());
+
+const hasSkill = (skills, skill) => (skills || []).some((s) => isSameSkill(s, skill) || includesText(s, skill));
+
+// '5th', '5' and 'fifth' all become 5
+const SEMESTER_WORDS = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth'];
+const semesterNumber = (value) => {
+  const text = String(value || '').toLowerCase();
+  const digits = text.match(/\d+/);
+  if (digits) return Number(digits[0]);
+  const word = SEMESTER_WORDS.findIndex((w) => text.includes(w));
+  return word === -1 ? null : word + 1;
+};
+
+const excerpt = (text) =>
+  text && text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH)}...` : text || '';
+
+// What anyone on the portal can see on a profile page (no email)
+const publicProfile = (user) => ({
+  userId: user.id,
+  name: user.name,
+  role: user.role,
+  course: user.course || '',
+  semester: user.semester || '',
+  skills: user.skills || [],
+  bio: excerpt(user.bio),
+  linkedin: user.linkedin || '',
+  github: user.github || '',
+});
+
+/**
+ * Function declarations sent to Gemini as `tools`.
+ */
+export const BOT_TOOLS = [{
+  functionDeclarations: [
+    {
+      name: 'search_projects',
+      description: 'Search projects posted on the portal. Use for questions about which projects exist, need a skill or are recruiting.',
+      parameters: {
+        type: 'OBJECT',
+        properties: {
+          skill: { type: 'STRING', description: 'A skill the project needs, e.g. "React"' },
+          text: { type: 'STRING', description: 'Words to look for in the title or description' },
+          status: { type: 'STRING', enum: ['recruiting', 'in_progress', 'completed'] },
+        },
+      },
+    },
+    {
+      name: 'search_users',
+      description: 'Search the user directory by skill, semester, course, role or name. Returns public profiles.',
+      parameters: {
+        type: 'OBJECT',
+        properties: {
+          skill: { type: 'STRING', description: 'A skill the person has, e.g. "React"' },
+          semester: { type: 'STRING', description: 'e.g. "5th"' },
+          course: { type: 'STRING', description: 'e.g. "B.Tech (CSE)"' },
+          role: { type: 'STRING', enum: ['student', 'teacher'] },
+          name: { type: 'STRING', description: 'The start of the person\'s name' },
+        },
+      },
+    },
+    {
+      name: 'get_user_profile',
+      description: 'Look up one person\'s public profile by name or user id, including the projects they are in.',
+      parameters: {
+        type: 'OBJECT',
+        properties: {
+          name: { type: 'STRING' },
+          userId: { type: 'STRING' },
+        },
+      },
+    },
+    {
+      name: 'list_recent_achievements',
+      description: 'List the most recent posts on the achievements feed.',
+      parameters: {
+        type: 'OBJECT',
+        properties: {
+          count: { type: 'INTEGER', description: 'How many posts, up to 10 (default 5)' },
+        },
+      },
+    },
+    {
+      name: 'list_unread_messages',
+      description: 'List the signed-in user\'s conversations that have unread messages.',
+      parameters: { type: 'OBJECT', properties: {} },
+    },
+  ],
+}];
+
+const tools = {
+  search_projects: async ({ skill, text, status }) => {
+    const projects = (await findProjects({ skills: skillSpellings(skill), status, count: MAX_SCANNED }))
+      .filter((p) => !text || includesText(p.title, text) || includesText(p.description, text));
+    return {
+      total: projects.length,
+      projects: projects.slice(0, MAX_RESULTS).map((p) => ({
+        projectId: p.id,
+        title: p.title,
+        description: excerpt(p.description),
+        skills: p.skills || [],
+        status: p.status,
+        owner: p.authorName,
+        members: (p.members || []).map((m) => m.name),
+      })),
+    };
+  },
+
+  search_users: async ({ skill, semester, course, role, name }) => {
+    const wantedSemester = semester ? semesterNumber(semester) : null;
+    const found = name
+      ? await findUsersByName(name, MAX_SCANNED)
+      : await findUsers({ skills: skillSpellings(skill), role, count: MAX_SCANNED });
+    const users = found
+      .filter((u) => u.role !== 'admin' && !u.suspended)
+      .filter((u) => !skill || hasSkill(u.skills, skill))
+      .filter((u) => !role || u.role === role)
+      .filter((u) => !wantedSemester || semesterNumber(u.semester) === wantedSemester)
+      .filter((u) => !course || includesText(u.course, course));
+    return { total: users.length, users: users.slice(0, MAX_RESULTS).map(publicProfile) };
+  },
+
+  get_user_profile: async ({ name, userId: wantedId }, userId) => {
+    const byName = name ? await findUsersByName(name, MAX_RESULTS) : [];
+    const user = (wantedId && await getUser(wantedId))
+      || byName.find((u) => u.name?.toLowerCase() === name.toLowerCase())
+      || byName[0];
+    if (!user) return { error: 'No user found with that name.' };
+    const projects = (await listProjectsForUser(user.id, { id: userId, isAdmin: false })).filter((p) => !p.hidden);
+    return {
+      ...publicProfile(user),
+      projects: projects.map((p) => ({ projectId: p.id, title: p.title, status: p.status })),
+    };
+  },
+
+  list_recent_achievements: async ({ count = 5 }) => {
+    const posts = await listRecentAchievements(Math.min(Math.max(Number(count) || 5, 1), MAX_RESULTS));
+    return {
+      posts: posts.filter((p) => !p.hidden).map((p) => ({
+        author: p.authorName,
+        content: excerpt(p.content),
+        likes: (p.likes || []).length,
+        postedAt: p.createdAt?.toISOString() || null,
+      })),
+    };
+  },
+
+  list_unread_messages: async (args, userId) => {
+    const unread = (await listConversations(userId)).filter((c) => (c.unreadCounts?.[userId] || 0) > 0);
+    return {
+      conversations: unread.map((c) => ({
+        with: c.participantNames?.[otherParticipantId(c.id, userId)] || 'Unknown user',
+        unreadCount: c.unreadCounts[userId],
+        lastMessage: excerpt(c.lastMessage?.text),
+        sentAt: c.lastMessage?.sentAt?.toISOString() || null,
+      })),
+    };
+  },
+};
+
+/**
+ * Runs a tool the model asked for. Failures are returned to the model as
+ * `{ error }` rather than thrown, so it can tell the user.
+ * @param {string} name
+ * @param {object} args
+ * @param {string} userId - The signed-in user
+ * @returns {Promise<object>}
+ */
+export const runBotTool = async (name, args, userId) => {
+  const tool = tools[name];
+  if (!tool) return { error: `Unknown tool "${name}".` };
+  try {
+    return await tool(args || {}, userId);
+  } catch (error) {
+    console.error(`CollabBot tool ${name} failed:`, error);
+    return { error: error.message };
+  }
+};
+
+/**
+ * A one-line description of a tool call, shown in the chat.
+ * @param {{name: string, args?: object}} call
+ */
+export const describeBotToolCall = ({ name, args = {} }) => {
+  const filters = Object.entries(args)
+    .filter(([, value]) => value !== undefined && value !== '')
+    .map(([key, value]) => `${key}: ${value}`)
+    .join(', ');
+  const labels = {
+    search_projects: 'Searched projects',
+    search_users: 'Searched the directory',
+    get_user_profile: 'Looked up a profile',
+    list_recent_achievements: 'Read the latest posts',
+    list_unread_messages: 'Checked your unread messages',
+  };
+  const label = labels[name] || `Used ${name}`;
+  return filters ? `${label} (${filters})` : label;
+};
@@ -0,0 +1,45 @@
+import { initializeApp } from 'firebase/app';
+import { getAuth, connectAuthEmulator } from 'firebase/auth';
+import { getFirestore, connectFirestoreEmulator, setLogLevel } from 'firebase/firestore';
+
+// --- Firebase Initialization (using environment variables) ---
+let firebaseConfig;
+try {
+  // This securely loads the config from your .env.local file (for local dev)
+  // or from your Netlify/GitHub environment variables (for production)
+  firebaseConfig = JSON.parse(import.meta.env.VITE_APP_FIREBASE_CONFIG);
+} catch (e) {
+  console.error("Failed to parse Firebase config. Make sure it's set in your .env.local file or Netlify/GitHub variables.", e);
+  firebaseConfig = {}; // Fallback
+}
+
+// This is now safe, as 'appId' is part of your config, but we get it for the db path
+export const appId = firebaseConfig.appId || 'default-app-id';
+
+export const app = initializeApp(firebaseConfig);
+export const auth = getAuth(app);
+export const db = getFirestore(app);
+
+const useEmulators = import.meta.env.VITE_APP_USE_FIREBASE_EMULATORS === 'true';
+const FUNCTIONS_REGION = 'us-central1';
+
+/**
+ * The URL of an HTTP Cloud Function in functions/ (e.g. 'gemini').
+ */
+export const functionUrl = (name) =>
+  useEmulators
+    ? `http://127.0.0.1:5001/${firebaseConfig.projectId}/${FUNCTIONS_REGION}/${name}`
+    : `https://${FUNCTIONS_REGION}-${firebaseConfig.projectId}.cloudfunctions.net/${name}`;
+
+// Point at the local emulators (firebase emulators:start) when asked to
+if (useEmulators) {
+  connectAuthEmulator(auth, 'http://127.0.0.1:9099', { disableWarnings: true });
+  connectFirestoreEmulator(db, '127.0.0.1', 8080);
+}
+
+// Enable Firestore debugging
+try {
+  setLogLevel('Debug');
+} catch (e) {
+  console.error("Failed to set Firestore log level:", e);
+}
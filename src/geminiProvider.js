@@ -0,0 +1,193 @@
+import { auth, functionUrl } from './firebase';
+
+// --- Gemini Provider ---
+// Requests go through the `gemini` Cloud Function (functions/gemini.js), which
+// holds the API key, checks the user's ID token and applies rate limits.
+const GEMINI_PROXY_URL = functionUrl('gemini');
+
+const stopped = () => new DOMException("The request was stopped.", "AbortError");
+
+/**
+ * Posts a payload to the Gemini proxy with exponential backoff, resolving
+ * with the first OK response. Server and network errors are retried; the
+ * proxy's 4xx answers (signed out, rate limited, bad request) are not, and
+ * neither is a proxy without an API key, which flags the error `notConfigured`.
+ * @param {object} payload - The payload to send to the Gemini API.
+ * @param {object} options
+ * @param {boolean} [options.stream] - Ask for a server-sent event stream.
+ * @param {AbortSignal} [options.signal] - Cancels the request, including retries.
+ * @param {number} [options.maxRetries] - Maximum number of retries.
+ * @param {string} [options.url] - Another AI function to post to, e.g. matchProfiles.
+ * @returns {Promise<Response>}
+ */
+const postToGeminiProxy = async (payload, { stream = false, signal, maxRetries = 5, url = GEMINI_PROXY_URL } = {}) => {
+  let attempt = 0;
+  let delay = 1000; // Start with 1 second
+
+  while (attempt < maxRetries) {
+    try {
+      const idToken = await auth.currentUser?.getIdToken();
+      if (!idToken) {
+        const error = new Error("Please sign in to use the AI features.");
+        error.noRetry = true;
+        throw error;
+      }
+
+      const response = await fetch(stream ? `${url}?alt=sse` : url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${idToken}`
+        },
+        body: JSON.stringify(payload),
+        signal
+      });
+
+      if (response.ok) {
+        return response;
+      }
+
+      const errorResult = await response.json().catch(() => ({}));
+      if (errorResult.error?.status === 'NOT_CONFIGURED') {
+        // No API key on the server; no retry will fix that
+        const error = new Error(errorResult.error.message);
+        error.noRetry = true;
+        error.notConfigured = true;
+        throw error;
+      }
+
+      // Handle non-OK responses
+      if (response.status >= 500) {
+        // Server error, wait and retry
+        console.warn(`Gemini API Error: Status ${response.status}. Retrying in ${delay}ms...`);
+        await new Promise(resolve => setTimeout(resolve, delay));
+        delay *= 2; // Exponential backoff
+        attempt++;
+      } else {
+        // Signed out, rate limited, over the daily quota or a bad request;
+        // retrying won't help, so pass the proxy's message on
+        console.error("Gemini API Error:", errorResult);
+        const error = new Error(errorResult.error?.message || `API request failed with status ${response.status}. Check console.`);
+        error.noRetry = true;
+        throw error;
+      }
+
+    } catch (error) {
+      if (signal?.aborted) throw error;
+      console.error("Error calling Gemini API:", error);
+      if (error.noRetry || attempt >= maxRetries - 1) {
+        throw error; // Throw error after last attempt
+      }
+      // Wait and retry for network errors
+      await new Promise(resolve => setTimeout(resolve, delay));
+      delay *= 2;
+      attempt++;
+    }
+    if (signal?.aborted) throw stopped();
+  }
+
+  throw new Error("Gemini API call failed after all retries.");
+};
+
+/**
+ * Calls the Gemini API via the proxy.
+ * @type {import('./aiProvider').AiProvider['generate']}
+ */
+const generate = async (payload, { model, maxRetries = 5 }) => {
+  const response = await postToGeminiProxy({ ...payload, model }, { maxRetries });
+  const result = await response.json();
+  const text = result.candidates?.[0]?.content?.parts?.[0]?.text;
+  if (text) {
+    return text;
+  } else {
+    console.error("Gemini API Error: No text in response", result);
+    throw new Error("Invalid response from API. Check console for details.");
+  }
+};
+
+/**
+ * Streams a Gemini answer via the proxy. Only the initial connection is
+ * retried.
+ * @type {import('./aiProvider').AiProvider['stream']}
+ */
+const stream = async (payload, { model, onText, signal }) => {
+  const response = await postToGeminiProxy({ ...payload, model }, { stream: true, signal });
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let text = '';
+  const functionCalls = [];
+  let finished = false;
+
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      buffer = (buffer + decoder.decode(value, { stream: true })).replace(/\r\n/g, '\n');
+      const events = buffer.split('\n\n');
+      buffer = events.pop();
+      for (const event of events) {
+        const data = event.split('\n').filter(l => l.startsWith('data:')).map(l => l.slice(5).trim()).join('');
+        if (!data) continue;
+        const chunk = JSON.parse(data);
+        if (chunk.error) throw new Error(chunk.error.message);
+        const candidate = chunk.candidates?.[0];
+        const parts = candidate?.content?.parts || [];
+        functionCalls.push(...parts.filter(p => p.functionCall));
+        const piece = parts.map(p => p.text || '').join('');
+        if (piece) {
+          text += piece;
+          onText(text);
+        }
+        if (candidate?.finishReason) finished = true;
+      }
+    }
+    if (!finished) throw new Error("The connection closed before the answer was finished.");
+  } catch (error) {
+    if (!signal?.aborted) console.error("Gemini stream error:", error);
+    error.partialText = text;
+    throw error;
+  }
+
+  if (!text && functionCalls.length === 0) {
+    throw new Error("Invalid response from API. Check console for details.");
+  }
+  return { text, functionCalls };
+};
+
+/**
+ * Calls one of the other AI functions (embedProfile, matchProfiles), with
+ * the same auth, retries and errors as the Gemini proxy.
+ * @type {import('./aiProvider').AiProvider['callFunction']}
+ */
+const callFunction = async (name, body, { maxRetries = 3 } = {}) => {
+  const response = await postToGeminiProxy(body, { url: functionUrl(name), maxRetries });
+  return response.json();
+};
+
+/**
+ * Asks the proxy whether it has an API key. Network trouble counts as
+ * "don't know" (null), so a flaky connection doesn't switch the AI off.
+ * @type {import('./aiProvider').AiProvider['checkConfigured']}
+ */
+const checkConfigured = async () => {
+  try {
+    const response = await fetch(GEMINI_PROXY_URL, { signal: AbortSignal.timeout(10000) });
+    if (!response.ok) return null;
+    const { configured } = await response.json();
+    return Boolean(configured);
+  } catch (error) {
+    console.warn("Couldn't reach the AI service to check it:", error);
+    return null;
+  }
+};
+
+/** @type {import('./aiProvider').AiProvider} */
+export const geminiProvider = {
+  id: 'gemini',
+  needsNetwork: true,
+  generate,
+  stream,
+  callFunction,
+  checkConfigured,
+};
@@ -0,0 +1,13 @@
+import { callAdminFunction } from './adminFunctions';
+
+// --- Hidden Flag Backfill ---
+// Posts, comments and projects created before they carried `hidden: false`
+// don't show up in anyone else's queries (see Hidden Content in
+// repository.js). The backfillHidden function (functions/hiddenBackfill.js)
+// adds the flag to them.
+
+/**
+ * Asks the backfillHidden function to flag every older document. Admins only.
+ * @returns {Promise<{achievements: number, projects: number, comments: number, failed: number}>}
+ */
+export const backfillHidden = () => callAdminFunction('backfillHidden', 'Updating posts and projects failed');
@@ -0,0 +1,12 @@
+import { callAdminFunction } from './adminFunctions';
+
+// --- Inbox Migration ---
+// Messages sent before conversations existed sit in each recipient's
+// users/{uid}/messages, which nothing reads any more. The migrateInbox
+// function (functions/inboxMigration.js) moves them into conversations.
+
+/**
+ * Asks the migrateInbox function to move every old inbox message. Admins only.
+ * @returns {Promise<{moved: number, conversations: number}>}
+ */
+export const migrateInbox = () => callAdminFunction('migrateInbox', 'Migrating the inbox failed');
@@ -0,0 +1,315 @@
+import { KNOWN_SPELLINGS, knownSkill, skillSpellings } from './skills';
+
+// --- Skills-overlap Matching ---
+// The deterministic scorers behind the AI matcher and "Projects for me":
+// they shortlist candidates for the AI to rank, and rank them on their own
+// when the AI is unavailable.
+
+// Too common to say anything about a match
+const STOP_WORDS = new Set([
+  'the', 'and', 'for', 'with', 'that', 'this', 'from', 'have', 'are', 'you', 'your', 'our', 'who',
+  'will', 'can', 'need', 'someone', 'project', 'building', 'build', 'want', 'looking', 'also', 'maybe',
+  'know', 'knows', 'about', 'into', 'like', 'some', 'using', 'use', 'work', 'working',
+]);
+
+const words = (text) =>
+  (String(text || '').toLowerCase().match(/[a-z0-9+#.]+/g) || [])
+    .map((word) => word.replace(/\.+$/, ''))
+    .filter((word) => word.length > 2 && !STOP_WORDS.has(word));
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// The skill as a whole word (or phrase), so 'C' doesn't match every 'c'.
+const mentionsSkill = (text, skill) => {
+  const term = skill.trim().toLowerCase();
+  return term !== '' && new RegExp(`(^|[^a-z0-9])${escapeRegExp(term)}($|[^a-z0-9+#])`).test(text);
+};
+
+/**
+ * Scores how well a profile fits a project description: 3 points per skill
+ * the description mentions, plus half a point per shared word in the bio
+ * (at most 5 words).
+ * @param {string} description
+ * @param {{skills?: string[], bio?: string}} user
+ * @returns {{score: number, matchedSkills: string[]}}
+ */
+export const scoreBySkills = (description, user) => {
+  const text = description.toLowerCase();
+  const matchedSkills = (user.skills || []).filter((skill) => mentionsSkill(text, skill));
+  const descriptionWords = new Set(words(description));
+  const sharedWords = new Set(words(user.bio).filter((word) => descriptionWords.has(word)));
+  return {
+    score: matchedSkills.length * 3 + Math.min(sharedWords.size, 5) * 0.5,
+    matchedSkills,
+  };
+};
+
+/**
+ * Users with any overlap, best first (ties broken by name, so the order is
+ * stable).
+ * @template {{name?: string, skills?: string[], bio?: string}} T
+ * @param {string} description
+ * @param {T[]} users
+ * @returns {Array<{user: T, score: number, matchedSkills: string[]}>}
+ */
+export const rankBySkills = (description, users) =>
+  users
+    .map((user) => ({ user, ...scoreBySkills(description, user) }))
+    .filter((ranked) => ranked.score > 0)
+    .sort((a, b) => b.score - a.score || (a.user.name || '').localeCompare(b.user.name || ''));
+
+// Firestore takes at most 30 values in an array-contains-any filter
+const MAX_QUERY_SPELLINGS = 30;
+
+/**
+ * The known skills a description names, in every spelling a profile may
+ * store them (see skillSpellings): what the matcher queries profiles by
+ * before ranking them with rankBySkills.
+ * @param {string} description
+ * @returns {string[]} At most 30
+ */
+export const skillSpellingsIn = (description) => {
+  const text = description.toLowerCase();
+  const tags = new Set(KNOWN_SPELLINGS.filter((spelling) => mentionsSkill(text, spelling)).map(knownSkill));
+  return [...new Set([...tags].flatMap(skillSpellings))].slice(0, MAX_QUERY_SPELLINGS);
+};
+
+/**
+ * One shortlist from two, taking from each in turn (and each user once),
+ * so neither crowds the other out.
+ * @template {{uid: string}} T
+ * @param {T[]} first - E.g. the nearest profiles by embedding
+ * @param {T[]} second - E.g. profiles listing a skill the description names, by skills overlap
+ * @param {number} size
+ * @returns {T[]}
+ */
+export const mergeShortlists = (first, second, size) => {
+  const merged = new Map();
+  for (let i = 0; i < Math.max(first.length, second.length) && merged.size < size; i++) {
+    [first[i], second[i]].forEach((user) => {
+      if (user && merged.size < size && !merged.has(user.uid)) merged.set(user.uid, user);
+    });
+  }
+  return [...merged.values()];
+};
+
+/**
+ * A one-sentence reason for a skills-overlap match.
+ */
+export const describeSkillsMatch = ({ matchedSkills }) =>
+  matchedSkills.length > 0
+    ? `Has skills your project mentions: ${matchedSkills.join(', ')}.`
+    : 'Their bio overlaps with your project description.';
+
+/**
+ * A 0-100 confidence for a skills-overlap match, comparable to the AI's:
+ * one mentioned skill is a fair match, two or more a strong one.
+ */
+export const skillsMatchConfidence = ({ score }) => Math.min(95, Math.round(20 + score * 15));
+
+const sameSkill = (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase();
+
+/**
+ * Ranks open projects for a student: 3 points per open role they have the
+ * skill for, 1 per other project skill they have, and half a point per word
+ * their bio and course share with the project (at most 5 words). Projects
+ * with no overlap keep their order at the end, so students without skills
+ * on their profile still see something.
+ * @template T
+ * @param {{skills?: string[], bio?: string, course?: string}} profile
+ * @param {Array<{project: T & {title: string, description: string, skills?: string[]}, openSkills: string[]}>} candidates
+ * @returns {Array<{project: T, openSkills: string[], score: number, matchedSkills: string[], skill: string}>}
+ *   `skill` is the open role to ask for: one they have, else the first open one.
+ */
+export const rankProjectsForUser = (profile, candidates) => {
+  const mySkills = profile.skills || [];
+  const myWords = new Set(words(`${profile.bio || ''} ${profile.course || ''}`));
+  const has = (skill) => mySkills.some((mine) => sameSkill(mine, skill));
+
+  return candidates
+    .map((candidate) => {
+      const { project, openSkills } = candidate;
+      const matchedSkills = openSkills.filter(has);
+      const otherSkills = (project.skills || []).filter((skill) => !openSkills.includes(skill) && has(skill));
+      const sharedWords = new Set(words(`${project.title} ${project.description}`).filter((word) => myWords.has(word)));
+      return {
+        ...candidate,
+        score: matchedSkills.length * 3 + otherSkills.length + Math.min(sharedWords.size, 5) * 0.5,
+        matchedSkills,
+        skill: matchedSkills[0] || openSkills[0],
+      };
+    })
+    // Stable, so ties keep the order they came in
+    .sort((a, b) => b.score - a.score);
+};
+
+/**
+ * A one-sentence reason for a skills-overlap project recommendation.
+ */
+export const describeProjectMatch = ({ matchedSkills, openSkills }) =>
+  matchedSkills.length > 0
+    ? `The team needs ${matchedSkills.join(', ')}, which ${matchedSkills.length === 1 ? 'is' : 'are'} on your profile.`
+    : `Open roles: ${openSkills.join(', ')}.`;
+
+// --- AI Ranking Requests ---
+
+const MATCH_SCHEMA = {
+  type: "ARRAY",
+  items: {
+    type: "OBJECT",
+    properties: {
+      "userId": { "type": "STRING" },
+      "name": { "type": "STRING" },
+      "reason": { "type": "STRING" },
+      "score": { "type": "INTEGER", "description": "Match confidence from 0 to 100" }
+    },
+    required: ["userId", "reason", "score"]
+  }
+};
+
+const PROJECT_PICK_SCHEMA = {
+  type: "ARRAY",
+  items: {
+    type: "OBJECT",
+    properties: {
+      "projectId": { "type": "STRING" },
+      "reason": { "type": "STRING" },
+      "score": { "type": "INTEGER", "description": "Fit from 0 to 100" }
+    },
+    required: ["projectId", "reason", "score"]
+  }
+};
+
+/**
+ * The request asking the model to rank the shortlisted profiles for a
+ * project description.
+ * @param {string} description
+ * @param {Array<{uid: string, name: string, role?: string, bio?: string, skills?: string[]}>} shortlist
+ */
+export const buildMatchPayload = (description, shortlist) => {
+  const userProfilesSummary = shortlist.map(user => {
+    return `User ID: ${user.uid}\nName: ${user.name}\nRole: ${user.role}\nBio: ${user.bio || 'N/A'}\nSkills: ${(user.skills || []).join(', ')}\n`;
+  }).join("\n---\n");
+
+  const systemPrompt = "You are an AI assistant helping a student find project collaborators from a university directory. Your task is to analyze a project description and a shortlist of user profiles. Return a JSON array of the top 3-5 best matches, best first. For each match, provide their `userId` exactly as given, their `name`, a brief `reason` (1-2 sentences) why they are a good match, and a `score` from 0 to 100 for how confident you are in the match. Do not match the user with themselves. If no good matches are found, return an empty array.";
+  const userPrompt = `Here is my project description:\n"${description}"\n\nHere is the shortlist of users:\n${userProfilesSummary}\n\nReturn the JSON array of top matches.`;
+
+  return {
+    contents: [{ role: "user", parts: [{ text: userPrompt }] }],
+    systemInstruction: { parts: [{ text: systemPrompt }] },
+    generationConfig: {
+      responseMimeType: "application/json",
+      responseSchema: MATCH_SCHEMA
+    }
+  };
+};
+
+/**
+ * The request asking the model to pick the shortlisted projects that suit
+ * a student.
+ * @param {{name: string, course?: string, semester?: string, skills?: string[], bio?: string}} profile
+ * @param {Array<{project: {id: string, title: string, description: string, skills?: string[]}, openSkills: string[]}>} shortlist
+ *   From rankProjectsForUser
+ */
+export const buildProjectPicksPayload = (profile, shortlist) => {
+  const studentSummary = `Name: ${profile.name}\nCourse: ${profile.course || 'N/A'}\nSemester: ${profile.semester || 'N/A'}\nSkills: ${(profile.skills || []).join(', ') || 'N/A'}\nBio: ${profile.bio || 'N/A'}`;
+  const projectsSummary = shortlist.map(({ project, openSkills }) =>
+    `Project ID: ${project.id}\nTitle: ${project.title}\nDescription: ${project.description.slice(0, 500)}\nSkills: ${(project.skills || []).join(', ')}\nOpen roles: ${openSkills.join(', ')}\n`
+  ).join("\n---\n");
+
+  const systemPrompt = "You are an AI assistant helping a university student find a project team to join. Given the student's profile and a list of open projects, return a JSON array of the 3-5 projects that suit the student best, best first. For each, give the `projectId` exactly as given, a `reason` (1-2 sentences, addressed to the student as 'you') why it suits them, and a `score` from 0 to 100 for how good a fit it is. Consider their skills, interests, course and semester. If none suit them, return an empty array.";
+  const userPrompt = `Student profile:\n${studentSummary}\n\nOpen projects:\n${projectsSummary}\n\nReturn the JSON array of recommended projects.`;
+
+  return {
+    contents: [{ role: "user", parts: [{ text: userPrompt }] }],
+    systemInstruction: { parts: [{ text: systemPrompt }] },
+    generationConfig: {
+      responseMimeType: "application/json",
+      responseSchema: PROJECT_PICK_SCHEMA
+    }
+  };
+};
+
+// --- AI Ranking Validation ---
+
+/**
+ * Checks a parsed AI ranking against its schema and the candidates it was
+ * given. Entries that aren't objects, name something outside the
+ * candidates, repeat one, or lack a reason or score are dropped.
+ * @template C
+ * @param {unknown} parsed - The parsed response
+ * @param {C[]} candidates - What was sent to the model
+ * @param {object} options
+ * @param {string} options.idField - The id property in the model's entries
+ * @param {(candidate: C) => string} options.candidateId
+ * @param {string} [options.excludeId] - Never valid, e.g. the searcher
+ * @returns {{ranked: Array<{id: string, candidate: C, reason: string, score: number}>, dropped: number}}
+ *   Best first.
+ * @throws {Error} If the response isn't an array at all
+ */
+const validateAiRanking = (parsed, candidates, { idField, candidateId, excludeId }) => {
+  if (!Array.isArray(parsed)) {
+    throw new Error('Expected a JSON array.');
+  }
+
+  const byId = new Map(candidates.map((candidate) => [candidateId(candidate), candidate]));
+  const seen = new Set();
+  const ranked = [];
+  for (const entry of parsed) {
+    const id = typeof entry?.[idField] === 'string' ? entry[idField].trim() : '';
+    const reason = typeof entry?.reason === 'string' ? entry.reason.trim() : '';
+    const score = Number(entry?.score);
+    if (!byId.has(id) || id === excludeId || seen.has(id) || !reason || !Number.isFinite(score)) {
+      continue;
+    }
+    seen.add(id);
+    ranked.push({
+      id,
+      candidate: byId.get(id),
+      reason,
+      score: Math.round(Math.min(100, Math.max(0, score))),
+    });
+  }
+  return {
+    ranked: ranked.sort((a, b) => b.score - a.score),
+    dropped: parsed.length - ranked.length,
+  };
+};
+
+/**
+ * Validates the people matcher's response against the shortlisted profiles.
+ * Names always come from the profile, never the model.
+ * @param {unknown} parsed
+ * @param {Array<{uid: string, name: string}>} shortlist - The profiles sent to the model
+ * @param {string} userId - The searcher, who is never a valid match
+ * @returns {{matches: Array<{userId: string, name: string, reason: string, score: number}>, dropped: number}}
+ */
+export const validateAiMatches = (parsed, shortlist, userId) => {
+  const { ranked, dropped } = validateAiRanking(parsed, shortlist, {
+    idField: 'userId',
+    candidateId: (user) => user.uid,
+    excludeId: userId,
+  });
+  return {
+    matches: ranked.map(({ id, candidate, reason, score }) => ({ userId: id, name: candidate.name, reason, score })),
+    dropped,
+  };
+};
+
+/**
+ * Validates the "Projects for me" response against the shortlisted projects.
+ * @template {{project: {id: string}}} C
+ * @param {unknown} parsed
+ * @param {C[]} shortlist - From rankProjectsForUser
+ * @returns {{picks: Array<C & {reason: string, confidence: number}>, dropped: number}}
+ */
+export const validateAiProjectPicks = (parsed, shortlist) => {
+  const { ranked, dropped } = validateAiRanking(parsed, shortlist, {
+    idField: 'projectId',
+    candidateId: (candidate) => candidate.project.id,
+  });
+  return {
+    picks: ranked.map(({ candidate, reason, score }) => ({ ...candidate, reason, confidence: score })),
+    dropped,
+  };
+};
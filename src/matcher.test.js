@@ -0,0 +1,146 @@
+import { describe, expect, it, vi } from 'vitest';
+import { generateValidJson } from './aiProvider';
+import {
+  buildMatchPayload,
+  buildProjectPicksPayload,
+  mergeShortlists,
+  rankBySkills,
+  rankProjectsForUser,
+  scoreBySkills,
+  skillSpellingsIn,
+  validateAiMatches,
+  validateAiProjectPicks,
+} from './matcher';
+
+vi.mock('./firebase', () => import('./testing/firebaseStub'));
+
+const ada = { uid: 'ada', name: 'Ada', role: 'student', skills: ['Python', 'Machine Learning'], bio: 'I like robotics and data.' };
+const ben = { uid: 'ben', name: 'Ben', role: 'student', skills: ['React', 'CSS'], bio: '' };
+const cy = { uid: 'cy', name: 'Cy', role: 'student', skills: ['C'], bio: 'Robotics club captain.' };
+
+describe('skills overlap', () => {
+  it('queries by every spelling of the skills a description names', () => {
+    const spellings = skillSpellingsIn('Need someone who knows reactjs and ML.');
+    expect(spellings).toEqual(expect.arrayContaining(['React', 'reactjs', 'Machine Learning', 'ml']));
+    expect(spellings).not.toContain('Python');
+    expect(skillSpellingsIn('A robotics club website.')).toEqual([]);
+  });
+
+  it('stays within what one query takes', () => {
+    expect(skillSpellingsIn('js ts react vue angular next node python sql aws docker')).toHaveLength(30);
+  });
+
+  it('scores mentioned skills and shared bio words', () => {
+    expect(scoreBySkills('A Python machine learning model for robotics', ada)).toEqual({
+      score: 3 * 2 + 0.5,
+      matchedSkills: ['Python', 'Machine Learning'],
+    });
+  });
+
+  it("matches skills as whole words, so 'C' doesn't match every c", () => {
+    expect(scoreBySkills('A cool cross-platform app', cy).matchedSkills).toEqual([]);
+    expect(scoreBySkills('Firmware in C for the robotics club', cy).matchedSkills).toEqual(['C']);
+  });
+
+  it('ranks users with any overlap best first, ties by name', () => {
+    const ranked = rankBySkills('A React and Python dashboard', [cy, ben, ada]);
+    expect(ranked.map(({ user }) => user.uid)).toEqual(['ada', 'ben']);
+  });
+
+  it('merges two shortlists in turn, each user once and up to the size', () => {
+    const merged = mergeShortlists([ada, ben], [ben, cy, { uid: 'dee' }], 3);
+    expect(merged.map((user) => user.uid)).toEqual(['ada', 'ben', 'cy']);
+  });
+
+  it('ranks projects by the open roles the student can fill', () => {
+    const candidates = [
+      { project: { id: 'web', title: 'Web app', description: 'A website', skills: ['React'] }, openSkills: ['React'] },
+      { project: { id: 'bot', title: 'Robot', description: 'A robotics project', skills: ['Python', 'C'] }, openSkills: ['Python'] },
+      { project: { id: 'art', title: 'Mural', description: 'Painting', skills: [] }, openSkills: ['Painting'] },
+    ];
+    const ranked = rankProjectsForUser(ada, candidates);
+    expect(ranked.map(({ project }) => project.id)).toEqual(['bot', 'web', 'art']);
+    expect(ranked[0]).toMatchObject({ matchedSkills: ['Python'], skill: 'Python' });
+    expect(ranked[1].skill).toBe('React');
+  });
+});
+
+describe('AI ranking validation', () => {
+  it('keeps valid matches best first, with the name from the profile', () => {
+    const { matches, dropped } = validateAiMatches([
+      { userId: 'ben', name: 'Someone else', reason: 'Knows React.', score: 70 },
+      { userId: ' ada ', reason: 'Knows Python.', score: 90 },
+    ], [ada, ben], 'cy');
+    expect(matches).toEqual([
+      { userId: 'ada', name: 'Ada', reason: 'Knows Python.', score: 90 },
+      { userId: 'ben', name: 'Ben', reason: 'Knows React.', score: 70 },
+    ]);
+    expect(dropped).toBe(0);
+  });
+
+  it('drops unknown, repeated, excluded and incomplete entries', () => {
+    const { matches, dropped } = validateAiMatches([
+      { userId: 'ada', reason: 'Good.', score: 80 },
+      { userId: 'ada', reason: 'Again.', score: 85 },
+      { userId: 'zed', reason: 'Not shortlisted.', score: 99 },
+      { userId: 'cy', reason: 'The searcher.', score: 99 },
+      { userId: 'ben', reason: '', score: 60 },
+      { userId: 'ben', reason: 'No score.', score: 'high' },
+      'ben',
+      null,
+    ], [ada, ben, cy], 'cy');
+    expect(matches.map((match) => match.userId)).toEqual(['ada']);
+    expect(dropped).toBe(7);
+  });
+
+  it('clamps scores to 0-100', () => {
+    const { matches } = validateAiMatches([
+      { userId: 'ada', reason: 'Great.', score: 150.4 },
+      { userId: 'ben', reason: 'Poor.', score: -5 },
+    ], [ada, ben], 'cy');
+    expect(matches.map((match) => match.score)).toEqual([100, 0]);
+  });
+
+  it('rejects an answer that is not an array', () => {
+    expect(() => validateAiMatches({ userId: 'ada' }, [ada], 'cy')).toThrow('Expected a JSON array.');
+  });
+
+  it('keeps the shortlisted project with each pick', () => {
+    const shortlist = [{ project: { id: 'bot' }, openSkills: ['Python'] }];
+    const { picks, dropped } = validateAiProjectPicks([
+      { projectId: 'bot', reason: 'You know Python.', score: 88 },
+      { projectId: 'gone', reason: 'Not shortlisted.', score: 90 },
+    ], shortlist);
+    expect(picks).toEqual([{ ...shortlist[0], reason: 'You know Python.', confidence: 88 }]);
+    expect(dropped).toBe(1);
+  });
+});
+
+describe('with the mock AI provider', () => {
+  it('ranks the shortlisted profiles', async () => {
+    const matches = await generateValidJson('matcher', buildMatchPayload('A robotics project', [ada, ben, cy]),
+      (parsed) => validateAiMatches(parsed, [ada, ben, cy], 'someone').matches);
+    expect(matches.map((match) => [match.userId, match.name, match.score])).toEqual([
+      ['ada', 'Ada', 90],
+      ['ben', 'Ben', 80],
+      ['cy', 'Cy', 70],
+    ]);
+    expect(matches.every((match) => match.reason)).toBe(true);
+  });
+
+  it('never returns the searcher, even when shortlisted', async () => {
+    const matches = await generateValidJson('matcher', buildMatchPayload('A robotics project', [ada, ben]),
+      (parsed) => validateAiMatches(parsed, [ada, ben], 'ada').matches);
+    expect(matches.map((match) => match.userId)).toEqual(['ben']);
+  });
+
+  it('picks from the shortlisted projects', async () => {
+    const shortlist = rankProjectsForUser(ada, [
+      { project: { id: 'bot', title: 'Robot', description: 'A robotics project', skills: ['Python'] }, openSkills: ['Python'] },
+      { project: { id: 'web', title: 'Web app', description: 'A website', skills: ['React'] }, openSkills: ['React'] },
+    ]);
+    const picks = await generateValidJson('projectsForMe', buildProjectPicksPayload(ada, shortlist),
+      (parsed) => validateAiProjectPicks(parsed, shortlist).picks);
+    expect(picks.map((pick) => [pick.project.id, pick.confidence])).toEqual([['bot', 90], ['web', 80]]);
+  });
+});
@@ -0,0 +1,155 @@
+// --- Mock AI Provider ---
+// A deterministic stand-in that runs in the browser, for working on the AI
+// features without a key, a network or the Functions emulator. Select it
+// with VITE_APP_AI_PROVIDER=mock. The same payload always gets the same
+// answer: JSON is built from the `responseSchema` (ids are taken from the
+// prompt's "User ID:"/"Project ID:" lines), and CollabBot's tools are
+// called for a few keywords.
+
+const MOCK_STREAM_DELAY_MS = 30;
+
+const stopped = () => new DOMException("The request was stopped.", "AbortError");
+
+const lastUserParts = (payload) => {
+  const turns = (payload.contents || []).filter(c => (c.role || 'user') === 'user');
+  return turns[turns.length - 1]?.parts || [];
+};
+
+const promptText = (payload) =>
+  (payload.contents || [])
+    .filter(c => (c.role || 'user') === 'user')
+    .flatMap(c => c.parts || [])
+    .map(p => p.text || '')
+    .join('\n');
+
+const snippet = (text, length) => {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  return flat.length > length ? `${flat.slice(0, length)}...` : flat;
+};
+
+const singular = (name) => name.replace(/ies$/, 'y').replace(/s$/, '');
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+/**
+ * A value matching `schema`. `context.ids` are the ids found in the prompt,
+ * `context.index` the position within an array of objects.
+ */
+const fromSchema = (schema, name, context) => {
+  switch (schema?.type) {
+    case 'OBJECT':
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, property]) => [key, fromSchema(property, key, context)])
+      );
+    case 'ARRAY':
+      if (schema.items?.type === 'OBJECT') {
+        return context.ids.slice(0, 3).map((_, index) => fromSchema(schema.items, name, { ...context, index }));
+      }
+      return [1, 2, 3].map(n => `${capitalize(singular(name))} ${n}`);
+    case 'INTEGER':
+    case 'NUMBER':
+      return Math.max(0, 90 - context.index * 10);
+    case 'BOOLEAN':
+      return false;
+    default:
+      if (/id$/i.test(name)) return context.ids[context.index] || '';
+      return `${capitalize(name)} (mock) for "${snippet(context.prompt, 60)}"`;
+  }
+};
+
+const jsonAnswer = (payload) => {
+  const prompt = promptText(payload);
+  const ids = [...prompt.matchAll(/^(?:User|Project) ID: (\S+)/gm)].map(match => match[1]);
+  return JSON.stringify(fromSchema(payload.generationConfig.responseSchema, 'value', { prompt, ids, index: 0 }));
+};
+
+// Keyword -> CollabBot tool call, so the tool loop can be exercised offline
+const MOCK_TOOL_CALLS = [
+  { pattern: /unread|message/i, call: { name: 'list_unread_messages', args: {} } },
+  { pattern: /achievement/i, call: { name: 'list_recent_achievements', args: { count: 3 } } },
+  { pattern: /project/i, call: { name: 'search_projects', args: { status: 'recruiting' } } },
+  { pattern: /who|people|someone|teammate/i, call: { name: 'search_users', args: {} } },
+];
+
+const offersTool = (payload, name) =>
+  payload.toolConfig?.functionCallingConfig?.mode !== 'NONE'
+  && (payload.tools || []).some(tool => (tool.functionDeclarations || []).some(d => d.name === name));
+
+/**
+ * The mock's answer: text, or a function call for CollabBot.
+ * @returns {{text: string, functionCalls: object[]}}
+ */
+const answer = (payload) => {
+  if (payload.generationConfig?.responseMimeType === 'application/json') {
+    return { text: jsonAnswer(payload), functionCalls: [] };
+  }
+
+  const parts = lastUserParts(payload);
+  const toolResponses = parts.filter(p => p.functionResponse);
+  if (toolResponses.length > 0) {
+    const found = toolResponses
+      .map(({ functionResponse }) => `- \`${functionResponse.name}\`: ${snippet(JSON.stringify(functionResponse.response), 200)}`)
+      .join('\n');
+    return { text: `Here's what I found (mock):\n\n${found}`, functionCalls: [] };
+  }
+
+  const prompt = parts.map(p => p.text || '').join(' ');
+  const tool = MOCK_TOOL_CALLS.find(({ pattern, call }) => pattern.test(prompt) && offersTool(payload, call.name));
+  if (tool) {
+    return { text: '', functionCalls: [{ functionCall: { ...tool.call } }] };
+  }
+  return { text: `Mock reply to "${snippet(prompt, 200)}"`, functionCalls: [] };
+};
+
+/** @type {import('./aiProvider').AiProvider['generate']} */
+const generate = async (payload) => {
+  const { text } = answer(payload);
+  if (!text) throw new Error("Invalid response from API. Check console for details.");
+  return text;
+};
+
+/**
+ * Streams the mock answer a few words at a time, like the real stream.
+ * @type {import('./aiProvider').AiProvider['stream']}
+ */
+const stream = async (payload, { onText, signal }) => {
+  const { text, functionCalls } = answer(payload);
+  const words = text.match(/\S+\s*/g) || [];
+  let sent = '';
+  for (let i = 0; i < words.length; i += 3) {
+    await new Promise(resolve => setTimeout(resolve, MOCK_STREAM_DELAY_MS));
+    if (signal?.aborted) {
+      const error = stopped();
+      error.partialText = sent;
+      throw error;
+    }
+    sent += words.slice(i, i + 3).join('');
+    onText(sent);
+  }
+  return { text, functionCalls };
+};
+
+/**
+ * The other AI functions, answered locally: no embeddings, so the matcher
+ * shortlists by skills overlap.
+ * @type {import('./aiProvider').AiProvider['callFunction']}
+ */
+const callFunction = async (name) => {
+  switch (name) {
+    case 'matchProfiles':
+      return { candidates: [] };
+    case 'embedProfile':
+      return { updated: false };
+    default:
+      throw new Error(`The mock AI provider has no "${name}" function.`);
+  }
+};
+
+/** @type {import('./aiProvider').AiProvider} */
+export const mockAiProvider = {
+  id: 'mock',
+  needsNetwork: false,
+  generate,
+  stream,
+  callFunction,
+  checkConfigured: async () => true,
+};
@@ -0,0 +1,12 @@
+import { callAdminFunction } from './adminFunctions';
+
+// --- Name Key Backfill ---
+// Profiles saved before they carried `nameLower` are missing from the
+// name-sorted directory (see listUsersPage in repository.js). The
+// backfillNames function (functions/nameBackfill.js) adds it to them.
+
+/**
+ * Asks the backfillNames function to add the key to every older profile. Admins only.
+ * @returns {Promise<{users: number, failed: number}>}
+ */
+export const backfillNames = () => callAdminFunction('backfillNames', 'Updating the directory failed');
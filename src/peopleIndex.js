@@ -0,0 +1,205 @@
+import { knownSkill, skillKey } from './skills';
+
+// --- People Index ---
+// The free-text half of the Find Collaborators search. Each list of users
+// gets an inverted index (word -> who has it, and where), built once and
+// reused while the search is typed. A search word finds a person through
+// the same word, a known alias ("reactjs" -> React, "ML" -> Machine
+// Learning), a word it starts (so results show while typing) or a close
+// spelling ("Jhon" -> John). Where it was found sets the score: a listed
+// skill counts ten times a mention in the bio.
+
+// Points for each field a word can be found in
+const FIELD_WEIGHTS = {
+  skill: 10, // A whole skill, e.g. "machine learning"
+  name: 8,
+  skillWord: 6, // One word of a longer skill, e.g. "machine"
+  course: 3,
+  bio: 1,
+};
+
+// How much of the points each kind of match keeps
+const EXACT = 1;
+const PREFIX = 0.7;
+const ONE_EDIT = 0.5;
+const TWO_EDITS = 0.3;
+
+// Shorter words only match exactly or as a prefix
+const MIN_FUZZY_LENGTH = 4;
+const TWO_EDITS_LENGTH = 8;
+// How much of a bio is indexed
+const BIO_LENGTH = 2000;
+// Searches remembered per index; one render scores the same text more than once
+const RECENT_SEARCHES = 20;
+
+/**
+ * @typedef {object} PeopleIndex
+ * @property {object[]} users
+ * @property {Map<string, Map<number, number>>} postings - word -> user's
+ *   position in `users` -> the best field weight it was found in
+ * @property {string[]} vocabulary - Every indexed word, sorted
+ * @property {Map<string, Map<object, number>>} recent - Scores of recent searches
+ */
+
+/** Lower-cased words, keeping the symbols skills use ("c++", "c#", "node.js"). */
+const tokenize = (text) =>
+  (String(text || '').toLowerCase().match(/[\p{L}\p{N}+#.]+/gu) || [])
+    .map((word) => word.replace(/^\.+|\.+$/g, ''))
+    .filter(Boolean);
+
+const buildIndex = (users) => {
+  const postings = new Map();
+  const add = (word, position, field) => {
+    const weight = FIELD_WEIGHTS[field];
+    const found = postings.get(word) || new Map();
+    if ((found.get(position) || 0) < weight) found.set(position, weight);
+    postings.set(word, found);
+  };
+
+  users.forEach((user, position) => {
+    (user.skills || []).forEach((skill) => {
+      const key = skillKey(skill);
+      add(key, position, 'skill');
+      // The words of a longer skill, as written and as its canonical tag
+      const words = new Set([...tokenize(skill), ...tokenize(key)]);
+      if (words.size > 1 || !words.has(key)) words.forEach((word) => add(word, position, 'skillWord'));
+    });
+    tokenize(user.name).forEach((word) => add(word, position, 'name'));
+    tokenize(user.course).forEach((word) => add(word, position, 'course'));
+    tokenize(String(user.bio || '').slice(0, BIO_LENGTH)).forEach((word) => add(word, position, 'bio'));
+  });
+
+  return { users, postings, vocabulary: [...postings.keys()].sort(), recent: new Map() };
+};
+
+const indexes = new WeakMap();
+
+/**
+ * The index for a list of users, built on first use. Keep passing the same
+ * array while it hasn't changed.
+ * @param {object[]} users
+ * @returns {PeopleIndex}
+ */
+export const peopleIndexFor = (users) => {
+  if (!indexes.has(users)) indexes.set(users, buildIndex(users));
+  return indexes.get(users);
+};
+
+/**
+ * Edit distance (with swapped neighbours as one edit), or `max + 1` as soon
+ * as it's known to be over `max`.
+ */
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let before = null;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (before && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, before[j - 2] + 1);
+      }
+      current.push(value);
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > max) return max + 1;
+    before = previous;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// The first position in the sorted vocabulary at or after `word`
+const lowerBound = (vocabulary, word) => {
+  let low = 0;
+  let high = vocabulary.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (vocabulary[middle] < word) low = middle + 1;
+    else high = middle;
+  }
+  return low;
+};
+
+/**
+ * The indexed words a search word matches, with how much of the points
+ * each match keeps.
+ * @returns {Map<string, number>}
+ */
+const matchingWords = (index, term) => {
+  const matches = new Map();
+  const keep = (word, quality) => {
+    if (index.postings.has(word) && (matches.get(word) || 0) < quality) matches.set(word, quality);
+  };
+
+  keep(term, EXACT);
+  const alias = knownSkill(term);
+  if (alias) keep(alias.toLowerCase(), EXACT);
+
+  for (let i = lowerBound(index.vocabulary, term); i < index.vocabulary.length; i++) {
+    const word = index.vocabulary[i];
+    if (!word.startsWith(term)) break;
+    keep(word, PREFIX);
+  }
+
+  if (term.length >= MIN_FUZZY_LENGTH) {
+    const maxEdits = term.length >= TWO_EDITS_LENGTH ? 2 : 1;
+    index.vocabulary.forEach((word) => {
+      const distance = editDistance(term, word, maxEdits);
+      if (distance > maxEdits) return;
+      keep(word, distance === 1 ? ONE_EDIT : TWO_EDITS);
+    });
+  }
+  return matches;
+};
+
+// Points per user for one search word: its best match
+const scoreTerm = (index, term) => {
+  const scores = new Map();
+  matchingWords(index, term).forEach((quality, word) => {
+    index.postings.get(word).forEach((weight, position) => {
+      scores.set(position, Math.max(scores.get(position) || 0, weight * quality));
+    });
+  });
+  return scores;
+};
+
+/**
+ * Scores users against a free-text search. Everyone returned matched every
+ * word of it; a search that names a known skill ("machine learning",
+ * "UI/UX") is also tried as that one skill.
+ * @template U
+ * @param {U[]} users
+ * @param {string} text
+ * @returns {Map<U, number>} - Matching users and their scores (higher is better)
+ */
+export const scorePeople = (users, text) => {
+  const index = peopleIndexFor(users);
+  if (index.recent.has(text)) return index.recent.get(text);
+  const terms = [...new Set(tokenize(text))];
+  const results = new Map();
+  if (terms.length === 0) return results;
+
+  const termScores = terms.map((term) => scoreTerm(index, term));
+  const [first, ...rest] = termScores;
+  first.forEach((score, position) => {
+    if (rest.every((scores) => scores.has(position))) {
+      results.set(users[position], rest.reduce((total, scores) => total + scores.get(position), score));
+    }
+  });
+
+  const skill = knownSkill(text);
+  if (terms.length > 1 && skill) {
+    index.postings.get(skill.toLowerCase())?.forEach((weight, position) => {
+      const user = users[position];
+      results.set(user, Math.max(results.get(user) || 0, weight * terms.length));
+    });
+  }
+
+  if (index.recent.size >= RECENT_SEARCHES) index.recent.delete(index.recent.keys().next().value);
+  index.recent.set(text, results);
+  return results;
+};
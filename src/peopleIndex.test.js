@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest';
+import { peopleIndexFor, scorePeople } from './peopleIndex';
+
+const ada = { name: 'Ada Lovelace', skills: ['Python', 'Machine Learning'], course: 'Computer Science', bio: 'I build robots.' };
+const john = { name: 'John Smith', skills: ['React', 'JavaScript'], course: 'Design', bio: 'Loves python scripting.' };
+const kim = { name: 'Kim Lee', skills: ['Kubernetes', 'C++'], course: 'Python Engineering', bio: '' };
+const users = [ada, john, kim];
+
+/** The matching users' names with their scores, best first. */
+const search = (text) =>
+  [...scorePeople(users, text)]
+    .sort((a, b) => b[1] - a[1])
+    .map(([user, score]) => [user.name, Math.round(score * 10) / 10]);
+
+describe('scorePeople', () => {
+  it('weighs a skill over a course over a bio', () => {
+    expect(search('python')).toEqual([['Ada Lovelace', 10], ['Kim Lee', 3], ['John Smith', 1]]);
+  });
+
+  it('finds skills through their aliases', () => {
+    expect(search('reactjs')).toEqual([['John Smith', 10]]);
+    expect(search('ML')).toEqual([['Ada Lovelace', 10]]);
+  });
+
+  it('keeps the symbols skills use', () => {
+    expect(search('c++')).toEqual([['Kim Lee', 10]]);
+  });
+
+  it('matches the start of a word while it is typed', () => {
+    expect(search('jav')).toEqual([['John Smith', 7]]);
+    expect(search('lov')).toEqual([['Ada Lovelace', 5.6], ['John Smith', 0.7]]);
+  });
+
+  it('allows one edit, counting swapped letters as one', () => {
+    expect(search('Jhon')).toEqual([['John Smith', 4]]);
+    expect(search('kubernets')).toEqual([['Kim Lee', 5]]);
+  });
+
+  it('allows two edits in long words only', () => {
+    expect(search('kubrnets')).toEqual([['Kim Lee', 3]]);
+    expect(search('pyton')).toEqual([['Ada Lovelace', 5], ['Kim Lee', 1.5], ['John Smith', 0.5]]);
+    expect(search('pytn')).toEqual([]);
+  });
+
+  it('only matches short words exactly or as a prefix', () => {
+    expect(search('jhn')).toEqual([]);
+  });
+
+  it('needs every word of the search', () => {
+    expect(search('john python')).toEqual([['John Smith', 9]]);
+    expect(search('python robots')).toEqual([['Ada Lovelace', 11]]);
+  });
+
+  it('scores a search naming a known skill as that skill', () => {
+    expect(search('machine learning')).toEqual([['Ada Lovelace', 20]]);
+  });
+
+  it("doesn't mistake object properties for skills", () => {
+    expect(() => search('constructor')).not.toThrow();
+    expect(search('constructor')).toEqual([]);
+    expect(search('the constructor')).toEqual([]);
+  });
+
+  it('returns nothing for a search without words', () => {
+    expect(search('  ...  ')).toEqual([]);
+  });
+
+  it('reuses the index and recent results for the same list', () => {
+    expect(peopleIndexFor(users)).toBe(peopleIndexFor(users));
+    expect(scorePeople(users, 'python')).toBe(scorePeople(users, 'python'));
+    expect(peopleIndexFor([...users])).not.toBe(peopleIndexFor(users));
+  });
+});
@@ -0,0 +1,176 @@
+import { isSameSkill, knownSkill, skillKey } from './skills';
+import { scorePeople } from './peopleIndex';
+
+// --- People Search ---
+// Faceted filtering for the Find Collaborators page. The filters live in the
+// URL (e.g. #/search?q=app&role=student&skill=React&skill=Python&match=any),
+// so a search can be shared; the page only parses the query and renders.
+// The free text is matched by peopleIndex.js, and skills are compared by
+// their canonical names (skills.js), so "ReactJS" and "React" are one skill.
+
+export const ROLE_FACETS = [
+  { value: 'student', label: 'Students' },
+  { value: 'teacher', label: 'Teachers' },
+];
+
+export const SEARCH_SORTS = [
+  { value: 'relevance', label: 'Most relevant' },
+  { value: 'newest', label: 'Newest members' },
+];
+
+// How many skills the facet lists, besides the selected ones
+const SKILL_FACET_SIZE = 20;
+const MAX_SELECTED_SKILLS = 10;
+
+/**
+ * @typedef {object} PeopleSearchFilters
+ * @property {string} q - Free text, matched against names, skills, courses and bios
+ * @property {string} role - '' for anyone
+ * @property {string} course - '' for any
+ * @property {string} semester - '' for any
+ * @property {string[]} skills
+ * @property {'all'|'any'} match - Whether people need every selected skill or one of them
+ * @property {'relevance'|'newest'} sort
+ */
+
+/** @type {PeopleSearchFilters} */
+export const EMPTY_FILTERS = { q: '', role: '', course: '', semester: '', skills: [], match: 'all', sort: 'relevance' };
+
+const uniqueSkills = (skills) =>
+  skills.reduce((unique, skill) => {
+    const trimmed = skill.trim();
+    if (trimmed && !unique.some(s => isSameSkill(s, trimmed))) unique.push(trimmed);
+    return unique;
+  }, []);
+
+/**
+ * Reads the filters from the page's query string.
+ * @param {URLSearchParams} query
+ * @returns {PeopleSearchFilters}
+ */
+export const parseSearchFilters = (query) => ({
+  q: query.get('q') || '',
+  role: ROLE_FACETS.some(r => r.value === query.get('role')) ? query.get('role') : '',
+  course: query.get('course') || '',
+  semester: query.get('semester') || '',
+  skills: uniqueSkills(query.getAll('skill')).slice(0, MAX_SELECTED_SKILLS),
+  match: query.get('match') === 'any' ? 'any' : 'all',
+  sort: query.get('sort') === 'newest' ? 'newest' : 'relevance',
+});
+
+/**
+ * The query string for a set of filters, leaving out the defaults.
+ * @param {PeopleSearchFilters} filters
+ * @returns {string}
+ */
+export const searchFiltersToQuery = (filters) => {
+  const query = new URLSearchParams();
+  if (filters.q) query.set('q', filters.q);
+  if (filters.role) query.set('role', filters.role);
+  if (filters.course) query.set('course', filters.course);
+  if (filters.semester) query.set('semester', filters.semester);
+  filters.skills.forEach(skill => query.append('skill', skill));
+  if (filters.skills.length > 1 && filters.match === 'any') query.set('match', 'any');
+  if (filters.sort !== 'relevance') query.set('sort', filters.sort);
+  return query.toString();
+};
+
+/** Whether any filter (other than the sort order) is set. */
+export const hasActiveFilters = (filters) =>
+  Boolean(filters.q.trim() || filters.role || filters.course || filters.semester || filters.skills.length);
+
+const hasSkill = (user, skill) => (user.skills || []).some(s => isSameSkill(s, skill));
+
+// Free-text scores for everyone matching the search, or null with no search
+const textScores = (users, q) => (q.trim() ? scorePeople(users, q.trim()) : null);
+
+// One test per facet, so counts can leave a facet's own filter out
+const FACET_TESTS = {
+  q: (user, filters, scores) => !scores || scores.has(user),
+  role: (user, filters) => !filters.role || user.role === filters.role,
+  course: (user, filters) => !filters.course || user.course === filters.course,
+  semester: (user, filters) => !filters.semester || user.semester === filters.semester,
+  skills: (user, filters) =>
+    filters.skills.length === 0
+    || (filters.match === 'any'
+      ? filters.skills.some(skill => hasSkill(user, skill))
+      : filters.skills.every(skill => hasSkill(user, skill))),
+};
+
+const matches = (user, filters, scores, exceptFacet = null) =>
+  Object.entries(FACET_TESTS).every(([facet, test]) => facet === exceptFacet || test(user, filters, scores));
+
+// Pending server timestamps are the newest of all
+const joinedAt = (user) => (user.createdAt ? user.createdAt.getTime() : Infinity);
+
+/**
+ * The users matching every filter, in the chosen order. Relevance adds the
+ * text match's score and 2 points per selected skill each person has.
+ * @template {{name: string, skills?: string[], createdAt: Date|null}} U
+ * @param {U[]} users - Pass the same array while it hasn't changed, so the
+ *   text index is reused
+ * @param {PeopleSearchFilters} filters
+ * @returns {U[]}
+ */
+export const searchPeople = (users, filters) => {
+  const scores = textScores(users, filters.q);
+  return users
+    .filter(user => matches(user, filters, scores))
+    .map(user => ({
+      user,
+      score: (scores?.get(user) || 0) + filters.skills.filter(skill => hasSkill(user, skill)).length * 2,
+    }))
+    .sort((a, b) =>
+      (filters.sort === 'newest' ? joinedAt(b.user) - joinedAt(a.user) : b.score - a.score)
+      || a.user.name.localeCompare(b.user.name))
+    .map(({ user }) => user);
+};
+
+const countBy = (users, valueOf) =>
+  users.reduce((counts, user) => {
+    const value = valueOf(user);
+    if (value) counts[value] = (counts[value] || 0) + 1;
+    return counts;
+  }, Object.create(null));
+
+/**
+ * Result counts for each facet value: how many people there would be with
+ * that value picked and the other filters kept. For skills in "all" mode
+ * that's the current results that also have the skill.
+ * @param {object[]} users
+ * @param {PeopleSearchFilters} filters
+ * @returns {{role: Object<string, number>, course: Object<string, number>, semester: Object<string, number>,
+ *   skills: Array<{skill: string, count: number}>}}
+ */
+export const facetCounts = (users, filters) => {
+  const scores = textScores(users, filters.q);
+  const skillBase = users.filter(user => matches(user, filters, scores, filters.match === 'all' ? null : 'skills'));
+
+  // Group spellings of a skill, shown as its canonical name or else its most common spelling
+  const bySkill = new Map();
+  skillBase.forEach(user => uniqueSkills(user.skills || []).forEach(skill => {
+    const key = skillKey(skill);
+    const entry = bySkill.get(key) || { count: 0, spellings: Object.create(null) };
+    entry.count += 1;
+    entry.spellings[skill] = (entry.spellings[skill] || 0) + 1;
+    bySkill.set(key, entry);
+  }));
+  const skills = [...bySkill.values()]
+    .map(({ count, spellings }) => {
+      const spelling = Object.entries(spellings).sort((a, b) => b[1] - a[1])[0][0];
+      return { skill: knownSkill(spelling) || spelling, count };
+    })
+    .sort((a, b) => b.count - a.count || a.skill.localeCompare(b.skill));
+
+  // Selected skills stay listed, even with no one left who has them
+  const selected = filters.skills.map(skill =>
+    skills.find(s => isSameSkill(s.skill, skill)) || { skill, count: 0 });
+  const others = skills.filter(s => !filters.skills.some(skill => isSameSkill(skill, s.skill)));
+
+  return {
+    role: countBy(users.filter(user => matches(user, filters, scores, 'role')), user => user.role),
+    course: countBy(users.filter(user => matches(user, filters, scores, 'course')), user => user.course),
+    semester: countBy(users.filter(user => matches(user, filters, scores, 'semester')), user => user.semester),
+    skills: [...selected, ...others.slice(0, SKILL_FACET_SIZE)],
+  };
+};
@@ -0,0 +1,102 @@
+import { describe, expect, it } from 'vitest';
+import {
+  EMPTY_FILTERS,
+  facetCounts,
+  hasActiveFilters,
+  parseSearchFilters,
+  searchFiltersToQuery,
+  searchPeople,
+} from './peopleSearch';
+
+const ada = { name: 'Ada', role: 'student', course: 'B.Tech', semester: '3', skills: ['Python', 'ML'], createdAt: new Date('2024-01-01') };
+const ben = { name: 'Ben', role: 'teacher', course: 'B.Tech', semester: '', skills: ['reactjs', 'python'], createdAt: new Date('2024-03-01') };
+const cy = { name: 'Cy', role: 'student', course: 'BBA', semester: '3', skills: ['React'], createdAt: null };
+const users = [ada, ben, cy];
+
+const filtersWith = (filters) => ({ ...EMPTY_FILTERS, ...filters });
+const names = (found) => found.map((user) => user.name);
+
+describe('search filters in the URL', () => {
+  it('reads the filters, ignoring unknown values and repeated skills', () => {
+    const query = new URLSearchParams('q=app&role=admin&skill=React&skill=reactjs&skill=%20&match=any&sort=newest');
+    expect(parseSearchFilters(query)).toEqual(filtersWith({ q: 'app', skills: ['React'], match: 'any', sort: 'newest' }));
+  });
+
+  it('defaults everything that is missing', () => {
+    expect(parseSearchFilters(new URLSearchParams(''))).toEqual(EMPTY_FILTERS);
+  });
+
+  it('leaves the defaults out of the query', () => {
+    expect(searchFiltersToQuery(EMPTY_FILTERS)).toBe('');
+    expect(searchFiltersToQuery(filtersWith({ skills: ['React'], match: 'any' }))).toBe('skill=React');
+  });
+
+  it('reads back the filters it writes', () => {
+    const filters = filtersWith({
+      q: 'mobile app', role: 'student', course: 'B.Tech', semester: '3', skills: ['React', 'Python'], match: 'any', sort: 'newest',
+    });
+    expect(parseSearchFilters(new URLSearchParams(searchFiltersToQuery(filters)))).toEqual(filters);
+  });
+
+  it('knows whether any filter is set', () => {
+    expect(hasActiveFilters(filtersWith({ q: '  ', sort: 'newest' }))).toBe(false);
+    expect(hasActiveFilters(filtersWith({ skills: ['React'] }))).toBe(true);
+  });
+});
+
+describe('searchPeople', () => {
+  it('filters by facet', () => {
+    expect(names(searchPeople(users, filtersWith({ role: 'teacher' })))).toEqual(['Ben']);
+    expect(names(searchPeople(users, filtersWith({ semester: '3' })))).toEqual(['Ada', 'Cy']);
+  });
+
+  it('compares skills by their canonical name', () => {
+    expect(names(searchPeople(users, filtersWith({ skills: ['React'] })))).toEqual(['Ben', 'Cy']);
+    expect(names(searchPeople(users, filtersWith({ skills: ['Machine Learning'] })))).toEqual(['Ada']);
+  });
+
+  it('needs every selected skill, or any of them', () => {
+    expect(names(searchPeople(users, filtersWith({ skills: ['React', 'Python'] })))).toEqual(['Ben']);
+    expect(names(searchPeople(users, filtersWith({ skills: ['React', 'Python'], match: 'any' })))).toEqual(['Ben', 'Ada', 'Cy']);
+  });
+
+  it('ranks by the free text, ties by name', () => {
+    expect(names(searchPeople(users, filtersWith({ q: 'react' })))).toEqual(['Ben', 'Cy']);
+    expect(names(searchPeople(users, filtersWith({ q: 'python' })))).toEqual(['Ada', 'Ben']);
+  });
+
+  it('sorts the newest members first, with pending ones on top', () => {
+    expect(names(searchPeople(users, filtersWith({ sort: 'newest' })))).toEqual(['Cy', 'Ben', 'Ada']);
+  });
+
+  it("doesn't crash on a search for an object property", () => {
+    expect(searchPeople(users, filtersWith({ q: 'constructor' }))).toEqual([]);
+  });
+});
+
+describe('facetCounts', () => {
+  it("counts each facet's values with the other filters applied", () => {
+    const counts = facetCounts(users, filtersWith({ role: 'student' }));
+    expect({ ...counts.role }).toEqual({ student: 2, teacher: 1 });
+    expect({ ...counts.course }).toEqual({ 'B.Tech': 1, BBA: 1 });
+    expect({ ...counts.semester }).toEqual({ 3: 2 });
+  });
+
+  it('groups the spellings of a skill under its canonical name', () => {
+    expect(facetCounts(users, EMPTY_FILTERS).skills).toEqual([
+      { skill: 'Python', count: 2 },
+      { skill: 'React', count: 2 },
+      { skill: 'Machine Learning', count: 1 },
+    ]);
+  });
+
+  it('keeps the selected skills listed, even with no one left', () => {
+    expect(facetCounts(users, filtersWith({ skills: ['Rust'] })).skills).toEqual([{ skill: 'Rust', count: 0 }]);
+  });
+
+  it('counts values named like object properties', () => {
+    const counts = facetCounts([{ ...ada, course: 'constructor', skills: ['constructor'] }], EMPTY_FILTERS);
+    expect(counts.course.constructor).toBe(1);
+    expect(counts.skills).toEqual([{ skill: 'constructor', count: 1 }]);
+  });
+});
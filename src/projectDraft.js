@@ -0,0 +1,100 @@
+import { knownSkill } from './skills';
+
+// --- AI Project Drafts ---
+// "Draft with AI" in the Post a Project form: the schema the model fills
+// from the author's rough notes, and the checks its answer has to pass
+// before it prefills the form.
+
+export const MAX_MILESTONES = 8;
+const MAX_SKILL_TAGS = 8;
+
+export const PROJECT_DRAFT_SCHEMA = {
+  type: "OBJECT",
+  properties: {
+    "title": { "type": "STRING", "description": "At most 80 characters" },
+    "summary": { "type": "STRING", "description": "2-3 sentences pitching the project to students" },
+    "problem": { "type": "STRING", "description": "The problem the project solves" },
+    "scope": { "type": "STRING", "description": "What is in and out of scope for a semester" },
+    "milestones": { "type": "ARRAY", "items": { "type": "STRING" } },
+    "skills": { "type": "ARRAY", "items": { "type": "STRING" } }
+  },
+  required: ["title", "summary", "problem", "scope", "milestones", "skills"]
+};
+
+/**
+ * The request asking the model to draft a proposal from the author's notes.
+ * @param {string} roughIdea
+ */
+export const buildProjectDraftPayload = (roughIdea) => {
+  const systemPrompt = `You help university students turn a rough project idea into a clear proposal for recruiting teammates. From the student's notes, write a short, specific \`title\`, a 2-3 sentence \`summary\` pitching the project, the \`problem\` it solves, its \`scope\` for one semester (what's in and what's out), 3-${MAX_MILESTONES} \`milestones\` as short, checkable deliverables in order, and the \`skills\` the team needs as short tags (e.g. "React", "Python", "UI/UX Design"). Don't invent facts the notes don't support; keep it plain and concrete.`;
+  return {
+    contents: [{ role: "user", parts: [{ text: `My project idea:\n${roughIdea.trim()}` }] }],
+    systemInstruction: { parts: [{ text: systemPrompt }] },
+    generationConfig: {
+      responseMimeType: "application/json",
+      responseSchema: PROJECT_DRAFT_SCHEMA
+    }
+  };
+};
+
+/**
+ * Turns free-form skills into tags: trimmed, known spellings canonical,
+ * no case-insensitive duplicates, at most 8.
+ * @param {unknown[]} skills
+ * @returns {string[]}
+ */
+export const normalizeSkillTags = (skills) => {
+  const seen = new Set();
+  const tags = [];
+  for (const skill of skills) {
+    if (typeof skill !== 'string') continue;
+    const trimmed = skill.trim().replace(/\s+/g, ' ').replace(/^#/, '');
+    if (!trimmed || trimmed.length > 40) continue;
+    const tag = knownSkill(trimmed)
+      || (trimmed === trimmed.toLowerCase() ? trimmed.replace(/\b[a-z]/g, (c) => c.toUpperCase()) : trimmed);
+    if (seen.has(tag.toLowerCase())) continue;
+    seen.add(tag.toLowerCase());
+    tags.push(tag);
+  }
+  return tags.slice(0, MAX_SKILL_TAGS);
+};
+
+const text = (value) => (typeof value === 'string' ? value.trim() : '');
+
+/**
+ * Validates a draft from the model. Throws if it can't prefill the form.
+ * @param {unknown} parsed
+ * @returns {{title: string, summary: string, problem: string, scope: string, milestones: string[], skills: string[]}}
+ */
+export const validateProjectDraft = (parsed) => {
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('expected a JSON object');
+  }
+  const draft = {
+    title: text(parsed.title).slice(0, 200),
+    summary: text(parsed.summary),
+    problem: text(parsed.problem),
+    scope: text(parsed.scope),
+    milestones: (Array.isArray(parsed.milestones) ? parsed.milestones : [])
+      .map(text)
+      .filter(Boolean)
+      .slice(0, MAX_MILESTONES),
+    skills: normalizeSkillTags(Array.isArray(parsed.skills) ? parsed.skills : []),
+  };
+  if (!draft.title) throw new Error('the title is missing');
+  if (!draft.summary) throw new Error('the summary is missing');
+  if (draft.skills.length === 0) throw new Error('no skills were listed');
+  return draft;
+};
+
+/**
+ * Milestones as stored on a project, from the form's list of titles.
+ * @param {string[]} titles
+ * @returns {Array<{id: string, title: string, done: boolean}>}
+ */
+export const toMilestones = (titles) =>
+  titles
+    .map((title) => title.trim())
+    .filter(Boolean)
+    .slice(0, MAX_MILESTONES)
+    .map((title, index) => ({ id: `m${index + 1}`, title, done: false }));
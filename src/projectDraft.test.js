@@ -0,0 +1,90 @@
+import { describe, expect, it, vi } from 'vitest';
+import { generateValidJson } from './aiProvider';
+import {
+  MAX_MILESTONES,
+  buildProjectDraftPayload,
+  normalizeSkillTags,
+  toMilestones,
+  validateProjectDraft,
+} from './projectDraft';
+
+vi.mock('./firebase', () => import('./testing/firebaseStub'));
+
+const draft = {
+  title: '  Campus Bike Share  ',
+  summary: 'Rent bikes between buildings.',
+  problem: 'Walking between campuses takes too long.',
+  scope: 'One pilot station.',
+  milestones: ['Survey students', '', '  Build the app  '],
+  skills: ['reactjs', 'node', 'UI/UX'],
+};
+
+describe('normalizeSkillTags', () => {
+  it('uses the canonical tag for known spellings', () => {
+    expect(normalizeSkillTags(['reactjs', 'py', '#ML'])).toEqual(['React', 'Python', 'Machine Learning']);
+  });
+
+  it('capitalizes unknown lower-case skills and keeps other casing', () => {
+    expect(normalizeSkillTags(['embedded  systems', 'LaTeX'])).toEqual(['Embedded Systems', 'LaTeX']);
+  });
+
+  it('drops blanks, non-strings, overlong tags and duplicates', () => {
+    expect(normalizeSkillTags(['React', 'react.js', ' ', 42, 'x'.repeat(41), 'REACT'])).toEqual(['React']);
+  });
+
+  it('keeps at most eight tags', () => {
+    expect(normalizeSkillTags(Array.from({ length: 10 }, (_, i) => `Skill ${i}`))).toHaveLength(8);
+  });
+});
+
+describe('validateProjectDraft', () => {
+  it('trims the draft and normalizes its milestones and skills', () => {
+    expect(validateProjectDraft(draft)).toEqual({
+      title: 'Campus Bike Share',
+      summary: 'Rent bikes between buildings.',
+      problem: 'Walking between campuses takes too long.',
+      scope: 'One pilot station.',
+      milestones: ['Survey students', 'Build the app'],
+      skills: ['React', 'Node.js', 'UI/UX Design'],
+    });
+  });
+
+  it(`keeps at most ${MAX_MILESTONES} milestones`, () => {
+    const milestones = Array.from({ length: MAX_MILESTONES + 2 }, (_, i) => `Step ${i}`);
+    expect(validateProjectDraft({ ...draft, milestones }).milestones).toHaveLength(MAX_MILESTONES);
+  });
+
+  it('tolerates missing optional fields', () => {
+    const { problem, scope, milestones } = validateProjectDraft({ title: 'T', summary: 'S', skills: ['Go'] });
+    expect({ problem, scope, milestones }).toEqual({ problem: '', scope: '', milestones: [] });
+  });
+
+  it.each([
+    [null, 'expected a JSON object'],
+    [[draft], 'expected a JSON object'],
+    [{ ...draft, title: ' ' }, 'the title is missing'],
+    [{ ...draft, summary: 7 }, 'the summary is missing'],
+    [{ ...draft, skills: ['', 3] }, 'no skills were listed'],
+  ])('rejects %j', (parsed, message) => {
+    expect(() => validateProjectDraft(parsed)).toThrow(message);
+  });
+});
+
+describe('toMilestones', () => {
+  it('numbers the non-blank titles as open milestones', () => {
+    expect(toMilestones([' Survey ', '', 'Build'])).toEqual([
+      { id: 'm1', title: 'Survey', done: false },
+      { id: 'm2', title: 'Build', done: false },
+    ]);
+  });
+});
+
+describe('with the mock AI provider', () => {
+  it('drafts a proposal that passes validation', async () => {
+    const result = await generateValidJson('projectDraft', buildProjectDraftPayload('  A bike share for campus  '),
+      validateProjectDraft);
+    expect(result.title).toContain('A bike share for campus');
+    expect(result.milestones).toEqual(['Milestone 1', 'Milestone 2', 'Milestone 3']);
+    expect(result.skills).toEqual(['Skill 1', 'Skill 2', 'Skill 3']);
+  });
+});
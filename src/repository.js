@@ -0,0 +1,1504 @@
+import {
+  doc,
+  setDoc,
+  getDoc,
+  addDoc,
+  getDocs,
+  updateDoc,
+  deleteDoc,
+  collection,
+  collectionGroup,
+  query,
+  where,
+  orderBy,
+  limit,
+  startAt,
+  endAt,
+  startAfter,
+  onSnapshot,
+  serverTimestamp,
+  arrayUnion,
+  arrayRemove,
+  writeBatch,
+  increment,
+  Timestamp
+} from 'firebase/firestore';
+import { db, appId } from './firebase';
+
+// --- Firestore Data Access ---
+// Every read and write to Firestore goes through this module, so pages never
+// build collection paths themselves.
+
+/**
+ * @typedef {object} UserProfile
+ * @property {string} id
+ * @property {string} uid
+ * @property {string} email
+ * @property {string} name
+ * @property {'student'|'teacher'|'admin'} role - 'admin' is only ever set by hand in the console
+ * @property {boolean} [suspended] - Set by a moderator; blocks all writes
+ * @property {string} bio
+ * @property {string[]} skills
+ * @property {string} linkedin
+ * @property {string} github
+ * @property {string} course - For teachers, the course they teach
+ * @property {string} semester
+ * @property {string[]} [mutedNotifications] - Notification types the user opted out of
+ * @property {string[]} [following] - uids of the people whose posts the user follows, oldest first
+ * @property {Date|null} createdAt
+ */
+
+/**
+ * @typedef {object} Achievement
+ * @property {string} id
+ * @property {string} content
+ * @property {string} imageUrl
+ * @property {string} authorId
+ * @property {string} authorName
+ * @property {string} authorEmail
+ * @property {string} [authorCourse] - The author's course when they posted (older posts have none)
+ * @property {string[]} likes - uids of users who liked the post
+ * @property {boolean} [hidden] - Hidden by a moderator
+ * @property {Date|null} createdAt
+ */
+
+/**
+ * @typedef {object} Comment
+ * @property {string} id
+ * @property {string} text
+ * @property {string} authorId
+ * @property {string} authorName
+ * @property {boolean} [hidden] - Hidden by a moderator
+ * @property {Date|null} createdAt
+ */
+
+/**
+ * @typedef {object} ProjectMember
+ * @property {string} uid
+ * @property {string} name
+ * @property {'owner'|'member'} role
+ * @property {string} skill - The required skill this member fills ('' for the owner)
+ */
+
+/**
+ * @typedef {object} ProjectMilestone
+ * @property {string} id - Unique within the project
+ * @property {string} title
+ * @property {boolean} done
+ */
+
+/**
+ * @typedef {object} Project
+ * @property {string} id
+ * @property {string} title
+ * @property {string} description
+ * @property {string[]} skills
+ * @property {'recruiting'|'in_progress'|'completed'} status
+ * @property {Object<string, number>} slots - skill -> number of people wanted
+ * @property {string} [problem] - The problem the project solves
+ * @property {string} [scope] - What is in and out of scope
+ * @property {ProjectMilestone[]} [milestones]
+ * @property {ProjectMember[]} members
+ * @property {string[]} memberIds - uids of `members`, for rules and queries
+ * @property {{uid: string, name: string, endorsedAt: Date|null}|null} [endorsement] - Set by a teacher
+ * @property {{uid: string, name: string}|null} [mentor] - A teacher mentoring the team
+ * @property {boolean} [hidden] - Hidden by a moderator
+ * @property {string} authorId
+ * @property {string} authorName
+ * @property {Date|null} createdAt
+ */
+
+/**
+ * @typedef {object} JoinRequest
+ * @property {string} id - The requester's uid
+ * @property {string} uid
+ * @property {string} name
+ * @property {string} projectId
+ * @property {string} skill - The required skill they want to fill
+ * @property {string} message
+ * @property {'pending'|'approved'|'rejected'} status
+ * @property {Date|null} createdAt
+ */
+
+/**
+ * @typedef {object} ProjectActivity
+ * @property {string} id
+ * @property {'created'|'edited'|'member_joined'|'status_changed'|'endorsed'|'mentor_joined'|'milestone_done'} type
+ * @property {string} actorId
+ * @property {string} actorName
+ * @property {object} detail - e.g. { status }, { uid, name, skill } or { milestoneId, title }
+ * @property {Date|null} createdAt
+ */
+
+/**
+ * @typedef {object} Announcement - An official, pinned post by a teacher
+ * @property {string} id
+ * @property {string} content
+ * @property {string} authorId
+ * @property {string} authorName
+ * @property {Date|null} createdAt
+ */
+
+/**
+ * @typedef {object} ModerationTarget - Something that can be reported
+ * @property {'achievement'|'comment'|'project'|'user'} type
+ * @property {string} id
+ * @property {'achievements'|'projects'} [parentCollection] - Comments only
+ * @property {string} [parentId] - Comments only
+ * @property {string} ownerId - Who posted it (the user themselves, for 'user')
+ * @property {string} ownerName
+ * @property {string} excerpt - A snapshot of the content, for context
+ */
+
+/**
+ * @typedef {object} Report
+ * @property {string} id
+ * @property {ModerationTarget} target
+ * @property {string} reason
+ * @property {string} reporterId
+ * @property {string} reporterName
+ * @property {'open'|'resolved'|'dismissed'} status
+ * @property {string} [resolution] - The moderation action taken
+ * @property {string} [resolvedBy]
+ * @property {Date|null} createdAt
+ */
+
+/**
+ * @typedef {object} ModerationLogEntry
+ * @property {string} id
+ * @property {'hide'|'unhide'|'delete'|'suspend'|'unsuspend'|'dismiss'} action
+ * @property {ModerationTarget} target
+ * @property {string|null} reportId
+ * @property {string} note
+ * @property {string} adminId
+ * @property {string} adminName
+ * @property {Date|null} createdAt
+ */
+
+/**
+ * @typedef {object} SignupGuest - An address allowed to sign up from outside campus
+ * @property {string} id - The lower-cased e-mail address
+ * @property {string} email
+ * @property {''|'student'|'teacher'} role - '' lets the guest choose
+ * @property {string} note
+ * @property {string} addedBy
+ * @property {Date|null} createdAt
+ */
+
+/**
+ * @typedef {object} Notification
+ * @property {string} id
+ * @property {'like'|'comment'|'join_request'|'join_response'|'message'} type
+ * @property {string} actorId
+ * @property {string} actorName
+ * @property {string} text - What the actor did, e.g. 'liked your post'
+ * @property {{name: string, props?: object, query?: string}} page - Where clicking it leads
+ * @property {NotificationSubject} about - What it is about; the rules check
+ *   the text and page against it
+ * @property {boolean} read
+ * @property {Date|null} createdAt
+ */
+
+/**
+ * @typedef {object} NotificationSubject - By type:
+ *   like: `{postId}`; comment: `{parentCollection, parentId, commentId}`;
+ *   join_request and join_response: `{projectId}`; message: `{conversationId}`
+ * @property {string} [postId]
+ * @property {'achievements'|'projects'} [parentCollection]
+ * @property {string} [parentId]
+ * @property {string} [commentId]
+ * @property {string} [projectId]
+ * @property {string} [conversationId]
+ */
+
+/**
+ * @typedef {object} Conversation
+ * @property {string} id - The two participant uids, sorted and joined by '_'
+ * @property {string[]} participants
+ * @property {Object<string, string>} participantNames - uid -> display name
+ * @property {{text: string, senderId: string, sentAt: Date|null}|null} lastMessage
+ * @property {Object<string, number>} unreadCounts - uid -> unread messages
+ * @property {Date|null} updatedAt
+ */
+
+/**
+ * @typedef {object} Message
+ * @property {string} id
+ * @property {string} text
+ * @property {string} senderId
+ * @property {string} senderName
+ * @property {Date|null} sentAt
+ */
+
+/**
+ * @typedef {object} BotChat - A saved CollabBot conversation
+ * @property {string} id
+ * @property {string} title
+ * @property {boolean} titleEdited - Renamed by the user, so never re-titled automatically
+ * @property {string} summary - Summary of the oldest turns, sent in place of them
+ * @property {number} summarizedCount - How many of the oldest messages `summary` covers
+ * @property {Date|null} createdAt
+ * @property {Date|null} updatedAt
+ */
+
+/**
+ * @typedef {object} BotMessage
+ * @property {string} id
+ * @property {'user'|'model'} role
+ * @property {string} text
+ * @property {'stopped'|'interrupted'|null} status - How a cut-short answer ended
+ * @property {Array<{name: string, args: object}>} [toolCalls] - Portal lookups made for the answer
+ * @property {Date|null} createdAt
+ */
+
+/**
+ * @typedef {object} SearchIndexEntry - Written only by functions/searchIndex.js
+ * @property {string} id
+ * @property {'user'|'project'|'achievement'|'comment'} type
+ * @property {string} refId - The indexed document's id
+ * @property {string} title - Name, project title, or the post's or comment's author
+ * @property {string} snippet
+ * @property {string[]} tokens - Word prefixes the entry can be found by
+ * @property {string} [authorId]
+ * @property {'achievements'|'projects'} [parentCollection] - For comments
+ * @property {string} [parentId] - For comments
+ * @property {Date|null} updatedAt
+ */
+
+/**
+ * @typedef {object} DirectoryPerson - Written only by functions/searchIndex.js
+ * @property {string} id
+ * @property {string} uid
+ * @property {string} name
+ * @property {string} role
+ * @property {string} course
+ * @property {string} semester
+ * @property {string[]} skills
+ * @property {string} bio - The first 500 characters
+ * @property {Date|null} createdAt
+ */
+
+const PUBLIC_DATA_PATH = `artifacts/${appId}/public/data`;
+
+/**
+ * Collection paths, relative to the Firestore root.
+ */
+export const paths = {
+  users: () => `${PUBLIC_DATA_PATH}/users`,
+  notifications: (userId) => `${PUBLIC_DATA_PATH}/users/${userId}/notifications`,
+  achievements: () => `${PUBLIC_DATA_PATH}/achievements`,
+  announcements: () => `${PUBLIC_DATA_PATH}/announcements`,
+  // Comments live under either an achievement or a project
+  comments: (parentCollection, parentId) => `${PUBLIC_DATA_PATH}/${parentCollection}/${parentId}/comments`,
+  projects: () => `${PUBLIC_DATA_PATH}/projects`,
+  joinRequests: (projectId) => `${PUBLIC_DATA_PATH}/projects/${projectId}/joinRequests`,
+  projectActivity: (projectId) => `${PUBLIC_DATA_PATH}/projects/${projectId}/activity`,
+  conversations: () => `${PUBLIC_DATA_PATH}/conversations`,
+  reports: () => `${PUBLIC_DATA_PATH}/reports`,
+  moderationLog: () => `${PUBLIC_DATA_PATH}/moderationLog`,
+  config: () => `${PUBLIC_DATA_PATH}/config`,
+  signupGuests: () => `${PUBLIC_DATA_PATH}/signupGuests`,
+  messages: (conversationId) => `${PUBLIC_DATA_PATH}/conversations/${conversationId}/messages`,
+  botChats: (userId) => `${PUBLIC_DATA_PATH}/users/${userId}/botChats`,
+  botMessages: (userId, chatId) => `${PUBLIC_DATA_PATH}/users/${userId}/botChats/${chatId}/messages`,
+  searchIndex: () => `${PUBLIC_DATA_PATH}/searchIndex`,
+  peopleDirectory: () => `${PUBLIC_DATA_PATH}/peopleDirectory`,
+};
+
+// --- Errors ---
+
+const ERROR_MESSAGES = {
+  'permission-denied': "You don't have permission to do that.",
+  'not-found': 'The requested item no longer exists.',
+  'unauthenticated': 'Please sign in again to continue.',
+  'unavailable': 'The server is unreachable. Check your connection and try again.',
+  'deadline-exceeded': 'The request took too long. Please try again.',
+  'resource-exhausted': 'Too many requests. Please wait a moment and try again.',
+};
+
+/**
+ * Error thrown (or passed to subscription error callbacks) by every
+ * repository function. `code` is the Firestore error code, when there is one.
+ */
+export class RepositoryError extends Error {
+  constructor(code, message, cause) {
+    super(message);
+    this.name = 'RepositoryError';
+    this.code = code;
+    this.cause = cause;
+  }
+}
+
+const toRepositoryError = (error, action) => {
+  if (error instanceof RepositoryError) return error;
+  const code = error?.code || 'unknown';
+  const reason = ERROR_MESSAGES[code] || 'Something went wrong.';
+  return new RepositoryError(code, `Could not ${action}. ${reason}`, error);
+};
+
+/**
+ * Runs a Firestore call, logging and mapping any failure to a RepositoryError.
+ */
+const run = async (action, fn) => {
+  try {
+    return await fn();
+  } catch (error) {
+    console.error(`Repository error (${action}):`, error);
+    throw toRepositoryError(error, action);
+  }
+};
+
+// --- Timestamps ---
+
+/**
+ * Converts a Firestore Timestamp (or Date, or millis) to a Date.
+ * @returns {Date|null}
+ */
+export const toDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Timestamp) return value.toDate();
+  if (value instanceof Date) return value;
+  if (typeof value === 'number') return new Date(value);
+  return null;
+};
+
+// Converts top-level and nested (one map deep) Timestamps, e.g. lastMessage.sentAt.
+const convertTimestamps = (data) => {
+  const converted = {};
+  for (const [key, value] of Object.entries(data)) {
+    if (value instanceof Timestamp) {
+      converted[key] = value.toDate();
+    } else if (value && value.constructor === Object) {
+      converted[key] = Object.fromEntries(
+        Object.entries(value).map(([k, v]) => [k, v instanceof Timestamp ? v.toDate() : v])
+      );
+    } else {
+      converted[key] = value;
+    }
+  }
+  return converted;
+};
+
+// Pending serverTimestamp() writes read back as an estimate instead of null,
+// so freshly posted items sort correctly straight away.
+const fromSnapshot = (snapshot) => ({
+  id: snapshot.id,
+  ...convertTimestamps(snapshot.data({ serverTimestamps: 'estimate' })),
+});
+
+const byDate = (field, direction = 'desc') => (a, b) => {
+  const timeA = a[field]?.getTime() || 0;
+  const timeB = b[field]?.getTime() || 0;
+  return direction === 'desc' ? timeB - timeA : timeA - timeB;
+};
+
+// --- Generic helpers ---
+
+const getOne = (path, id, action) =>
+  run(action, async () => {
+    const snapshot = await getDoc(doc(db, path, id));
+    return snapshot.exists() ? fromSnapshot(snapshot) : null;
+  });
+
+const listAll = (path, action) =>
+  run(action, async () => {
+    const snapshot = await getDocs(collection(db, path));
+    return snapshot.docs.map(fromSnapshot);
+  });
+
+const reportSubscriptionError = (action, onError) => (error) => {
+  console.error(`Repository error (${action}):`, error);
+  onError?.(toRepositoryError(error, action));
+};
+
+/**
+ * Listens to a query. Returns the unsubscribe function.
+ */
+const subscribeQuery = (q, action, sort, onChange, onError) =>
+  onSnapshot(
+    q,
+    (snapshot) => {
+      const items = snapshot.docs.map(fromSnapshot);
+      onChange(sort ? items.sort(sort) : items);
+    },
+    reportSubscriptionError(action, onError)
+  );
+
+/**
+ * Listens to several queries as one list, each document once. Returns the
+ * unsubscribe function.
+ */
+const subscribeMerged = (queries, action, sort, onChange, onError) => {
+  const results = queries.map(() => null);
+  const unsubscribes = queries.map((q, i) =>
+    subscribeQuery(q, action, null, (items) => {
+      results[i] = items;
+      if (results.every(Boolean)) {
+        const byId = new Map(results.flat().map((item) => [item.id, item]));
+        onChange([...byId.values()].sort(sort));
+      }
+    }, onError)
+  );
+  return () => unsubscribes.forEach((unsubscribe) => unsubscribe());
+};
+
+/**
+ * Listens to a whole collection. Returns the unsubscribe function.
+ */
+const subscribeAll = (path, action, sort, onChange, onError) =>
+  subscribeQuery(query(collection(db, path)), action, sort, onChange, onError);
+
+/**
+ * Listens to a single document; onChange receives null if it doesn't exist.
+ */
+const subscribeOne = (path, id, action, onChange, onError) =>
+  onSnapshot(
+    doc(db, path, id),
+    (snapshot) => onChange(snapshot.exists() ? fromSnapshot(snapshot) : null),
+    reportSubscriptionError(action, onError)
+  );
+
+// --- Hidden Content ---
+// Only moderators and the author can read a post, comment or project a
+// moderator has hidden, so everyone else's queries ask for `hidden == false`
+// (the rules reject a query that could return something hidden). Each is
+// created with the flag; backfillHidden (functions/hiddenBackfill.js) adds
+// it to older documents.
+
+/**
+ * @typedef {object} Viewer - Who is reading
+ * @property {string} id
+ * @property {boolean} isAdmin
+ */
+
+const VISIBLE = where('hidden', '==', false);
+
+/**
+ * Listens to a collection as the viewer may see it: everything for
+ * moderators, otherwise what isn't hidden plus the viewer's own hidden
+ * documents.
+ * @param {Viewer} viewer
+ */
+const subscribeVisible = (path, viewer, action, sort, onChange, onError) => {
+  if (viewer.isAdmin) return subscribeAll(path, action, sort, onChange, onError);
+  const col = collection(db, path);
+  return subscribeMerged(
+    [query(col, VISIBLE), query(col, where('authorId', '==', viewer.id), where('hidden', '==', true))],
+    action,
+    sort,
+    onChange,
+    onError
+  );
+};
+
+// A hidden document reads as missing to those the rules keep it from.
+const nullIfDenied = (error) => {
+  if (error.code === 'permission-denied') return null;
+  throw error;
+};
+const missingIfDenied = (onChange, onError) => (error) => {
+  if (error.code === 'permission-denied') onChange(null);
+  else onError?.(error);
+};
+
+// --- Users ---
+
+/** @returns {Promise<UserProfile|null>} */
+export const getUser = (userId) => getOne(paths.users(), userId, 'load the profile');
+
+/**
+ * Listens to one profile (e.g. the signed-in user's, for their role).
+ * @param {(profile: UserProfile|null) => void} onChange
+ * @param {(error: RepositoryError) => void} [onError]
+ */
+export const subscribeUser = (userId, onChange, onError) =>
+  subscribeOne(paths.users(), userId, 'load the profile', onChange, onError);
+
+/** @returns {Promise<UserProfile[]>} */
+export const listUsers = () => listAll(paths.users(), 'load users');
+
+/**
+ * The profiles with these ids, in the same order; missing ones are left out.
+ * @param {string[]} userIds
+ * @returns {Promise<UserProfile[]>}
+ */
+export const getUsers = (userIds) =>
+  run('load users', async () => {
+    const snapshots = await Promise.all(userIds.map((userId) => getDoc(doc(db, paths.users(), userId))));
+    return snapshots.filter((snapshot) => snapshot.exists()).map(fromSnapshot);
+  });
+
+/**
+ * Up to `count` profiles, optionally only those listing any of these
+ * skills, spelled exactly so (see skillSpellings in skills.js), or with
+ * this role.
+ * @param {object} options
+ * @param {string[]} [options.skills] - At most 30, as array-contains-any allows
+ * @param {string} [options.role]
+ * @param {number} options.count
+ * @returns {Promise<UserProfile[]>}
+ */
+export const findUsers = ({ skills = [], role = '', count }) =>
+  run('load users', async () => {
+    const snapshot = await getDocs(query(
+      collection(db, paths.users()),
+      ...(skills.length ? [where('skills', 'array-contains-any', skills)] : []),
+      ...(role ? [where('role', '==', role)] : []),
+      limit(count)
+    ));
+    return snapshot.docs.map(fromSnapshot);
+  });
+
+/**
+ * Up to `count` profiles whose name starts with `name`, in either case, by name.
+ * @param {string} name
+ * @param {number} count
+ * @returns {Promise<UserProfile[]>}
+ */
+export const findUsersByName = (name, count) =>
+  run('load users', async () => {
+    const prefix = name.trim().toLowerCase();
+    const snapshot = await getDocs(query(
+      collection(db, paths.users()),
+      orderBy('nameLower'),
+      startAt(prefix),
+      endAt(`${prefix}\uf8ff`),
+      limit(count)
+    ));
+    return snapshot.docs.map(fromSnapshot);
+  });
+
+/** @typedef {'name'|'newest'|'course'} DirectorySort */
+
+// Names sort by `nameLower`, so "alice" files under A with "Alice".
+// Sorting by course within one course is sorting by name.
+const DIRECTORY_ORDER = {
+  name: () => [orderBy('nameLower')],
+  newest: () => [orderBy('createdAt', 'desc')],
+  course: (course) => (course ? [orderBy('nameLower')] : [orderBy('course'), orderBy('nameLower')]),
+};
+
+/**
+ * One page of the user directory. Each filter and sort combination needs
+ * its composite index in firestore.indexes.json.
+ * @param {object} options
+ * @param {DirectorySort} options.sort
+ * @param {string} [options.course]
+ * @param {string} [options.role]
+ * @param {string} [options.from] - Start a name-sorted list at this letter, in either case
+ * @param {object} [options.after] - The previous page's `next`
+ * @param {number} options.count
+ * @returns {Promise<{users: UserProfile[], next: object|null}>} - `next` is
+ *   null on the last page.
+ */
+export const listUsersPage = ({ sort, course = '', role = '', from = '', after = null, count }) =>
+  run('load users', async () => {
+    const constraints = [
+      ...(course ? [where('course', '==', course)] : []),
+      ...(role ? [where('role', '==', role)] : []),
+      ...DIRECTORY_ORDER[sort](course),
+    ];
+    if (after) constraints.push(startAfter(after));
+    else if (from && sort === 'name') constraints.push(startAt(from.toLowerCase()));
+    const snapshot = await getDocs(query(collection(db, paths.users()), ...constraints, limit(count)));
+    return {
+      users: snapshot.docs.map(fromSnapshot),
+      next: snapshot.docs.length === count ? snapshot.docs[snapshot.docs.length - 1] : null,
+    };
+  });
+
+// The name again, lower-cased, for the directory to sort and jump on
+const withNameLower = (profile) =>
+  (typeof profile.name === 'string' ? { ...profile, nameLower: profile.name.toLowerCase() } : profile);
+
+export const createUserProfile = (userId, profile) =>
+  run('create your profile', () =>
+    setDoc(doc(db, paths.users(), userId), {
+      ...withNameLower(profile),
+      uid: userId,
+      createdAt: serverTimestamp(),
+    })
+  );
+
+export const updateUserProfile = (userId, changes) =>
+  run('save your profile', () => updateDoc(doc(db, paths.users(), userId), withNameLower(changes)));
+
+/**
+ * Follows or unfollows someone's posts.
+ */
+export const setFollowing = (userId, targetId, follow) =>
+  run(follow ? 'follow' : 'unfollow', () =>
+    updateDoc(doc(db, paths.users(), userId), {
+      following: follow ? arrayUnion(targetId) : arrayRemove(targetId),
+    })
+  );
+
+// --- Notifications ---
+
+const NOTIFICATION_LIMIT = 50;
+
+/**
+ * Listens to the user's most recent notifications, newest first.
+ * @param {(notifications: Notification[]) => void} onChange
+ * @param {(error: RepositoryError) => void} [onError]
+ */
+export const subscribeNotifications = (userId, onChange, onError) =>
+  subscribeQuery(
+    query(collection(db, paths.notifications(userId)), orderBy('createdAt', 'desc'), limit(NOTIFICATION_LIMIT)),
+    'load notifications',
+    byDate('createdAt'),
+    onChange,
+    onError
+  );
+
+/**
+ * Notifies another user about something the actor did, unless they muted
+ * that type. Best effort: a failed notification is logged, never thrown, so
+ * it can't fail the like, comment or message that triggered it.
+ * @param {string} recipientId
+ * @param {{type: string, actor: {id: string, name: string}, text: string, page: object, about: NotificationSubject}} notification
+ * @param {string} [key] - Fixed id, so repeats (e.g. messages in one
+ *   conversation) refresh a single notification instead of piling up.
+ */
+export const notify = async (recipientId, { type, actor, text, page, about }, key) => {
+  if (!recipientId || recipientId === actor.id) return;
+  try {
+    const recipient = await getDoc(doc(db, paths.users(), recipientId));
+    if ((recipient.data()?.mutedNotifications || []).includes(type)) return;
+
+    const notificationsCol = collection(db, paths.notifications(recipientId));
+    const notificationRef = key ? doc(notificationsCol, key) : doc(notificationsCol);
+    await setDoc(notificationRef, {
+      type,
+      actorId: actor.id,
+      actorName: actor.name,
+      text,
+      page,
+      about,
+      read: false,
+      createdAt: serverTimestamp(),
+    });
+  } catch (error) {
+    console.error(`Repository error (notify ${recipientId}):`, error);
+  }
+};
+
+export const markNotificationRead = (userId, notificationId) =>
+  run('update the notification', () =>
+    updateDoc(doc(db, paths.notifications(userId), notificationId), { read: true })
+  );
+
+/**
+ * @param {string[]} notificationIds - The unread ones currently shown
+ */
+export const markAllNotificationsRead = (userId, notificationIds) =>
+  run('update notifications', async () => {
+    const batch = writeBatch(db);
+    notificationIds.forEach((id) => batch.update(doc(db, paths.notifications(userId), id), { read: true }));
+    await batch.commit();
+  });
+
+// --- Achievements ---
+
+// Firestore's limit for an 'in' filter
+export const FEED_MAX_AUTHORS = 30;
+
+/**
+ * @typedef {object} FeedFilter
+ * @property {string} [course] - Only posts by people on this course
+ * @property {string[]} [authorIds] - Only posts by these people (1 to 30 of them)
+ * @property {boolean} [includeHidden] - Moderators only
+ */
+
+const feedQuery = ({ course = '', authorIds = null, includeHidden = false }, ...constraints) =>
+  query(
+    collection(db, paths.achievements()),
+    ...(course ? [where('authorCourse', '==', course)] : []),
+    ...(authorIds ? [where('authorId', 'in', authorIds)] : []),
+    ...(includeHidden ? [] : [VISIBLE]),
+    orderBy('createdAt', 'desc'),
+    ...constraints
+  );
+
+/**
+ * Listens to one page of the achievement feed, newest first. Only posts
+ * from `before` or earlier are included, so new posts don't push the pages
+ * along; see subscribeNewFeedPosts for those.
+ * @param {FeedFilter} filter
+ * @param {{before: Date, after?: object, count: number}} page - `after` is
+ *   the previous page's `next`
+ * @param {(page: {posts: Achievement[], next: object|null}) => void} onChange
+ *   `next` is null on the last page.
+ * @param {(error: RepositoryError) => void} [onError]
+ */
+export const subscribeFeedPage = (filter, { before, after = null, count }, onChange, onError) =>
+  onSnapshot(
+    feedQuery(
+      filter,
+      where('createdAt', '<=', Timestamp.fromDate(before)),
+      ...(after ? [startAfter(after)] : []),
+      limit(count)
+    ),
+    (snapshot) => onChange({
+      posts: snapshot.docs.map(fromSnapshot),
+      next: snapshot.docs.length === count ? snapshot.docs[snapshot.docs.length - 1] : null,
+    }),
+    reportSubscriptionError('load achievements feed', onError)
+  );
+
+/**
+ * When the newest post in the feed was made, by the server's clock, or null
+ * if there are none yet. The feed's pages and new posts split on it.
+ * @param {FeedFilter} filter
+ * @returns {Promise<Date|null>}
+ */
+export const getNewestFeedPostTime = (filter) =>
+  run('load achievements feed', async () => {
+    const snapshot = await getDocs(feedQuery(filter, limit(1)));
+    return snapshot.empty ? null : fromSnapshot(snapshot.docs[0]).createdAt;
+  });
+
+/**
+ * Listens to the posts made after `since` (at most `count` of them).
+ * @param {FeedFilter} filter
+ * @param {(posts: Achievement[]) => void} onChange
+ * @param {(error: RepositoryError) => void} [onError]
+ */
+export const subscribeNewFeedPosts = (filter, since, count, onChange, onError) =>
+  onSnapshot(
+    feedQuery(filter, where('createdAt', '>', Timestamp.fromDate(since)), limit(count)),
+    (snapshot) => onChange(snapshot.docs.map(fromSnapshot)),
+    reportSubscriptionError('check for new posts', onError)
+  );
+
+/**
+ * One post, or null if it doesn't exist or is hidden from the signed-in user.
+ * @returns {Promise<Achievement|null>}
+ */
+export const getAchievement = (postId) =>
+  getOne(paths.achievements(), postId, 'load the post').catch(nullIfDenied);
+
+/**
+ * The most recent posts that aren't hidden, newest first.
+ * @returns {Promise<Achievement[]>}
+ */
+export const listRecentAchievements = (count) =>
+  run('load achievements', async () => {
+    const snapshot = await getDocs(
+      query(collection(db, paths.achievements()), VISIBLE, orderBy('createdAt', 'desc'), limit(count))
+    );
+    return snapshot.docs.map(fromSnapshot);
+  });
+
+export const createAchievement = (post) =>
+  run('post your achievement', () =>
+    addDoc(collection(db, paths.achievements()), {
+      imageUrl: '',
+      likes: [],
+      ...post,
+      hidden: false,
+      createdAt: serverTimestamp(),
+    })
+  );
+
+/**
+ * Adds or removes one user's like without rewriting anyone else's.
+ */
+export const setAchievementLike = (postId, userId, liked) =>
+  run('update like', () =>
+    updateDoc(doc(db, paths.achievements(), postId), {
+      likes: liked ? arrayUnion(userId) : arrayRemove(userId),
+    })
+  );
+
+export const deleteAchievement = (postId) =>
+  run('delete the post', () => deleteDoc(doc(db, paths.achievements(), postId)));
+
+// --- Announcements ---
+
+/**
+ * Listens to teacher announcements, newest first.
+ * @param {(announcements: Announcement[]) => void} onChange
+ * @param {(error: RepositoryError) => void} [onError]
+ */
+export const subscribeAnnouncements = (onChange, onError) =>
+  subscribeAll(paths.announcements(), 'load announcements', byDate('createdAt'), onChange, onError);
+
+export const createAnnouncement = (announcement) =>
+  run('post the announcement', () =>
+    addDoc(collection(db, paths.announcements()), {
+      ...announcement,
+      createdAt: serverTimestamp(),
+    })
+  );
+
+export const deleteAnnouncement = (announcementId) =>
+  run('delete the announcement', () => deleteDoc(doc(db, paths.announcements(), announcementId)));
+
+// --- Comments ---
+
+/**
+ * Listens to the comments on an achievement or project that the viewer may
+ * see, oldest first.
+ * @param {'achievements'|'projects'} parentCollection
+ * @param {Viewer} viewer
+ * @param {(comments: Comment[]) => void} onChange
+ * @param {(error: RepositoryError) => void} [onError]
+ */
+export const subscribeComments = (parentCollection, parentId, viewer, onChange, onError) =>
+  subscribeVisible(
+    paths.comments(parentCollection, parentId),
+    viewer,
+    'load comments',
+    byDate('createdAt', 'asc'),
+    onChange,
+    onError
+  );
+
+export const createComment = (parentCollection, parentId, comment) =>
+  run('post your comment', () =>
+    addDoc(collection(db, paths.comments(parentCollection, parentId)), {
+      ...comment,
+      hidden: false,
+      createdAt: serverTimestamp(),
+    })
+  );
+
+export const deleteComment = (parentCollection, parentId, commentId) =>
+  run('delete the comment', () => deleteDoc(doc(db, paths.comments(parentCollection, parentId), commentId)));
+
+// --- Projects ---
+
+/**
+ * One project, or null if it doesn't exist or is hidden from the signed-in user.
+ * @returns {Promise<Project|null>}
+ */
+export const getProject = (projectId) =>
+  getOne(paths.projects(), projectId, 'load the project').catch(nullIfDenied);
+
+/**
+ * Listens to one project; onChange receives null if it was deleted or
+ * hidden from the signed-in user.
+ * @param {(project: Project|null) => void} onChange
+ * @param {(error: RepositoryError) => void} [onError]
+ */
+export const subscribeProject = (projectId, onChange, onError) =>
+  subscribeOne(paths.projects(), projectId, 'load the project', onChange, missingIfDenied(onChange, onError));
+
+/**
+ * Every project the user owns or is on the team of that the viewer may
+ * see, newest first.
+ * @param {Viewer} viewer
+ * @returns {Promise<Project[]>}
+ */
+export const listProjectsForUser = (userId, viewer) =>
+  run('load projects', async () => {
+    const projectsCol = collection(db, paths.projects());
+    // Only their author sees a hidden project they are a member of
+    const visible = viewer.isAdmin ? [] : [VISIBLE];
+    // Projects posted before teams existed have no memberIds, hence both queries
+    const [asMember, asAuthor] = await Promise.all([
+      getDocs(query(projectsCol, where('memberIds', 'array-contains', userId), ...visible)),
+      getDocs(query(projectsCol, where('authorId', '==', userId), ...(viewer.id === userId ? [] : visible))),
+    ]);
+    const byId = new Map();
+    [...asMember.docs, ...asAuthor.docs].forEach((snapshot) => byId.set(snapshot.id, fromSnapshot(snapshot)));
+    return [...byId.values()].sort(byDate('createdAt'));
+  });
+
+// Adds an activity entry to a batch that also changes the project.
+const addActivity = (batch, projectId, type, actor, detail = {}) => {
+  batch.set(doc(collection(db, paths.projectActivity(projectId))), {
+    type,
+    actorId: actor.id,
+    actorName: actor.name,
+    detail,
+    createdAt: serverTimestamp(),
+  });
+};
+
+/**
+ * Listens to a project's activity timeline, oldest first.
+ * @param {(activity: ProjectActivity[]) => void} onChange
+ * @param {(error: RepositoryError) => void} [onError]
+ */
+export const subscribeProjectActivity = (projectId, onChange, onError) =>
+  subscribeAll(paths.projectActivity(projectId), 'load project activity', byDate('createdAt', 'asc'), onChange, onError);
+
+/**
+ * Listens to all projects the viewer may see, newest first.
+ * @param {Viewer} viewer
+ * @param {(projects: Project[]) => void} onChange
+ * @param {(error: RepositoryError) => void} [onError]
+ */
+export const subscribeProjects = (viewer, onChange, onError) =>
+  subscribeVisible(paths.projects(), viewer, 'load projects', byDate('createdAt'), onChange, onError);
+
+/**
+ * Every project that isn't hidden.
+ * @returns {Promise<Project[]>}
+ */
+export const listProjects = () =>
+  run('load projects', async () => {
+    const snapshot = await getDocs(query(collection(db, paths.projects()), VISIBLE));
+    return snapshot.docs.map(fromSnapshot);
+  });
+
+/**
+ * Up to `count` projects that aren't hidden, optionally only those needing
+ * any of these skills, spelled exactly so (see skillSpellings in
+ * skills.js), or with this status.
+ * @param {object} options
+ * @param {string[]} [options.skills] - At most 30, as array-contains-any allows
+ * @param {string} [options.status]
+ * @param {number} options.count
+ * @returns {Promise<Project[]>}
+ */
+export const findProjects = ({ skills = [], status = '', count }) =>
+  run('load projects', async () => {
+    const snapshot = await getDocs(query(
+      collection(db, paths.projects()),
+      VISIBLE,
+      ...(skills.length ? [where('skills', 'array-contains-any', skills)] : []),
+      ...(status ? [where('status', '==', status)] : []),
+      limit(count)
+    ));
+    return snapshot.docs.map(fromSnapshot);
+  });
+
+/**
+ * @returns {Promise<string>} - The new project's id.
+ */
+export const createProject = (project) =>
+  run('post your project', async () => {
+    const batch = writeBatch(db);
+    const projectRef = doc(collection(db, paths.projects()));
+    batch.set(projectRef, {
+      status: 'recruiting',
+      ...project,
+      hidden: false,
+      createdAt: serverTimestamp(),
+    });
+    addActivity(batch, projectRef.id, 'created', { id: project.authorId, name: project.authorName });
+    await batch.commit();
+    return projectRef.id;
+  });
+
+/**
+ * Updates a project and records it on the timeline.
+ * @param {{id: string, name: string}} actor - Who made the change
+ */
+export const updateProject = (projectId, changes, actor) =>
+  run('update the project', async () => {
+    const batch = writeBatch(db);
+    batch.update(doc(db, paths.projects(), projectId), changes);
+    if (changes.status) {
+      addActivity(batch, projectId, 'status_changed', actor, { status: changes.status });
+    } else {
+      addActivity(batch, projectId, 'edited', actor);
+    }
+    await batch.commit();
+  });
+
+/**
+ * The author ticks a milestone off, or reopens it. Only completing one
+ * goes on the timeline.
+ * @param {Project} project
+ * @param {{id: string, name: string}} actor
+ */
+export const setProjectMilestoneDone = (project, milestoneId, done, actor) =>
+  run(done ? 'complete the milestone' : 'reopen the milestone', async () => {
+    const batch = writeBatch(db);
+    const milestones = (project.milestones || []).map((milestone) =>
+      milestone.id === milestoneId ? { ...milestone, done } : milestone);
+    batch.update(doc(db, paths.projects(), project.id), { milestones });
+    if (done) {
+      const milestone = milestones.find((m) => m.id === milestoneId);
+      addActivity(batch, project.id, 'milestone_done', actor, { milestoneId, title: milestone?.title || '' });
+    }
+    await batch.commit();
+  });
+
+/**
+ * A teacher verifies a project, or withdraws their verification.
+ * @param {{id: string, name: string}} teacher
+ */
+export const setProjectEndorsement = (projectId, teacher, endorse) =>
+  run(endorse ? 'endorse the project' : 'remove your endorsement', async () => {
+    const batch = writeBatch(db);
+    batch.update(doc(db, paths.projects(), projectId), {
+      endorsement: endorse ? { uid: teacher.id, name: teacher.name, endorsedAt: serverTimestamp() } : null,
+    });
+    if (endorse) addActivity(batch, projectId, 'endorsed', teacher);
+    await batch.commit();
+  });
+
+/**
+ * A teacher starts or stops mentoring a project.
+ * @param {{id: string, name: string}} teacher
+ */
+export const setProjectMentor = (projectId, teacher, mentoring) =>
+  run(mentoring ? 'mentor the project' : 'stop mentoring', async () => {
+    const batch = writeBatch(db);
+    batch.update(doc(db, paths.projects(), projectId), {
+      mentor: mentoring ? { uid: teacher.id, name: teacher.name } : null,
+    });
+    if (mentoring) addActivity(batch, projectId, 'mentor_joined', teacher);
+    await batch.commit();
+  });
+
+export const deleteProject = (projectId) =>
+  run('delete the project', () => deleteDoc(doc(db, paths.projects(), projectId)));
+
+// --- Join Requests ---
+
+/**
+ * Asks to join a project. One request per user per project: the request's id
+ * is the requester's uid.
+ * @param {{uid: string, name: string, skill: string, message: string}} request
+ */
+export const requestToJoinProject = (projectId, request) =>
+  run('send your join request', () =>
+    setDoc(doc(db, paths.joinRequests(projectId), request.uid), {
+      ...request,
+      projectId,
+      status: 'pending',
+      createdAt: serverTimestamp(),
+    })
+  );
+
+export const withdrawJoinRequest = (projectId, userId) =>
+  run('withdraw your request', () => deleteDoc(doc(db, paths.joinRequests(projectId), userId)));
+
+/**
+ * Listens to the join requests on a project (author only), oldest first.
+ * @param {(requests: JoinRequest[]) => void} onChange
+ * @param {(error: RepositoryError) => void} [onError]
+ */
+export const subscribeJoinRequests = (projectId, onChange, onError) =>
+  subscribeAll(paths.joinRequests(projectId), 'load join requests', byDate('createdAt', 'asc'), onChange, onError);
+
+/**
+ * Listens to every join request the user has made, across all projects.
+ * @param {(requests: JoinRequest[]) => void} onChange
+ * @param {(error: RepositoryError) => void} [onError]
+ */
+export const subscribeMyJoinRequests = (userId, onChange, onError) =>
+  subscribeQuery(
+    query(collectionGroup(db, 'joinRequests'), where('uid', '==', userId)),
+    'load your join requests',
+    null,
+    onChange,
+    onError
+  );
+
+/**
+ * Approves or rejects a request. Approving adds the requester to the team.
+ * @param {JoinRequest} request
+ * @param {boolean} approve
+ * @param {{id: string, name: string}} actor - The project author
+ */
+export const respondToJoinRequest = (projectId, request, approve, actor) =>
+  run(approve ? 'approve the request' : 'reject the request', async () => {
+    const batch = writeBatch(db);
+    batch.update(doc(db, paths.joinRequests(projectId), request.uid), {
+      status: approve ? 'approved' : 'rejected',
+      respondedAt: serverTimestamp(),
+    });
+    if (approve) {
+      const projectRef = doc(db, paths.projects(), projectId);
+      const project = (await getDoc(projectRef)).data();
+      // Projects posted before teams have no roster yet; it starts with their author
+      const owner = project && !project.members?.length
+        ? [{ uid: project.authorId, name: project.authorName, role: 'owner', skill: '' }]
+        : [];
+      batch.update(projectRef, {
+        members: arrayUnion(...owner, { uid: request.uid, name: request.name, role: 'member', skill: request.skill }),
+        memberIds: arrayUnion(...owner.map((member) => member.uid), request.uid),
+      });
+      addActivity(batch, projectId, 'member_joined', actor, {
+        uid: request.uid,
+        name: request.name,
+        skill: request.skill,
+      });
+    }
+    await batch.commit();
+  });
+
+// --- Conversations ---
+
+/**
+ * The id of the one conversation between two users.
+ */
+export const conversationIdFor = (userIdA, userIdB) => [userIdA, userIdB].sort().join('_');
+
+/**
+ * The uid of the other participant in a conversation.
+ */
+export const otherParticipantId = (conversationId, userId) =>
+  conversationId.split('_').find((id) => id !== userId) || userId;
+
+/**
+ * Listens to every conversation the user is part of, most recent first.
+ * @param {(conversations: Conversation[]) => void} onChange
+ * @param {(error: RepositoryError) => void} [onError]
+ */
+export const subscribeConversations = (userId, onChange, onError) =>
+  subscribeQuery(
+    query(collection(db, paths.conversations()), where('participants', 'array-contains', userId)),
+    'load your inbox',
+    byDate('updatedAt'),
+    onChange,
+    onError
+  );
+
+/**
+ * The user's conversations, most recent first.
+ * @returns {Promise<Conversation[]>}
+ */
+export const listConversations = (userId) =>
+  run('load your inbox', async () => {
+    const snapshot = await getDocs(
+      query(collection(db, paths.conversations()), where('participants', 'array-contains', userId))
+    );
+    return snapshot.docs.map(fromSnapshot).sort(byDate('updatedAt'));
+  });
+
+/**
+ * Listens to one conversation; onChange receives null until the first message.
+ * @param {(conversation: Conversation|null) => void} onChange
+ * @param {(error: RepositoryError) => void} [onError]
+ */
+export const subscribeConversation = (conversationId, onChange, onError) =>
+  subscribeOne(paths.conversations(), conversationId, 'load the conversation', onChange, onError);
+
+/**
+ * Listens to the messages in a conversation, oldest first.
+ * @param {(messages: Message[]) => void} onChange
+ * @param {(error: RepositoryError) => void} [onError]
+ */
+export const subscribeMessages = (conversationId, onChange, onError) =>
+  subscribeAll(paths.messages(conversationId), 'load messages', byDate('sentAt', 'asc'), onChange, onError);
+
+/**
+ * Sends a message, starting the conversation if this is the first one.
+ * @param {{id: string, name: string}} sender
+ * @param {{id: string, name: string}} recipient
+ * @param {string} text
+ * @returns {Promise<string>} - The conversation id.
+ */
+export const sendMessage = (sender, recipient, text) =>
+  run('send your message', async () => {
+    const conversationId = conversationIdFor(sender.id, recipient.id);
+    const batch = writeBatch(db);
+    const messageRef = doc(collection(db, paths.messages(conversationId)));
+
+    batch.set(messageRef, {
+      text,
+      senderId: sender.id,
+      senderName: sender.name,
+      sentAt: serverTimestamp(),
+    });
+    batch.set(
+      doc(db, paths.conversations(), conversationId),
+      {
+        participants: conversationId.split('_'),
+        participantNames: { [sender.id]: sender.name, [recipient.id]: recipient.name },
+        lastMessage: { text, senderId: sender.id, sentAt: serverTimestamp() },
+        unreadCounts: { [sender.id]: 0, [recipient.id]: increment(1) },
+        updatedAt: serverTimestamp(),
+      },
+      { merge: true }
+    );
+    await batch.commit();
+    return conversationId;
+  });
+
+export const markConversationRead = (conversationId, userId) =>
+  run('mark messages as read', () =>
+    updateDoc(doc(db, paths.conversations(), conversationId), {
+      [`unreadCounts.${userId}`]: 0,
+    })
+  );
+
+// --- CollabBot Chats ---
+// Private to their owner, under users/{uid}/botChats.
+
+/**
+ * Listens to the user's saved chats, most recent first.
+ * @param {(chats: BotChat[]) => void} onChange
+ * @param {(error: RepositoryError) => void} [onError]
+ */
+export const subscribeBotChats = (userId, onChange, onError) =>
+  subscribeAll(paths.botChats(userId), 'load your chats', byDate('updatedAt'), onChange, onError);
+
+/**
+ * @param {(chat: BotChat|null) => void} onChange
+ * @param {(error: RepositoryError) => void} [onError]
+ */
+export const subscribeBotChat = (userId, chatId, onChange, onError) =>
+  subscribeOne(paths.botChats(userId), chatId, 'load the chat', onChange, onError);
+
+/**
+ * Listens to a chat's messages, oldest first.
+ * @param {(messages: BotMessage[]) => void} onChange
+ * @param {(error: RepositoryError) => void} [onError]
+ */
+export const subscribeBotMessages = (userId, chatId, onChange, onError) =>
+  subscribeAll(paths.botMessages(userId, chatId), 'load the chat', byDate('createdAt', 'asc'), onChange, onError);
+
+/**
+ * @returns {Promise<string>} - The new chat's id.
+ */
+export const createBotChat = (userId, title) =>
+  run('start the chat', async () => {
+    const chatRef = doc(collection(db, paths.botChats(userId)));
+    await setDoc(chatRef, {
+      title,
+      titleEdited: false,
+      summary: '',
+      summarizedCount: 0,
+      createdAt: serverTimestamp(),
+      updatedAt: serverTimestamp(),
+    });
+    return chatRef.id;
+  });
+
+/**
+ * Saves a message and bumps the chat to the top of the list.
+ * @param {{role: 'user'|'model', text: string, status?: string|null, toolCalls?: object[]}} message
+ * @returns {Promise<string>} - The message id.
+ */
+export const addBotMessage = (userId, chatId, { role, text, status = null, toolCalls = [] }) =>
+  run('save the message', async () => {
+    const batch = writeBatch(db);
+    const messageRef = doc(collection(db, paths.botMessages(userId, chatId)));
+    batch.set(messageRef, { role, text, status, toolCalls, createdAt: serverTimestamp() });
+    batch.update(doc(db, paths.botChats(userId), chatId), { updatedAt: serverTimestamp() });
+    await batch.commit();
+    return messageRef.id;
+  });
+
+export const deleteBotMessage = (userId, chatId, messageId) =>
+  run('remove the message', () => deleteDoc(doc(db, paths.botMessages(userId, chatId), messageId)));
+
+/**
+ * @param {boolean} [byUser] - False for automatic titles, which a later
+ *   rename by the user always wins over.
+ */
+export const renameBotChat = (userId, chatId, title, byUser = true) =>
+  run('rename the chat', () =>
+    updateDoc(doc(db, paths.botChats(userId), chatId), byUser ? { title, titleEdited: true } : { title })
+  );
+
+/**
+ * @param {string} summary - Covers the oldest `summarizedCount` messages
+ * @param {number} summarizedCount
+ */
+export const saveBotChatSummary = (userId, chatId, summary, summarizedCount) =>
+  run('save the chat summary', () =>
+    updateDoc(doc(db, paths.botChats(userId), chatId), { summary, summarizedCount })
+  );
+
+// Firestore caps a batch at 500 writes.
+const DELETE_BATCH_SIZE = 450;
+
+/**
+ * Deletes a chat and all of its messages.
+ */
+export const deleteBotChat = (userId, chatId) =>
+  run('delete the chat', async () => {
+    const messages = await getDocs(collection(db, paths.botMessages(userId, chatId)));
+    for (let i = 0; i < messages.docs.length; i += DELETE_BATCH_SIZE) {
+      const batch = writeBatch(db);
+      messages.docs.slice(i, i + DELETE_BATCH_SIZE).forEach((message) => batch.delete(message.ref));
+      await batch.commit();
+    }
+    await deleteDoc(doc(db, paths.botChats(userId), chatId));
+  });
+
+// --- Search Index ---
+
+/**
+ * Index entries that can be found by a word prefix (see src/searchIndex.js).
+ * @param {string} token - A lower-case prefix of 2-15 characters
+ * @returns {Promise<SearchIndexEntry[]>}
+ */
+export const findSearchEntries = (token, count) =>
+  run('search', async () => {
+    const snapshot = await getDocs(
+      query(collection(db, paths.searchIndex()), where('tokens', 'array-contains', token), limit(count))
+    );
+    return snapshot.docs.map(fromSnapshot);
+  });
+
+/**
+ * Everyone in the people directory (see functions/searchIndex.js): one read
+ * per shard, however many people there are.
+ * @returns {Promise<DirectoryPerson[]>}
+ */
+export const listPeopleDirectory = () =>
+  run('load the directory', async () => {
+    const snapshot = await getDocs(collection(db, paths.peopleDirectory()));
+    return snapshot.docs.flatMap((shard) =>
+      Object.entries(shard.get('people') || {}).map(([uid, person]) => ({
+        ...person,
+        id: uid,
+        uid,
+        createdAt: person.createdAt instanceof Timestamp ? person.createdAt.toDate() : null,
+      }))
+    );
+  });
+
+// --- Moderation ---
+
+/**
+ * Reports content (or a user) to the moderators.
+ * @param {ModerationTarget} target
+ * @param {string} reason
+ * @param {{id: string, name: string}} reporter
+ */
+export const reportContent = (target, reason, reporter) =>
+  run('send your report', () =>
+    addDoc(collection(db, paths.reports()), {
+      target,
+      reason,
+      reporterId: reporter.id,
+      reporterName: reporter.name,
+      status: 'open',
+      createdAt: serverTimestamp(),
+    })
+  );
+
+/**
+ * Listens to every report, newest first (admins only).
+ * @param {(reports: Report[]) => void} onChange
+ * @param {(error: RepositoryError) => void} [onError]
+ */
+export const subscribeReports = (onChange, onError) =>
+  subscribeAll(paths.reports(), 'load reports', byDate('createdAt'), onChange, onError);
+
+/**
+ * Listens to the moderation audit log, newest first (admins only).
+ * @param {(entries: ModerationLogEntry[]) => void} onChange
+ * @param {(error: RepositoryError) => void} [onError]
+ */
+export const subscribeModerationLog = (onChange, onError) =>
+  subscribeAll(paths.moderationLog(), 'load the audit log', byDate('createdAt'), onChange, onError);
+
+// The document a moderation target points at.
+const targetRef = (target) => {
+  switch (target.type) {
+    case 'achievement':
+      return doc(db, paths.achievements(), target.id);
+    case 'comment':
+      return doc(db, paths.comments(target.parentCollection, target.parentId), target.id);
+    case 'project':
+      return doc(db, paths.projects(), target.id);
+    case 'user':
+      return doc(db, paths.users(), target.id);
+    default:
+      throw new RepositoryError('invalid-argument', `Unknown moderation target "${target.type}".`);
+  }
+};
+
+/**
+ * Takes a moderation action, records it in the audit log and, when it came
+ * from a report, closes the report, all in one batch.
+ * @param {'hide'|'unhide'|'delete'|'suspend'|'unsuspend'|'dismiss'} action
+ * @param {ModerationTarget} target - For suspend/unsuspend, the user to act on
+ * @param {{id: string, name: string}} admin
+ * @param {{reportId?: string, note?: string}} [options]
+ */
+export const moderate = (action, target, admin, { reportId = null, note = '' } = {}) =>
+  run(`${action} this`, async () => {
+    const batch = writeBatch(db);
+    switch (action) {
+      case 'hide':
+      case 'unhide':
+        batch.update(targetRef(target), { hidden: action === 'hide' });
+        break;
+      case 'delete':
+        batch.delete(targetRef(target));
+        break;
+      case 'suspend':
+      case 'unsuspend':
+        batch.update(doc(db, paths.users(), target.ownerId), { suspended: action === 'suspend' });
+        break;
+      case 'dismiss':
+        break;
+      default:
+        throw new RepositoryError('invalid-argument', `Unknown moderation action "${action}".`);
+    }
+    batch.set(doc(collection(db, paths.moderationLog())), {
+      action,
+      target,
+      reportId,
+      note,
+      adminId: admin.id,
+      adminName: admin.name,
+      createdAt: serverTimestamp(),
+    });
+    if (reportId) {
+      batch.update(doc(db, paths.reports(), reportId), {
+        status: action === 'dismiss' ? 'dismissed' : 'resolved',
+        resolution: action,
+        resolvedBy: admin.id,
+        resolvedAt: serverTimestamp(),
+      });
+    }
+    await batch.commit();
+  });
+
+// --- Sign-up Access ---
+// Readable before sign-in, so the sign-up form can check an address.
+
+/**
+ * The campus domains allowed to sign up, or null if no admin has saved any.
+ * @returns {Promise<Object<string, ''|'student'|'teacher'>|null>} - domain -> role ('' = user picks)
+ */
+export const getAllowedDomains = () =>
+  run('load sign-up settings', async () => {
+    const snapshot = await getDoc(doc(db, paths.config(), 'signup'));
+    return snapshot.exists() ? snapshot.data().allowedDomains || {} : null;
+  });
+
+export const saveAllowedDomains = (allowedDomains) =>
+  run('save the allowed domains', () =>
+    setDoc(doc(db, paths.config(), 'signup'), { allowedDomains }, { merge: true })
+  );
+
+/**
+ * Looks up one guest by address (guests can't be listed before sign-in).
+ * @returns {Promise<SignupGuest|null>}
+ */
+export const getSignupGuest = (email) =>
+  getOne(paths.signupGuests(), email.trim().toLowerCase(), 'check your invitation');
+
+/**
+ * Listens to the guest list, newest first (admins only).
+ * @param {(guests: SignupGuest[]) => void} onChange
+ * @param {(error: RepositoryError) => void} [onError]
+ */
+export const subscribeSignupGuests = (onChange, onError) =>
+  subscribeAll(paths.signupGuests(), 'load guests', byDate('createdAt'), onChange, onError);
+
+/**
+ * @param {{email: string, role: string, note: string}} guest
+ * @param {string} adminId
+ */
+export const addSignupGuest = ({ email, role, note }, adminId) => {
+  const normalized = email.trim().toLowerCase();
+  return run('add the guest', () =>
+    setDoc(doc(db, paths.signupGuests(), normalized), {
+      email: normalized,
+      role,
+      note,
+      addedBy: adminId,
+      createdAt: serverTimestamp(),
+    })
+  );
+};
+
+export const removeSignupGuest = (email) =>
+  run('remove the guest', () => deleteDoc(doc(db, paths.signupGuests(), email)));
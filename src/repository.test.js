@@ -0,0 +1,444 @@
+import { afterAll, beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
+import { collection, doc, getDoc, getDocs } from 'firebase/firestore';
+import {
+  DATA_PATH,
+  firestoreAs,
+  hasEmulator,
+  nextMatching,
+  profileFor,
+  seed,
+  startTestEnvironment,
+} from './testing/firestoreEmulator';
+import {
+  RepositoryError,
+  addBotMessage,
+  createBotChat,
+  createProject,
+  createUserProfile,
+  createComment,
+  deleteBotChat,
+  getProject,
+  getNewestFeedPostTime,
+  getUser,
+  getUsers,
+  findProjects,
+  findUsers,
+  findUsersByName,
+  listPeopleDirectory,
+  listUsersPage,
+  markAllNotificationsRead,
+  markConversationRead,
+  requestToJoinProject,
+  respondToJoinRequest,
+  sendMessage,
+  setFollowing,
+  subscribeComments,
+  subscribeFeedPage,
+  subscribeMessages,
+  subscribeProjectActivity,
+  subscribeReports,
+  subscribeUser,
+  updateProject,
+  updateUserProfile,
+} from './repository';
+
+// repository.js reads `db` on every call, so each test signs in as someone
+// by swapping it. The appId is APP_ID in ./testing/firestoreEmulator.
+const firebase = vi.hoisted(() => ({ appId: 'test-app', db: null }));
+vi.mock('./firebase', () => firebase);
+
+const alice = { id: 'alice', name: 'Alice' };
+const bob = { id: 'bob', name: 'Bob' };
+
+describe.skipIf(!hasEmulator)('repository (Firestore emulator)', () => {
+  let testEnv;
+
+  const signInAs = (uid) => {
+    firebase.db = firestoreAs(testEnv, uid);
+  };
+
+  // Reads a document or collection with the rules off, to check what a write left behind
+  const readDoc = async (path) => {
+    let data = null;
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const snapshot = await getDoc(doc(context.firestore(), `${DATA_PATH}/${path}`));
+      data = snapshot.exists() ? snapshot.data() : null;
+    });
+    return data;
+  };
+  const readCollection = async (path) => {
+    let docs = [];
+    await testEnv.withSecurityRulesDisabled(async (context) => {
+      const snapshot = await getDocs(collection(context.firestore(), `${DATA_PATH}/${path}`));
+      docs = snapshot.docs.map((d) => ({ id: d.id, ...d.data() }));
+    });
+    return docs;
+  };
+
+  beforeAll(async () => {
+    testEnv = await startTestEnvironment();
+  });
+
+  beforeEach(async () => {
+    await testEnv.clearFirestore();
+    await seed(testEnv, {
+      'users/alice': profileFor('alice'),
+      'users/bob': profileFor('bob'),
+    });
+    signInAs('alice');
+  });
+
+  afterAll(() => testEnv?.cleanup());
+
+  describe('profiles', () => {
+    it('creates a profile with the uid and a server timestamp', async () => {
+      signInAs('carol');
+      await createUserProfile('carol', {
+        email: 'carol@iilm.edu',
+        name: 'Carol',
+        role: 'student',
+        bio: '',
+        skills: [],
+      });
+
+      const carol = await getUser('carol');
+      expect(carol).toMatchObject({ id: 'carol', uid: 'carol', name: 'Carol', nameLower: 'carol', role: 'student' });
+      expect(carol.createdAt).toBeInstanceOf(Date);
+    });
+
+    it('returns null for a profile that does not exist', async () => {
+      expect(await getUser('nobody')).toBeNull();
+    });
+
+    it("updates the signed-in user's own profile", async () => {
+      await updateUserProfile('alice', { bio: 'Builds robots', skills: ['React'] });
+      expect(await readDoc('users/alice')).toMatchObject({ bio: 'Builds robots', skills: ['React'] });
+    });
+
+    it('maps a denied write to a RepositoryError', async () => {
+      const attempt = updateUserProfile('bob', { bio: 'Not my profile' });
+      await expect(attempt).rejects.toBeInstanceOf(RepositoryError);
+      await expect(attempt).rejects.toMatchObject({ code: 'permission-denied' });
+    });
+
+    it('adds and removes followed people without touching the others', async () => {
+      await setFollowing('alice', 'bob', true);
+      await setFollowing('alice', 'carol', true);
+      await setFollowing('alice', 'bob', false);
+      expect((await readDoc('users/alice')).following).toEqual(['carol']);
+    });
+
+    it('delivers profile changes to subscribers', async () => {
+      const renamed = nextMatching(
+        (onChange, onError) => subscribeUser('alice', onChange, onError),
+        (profile) => profile?.name === 'Alice Smith'
+      );
+      await updateUserProfile('alice', { name: 'Alice Smith', skills: [] });
+      expect(await renamed).toMatchObject({ id: 'alice', name: 'Alice Smith', nameLower: 'alice smith' });
+    });
+
+    it('jumps to a letter in the directory whatever the case of the names', async () => {
+      await seed(testEnv, {
+        'users/amy': profileFor('amy', { name: 'amy' }),
+        'users/bea': profileFor('bea', { name: 'bea' }),
+      });
+      const { users } = await listUsersPage({ sort: 'name', from: 'B', count: 10 });
+      expect(users.map((user) => user.name)).toEqual(['bea', 'Bob']);
+    });
+
+    it('loads profiles by id, leaving out missing ones', async () => {
+      const users = await getUsers(['bob', 'nobody', 'alice']);
+      expect(users.map((user) => user.id)).toEqual(['bob', 'alice']);
+    });
+
+    it('finds profiles by any of several skill spellings and by role, up to a count', async () => {
+      await seed(testEnv, {
+        'users/amy': profileFor('amy', { skills: ['reactjs'] }),
+        'users/bea': profileFor('bea', { skills: ['React', 'CSS'], role: 'teacher' }),
+        'users/cy': profileFor('cy', { skills: ['Python'] }),
+      });
+      const users = await findUsers({ skills: ['React', 'reactjs'], count: 10 });
+      expect(users.map((user) => user.id).sort()).toEqual(['amy', 'bea']);
+      expect(await findUsers({ skills: ['React', 'reactjs'], count: 1 })).toHaveLength(1);
+      expect((await findUsers({ skills: ['React'], role: 'student', count: 10 }))).toEqual([]);
+    });
+
+    it('finds profiles by the start of their name, in either case', async () => {
+      await seed(testEnv, { 'users/bea': profileFor('bea', { name: 'beatrice' }) });
+      const users = await findUsersByName('BE', 10);
+      expect(users.map((user) => user.name)).toEqual(['beatrice']);
+      expect((await findUsersByName('b', 1)).map((user) => user.name)).toEqual(['beatrice']);
+    });
+
+    it('lists everyone in every shard of the people directory', async () => {
+      const person = { name: 'Amy', role: 'student', course: '', semester: '', skills: ['React'], bio: '' };
+      await seed(testEnv, {
+        'peopleDirectory/0': { people: { amy: { ...person, createdAt: new Date('2025-01-01') } } },
+        'peopleDirectory/5': { people: { bea: { ...person, name: 'Bea', createdAt: null } } },
+      });
+      const people = await listPeopleDirectory();
+      expect(people.map((p) => p.id).sort()).toEqual(['amy', 'bea']);
+      expect(people.find((p) => p.id === 'amy')).toMatchObject({ uid: 'amy', skills: ['React'] });
+      expect(people.find((p) => p.id === 'amy').createdAt).toBeInstanceOf(Date);
+    });
+
+    it('passes subscription errors on as RepositoryErrors', async () => {
+      const denied = nextMatching((onChange, onError) => subscribeReports(onChange, onError));
+      await expect(denied).rejects.toMatchObject({ name: 'RepositoryError', code: 'permission-denied' });
+    });
+  });
+
+  describe('projects', () => {
+    const newProject = {
+      title: 'Campus Robot',
+      description: 'A robot that delivers library books.',
+      skills: ['React', 'Python'],
+      slots: { React: 1, Python: 1 },
+      members: [{ uid: 'alice', name: 'Alice', role: 'owner', skill: '' }],
+      memberIds: ['alice'],
+      authorId: 'alice',
+      authorName: 'Alice',
+    };
+
+    it('creates a project and its first activity entry in one batch', async () => {
+      const projectId = await createProject(newProject);
+
+      expect(await getProject(projectId)).toMatchObject({ title: 'Campus Robot', status: 'recruiting' });
+      const activity = await readCollection(`projects/${projectId}/activity`);
+      expect(activity).toHaveLength(1);
+      expect(activity[0]).toMatchObject({ type: 'created', actorId: 'alice' });
+    });
+
+    it('finds visible projects by skill spelling and status, up to a count', async () => {
+      await seed(testEnv, {
+        'projects/p1': { title: 'Robot', authorId: 'bob', skills: ['reactjs'], status: 'recruiting', hidden: false },
+        'projects/p2': { title: 'Site', authorId: 'bob', skills: ['React'], status: 'completed', hidden: false },
+        'projects/p3': { title: 'Hidden', authorId: 'bob', skills: ['React'], status: 'recruiting', hidden: true },
+        'projects/p4': { title: 'Model', authorId: 'bob', skills: ['Python'], status: 'recruiting', hidden: false },
+      });
+      const react = await findProjects({ skills: ['React', 'reactjs'], count: 10 });
+      expect(react.map((project) => project.id).sort()).toEqual(['p1', 'p2']);
+      const recruiting = await findProjects({ skills: ['React', 'reactjs'], status: 'recruiting', count: 10 });
+      expect(recruiting.map((project) => project.id)).toEqual(['p1']);
+      expect(await findProjects({ count: 2 })).toHaveLength(2);
+    });
+
+    it('records status changes on the timeline', async () => {
+      const projectId = await createProject(newProject);
+      const changed = nextMatching(
+        (onChange, onError) => subscribeProjectActivity(projectId, onChange, onError),
+        (activity) => activity.length === 2
+      );
+      await updateProject(projectId, { status: 'in_progress' }, alice);
+
+      const activity = await changed;
+      expect(activity.map((entry) => entry.type)).toEqual(['created', 'status_changed']);
+      expect(activity[1].detail).toEqual({ status: 'in_progress' });
+    });
+
+    it('adds an approved requester to the team', async () => {
+      const projectId = await createProject(newProject);
+      signInAs('bob');
+      await requestToJoinProject(projectId, { uid: 'bob', name: 'Bob', skill: 'Python', message: 'Hi!' });
+
+      signInAs('alice');
+      const [request] = await readCollection(`projects/${projectId}/joinRequests`);
+      await respondToJoinRequest(projectId, request, true, alice);
+
+      const project = await readDoc(`projects/${projectId}`);
+      expect(project.memberIds).toEqual(['alice', 'bob']);
+      expect(project.members[1]).toEqual({ uid: 'bob', name: 'Bob', role: 'member', skill: 'Python' });
+      expect((await readDoc(`projects/${projectId}/joinRequests/bob`)).status).toBe('approved');
+      const activity = await readCollection(`projects/${projectId}/activity`);
+      expect(activity.map((entry) => entry.type).sort()).toEqual(['created', 'member_joined']);
+    });
+
+    it('puts the author on the roster of a project from before teams', async () => {
+      await seed(testEnv, {
+        'projects/legacy': {
+          title: 'Old Project', description: 'Posted before teams.', skills: ['Python'], status: 'recruiting',
+          authorId: 'alice', authorName: 'Alice', hidden: false, createdAt: new Date('2024-01-01'),
+        },
+        'projects/legacy/joinRequests/bob': {
+          uid: 'bob', name: 'Bob', projectId: 'legacy', skill: 'Python', message: '', status: 'pending',
+          createdAt: new Date('2024-02-01'),
+        },
+      });
+      const [request] = await readCollection('projects/legacy/joinRequests');
+      await respondToJoinRequest('legacy', request, true, alice);
+
+      const project = await readDoc('projects/legacy');
+      expect(project.memberIds).toEqual(['alice', 'bob']);
+      expect(project.members).toEqual([
+        { uid: 'alice', name: 'Alice', role: 'owner', skill: '' },
+        { uid: 'bob', name: 'Bob', role: 'member', skill: 'Python' },
+      ]);
+    });
+
+    it('rolls the whole batch back when one write is denied', async () => {
+      const projectId = await createProject(newProject);
+      signInAs('bob');
+      await expect(updateProject(projectId, { status: 'completed' }, bob)).rejects.toMatchObject({
+        code: 'permission-denied',
+      });
+      expect((await readDoc(`projects/${projectId}`)).status).toBe('recruiting');
+      expect(await readCollection(`projects/${projectId}/activity`)).toHaveLength(1);
+    });
+  });
+
+  describe('conversations', () => {
+    it('starts a conversation with the first message', async () => {
+      const conversationId = await sendMessage(alice, bob, 'Hello Bob');
+
+      expect(conversationId).toBe('alice_bob');
+      const conversation = await readDoc('conversations/alice_bob');
+      expect(conversation.participants).toEqual(['alice', 'bob']);
+      expect(conversation.unreadCounts).toEqual({ alice: 0, bob: 1 });
+      expect(conversation.lastMessage).toMatchObject({ text: 'Hello Bob', senderId: 'alice' });
+    });
+
+    it('counts unread messages until the recipient reads them', async () => {
+      await sendMessage(alice, bob, 'One');
+      await sendMessage(alice, bob, 'Two');
+      expect((await readDoc('conversations/alice_bob')).unreadCounts.bob).toBe(2);
+
+      signInAs('bob');
+      await markConversationRead('alice_bob', 'bob');
+      expect((await readDoc('conversations/alice_bob')).unreadCounts.bob).toBe(0);
+    });
+
+    it('lists messages oldest first', async () => {
+      await sendMessage(alice, bob, 'First');
+      await sendMessage(alice, bob, 'Second');
+
+      signInAs('bob');
+      const messages = await nextMatching(
+        (onChange, onError) => subscribeMessages('alice_bob', onChange, onError),
+        (list) => list.length === 2
+      );
+      expect(messages.map((message) => message.text)).toEqual(['First', 'Second']);
+      expect(messages[0].sentAt).toBeInstanceOf(Date);
+    });
+  });
+
+  describe('notifications', () => {
+    it('marks every given notification read in one batch', async () => {
+      const notification = { type: 'like', actorId: 'bob', actorName: 'Bob', text: 'Bob liked your post', read: false };
+      await seed(testEnv, {
+        'users/alice/notifications/one': notification,
+        'users/alice/notifications/two': notification,
+        'users/alice/notifications/three': notification,
+      });
+
+      await markAllNotificationsRead('alice', ['one', 'two']);
+
+      const notifications = await readCollection('users/alice/notifications');
+      expect(Object.fromEntries(notifications.map((n) => [n.id, n.read]))).toEqual({
+        one: true,
+        two: true,
+        three: false,
+      });
+    });
+  });
+
+  describe('bot chats', () => {
+    it('saves messages and deletes the chat with all of them', async () => {
+      const chatId = await createBotChat('alice', 'Project ideas');
+      await addBotMessage('alice', chatId, { role: 'user', text: 'Any ideas?' });
+      await addBotMessage('alice', chatId, { role: 'model', text: 'Build a campus robot.' });
+      expect(await readCollection(`users/alice/botChats/${chatId}/messages`)).toHaveLength(2);
+
+      await deleteBotChat('alice', chatId);
+
+      expect(await readDoc(`users/alice/botChats/${chatId}`)).toBeNull();
+      expect(await readCollection(`users/alice/botChats/${chatId}/messages`)).toHaveLength(0);
+    });
+  });
+
+  describe('feed', () => {
+    it('pages posts newest first and leaves out posts after `before`', async () => {
+      const post = (day) => ({
+        content: `Post from day ${day}`,
+        authorId: 'bob',
+        authorName: 'Bob',
+        likes: [],
+        hidden: false,
+        createdAt: new Date(`2025-03-0${day}T12:00:00Z`),
+      });
+      await seed(testEnv, {
+        'achievements/p1': post(1),
+        'achievements/p2': post(2),
+        'achievements/p3': post(3),
+        'achievements/p4': post(4),
+      });
+      const before = new Date('2025-03-03T23:00:00Z');
+
+      const first = await nextMatching((onChange, onError) =>
+        subscribeFeedPage({}, { before, count: 2 }, onChange, onError));
+      expect(first.posts.map((p) => p.id)).toEqual(['p3', 'p2']);
+      expect(first.next).not.toBeNull();
+
+      const second = await nextMatching((onChange, onError) =>
+        subscribeFeedPage({}, { before, after: first.next, count: 2 }, onChange, onError));
+      expect(second.posts.map((p) => p.id)).toEqual(['p1']);
+      expect(second.next).toBeNull();
+    });
+
+    it("anchors on the newest post's server time", async () => {
+      expect(await getNewestFeedPostTime({})).toBeNull();
+      await seed(testEnv, {
+        'achievements/old': { content: 'Old', authorId: 'bob', likes: [], hidden: false, createdAt: new Date('2025-03-01') },
+        'achievements/new': { content: 'New', authorId: 'bob', likes: [], hidden: false, createdAt: new Date('2025-03-02') },
+        'achievements/mod': { content: 'Hidden', authorId: 'bob', likes: [], hidden: true, createdAt: new Date('2025-03-03') },
+      });
+      const newest = await getNewestFeedPostTime({});
+      expect(newest).toEqual(new Date('2025-03-02'));
+
+      const page = await nextMatching((onChange, onError) =>
+        subscribeFeedPage({}, { before: newest, count: 10 }, onChange, onError));
+      expect(page.posts.map((p) => p.id)).toEqual(['new', 'old']);
+    });
+
+    it('leaves hidden posts out for everyone but moderators', async () => {
+      const post = (hidden) => ({
+        content: 'A post', authorId: 'bob', authorName: 'Bob', likes: [], hidden, createdAt: new Date('2025-03-01'),
+      });
+      await seed(testEnv, {
+        'users/ada': profileFor('ada', { role: 'admin' }),
+        'achievements/shown': post(false),
+        'achievements/hidden': post(true),
+      });
+      const feedFor = (filter) => nextMatching((onChange, onError) =>
+        subscribeFeedPage(filter, { before: new Date(), count: 10 }, onChange, onError));
+
+      expect((await feedFor({})).posts.map((p) => p.id)).toEqual(['shown']);
+      signInAs('ada');
+      expect((await feedFor({ includeHidden: true })).posts.map((p) => p.id).sort()).toEqual(['hidden', 'shown']);
+    });
+  });
+
+  describe('hidden content', () => {
+    it('shows authors their own hidden comments alongside the visible ones', async () => {
+      const comment = (authorId, hidden) => ({
+        text: `From ${authorId}`, authorId, authorName: authorId, hidden, createdAt: new Date('2025-03-01'),
+      });
+      await seed(testEnv, {
+        'achievements/post1': { content: 'A post', authorId: 'bob', likes: [], hidden: false },
+        'achievements/post1/comments/c1': comment('alice', true),
+        'achievements/post1/comments/c2': comment('bob', true),
+      });
+      await createComment('achievements', 'post1', { text: 'Nice', authorId: 'alice', authorName: 'Alice' });
+
+      const comments = await nextMatching(
+        (onChange, onError) => subscribeComments('achievements', 'post1', { id: 'alice', isAdmin: false }, onChange, onError),
+        (list) => list.length === 2
+      );
+      expect(comments.map((c) => c.text).sort()).toEqual(['From alice', 'Nice']);
+    });
+
+    it('reads a hidden project as missing', async () => {
+      await seed(testEnv, { 'projects/p1': { title: 'Hidden', authorId: 'bob', memberIds: ['bob'], hidden: true } });
+      expect(await getProject('p1')).toBeNull();
+    });
+  });
+});
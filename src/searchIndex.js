@@ -0,0 +1,93 @@
+import { callAdminFunction } from './adminFunctions';
+import { findSearchEntries } from './repository';
+
+// --- Global Search ---
+// The navbar search looks things up in the prebuilt index that
+// functions/searchIndex.js keeps in searchIndex/{entryId}. The longest word
+// typed picks the entries (one array-contains query); the other words
+// narrow them down here.
+
+// Keep in step with functions/searchIndex.js
+const MIN_PREFIX_LENGTH = 2;
+const MAX_PREFIX_LENGTH = 15;
+
+// Entries fetched for the longest word, before the other words narrow them
+const CANDIDATES = 60;
+const RESULTS_PER_GROUP = 5;
+
+export const SEARCH_GROUPS = [
+  { type: 'user', label: 'People' },
+  { type: 'project', label: 'Projects' },
+  { type: 'achievement', label: 'Achievements' },
+  { type: 'comment', label: 'Comments' },
+];
+
+/**
+ * The words of a search, lower-cased and cut to what the index holds.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export const searchWords = (text) => [
+  ...new Set(
+    (String(text || '').toLowerCase().match(/[\p{L}\p{N}+#]+/gu) || [])
+      .filter((word) => word.length >= MIN_PREFIX_LENGTH)
+      .map((word) => word.slice(0, MAX_PREFIX_LENGTH))
+  ),
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Splits text into the parts a search matched (word starts) and the rest,
+ * for highlighting.
+ * @param {string} text
+ * @param {string[]} words - From searchWords()
+ * @returns {Array<{text: string, match: boolean}>}
+ */
+export const highlightParts = (text, words) => {
+  if (!text || words.length === 0) return [{ text: text || '', match: false }];
+  // Longest first, so 'react' wins over 're'
+  const alternatives = [...words].sort((a, b) => b.length - a.length).map(escapeRegExp).join('|');
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${alternatives})`, 'giu');
+  return text
+    .split(pattern)
+    .map((part, index) => ({ text: part, match: index % 2 === 1 }))
+    .filter((part) => part.text);
+};
+
+// Words that match the start of a word in the title count double
+const rank = (entry, words) => {
+  const titleWords = searchWords(entry.title);
+  return words.reduce((score, word) => score + (titleWords.some((t) => t.startsWith(word)) ? 2 : 1), 0);
+};
+
+/**
+ * Searches people, projects, achievements and comments at once.
+ * @param {string} text
+ * @returns {Promise<Array<{type: string, label: string, results: import('./repository').SearchIndexEntry[]}>>}
+ *   Only the groups with results, in SEARCH_GROUPS order.
+ */
+export const searchEverything = async (text) => {
+  const words = searchWords(text);
+  if (words.length === 0) return [];
+
+  const longest = words.reduce((a, b) => (b.length > a.length ? b : a));
+  const entries = (await findSearchEntries(longest, CANDIDATES))
+    .filter((entry) => words.every((word) => entry.tokens.includes(word)))
+    .sort((a, b) => rank(b, words) - rank(a, words) || a.title.localeCompare(b.title));
+
+  return SEARCH_GROUPS
+    .map(({ type, label }) => ({
+      type,
+      label,
+      results: entries.filter((entry) => entry.type === type).slice(0, RESULTS_PER_GROUP),
+    }))
+    .filter((group) => group.results.length > 0);
+};
+
+/**
+ * Asks the rebuildSearchIndex function to index every existing document.
+ * Admins only.
+ * @returns {Promise<{indexed: Object<string, number>, failed: number}>}
+ */
+export const rebuildSearchIndex = () => callAdminFunction('rebuildSearchIndex', 'Rebuilding the search index failed');
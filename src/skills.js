@@ -0,0 +1,119 @@
+// --- Skill Names ---
+// Students write the same skill many ways ("reactjs", "React.js", "ML").
+// Known spellings map to one canonical tag, so drafts, filters and search
+// treat them as the same skill.
+
+// Spellings, lower-cased, mapped to the tag used across profiles and projects.
+const SKILL_ALIASES = {
+  'js': 'JavaScript',
+  'javascript': 'JavaScript',
+  'es6': 'JavaScript',
+  'ts': 'TypeScript',
+  'typescript': 'TypeScript',
+  'react': 'React',
+  'react.js': 'React',
+  'reactjs': 'React',
+  'react native': 'React Native',
+  'vue': 'Vue.js',
+  'vuejs': 'Vue.js',
+  'vue.js': 'Vue.js',
+  'angular': 'Angular',
+  'angularjs': 'Angular',
+  'next': 'Next.js',
+  'nextjs': 'Next.js',
+  'next.js': 'Next.js',
+  'node': 'Node.js',
+  'nodejs': 'Node.js',
+  'node.js': 'Node.js',
+  'express': 'Express',
+  'expressjs': 'Express',
+  'python': 'Python',
+  'py': 'Python',
+  'c++': 'C++',
+  'cpp': 'C++',
+  'c#': 'C#',
+  'csharp': 'C#',
+  'golang': 'Go',
+  'ui/ux': 'UI/UX Design',
+  'ui/ux design': 'UI/UX Design',
+  'ux': 'UI/UX Design',
+  'ui design': 'UI/UX Design',
+  'ux design': 'UI/UX Design',
+  'ml': 'Machine Learning',
+  'machine learning': 'Machine Learning',
+  'dl': 'Deep Learning',
+  'deep learning': 'Deep Learning',
+  'nlp': 'Natural Language Processing',
+  'natural language processing': 'Natural Language Processing',
+  'computer vision': 'Computer Vision',
+  'ai': 'AI',
+  'artificial intelligence': 'AI',
+  'data science': 'Data Science',
+  'sql': 'SQL',
+  'mysql': 'MySQL',
+  'postgres': 'PostgreSQL',
+  'postgresql': 'PostgreSQL',
+  'mongo': 'MongoDB',
+  'mongodb': 'MongoDB',
+  'html': 'HTML',
+  'css': 'CSS',
+  'html/css': 'HTML/CSS',
+  'firebase': 'Firebase',
+  'figma': 'Figma',
+  'aws': 'AWS',
+  'gcp': 'Google Cloud',
+  'google cloud': 'Google Cloud',
+  'k8s': 'Kubernetes',
+  'kubernetes': 'Kubernetes',
+  'docker': 'Docker',
+  'flutter': 'Flutter',
+  'android': 'Android',
+  'ios': 'iOS',
+};
+
+const normalize = (skill) => String(skill || '').trim().replace(/\s+/g, ' ').replace(/^#/, '').toLowerCase();
+
+/**
+ * The canonical tag for a known spelling, or null.
+ * @param {string} skill
+ * @returns {string|null}
+ */
+export const knownSkill = (skill) => {
+  const key = normalize(skill);
+  // Own keys only: "constructor" is a search, not a skill
+  return Object.hasOwn(SKILL_ALIASES, key) ? SKILL_ALIASES[key] : null;
+};
+
+/**
+ * The key two spellings of a skill share: "reactjs" and "React" both give
+ * "react". Unknown skills are just lower-cased.
+ * @param {string} skill
+ * @returns {string}
+ */
+export const skillKey = (skill) => (knownSkill(skill) || normalize(skill)).toLowerCase();
+
+/** Whether two spellings name the same skill. */
+export const isSameSkill = (a, b) => skillKey(a) === skillKey(b);
+
+/** Every known spelling, lower-cased (e.g. "reactjs", "react.js"). */
+export const KNOWN_SPELLINGS = Object.keys(SKILL_ALIASES);
+
+/**
+ * The ways a profile or project may store a skill, for exact-match queries
+ * (`array-contains-any`): as given, lower-cased, upper-cased, and the
+ * canonical tag with its known spellings.
+ * @param {string} skill
+ * @returns {string[]}
+ */
+export const skillSpellings = (skill) => {
+  const given = String(skill || '').trim();
+  if (!given) return [];
+  const key = skillKey(given);
+  return [...new Set([
+    given,
+    given.toLowerCase(),
+    given.toUpperCase(),
+    ...(knownSkill(given) ? [knownSkill(given)] : []),
+    ...KNOWN_SPELLINGS.filter((spelling) => skillKey(spelling) === key),
+  ])];
+};
@@ -0,0 +1,53 @@
+import { describe, expect, it } from 'vitest';
+import { isSameSkill, knownSkill, skillKey, skillSpellings } from './skills';
+
+describe('knownSkill', () => {
+  it('maps known spellings to the canonical tag', () => {
+    expect(knownSkill('reactjs')).toBe('React');
+    expect(knownSkill('  Machine   Learning ')).toBe('Machine Learning');
+    expect(knownSkill('#ML')).toBe('Machine Learning');
+    expect(knownSkill('C++')).toBe('C++');
+  });
+
+  it('returns null for unknown skills and empty input', () => {
+    expect(knownSkill('Rust')).toBeNull();
+    expect(knownSkill('')).toBeNull();
+    expect(knownSkill(undefined)).toBeNull();
+  });
+
+  it("doesn't mistake object properties for skills", () => {
+    expect(knownSkill('constructor')).toBeNull();
+    expect(knownSkill('__proto__')).toBeNull();
+    expect(knownSkill('hasOwnProperty')).toBeNull();
+  });
+});
+
+describe('skillKey', () => {
+  it('gives two spellings of a known skill the same key', () => {
+    expect(skillKey('reactjs')).toBe('react');
+    expect(skillKey('React.js')).toBe('react');
+  });
+
+  it('lower-cases unknown skills', () => {
+    expect(skillKey(' Embedded  Systems ')).toBe('embedded systems');
+    expect(skillKey('constructor')).toBe('constructor');
+  });
+});
+
+describe('isSameSkill', () => {
+  it('compares skills by their key', () => {
+    expect(isSameSkill('ML', 'machine learning')).toBe(true);
+    expect(isSameSkill('Java', 'JavaScript')).toBe(false);
+  });
+});
+
+describe('skillSpellings', () => {
+  it('lists the tag and every known spelling of a known skill', () => {
+    expect(skillSpellings('reactjs')).toEqual(expect.arrayContaining(['reactjs', 'REACTJS', 'React', 'react', 'react.js']));
+  });
+
+  it('keeps unknown skills as given and in either case', () => {
+    expect(skillSpellings(' Rust ')).toEqual(['Rust', 'rust', 'RUST']);
+    expect(skillSpellings('')).toEqual([]);
+  });
+});
@@ -0,0 +1,13 @@
+import { APP_ID } from './firestoreEmulator';
+
+// --- Firebase Stub ---
+// Stands in for ./firebase in unit tests that never reach Firebase, so
+// nothing is initialized: `vi.mock('./firebase', () => import('./testing/firebaseStub'))`.
+// The modules under test still import it when they load: the Gemini
+// provider (imported by aiProvider.js alongside the mock one) builds its
+// Functions URL, and repository.js builds its paths from the app id.
+
+export const appId = APP_ID;
+export const db = null;
+export const auth = null;
+export const functionUrl = (name) => `/${name}`;
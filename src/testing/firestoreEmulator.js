@@ -0,0 +1,88 @@
+import { readFileSync } from 'node:fs';
+import { initializeTestEnvironment } from '@firebase/rules-unit-testing';
+import { doc, setDoc } from 'firebase/firestore';
+
+// --- Firestore Emulator ---
+// Shared by the specs that run against the Firestore emulator with the real
+// firestore.rules. `npm test` starts the emulator around the whole run;
+// without it (`npm run test:unit`) those specs are skipped.
+
+// Must match the --project passed to `firebase emulators:exec` in package.json
+export const PROJECT_ID = 'demo-collabnest';
+export const APP_ID = 'test-app';
+export const DATA_PATH = `artifacts/${APP_ID}/public/data`;
+
+export const hasEmulator = Boolean(process.env.FIRESTORE_EMULATOR_HOST);
+
+/**
+ * Loads firestore.rules into the emulator.
+ * @returns {Promise<import('@firebase/rules-unit-testing').RulesTestEnvironment>}
+ */
+export const startTestEnvironment = () =>
+  initializeTestEnvironment({
+    projectId: PROJECT_ID,
+    firestore: { rules: readFileSync('firestore.rules', 'utf8') },
+  });
+
+/**
+ * Firestore as a signed-in user. Everyone has a campus address and a
+ * verified email unless told otherwise.
+ * @param {{email?: string, verified?: boolean}} [token]
+ */
+export const firestoreAs = (testEnv, uid, { email = `${uid}@iilm.edu`, verified = true } = {}) =>
+  testEnv.authenticatedContext(uid, { email, email_verified: verified }).firestore();
+
+/**
+ * Writes documents with the rules switched off.
+ * @param {Object<string, object>} documents - Path under DATA_PATH -> data
+ */
+export const seed = (testEnv, documents) =>
+  testEnv.withSecurityRulesDisabled(async (context) => {
+    const db = context.firestore();
+    for (const [path, data] of Object.entries(documents)) {
+      await setDoc(doc(db, `${DATA_PATH}/${path}`), data);
+    }
+  });
+
+/**
+ * A profile as sign-up writes it.
+ * @param {object} [fields] - Overrides, e.g. `{ role: 'admin' }`
+ */
+export const profileFor = (uid, fields = {}) => {
+  const name = fields.name || uid[0].toUpperCase() + uid.slice(1);
+  return {
+    uid,
+    email: `${uid}@iilm.edu`,
+    name,
+    nameLower: name.toLowerCase(),
+    role: 'student',
+    bio: '',
+    skills: [],
+    course: 'B.Tech CSE',
+    semester: '3',
+    createdAt: new Date('2025-01-01'),
+    ...fields,
+  };
+};
+
+/**
+ * Resolves with the first value a subscription delivers that passes `test`,
+ * then unsubscribes. Rejects with the subscription's error.
+ * @param {(onChange: Function, onError: Function) => Function} subscribe
+ */
+export const nextMatching = (subscribe, test = () => true) =>
+  new Promise((resolve, reject) => {
+    let done = false;
+    let unsubscribe = null;
+    const finish = (settle, value) => {
+      if (done) return;
+      done = true;
+      unsubscribe?.();
+      settle(value);
+    };
+    unsubscribe = subscribe(
+      (value) => test(value) && finish(resolve, value),
+      (error) => finish(reject, error)
+    );
+    if (done) unsubscribe();
+  });
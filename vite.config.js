@@ -5,4 +5,11 @@ import react from '@vitejs/plugin-react'
 export default defineConfig({
   plugins: [react()],
   base: '/collab-nest-portal/', // <-- ADD THIS LINE
+  test: {
+    // The emulator specs share one Firestore emulator and clear it between
+    // tests, so test files run one at a time
+    fileParallelism: false,
+    // The AI features are tested against the local mock provider
+    env: { VITE_APP_AI_PROVIDER: 'mock' },
+  },
 })